@@ -0,0 +1,55 @@
+/**
+ * @fileoverview API key scopes configuration
+ * @description Defines what a personal API key may be used for. Each scope allows a set
+ * of HTTP methods on a set of API path prefixes; anything not covered by one of a key's
+ * scopes is refused, including the auth, user and settings routes.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * API key scopes
+ * @namespace API_KEY_SCOPES
+ * @description Scope name mapped to its description, allowed methods and path prefixes
+ * @property {Object} analytics:read - Read analytics and points reports
+ * @property {Object} students:read - Read students, their goals, groups and custom fields
+ * @property {Object} attendance:read - Read attendance records and reports
+ * @property {Object} attendance:write - Read and record attendance (no deletes)
+ * @example
+ * import { API_KEY_SCOPES } from './config/apiKeyScopes.js';
+ * API_KEY_SCOPES["attendance:write"].methods; // ["GET", "POST", "PATCH"]
+ */
+export const API_KEY_SCOPES = {
+  "analytics:read": {
+    description: "Read analytics and points reports",
+    methods: ["GET"],
+    paths: ["/api/analytics", "/api/points"],
+  },
+  "students:read": {
+    description: "Read students, their goals, groups, tags and custom fields",
+    methods: ["GET"],
+    paths: [
+      "/api/students",
+      "/api/goals",
+      "/api/groups",
+      "/api/tags",
+      "/api/custom-fields",
+    ],
+  },
+  "attendance:read": {
+    description: "Read attendance records and reports",
+    methods: ["GET"],
+    paths: ["/api/attendance"],
+  },
+  "attendance:write": {
+    description: "Read and record attendance (no deletes)",
+    methods: ["GET", "POST", "PATCH"],
+    paths: ["/api/attendance"],
+  },
+};
+
+/**
+ * All valid scope names
+ * @type {Array<string>}
+ */
+export const ALL_API_KEY_SCOPES = Object.keys(API_KEY_SCOPES);
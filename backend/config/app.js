@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Application URL configuration
+ * @description Builds links to frontend pages for invites and emails
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * Build an absolute link to a frontend page
+ * @function buildAppUrl
+ * @param {string} path - Frontend path starting with a slash, e.g. "/auth/login"
+ * @returns {string} URL based on APP_URL, falling back to CORS_ORIGIN
+ */
+export function buildAppUrl(path) {
+  const base = (process.env.APP_URL || process.env.CORS_ORIGIN || "").replace(
+    /\/$/,
+    ""
+  );
+  return `${base}${path}`;
+}
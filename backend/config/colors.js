@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Colour configuration
+ * @description Format of the colours admins pick for tags and goal categories.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * Colours are stored as #rrggbb
+ * @type {RegExp}
+ * @example
+ * import { COLOR_PATTERN } from './config/colors.js';
+ * COLOR_PATTERN.test("#16a34a"); // true
+ */
+export const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
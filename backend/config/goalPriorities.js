@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Goal priority configuration
+ * @description How urgent a goal is. Priorities only help leaders sort and filter goals;
+ * they do not change points.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * Goal priorities
+ * @namespace GOAL_PRIORITIES
+ * @property {string} LOW - Can wait
+ * @property {string} NORMAL - Default for new goals
+ * @property {string} HIGH - Needs attention first
+ * @example
+ * import { GOAL_PRIORITIES } from './config/goalPriorities.js';
+ * await goal.update({ priority: GOAL_PRIORITIES.HIGH });
+ */
+export const GOAL_PRIORITIES = {
+  LOW: "low",
+  NORMAL: "normal",
+  HIGH: "high",
+};
+
+/**
+ * All valid priority values, lowest first
+ * @type {Array<string>}
+ */
+export const ALL_GOAL_PRIORITIES = Object.values(GOAL_PRIORITIES);
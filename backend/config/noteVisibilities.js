@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Student note visibility configuration
+ * @description Who can read a leader's note on a student. Notes are only ever shown to
+ * admins and mentors; students and viewers never see them.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * Note visibilities
+ * @namespace NOTE_VISIBILITIES
+ * @property {string} PRIVATE - Only the note's author
+ * @property {string} LEADERS - Every admin and mentor who can see the student (default)
+ * @example
+ * import { NOTE_VISIBILITIES } from './config/noteVisibilities.js';
+ * await StudentNote.create({ ...note, visibility: NOTE_VISIBILITIES.PRIVATE });
+ */
+export const NOTE_VISIBILITIES = {
+  PRIVATE: "private",
+  LEADERS: "leaders",
+};
+
+/**
+ * All valid visibility values
+ * @type {Array<string>}
+ */
+export const ALL_NOTE_VISIBILITIES = Object.values(NOTE_VISIBILITIES);
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview OpenID Connect configuration
+ * @description Reads the single sign-on settings from the environment. SSO is enabled
+ * when OIDC_ISSUER and OIDC_CLIENT_ID are set; password login keeps working alongside it.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { STAFF_ROLES, ROLES } from "./roles.js";
+import { buildAppUrl } from "./app.js";
+
+/**
+ * Parse a role mapping such as "roadmap-admins=admin,roadmap-leaders=mentor"
+ * @function parseRoleMap
+ * @description Entries mapping to anything other than a staff role are ignored, so the
+ * identity provider can never create or promote student logins.
+ * @param {string} value - Comma separated claim=role pairs
+ * @returns {Object<string, string>} Claim value mapped to role
+ */
+export function parseRoleMap(value) {
+  const map = {};
+  for (const entry of String(value || "").split(",")) {
+    const [claimValue, role] = entry.split("=").map((part) => part?.trim());
+    if (claimValue && STAFF_ROLES.includes(role)) map[claimValue] = role;
+  }
+  return map;
+}
+
+/**
+ * Get the OIDC configuration
+ * @function getOidcConfig
+ * @returns {Object} Configuration
+ * @returns {boolean} returns.enabled - Whether SSO is configured
+ * @returns {string} returns.issuer - Issuer URL, without trailing slash
+ * @returns {string} returns.clientId - Client ID registered with the provider
+ * @returns {string|null} returns.clientSecret - Client secret, null for a public client
+ * @returns {string} returns.redirectUri - Frontend callback URL registered with the provider
+ * @returns {string} returns.scopes - Requested scopes
+ * @returns {string} returns.providerName - Name shown on the "Sign in with…" button
+ * @returns {string|null} returns.roleClaim - ID token claim holding groups or roles
+ * @returns {Object<string, string>} returns.roleMap - Claim value to role, see parseRoleMap
+ * @returns {boolean} returns.autoCreate - Create a login on first sign-in when no user matches
+ * @returns {string} returns.defaultRole - Role for auto-created logins without a mapped role
+ */
+export function getOidcConfig() {
+  const issuer = (process.env.OIDC_ISSUER || "").replace(/\/$/, "");
+  const clientId = process.env.OIDC_CLIENT_ID || "";
+  const defaultRole = STAFF_ROLES.includes(process.env.OIDC_DEFAULT_ROLE)
+    ? process.env.OIDC_DEFAULT_ROLE
+    : ROLES.VIEWER;
+  return {
+    enabled: Boolean(issuer && clientId),
+    issuer,
+    clientId,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri:
+      process.env.OIDC_REDIRECT_URI || buildAppUrl("/auth/oidc/callback"),
+    scopes: process.env.OIDC_SCOPES || "openid email profile",
+    providerName: process.env.OIDC_PROVIDER_NAME || "SSO",
+    roleClaim: process.env.OIDC_ROLE_CLAIM || null,
+    roleMap: parseRoleMap(process.env.OIDC_ROLE_MAP),
+    autoCreate: process.env.OIDC_AUTO_CREATE === "true",
+    defaultRole,
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Password policy
+ * @description Strength rules applied server-side whenever a password is set
+ * (registration, invites, admin-created users, password change and reset)
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * Password policy configuration
+ * @namespace PASSWORD_POLICY
+ * @property {number} MIN_LENGTH - Minimum number of characters (default: 8, env PASSWORD_MIN_LENGTH)
+ * @property {number} MAX_BYTES - Maximum length in bytes; bcrypt ignores anything past 72 bytes
+ * @property {boolean} REQUIRE_LETTER - Password must contain at least one letter
+ * @property {boolean} REQUIRE_DIGIT - Password must contain at least one digit
+ */
+export const PASSWORD_POLICY = {
+  MIN_LENGTH: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  MAX_BYTES: 72,
+  REQUIRE_LETTER: true,
+  REQUIRE_DIGIT: true,
+};
+
+/**
+ * Check a password against the policy
+ * @function validatePassword
+ * @param {string} password - Plain text password
+ * @param {Object} [context] - Account details the password must not equal
+ * @param {string} [context.userName] - Username
+ * @param {string} [context.email] - Email address
+ * @returns {string|null} Error message for the first rule that fails, or null if valid
+ * @example
+ * const problem = validatePassword(req.body.password, { userName });
+ * if (problem) return res.status(400).json({ message: problem });
+ */
+export function validatePassword(password, context = {}) {
+  if (typeof password !== "string" || !password) {
+    return "Password is required";
+  }
+  if (password.length < PASSWORD_POLICY.MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_POLICY.MIN_LENGTH} characters long`;
+  }
+  if (Buffer.byteLength(password, "utf8") > PASSWORD_POLICY.MAX_BYTES) {
+    return `Password must be at most ${PASSWORD_POLICY.MAX_BYTES} bytes long`;
+  }
+  if (PASSWORD_POLICY.REQUIRE_LETTER && !/\p{L}/u.test(password)) {
+    return "Password must contain at least one letter";
+  }
+  if (PASSWORD_POLICY.REQUIRE_DIGIT && !/\d/.test(password)) {
+    return "Password must contain at least one number";
+  }
+  const lowered = password.toLowerCase();
+  const identifiers = [context.userName, context.email]
+    .filter(Boolean)
+    .map((value) => String(value).toLowerCase());
+  if (identifiers.includes(lowered)) {
+    return "Password must not be the same as your username or email";
+  }
+  return null;
+}
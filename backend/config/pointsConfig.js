@@ -13,6 +13,7 @@
  * @property {number} COMPLETE_ON_TIME - Bonus points for completing a goal on or before target date (default: 3)
  * @property {number} REOPEN_GOAL - Points awarded/deducted when a goal is reopened (default: 0)
  * @property {number} REOPEN_ON_TIME - Points awarded/deducted when an on-time goal is reopened (default: 0)
+ * @property {number} COMPLETE_MILESTONE - Partial points awarded for ticking off a goal milestone, taken back when it is unticked or deleted (default: 0, off)
  * @example
  * import { POINTS } from './config/pointsConfig.js';
  * const totalPoints = POINTS.COMPLETE_GOAL + POINTS.COMPLETE_ON_TIME; // 5 points for on-time completion
@@ -22,4 +23,5 @@ export const POINTS = {
   COMPLETE_ON_TIME: 3,
   REOPEN_GOAL: 0,
   REOPEN_ON_TIME: 0,
+  COMPLETE_MILESTONE: 0,
 };
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview User roles configuration
+ * @description Centralized definition of user roles and the role groups used by route authorization
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * User roles
+ * @namespace ROLES
+ * @description Roles that can be assigned to a user account
+ * @property {string} ADMIN - Full access, including destructive and admin-only actions
+ * @property {string} MENTOR - Can create and update students, goals and attendance
+ * @property {string} VIEWER - Read-only access
+ * @property {string} STUDENT - Student login linked to one student; only sees the student portal
+ * @example
+ * import { ROLES } from './config/roles.js';
+ * router.delete('/:id', authorizeRoles(ROLES.ADMIN), handler);
+ */
+export const ROLES = {
+  ADMIN: "admin",
+  MENTOR: "mentor",
+  VIEWER: "viewer",
+  STUDENT: "student",
+};
+
+/**
+ * All valid role values
+ * @type {Array<string>}
+ */
+export const ALL_ROLES = Object.values(ROLES);
+
+/**
+ * Staff roles, allowed to use the main application (everyone except students)
+ * @type {Array<string>}
+ */
+export const STAFF_ROLES = [ROLES.ADMIN, ROLES.MENTOR, ROLES.VIEWER];
+
+/**
+ * Roles allowed to create and update records
+ * @type {Array<string>}
+ */
+export const EDITOR_ROLES = [ROLES.ADMIN, ROLES.MENTOR];
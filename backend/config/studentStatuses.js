@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Student lifecycle configuration
+ * @description Statuses a student moves through. Students are archived instead of deleted so
+ * their goals, points and attendance history are kept.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * Student statuses
+ * @namespace STUDENT_STATUSES
+ * @property {string} ACTIVE - Currently taking part (default)
+ * @property {string} INACTIVE - Taking a break; still listed and can be marked on attendance sheets
+ * @property {string} GRADUATED - Finished the programme
+ * @property {string} ARCHIVED - Removed from day-to-day lists, attendance sheets and leaderboards;
+ * history still counts in analytics and the student can be restored
+ * @example
+ * import { STUDENT_STATUSES } from './config/studentStatuses.js';
+ * await student.update({ status: STUDENT_STATUSES.ARCHIVED });
+ */
+export const STUDENT_STATUSES = {
+  ACTIVE: "active",
+  INACTIVE: "inactive",
+  GRADUATED: "graduated",
+  ARCHIVED: "archived",
+};
+
+/**
+ * All valid status values
+ * @type {Array<string>}
+ */
+export const ALL_STUDENT_STATUSES = Object.values(STUDENT_STATUSES);
@@ -6,32 +6,59 @@
  */
 
 import jwt from "jsonwebtoken";
+import { isSessionActive } from "../services/sessions.js";
+import {
+  isApiKey,
+  authenticateApiKey,
+  isScopeAllowed,
+} from "../services/apiKeys.js";
 
 /**
  * JWT Authentication middleware
  * @function authenticateJWT
- * @description Verifies JWT tokens in Authorization header and attaches user info to request
+ * @description Verifies JWT tokens in Authorization header and attaches user info to request.
+ * Personal API keys (`grm_...`) are accepted in place of a JWT; they act as their owner but
+ * only on the routes their scopes allow, and set req.user.apiKeyId and req.user.scopes.
  * @param {Object} req - Express request object
  * @param {Object} req.headers - Request headers
  * @param {string} req.headers.authorization - Authorization header with Bearer token
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {void} Calls next() on success, sends error response on failure
- * @throws {401} Unauthorized if no token is provided
- * @throws {403} Forbidden if token is invalid or expired
+ * @throws {401} Unauthorized if no token is provided, its session has been revoked or the
+ * API key is invalid, revoked or expired
+ * @throws {403} Forbidden if token is invalid or expired, or the API key's scopes do not
+ * cover the request
  * @example
  * // Usage in routes:
  * app.use('/api/protected', authenticateJWT, protectedRoutes);
  *
  * // Authorization header format:
  * Authorization: Bearer <jwt_token>
+ * Authorization: Bearer grm_<api_key>
  */
 export function authenticateJWT(req, res, next) {
   const authHeader = req.headers.authorization;
   if (authHeader && authHeader.startsWith("Bearer ")) {
     const token = authHeader.split(" ")[1];
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-      if (err) return res.status(403).json({ message: "Invalid token" });
+    if (isApiKey(token)) return authenticateWithApiKey(token, req, res, next);
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+      // 2FA challenge tokens only unlock the second login step
+      if (err || user.purpose)
+        return res.status(403).json({ message: "Invalid token" });
+      // Tokens tied to a server-side session stop working once it is revoked
+      if (user.sid) {
+        try {
+          if (!(await isSessionActive(user.sid))) {
+            return res
+              .status(401)
+              .json({ message: "Session expired or revoked" });
+          }
+        } catch (error) {
+          console.error("Error checking session:", error);
+          return res.status(500).json({ message: "Internal server error" });
+        }
+      }
       req.user = user;
       next();
     });
@@ -39,3 +66,58 @@ export function authenticateJWT(req, res, next) {
     res.status(401).json({ message: "No token provided" });
   }
 }
+
+/**
+ * Authenticate a request with a personal API key
+ * @async
+ * @param {string} key - Raw API key from the Authorization header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+async function authenticateWithApiKey(key, req, res, next) {
+  try {
+    const user = await authenticateApiKey(key);
+    if (!user) {
+      return res.status(401).json({ message: "Invalid or revoked API key" });
+    }
+    if (!isScopeAllowed(user.scopes, req.method, req.baseUrl + req.path)) {
+      return res
+        .status(403)
+        .json({ message: "API key is not allowed to perform this action" });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("Error checking API key:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+}
+
+/**
+ * Role-based authorization middleware factory
+ * @function authorizeRoles
+ * @description Restricts a route to users whose JWT role claim is one of the given roles.
+ * Must run after authenticateJWT so that req.user is populated.
+ * @param {...string} roles - Roles allowed to access the route (see config/roles.js)
+ * @returns {Function} Express middleware
+ * @throws {401} Unauthorized if the request has no authenticated user
+ * @throws {403} Forbidden if the user's role is not allowed
+ * @example
+ * // Only admins may delete students:
+ * router.delete('/:id', authorizeRoles(ROLES.ADMIN), handler);
+ */
+export function authorizeRoles(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "No token provided" });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ message: "You do not have permission to perform this action" });
+    }
+    next();
+  };
+}
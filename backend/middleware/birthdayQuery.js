@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Birthday query middleware
+ * @description Parses the look-ahead, timezone and student filters shared by the upcoming
+ * birthdays list and the birthday calendar feed
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { MAX_BIRTHDAY_DAYS } from "../services/birthdays.js";
+import { inGroup } from "../services/groups.js";
+import { taggedWith } from "../services/tags.js";
+import { assignedTo } from "../services/mentors.js";
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "../utils/dates.js";
+
+/**
+ * Build birthday query middleware
+ * @function parseBirthdayQuery
+ * @description Sets req.birthdayOptions for findUpcomingBirthdays. Expects parseGroupFilter,
+ * parseTagFilter and parseMentorScope to have run.
+ * @param {number} defaultDays - Look-ahead when `days` is not sent
+ * @returns {Function} Express middleware
+ * @throws {400} Bad request if days is not a whole number from 0 to MAX_BIRTHDAY_DAYS, or tz
+ * is not a known timezone
+ */
+export function parseBirthdayQuery(defaultDays) {
+  return (req, res, next) => {
+    const days = req.query.days ? Number(req.query.days) : defaultDays;
+    if (!Number.isInteger(days) || days < 0 || days > MAX_BIRTHDAY_DAYS) {
+      return res.status(400).json({
+        message: `days must be a whole number from 0 to ${MAX_BIRTHDAY_DAYS}`,
+      });
+    }
+    const timeZone = req.query.tz || DEFAULT_TIME_ZONE;
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
+    const conditions = [];
+    if (req.groupId) conditions.push({ id: inGroup(req.groupId) });
+    if (req.tagIds.length) conditions.push({ id: taggedWith(req.tagIds) });
+    if (req.mentorId) conditions.push({ id: assignedTo(req.mentorId) });
+    req.birthdayOptions = { days, timeZone, conditions };
+    next();
+  };
+}
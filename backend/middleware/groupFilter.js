@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Group filter middleware
+ * @description Parses the optional `group_id` query parameter shared by the student,
+ * attendance, points and analytics endpoints
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * Group filter middleware
+ * @function parseGroupFilter
+ * @description Sets req.groupId to the requested group, or null when no group_id was given
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.group_id] - Only include students in this group
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * @throws {400} Bad request if group_id is not a positive integer
+ */
+export function parseGroupFilter(req, res, next) {
+  const value = req.query.group_id;
+  if (value === undefined || value === "") {
+    req.groupId = null;
+    return next();
+  }
+  const groupId = Number(value);
+  if (!Number.isInteger(groupId) || groupId < 1) {
+    return res.status(400).json({ message: "Invalid group_id" });
+  }
+  req.groupId = groupId;
+  next();
+}
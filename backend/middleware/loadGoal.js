@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Goal loader middleware
+ * @description Loads the goal named in the URL for routers mounted under
+ * /api/goals/:id (milestones)
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Goal } from "../models.js";
+import { canAccessStudent, NOT_ASSIGNED_MESSAGE } from "../services/mentors.js";
+
+/**
+ * Load the goal named in the URL into req.goal
+ * @async
+ * @function loadGoal
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Goal ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the goal's student
+ * @throws {404} Goal not found
+ */
+export async function loadGoal(req, res, next) {
+  try {
+    const goal = await Goal.findByPk(req.params.id);
+    if (!goal) return res.status(404).json({ message: "Goal not found" });
+    if (!(await canAccessStudent(req.user, goal.student_id))) {
+      return res.status(403).json({ message: NOT_ASSIGNED_MESSAGE });
+    }
+    req.goal = goal;
+    next();
+  } catch (error) {
+    console.error("Error fetching goal:", error);
+    res.status(500).json({ message: "Failed to fetch goal" });
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Student loader middleware
+ * @description Loads the student named in the URL for routers mounted under
+ * /api/students/:id (contacts, notes)
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Student } from "../models.js";
+
+/**
+ * Load the student named in the URL into req.student
+ * @async
+ * @function loadStudent
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Student ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ * @throws {404} Student not found
+ */
+export async function loadStudent(req, res, next) {
+  try {
+    const student = await Student.findByPk(req.params.id, {
+      attributes: ["id", "name"],
+    });
+    if (!student) return res.status(404).json({ message: "Student not found" });
+    req.student = student;
+    next();
+  } catch (error) {
+    console.error("Error fetching student:", error);
+    res.status(500).json({ message: "Failed to fetch student" });
+  }
+}
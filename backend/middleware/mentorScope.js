@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Mentor scope middleware
+ * @description Limits student, goal, attendance, leaderboard and analytics endpoints to a
+ * mentor's assigned students: always for mentors while the `restrict_mentors` setting is on, and
+ * for anyone who asks for "my students" with `mine=true`
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import {
+  isRestrictedMentor,
+  canAccessStudent,
+  NOT_ASSIGNED_MESSAGE,
+} from "../services/mentors.js";
+
+/**
+ * Mentor scope middleware
+ * @async
+ * @function parseMentorScope
+ * @description Sets req.mentorId to the user whose assigned students the request is limited
+ * to, or null when it covers everyone
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.mine] - "true" to only include the current user's assigned students
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+export async function parseMentorScope(req, res, next) {
+  try {
+    const limited =
+      req.query.mine === "true" || (await isRestrictedMentor(req.user));
+    req.mentorId = limited ? req.user.id : null;
+    next();
+  } catch (error) {
+    console.error("Error checking mentor scope:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+}
+
+/**
+ * Build middleware that stops restricted mentors at students not assigned to them
+ * @function requireStudentAccess
+ * @param {string} [param="id"] - Route parameter holding the student ID
+ * @returns {Function} Express middleware
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the student
+ */
+export function requireStudentAccess(param = "id") {
+  return async (req, res, next) => {
+    try {
+      if (await canAccessStudent(req.user, req.params[param])) return next();
+      res.status(403).json({ message: NOT_ASSIGNED_MESSAGE });
+    } catch (error) {
+      console.error("Error checking student access:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  };
+}
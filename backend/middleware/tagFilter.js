@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Tag filter middleware
+ * @description Parses the optional `tags` query parameter shared by the student,
+ * attendance sheet and points leaderboard endpoints
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * Tag filter middleware
+ * @function parseTagFilter
+ * @description Sets req.tagIds to the requested tags, or an empty array when no tags were
+ * given. Students must have every listed tag.
+ * @param {Object} req - Express request object
+ * @param {string|Array<string>} [req.query.tags] - Comma-separated tag IDs, e.g. tags=1,4
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * @throws {400} Bad request if a tag ID is not a positive integer
+ */
+export function parseTagFilter(req, res, next) {
+  const value = req.query.tags;
+  if (value === undefined || value === "") {
+    req.tagIds = [];
+    return next();
+  }
+  const tagIds = [value]
+    .flat()
+    .join(",")
+    .split(",")
+    .map((id) => Number(id.trim()));
+  if (!tagIds.every((id) => Number.isInteger(id) && id > 0)) {
+    return res.status(400).json({ message: "Invalid tags" });
+  }
+  req.tagIds = [...new Set(tagIds)];
+  next();
+}
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Spreadsheet upload middleware
+ * @description Accepts a single CSV or XLSX file sent as multipart/form-data and keeps it
+ * in memory for the import endpoints
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import multer from "multer";
+
+// Largest accepted upload (2 MB is well over a thousand rows of student details)
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+const ALLOWED_EXTENSIONS = ["csv", "xlsx"];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = file.originalname.toLowerCase().split(".").pop();
+    cb(null, ALLOWED_EXTENSIONS.includes(extension));
+  },
+}).single("file");
+
+/**
+ * Spreadsheet upload middleware
+ * @function uploadSpreadsheet
+ * @description Stores the uploaded `file` field in req.file ({ originalname, buffer, ... })
+ * and the other form fields in req.body. Files of another type are ignored, so req.file
+ * is only set for a CSV or XLSX file.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * @throws {400} Bad request if the file is too large or the form data is malformed
+ */
+export function uploadSpreadsheet(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({ message: "File must be at most 2 MB" });
+    }
+    res.status(400).json({ message: "Invalid file upload" });
+  });
+}
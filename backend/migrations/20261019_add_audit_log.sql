@@ -0,0 +1,22 @@
+-- Migration: Add audit log
+-- Date: 2026-10-19
+-- Description: Record who created, updated or deleted students, goals, attendance
+-- and users, with before/after values. entity_id is deliberately not a foreign key
+-- so the history of a deleted record is kept.
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NULL,
+    entity_type VARCHAR(32) NOT NULL,
+    entity_id INT NOT NULL,
+    action ENUM('create', 'update', 'delete') NOT NULL,
+    `before` JSON NULL,
+    `after` JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+
+    INDEX idx_entity (entity_type, entity_id),
+    INDEX idx_user_id (user_id),
+    INDEX idx_created_at (created_at)
+);
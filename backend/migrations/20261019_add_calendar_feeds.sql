@@ -0,0 +1,14 @@
+-- Migration: Add calendar feeds
+-- Date: 2026-10-19
+-- Description: Secret per-user links to the birthday calendar, so calendar apps can
+-- subscribe without an Authorization header. Only a SHA-256 hash of each token is stored.
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL UNIQUE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,28 @@
+-- Migration: Add custom student fields
+-- Date: 2026-10-19
+-- Description: Admin-defined extra fields on students (e.g. school, grade, t-shirt size,
+-- allergies) and each student's values for them. Values are stored as text and checked
+-- against the field type by the API.
+
+CREATE TABLE IF NOT EXISTS custom_fields (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    `key` VARCHAR(50) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    type ENUM('text', 'number', 'date', 'select', 'boolean') NOT NULL,
+    options JSON NULL,
+    required BOOLEAN NOT NULL DEFAULT FALSE,
+    position INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS custom_field_values (
+    field_id INT NOT NULL,
+    student_id INT NOT NULL,
+    value TEXT NOT NULL,
+
+    PRIMARY KEY (field_id, student_id),
+    FOREIGN KEY (field_id) REFERENCES custom_fields(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+
+    INDEX idx_student_id (student_id)
+);
@@ -0,0 +1,19 @@
+-- Migration: Add goal categories and priorities
+-- Date: 2026-10-19
+-- Description: Admin-managed categories (name, colour, icon) so spiritual, academic and
+-- service goals can be told apart, and a priority on every goal. Deleting a category
+-- leaves its goals uncategorised.
+
+CREATE TABLE IF NOT EXISTS goal_categories (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    color CHAR(7) NOT NULL DEFAULT '#64748b',
+    icon VARCHAR(50) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE goals
+    ADD COLUMN category_id INT NULL AFTER completion_requested_at,
+    ADD COLUMN priority ENUM('low', 'normal', 'high') NOT NULL DEFAULT 'normal' AFTER category_id,
+    ADD CONSTRAINT fk_goals_category FOREIGN KEY (category_id) REFERENCES goal_categories(id) ON DELETE SET NULL,
+    ADD INDEX idx_priority (priority);
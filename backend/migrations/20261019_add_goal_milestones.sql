@@ -0,0 +1,17 @@
+-- Migration: Add goal milestones
+-- Date: 2026-10-19
+-- Description: Ordered checklist steps inside a goal, each with its own completion time.
+-- A goal's progress percentage is derived from how many of its milestones are done.
+
+CREATE TABLE IF NOT EXISTS goal_milestones (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    goal_id INT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    position INT NOT NULL DEFAULT 0,
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE,
+
+    INDEX idx_goal_position (goal_id, position)
+);
@@ -0,0 +1,13 @@
+-- Migration: Add goal templates
+-- Date: 2026-10-19
+-- Description: Reusable goals (title, description, target date offset and milestone titles)
+-- that leaders assign to many students or a whole group at once.
+
+CREATE TABLE IF NOT EXISTS goal_templates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    target_offset_days INT NULL,
+    milestones JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
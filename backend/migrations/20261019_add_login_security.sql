@@ -0,0 +1,24 @@
+-- Migration: Add account lockout and login auditing
+-- Date: 2026-10-19
+-- Description: Track consecutive failed logins per account, lock accounts
+-- temporarily, and keep an audit trail of login attempts.
+
+ALTER TABLE users
+    ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0,
+    ADD COLUMN locked_until DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NULL,
+    user_name VARCHAR(255) NOT NULL,
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(32) NOT NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+
+    INDEX idx_user_id (user_id),
+    INDEX idx_created_at (created_at)
+);
@@ -0,0 +1,16 @@
+-- Migration: Add mentor assignments
+-- Date: 2026-10-19
+-- Description: Link mentors (admin or mentor users) to the students they look after.
+-- A student can have several mentors and a mentor several students.
+
+CREATE TABLE IF NOT EXISTS mentor_assignments (
+    user_id INT NOT NULL,
+    student_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (user_id, student_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+
+    INDEX idx_student_id (student_id)
+);
@@ -0,0 +1,29 @@
+-- Migration: Add OpenID Connect login
+-- Date: 2026-10-19
+-- Description: Link users to identities at an OIDC provider and keep the PKCE verifier
+-- and nonce of sign-ins in progress (state is stored as a SHA-256 hash).
+
+CREATE TABLE IF NOT EXISTS user_identities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    issuer VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NULL,
+    last_login_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    UNIQUE KEY uniq_issuer_subject (issuer, subject),
+    INDEX idx_user_id (user_id)
+);
+
+CREATE TABLE IF NOT EXISTS oidc_login_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    state_hash VARCHAR(64) NOT NULL UNIQUE,
+    code_verifier VARCHAR(128) NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
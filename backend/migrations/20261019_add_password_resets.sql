@@ -0,0 +1,19 @@
+-- Migration: Add password_resets table
+-- Date: 2026-10-19
+-- Description: Store single-use password reset tokens (as SHA-256 hashes)
+-- for the forgot-password flow.
+
+CREATE TABLE IF NOT EXISTS password_resets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash VARCHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_token_hash (token_hash),
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    INDEX idx_user_id (user_id)
+);
@@ -0,0 +1,24 @@
+-- Migration: Add sessions table
+-- Date: 2026-10-19
+-- Description: Store rotating refresh tokens (as SHA-256 hashes) so sessions
+-- can be refreshed, listed and revoked server-side.
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash VARCHAR(64) NOT NULL,
+    previous_token_hash VARCHAR(64) NULL,
+    user_agent VARCHAR(255) NULL,
+    ip_address VARCHAR(45) NULL,
+    expires_at DATETIME NOT NULL,
+    last_used_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_token_hash (token_hash),
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    INDEX idx_user_id (user_id),
+    INDEX idx_previous_token_hash (previous_token_hash)
+);
@@ -0,0 +1,24 @@
+-- Migration: Add student contacts
+-- Date: 2026-10-19
+-- Description: Parents, guardians and emergency contacts for each student, with the
+-- consent they have given. At most one contact per student is primary (enforced by the API).
+
+CREATE TABLE IF NOT EXISTS student_contacts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    student_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    relationship VARCHAR(50) NULL,
+    phone VARCHAR(30) NULL,
+    alt_phone VARCHAR(30) NULL,
+    email VARCHAR(255) NULL,
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    is_emergency BOOLEAN NOT NULL DEFAULT FALSE,
+    can_pick_up BOOLEAN NOT NULL DEFAULT FALSE,
+    consent_sms BOOLEAN NOT NULL DEFAULT FALSE,
+    consent_media BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+
+    INDEX idx_student_id (student_id)
+);
@@ -0,0 +1,23 @@
+-- Migration: Add student groups
+-- Date: 2026-10-19
+-- Description: Cohorts/classes for organising students. A student can belong to any
+-- number of groups. The table is named student_groups because GROUPS is reserved in MySQL 8.
+
+CREATE TABLE IF NOT EXISTS student_groups (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+    group_id INT NOT NULL,
+    student_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (group_id, student_id),
+    FOREIGN KEY (group_id) REFERENCES student_groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+
+    INDEX idx_student_id (student_id)
+);
@@ -0,0 +1,7 @@
+-- Migration: Add student merges to the audit log
+-- Date: 2026-10-19
+-- Description: Merging a duplicate student into another is recorded in the audit log
+-- with its own action, on the student that is kept.
+
+ALTER TABLE audit_logs
+    MODIFY COLUMN action ENUM('create', 'update', 'delete', 'merge') NOT NULL;
@@ -0,0 +1,20 @@
+-- Migration: Add student notes
+-- Date: 2026-10-19
+-- Description: Timestamped pastoral notes leaders keep on each student. Private notes are
+-- only shown to their author; the others to every admin and mentor.
+
+CREATE TABLE IF NOT EXISTS student_notes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    student_id INT NOT NULL,
+    author_id INT NULL,
+    body TEXT NOT NULL,
+    visibility ENUM('private', 'leaders') NOT NULL DEFAULT 'leaders',
+    pinned BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL,
+
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL,
+
+    INDEX idx_student_id (student_id)
+);
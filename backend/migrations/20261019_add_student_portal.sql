@@ -0,0 +1,19 @@
+-- Migration: Add student portal logins
+-- Date: 2026-10-19
+-- Description: Add the "student" role, link student logins (and invites for them)
+-- to a student record, and let students ask for a goal to be marked complete.
+
+ALTER TABLE users
+    MODIFY COLUMN role ENUM('admin', 'mentor', 'viewer', 'student') NOT NULL DEFAULT 'viewer',
+    ADD COLUMN student_id INT NULL AFTER role,
+    ADD UNIQUE KEY unique_student_id (student_id),
+    ADD FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE SET NULL;
+
+ALTER TABLE invites
+    MODIFY COLUMN role ENUM('admin', 'mentor', 'viewer', 'student') NOT NULL DEFAULT 'viewer',
+    ADD COLUMN student_id INT NULL AFTER role,
+    ADD FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE;
+
+ALTER TABLE goals
+    ADD COLUMN completion_requested_at DATETIME NULL AFTER completed_at,
+    ADD INDEX idx_completion_requested_at (completion_requested_at);
@@ -0,0 +1,10 @@
+-- Migration: Add student lifecycle status
+-- Date: 2026-10-19
+-- Description: Students are archived instead of deleted so their goals and attendance
+-- history are kept. Archived students are hidden from lists, attendance sheets and
+-- leaderboards by default and can be restored.
+
+ALTER TABLE students
+    ADD COLUMN status ENUM('active', 'inactive', 'graduated', 'archived') NOT NULL DEFAULT 'active' AFTER points,
+    ADD COLUMN archived_at TIMESTAMP NULL AFTER status,
+    ADD INDEX idx_status (status);
@@ -0,0 +1,23 @@
+-- Migration: Add student tags
+-- Date: 2026-10-19
+-- Description: Lightweight coloured labels such as "new" or "needs follow-up". A student
+-- can have any number of tags.
+
+CREATE TABLE IF NOT EXISTS tags (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    color CHAR(7) NOT NULL DEFAULT '#64748b',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS student_tags (
+    tag_id INT NOT NULL,
+    student_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (tag_id, student_id),
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+
+    INDEX idx_student_id (student_id)
+);
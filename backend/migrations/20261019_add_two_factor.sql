@@ -0,0 +1,28 @@
+-- Migration: Add two-factor authentication
+-- Date: 2026-10-19
+-- Description: TOTP columns on users, hashed recovery codes and an
+-- application settings table (used for the "require 2FA" switch).
+
+ALTER TABLE users
+    ADD COLUMN totp_secret VARCHAR(64) NULL,
+    ADD COLUMN totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN totp_last_step INT NULL;
+
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    INDEX idx_user_code (user_id, code_hash)
+);
+
+CREATE TABLE IF NOT EXISTS settings (
+    `key` VARCHAR(64) PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_by INT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
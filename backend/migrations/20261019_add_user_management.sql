@@ -0,0 +1,26 @@
+-- Migration: Add user management and invites
+-- Date: 2026-10-19
+-- Description: Allow admins to disable accounts and invite additional users.
+-- Invite tokens are stored as SHA-256 hashes and are single-use.
+
+ALTER TABLE users
+    ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE AFTER role;
+
+CREATE TABLE IF NOT EXISTS invites (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    role ENUM('admin', 'mentor', 'viewer') NOT NULL DEFAULT 'viewer',
+    token_hash VARCHAR(64) NOT NULL,
+    invited_by INT NULL,
+    expires_at DATETIME NOT NULL,
+    accepted_at DATETIME NULL,
+    accepted_user_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_token_hash (token_hash),
+
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (accepted_user_id) REFERENCES users(id) ON DELETE SET NULL,
+
+    INDEX idx_email (email)
+);
@@ -0,0 +1,9 @@
+-- Migration: Add role column to users
+-- Date: 2026-10-19
+-- Description: Add role-based access control. Existing accounts become admins
+-- so the current leaders keep full access after the upgrade.
+
+ALTER TABLE users
+    ADD COLUMN role ENUM('admin', 'mentor', 'viewer') NOT NULL DEFAULT 'viewer' AFTER password_hash;
+
+UPDATE users SET role = 'admin';
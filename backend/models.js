@@ -7,6 +7,15 @@
 
 import { Sequelize, DataTypes } from "sequelize";
 import dotenv from "dotenv";
+import { ALL_ROLES, ROLES } from "./config/roles.js";
+import {
+  ALL_STUDENT_STATUSES,
+  STUDENT_STATUSES,
+} from "./config/studentStatuses.js";
+import {
+  ALL_GOAL_PRIORITIES,
+  GOAL_PRIORITIES,
+} from "./config/goalPriorities.js";
 dotenv.config();
 
 /**
@@ -35,6 +44,14 @@ export const sequelize = new Sequelize(
  * @property {string} user_name - Unique username for login
  * @property {string} email - Unique email address
  * @property {string} password_hash - Hashed password for security
+ * @property {string} role - Access role: 'admin'|'mentor'|'viewer'|'student' (default: 'viewer')
+ * @property {number|null} student_id - Student this login belongs to; set only for the student role
+ * @property {boolean} is_active - Whether the account may log in (default: true)
+ * @property {string|null} totp_secret - Base32 TOTP secret, set during enrollment
+ * @property {boolean} totp_enabled - Whether login requires a TOTP code (default: false)
+ * @property {number|null} totp_last_step - Last accepted TOTP time step, so a code cannot be replayed
+ * @property {number} failed_login_count - Consecutive failed logins since the last success or lockout
+ * @property {Date|null} locked_until - Logins are refused until this time after too many failures
  * @property {Date} created_at - Account creation timestamp
  */
 export const User = sequelize.define(
@@ -44,6 +61,30 @@ export const User = sequelize.define(
     user_name: { type: DataTypes.STRING, unique: true, allowNull: false },
     email: { type: DataTypes.STRING, unique: true, allowNull: false },
     password_hash: { type: DataTypes.STRING, allowNull: false },
+    role: {
+      type: DataTypes.ENUM(...ALL_ROLES),
+      allowNull: false,
+      defaultValue: ROLES.VIEWER,
+    },
+    student_id: { type: DataTypes.INTEGER, allowNull: true, unique: true },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    totp_secret: { type: DataTypes.STRING(64), allowNull: true },
+    totp_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    totp_last_step: { type: DataTypes.INTEGER, allowNull: true },
+    failed_login_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    locked_until: { type: DataTypes.DATE, allowNull: true },
     created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
   },
   {
@@ -52,6 +93,321 @@ export const User = sequelize.define(
   }
 );
 
+/**
+ * Invite model for onboarding additional users
+ * @typedef {Object} Invite
+ * @property {number} id - Unique invite identifier (auto-increment)
+ * @property {string} email - Email address the invite was issued for
+ * @property {string} role - Role the invited user will receive
+ * @property {number|null} student_id - Student the login will be linked to (student role only)
+ * @property {string} token_hash - SHA-256 hash of the invite token (the raw token is never stored)
+ * @property {number|null} invited_by - User who created the invite (foreign key)
+ * @property {Date} expires_at - When the invite stops being valid
+ * @property {Date|null} accepted_at - When the invite was used (single-use)
+ * @property {number|null} accepted_user_id - User created by accepting the invite
+ * @property {Date} created_at - Invite creation timestamp
+ */
+export const Invite = sequelize.define(
+  "Invite",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    email: { type: DataTypes.STRING, allowNull: false },
+    role: {
+      type: DataTypes.ENUM(...ALL_ROLES),
+      allowNull: false,
+      defaultValue: ROLES.VIEWER,
+    },
+    student_id: { type: DataTypes.INTEGER, allowNull: true },
+    token_hash: { type: DataTypes.STRING(64), unique: true, allowNull: false },
+    invited_by: { type: DataTypes.INTEGER, allowNull: true },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    accepted_at: { type: DataTypes.DATE, allowNull: true },
+    accepted_user_id: { type: DataTypes.INTEGER, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "invites",
+    timestamps: false,
+  }
+);
+
+User.hasMany(Invite, { foreignKey: "invited_by" });
+Invite.belongsTo(User, { foreignKey: "invited_by", as: "inviter" });
+
+/**
+ * Session model for refresh tokens and server-side session revocation
+ * @typedef {Object} Session
+ * @property {number} id - Unique session identifier (auto-increment), carried as the `sid` JWT claim
+ * @property {number} user_id - Reference to the user (foreign key)
+ * @property {string} token_hash - SHA-256 hash of the current refresh token
+ * @property {string|null} previous_token_hash - Hash of the refresh token it replaced, used to detect reuse
+ * @property {string|null} user_agent - User agent that created the session
+ * @property {string|null} ip_address - IP address that created the session
+ * @property {Date} expires_at - When the refresh token stops being valid
+ * @property {Date|null} last_used_at - Last time the refresh token was rotated
+ * @property {Date|null} revoked_at - When the session was revoked (logout, admin action or reuse detection)
+ * @property {Date} created_at - Session creation timestamp
+ */
+export const Session = sequelize.define(
+  "Session",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: false },
+    token_hash: { type: DataTypes.STRING(64), unique: true, allowNull: false },
+    previous_token_hash: { type: DataTypes.STRING(64), allowNull: true },
+    user_agent: { type: DataTypes.STRING, allowNull: true },
+    ip_address: { type: DataTypes.STRING(45), allowNull: true },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    last_used_at: { type: DataTypes.DATE, allowNull: true },
+    revoked_at: { type: DataTypes.DATE, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "sessions",
+    timestamps: false,
+  }
+);
+
+User.hasMany(Session, { foreignKey: "user_id", onDelete: "CASCADE" });
+Session.belongsTo(User, { foreignKey: "user_id" });
+
+/**
+ * API key model for scripts and integrations authenticating without a login session
+ * @typedef {Object} ApiKey
+ * @property {number} id - Unique key identifier (auto-increment)
+ * @property {number} user_id - Owner of the key (foreign key); requests act as this user
+ * @property {string} name - Label describing what the key is used for
+ * @property {string} key_prefix - First characters of the key, shown to tell keys apart
+ * @property {string} key_hash - SHA-256 hash of the key
+ * @property {Array<string>} scopes - Allowed scopes, see config/apiKeyScopes.js
+ * @property {Date|null} expires_at - When the key stops working, null for no expiry
+ * @property {Date|null} last_used_at - Last time the key authenticated a request
+ * @property {Date|null} revoked_at - When the key was revoked
+ * @property {Date} created_at - Key creation timestamp
+ */
+export const ApiKey = sequelize.define(
+  "ApiKey",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: false },
+    name: { type: DataTypes.STRING(100), allowNull: false },
+    key_prefix: { type: DataTypes.STRING(12), allowNull: false },
+    key_hash: { type: DataTypes.STRING(64), unique: true, allowNull: false },
+    scopes: { type: DataTypes.JSON, allowNull: false },
+    expires_at: { type: DataTypes.DATE, allowNull: true },
+    last_used_at: { type: DataTypes.DATE, allowNull: true },
+    revoked_at: { type: DataTypes.DATE, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "api_keys",
+    timestamps: false,
+  }
+);
+
+User.hasMany(ApiKey, { foreignKey: "user_id", onDelete: "CASCADE" });
+ApiKey.belongsTo(User, { foreignKey: "user_id", as: "owner" });
+
+/**
+ * Calendar feed model: a user's secret link to the birthday calendar, for calendar apps
+ * that cannot send an Authorization header
+ * @typedef {Object} CalendarFeed
+ * @property {number} id - Unique feed identifier (auto-increment)
+ * @property {number} user_id - Owner of the link (foreign key), one link per user
+ * @property {string} token_hash - SHA-256 hash of the token in the link
+ * @property {Date|null} last_used_at - Last time a calendar app fetched the feed
+ * @property {Date} created_at - Link creation timestamp
+ */
+export const CalendarFeed = sequelize.define(
+  "CalendarFeed",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, unique: true, allowNull: false },
+    token_hash: { type: DataTypes.STRING(64), unique: true, allowNull: false },
+    last_used_at: { type: DataTypes.DATE, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "calendar_feeds",
+    timestamps: false,
+  }
+);
+
+User.hasOne(CalendarFeed, { foreignKey: "user_id", onDelete: "CASCADE" });
+CalendarFeed.belongsTo(User, { foreignKey: "user_id", as: "owner" });
+
+/**
+ * User identity model linking a login to an account at an OpenID Connect provider
+ * @typedef {Object} UserIdentity
+ * @property {number} id - Unique identity identifier (auto-increment)
+ * @property {number} user_id - Reference to the user (foreign key)
+ * @property {string} issuer - Provider issuer URL
+ * @property {string} subject - Provider's stable user ID (`sub` claim)
+ * @property {string|null} email - Email reported by the provider at the last sign-in
+ * @property {Date|null} last_login_at - Last sign-in through this identity
+ * @property {Date} created_at - When the identity was linked
+ */
+export const UserIdentity = sequelize.define(
+  "UserIdentity",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: false },
+    issuer: { type: DataTypes.STRING, allowNull: false },
+    subject: { type: DataTypes.STRING, allowNull: false },
+    email: { type: DataTypes.STRING, allowNull: true },
+    last_login_at: { type: DataTypes.DATE, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "user_identities",
+    timestamps: false,
+    indexes: [{ unique: true, fields: ["issuer", "subject"] }],
+  }
+);
+
+User.hasMany(UserIdentity, { foreignKey: "user_id", onDelete: "CASCADE" });
+UserIdentity.belongsTo(User, { foreignKey: "user_id" });
+
+/**
+ * Pending OpenID Connect sign-in, holding the PKCE verifier and nonce between the
+ * redirect to the provider and the callback
+ * @typedef {Object} OidcLoginRequest
+ * @property {number} id - Unique request identifier (auto-increment)
+ * @property {string} state_hash - SHA-256 hash of the `state` parameter
+ * @property {string} code_verifier - PKCE code verifier
+ * @property {string} nonce - Nonce the ID token must carry
+ * @property {Date} expires_at - When the sign-in must be completed by
+ * @property {Date|null} used_at - When the callback consumed the request (single-use)
+ * @property {Date} created_at - Request timestamp
+ */
+export const OidcLoginRequest = sequelize.define(
+  "OidcLoginRequest",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    state_hash: { type: DataTypes.STRING(64), unique: true, allowNull: false },
+    code_verifier: { type: DataTypes.STRING(128), allowNull: false },
+    nonce: { type: DataTypes.STRING(64), allowNull: false },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    used_at: { type: DataTypes.DATE, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "oidc_login_requests",
+    timestamps: false,
+  }
+);
+
+/**
+ * Password reset model for single-use, time-limited reset tokens
+ * @typedef {Object} PasswordReset
+ * @property {number} id - Unique reset identifier (auto-increment)
+ * @property {number} user_id - Reference to the user (foreign key)
+ * @property {string} token_hash - SHA-256 hash of the emailed reset token
+ * @property {Date} expires_at - When the token stops being valid
+ * @property {Date|null} used_at - When the token was used or superseded
+ * @property {Date} created_at - Request timestamp
+ */
+export const PasswordReset = sequelize.define(
+  "PasswordReset",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: false },
+    token_hash: { type: DataTypes.STRING(64), unique: true, allowNull: false },
+    expires_at: { type: DataTypes.DATE, allowNull: false },
+    used_at: { type: DataTypes.DATE, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "password_resets",
+    timestamps: false,
+  }
+);
+
+User.hasMany(PasswordReset, { foreignKey: "user_id", onDelete: "CASCADE" });
+PasswordReset.belongsTo(User, { foreignKey: "user_id" });
+
+/**
+ * Recovery code model for two-factor authentication fallback
+ * @typedef {Object} RecoveryCode
+ * @property {number} id - Unique recovery code identifier (auto-increment)
+ * @property {number} user_id - Reference to the user (foreign key)
+ * @property {string} code_hash - SHA-256 hash of the recovery code
+ * @property {Date|null} used_at - When the code was used
+ * @property {Date} created_at - Generation timestamp
+ */
+export const RecoveryCode = sequelize.define(
+  "RecoveryCode",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: false },
+    code_hash: { type: DataTypes.STRING(64), allowNull: false },
+    used_at: { type: DataTypes.DATE, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "recovery_codes",
+    timestamps: false,
+  }
+);
+
+User.hasMany(RecoveryCode, { foreignKey: "user_id", onDelete: "CASCADE" });
+RecoveryCode.belongsTo(User, { foreignKey: "user_id" });
+
+/**
+ * Login attempt model for auditing sign-ins
+ * @typedef {Object} LoginAttempt
+ * @property {number} id - Unique attempt identifier (auto-increment)
+ * @property {number|null} user_id - Matched user, null when the username is unknown
+ * @property {string} user_name - Username as entered
+ * @property {boolean} success - Whether the attempt signed the user in
+ * @property {string} reason - Outcome, see LOGIN_OUTCOMES in services/loginSecurity.js
+ * @property {string|null} ip_address - Client IP address
+ * @property {string|null} user_agent - Client user agent
+ * @property {Date} created_at - Attempt timestamp
+ */
+export const LoginAttempt = sequelize.define(
+  "LoginAttempt",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: true },
+    user_name: { type: DataTypes.STRING, allowNull: false },
+    success: { type: DataTypes.BOOLEAN, allowNull: false },
+    reason: { type: DataTypes.STRING(32), allowNull: false },
+    ip_address: { type: DataTypes.STRING(45), allowNull: true },
+    user_agent: { type: DataTypes.STRING, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "login_attempts",
+    timestamps: false,
+  }
+);
+
+User.hasMany(LoginAttempt, { foreignKey: "user_id", onDelete: "SET NULL" });
+LoginAttempt.belongsTo(User, { foreignKey: "user_id" });
+
+/**
+ * Setting model for application-wide settings managed by admins
+ * @typedef {Object} Setting
+ * @property {string} key - Setting name (primary key)
+ * @property {string} value - JSON-encoded setting value
+ * @property {number|null} updated_by - User who last changed the setting
+ * @property {Date} updated_at - Last change timestamp
+ */
+export const Setting = sequelize.define(
+  "Setting",
+  {
+    key: { type: DataTypes.STRING(64), primaryKey: true },
+    value: { type: DataTypes.TEXT, allowNull: false },
+    updated_by: { type: DataTypes.INTEGER, allowNull: true },
+    updated_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "settings",
+    timestamps: false,
+  }
+);
+
 /**
  * Student model for managing student information and tracking
  * @typedef {Object} Student
@@ -61,6 +417,8 @@ export const User = sequelize.define(
  * @property {string|null} address - Student's physical address
  * @property {Date|null} date_of_birth - Student's date of birth
  * @property {number} points - Achievement points earned by student (default: 0)
+ * @property {string} status - active|inactive|graduated|archived (default: 'active'), see config/studentStatuses.js
+ * @property {Date|null} archived_at - When the student was archived, null unless archived
  * @property {Date} created_at - Student registration timestamp
  */
 export const Student = sequelize.define(
@@ -72,6 +430,12 @@ export const Student = sequelize.define(
     address: { type: DataTypes.TEXT, allowNull: true },
     date_of_birth: { type: DataTypes.DATE, allowNull: true },
     points: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    status: {
+      type: DataTypes.ENUM(...ALL_STUDENT_STATUSES),
+      allowNull: false,
+      defaultValue: STUDENT_STATUSES.ACTIVE,
+    },
+    archived_at: { type: DataTypes.DATE, allowNull: true },
     created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
   },
   {
@@ -79,6 +443,10 @@ export const Student = sequelize.define(
     timestamps: false,
   }
 );
+
+Student.hasOne(User, { foreignKey: "student_id", onDelete: "SET NULL" });
+User.belongsTo(Student, { foreignKey: "student_id" });
+Student.hasMany(Invite, { foreignKey: "student_id", onDelete: "CASCADE" });
 /**
  * PointsLog model for tracking point changes and audit history
  * @typedef {Object} PointsLog
@@ -120,6 +488,9 @@ PointsLog.belongsTo(Student, { foreignKey: "student_id" });
  * @property {Date} updated_at - Last modification timestamp
  * @property {boolean} is_completed - Completion status (default: false)
  * @property {Date|null} completed_at - Actual completion timestamp
+ * @property {Date|null} completion_requested_at - When the student asked a leader to mark the goal complete
+ * @property {number|null} category_id - Reference to the goal category (foreign key)
+ * @property {string} priority - Priority: 'low'|'normal'|'high' (default: 'normal')
  * @property {Date} created_at - Goal creation timestamp
  */
 export const Goal = sequelize.define(
@@ -134,6 +505,13 @@ export const Goal = sequelize.define(
     updated_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
     is_completed: { type: DataTypes.BOOLEAN, defaultValue: false },
     completed_at: { type: DataTypes.DATE, allowNull: true },
+    completion_requested_at: { type: DataTypes.DATE, allowNull: true },
+    category_id: { type: DataTypes.INTEGER, allowNull: true },
+    priority: {
+      type: DataTypes.ENUM(...ALL_GOAL_PRIORITIES),
+      allowNull: false,
+      defaultValue: GOAL_PRIORITIES.NORMAL,
+    },
     created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
   },
   {
@@ -142,6 +520,86 @@ export const Goal = sequelize.define(
   }
 );
 
+/**
+ * Goal category model for telling kinds of goals apart (spiritual, academic, service...)
+ * @typedef {Object} GoalCategory
+ * @property {number} id - Unique category identifier (auto-increment)
+ * @property {string} name - Unique category name (required)
+ * @property {string} color - Display colour as #rrggbb (default: slate grey)
+ * @property {string|null} icon - PrimeIcons class name such as "pi-book"
+ * @property {Date} created_at - Category creation timestamp
+ */
+export const GoalCategory = sequelize.define(
+  "GoalCategory",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    name: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      defaultValue: "#64748b",
+    },
+    icon: { type: DataTypes.STRING(50), allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "goal_categories",
+    timestamps: false,
+  }
+);
+
+/**
+ * Goal milestone model for the ordered checklist steps inside a goal
+ * @typedef {Object} GoalMilestone
+ * @property {number} id - Unique milestone identifier (auto-increment)
+ * @property {number} goal_id - Reference to the goal (foreign key)
+ * @property {string} title - What the step is (required)
+ * @property {number} position - Order within the goal, lowest first (default: 0)
+ * @property {Date|null} completed_at - When the step was ticked off; null while open
+ * @property {Date} created_at - Milestone creation timestamp
+ */
+export const GoalMilestone = sequelize.define(
+  "GoalMilestone",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    goal_id: { type: DataTypes.INTEGER, allowNull: false },
+    title: { type: DataTypes.STRING, allowNull: false },
+    position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    completed_at: { type: DataTypes.DATE, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "goal_milestones",
+    timestamps: false,
+  }
+);
+
+/**
+ * Goal template model for goals that are handed out to many students
+ * @typedef {Object} GoalTemplate
+ * @property {number} id - Unique template identifier (auto-increment)
+ * @property {string} title - Title given to the goals created from it (required)
+ * @property {string|null} description - Description given to the goals
+ * @property {number|null} target_offset_days - Days from assignment to the goals' target date; null for no target date
+ * @property {Array<string>} milestones - Milestone titles added to each goal, in order
+ * @property {Date} created_at - Template creation timestamp
+ */
+export const GoalTemplate = sequelize.define(
+  "GoalTemplate",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    title: { type: DataTypes.STRING, allowNull: false },
+    description: { type: DataTypes.TEXT, allowNull: true },
+    target_offset_days: { type: DataTypes.INTEGER, allowNull: true },
+    milestones: { type: DataTypes.JSON, allowNull: false, defaultValue: [] },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "goal_templates",
+    timestamps: false,
+  }
+);
+
 /**
  * Attendance model for tracking daily student attendance
  * @typedef {Object} Attendance
@@ -183,5 +641,365 @@ export const Attendance = sequelize.define(
 Student.hasMany(Goal, { foreignKey: "student_id" });
 Goal.belongsTo(Student, { foreignKey: "student_id" });
 
+Goal.hasMany(GoalMilestone, { foreignKey: "goal_id", as: "milestones" });
+GoalMilestone.belongsTo(Goal, { foreignKey: "goal_id" });
+
+GoalCategory.hasMany(Goal, { foreignKey: "category_id" });
+Goal.belongsTo(GoalCategory, { foreignKey: "category_id", as: "category" });
+
 Student.hasMany(Attendance, { foreignKey: "student_id" });
 Attendance.belongsTo(Student, { foreignKey: "student_id" });
+
+/**
+ * Group model for organising students into cohorts or classes
+ * @typedef {Object} Group
+ * @property {number} id - Unique group identifier (auto-increment)
+ * @property {string} name - Group name (required, unique)
+ * @property {string|null} description - What the group is for
+ * @property {Date} created_at - Group creation timestamp
+ */
+export const Group = sequelize.define(
+  "Group",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    name: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+    description: { type: DataTypes.TEXT, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    // "groups" is a reserved word in MySQL 8
+    tableName: "student_groups",
+    timestamps: false,
+  }
+);
+
+/**
+ * GroupMember model linking students to groups (many-to-many)
+ * @typedef {Object} GroupMember
+ * @property {number} group_id - Reference to the group (foreign key)
+ * @property {number} student_id - Reference to the student (foreign key)
+ * @property {Date} created_at - When the student joined the group
+ */
+export const GroupMember = sequelize.define(
+  "GroupMember",
+  {
+    group_id: { type: DataTypes.INTEGER, primaryKey: true },
+    student_id: { type: DataTypes.INTEGER, primaryKey: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "group_members",
+    timestamps: false,
+  }
+);
+
+Group.belongsToMany(Student, {
+  through: GroupMember,
+  foreignKey: "group_id",
+  otherKey: "student_id",
+});
+Student.belongsToMany(Group, {
+  through: GroupMember,
+  foreignKey: "student_id",
+  otherKey: "group_id",
+});
+
+/**
+ * StudentContact model for a student's parents, guardians and emergency contacts
+ * @typedef {Object} StudentContact
+ * @property {number} id - Unique contact identifier (auto-increment)
+ * @property {number} student_id - Reference to the student (foreign key)
+ * @property {string} name - Contact's full name (required)
+ * @property {string|null} relationship - Relationship to the student, e.g. "Mother"
+ * @property {string|null} phone - Main phone number
+ * @property {string|null} alt_phone - Second phone number
+ * @property {string|null} email - Email address
+ * @property {boolean} is_primary - First person to call; at most one per student
+ * @property {boolean} is_emergency - Can be called in an emergency
+ * @property {boolean} can_pick_up - Allowed to collect the student
+ * @property {boolean} consent_sms - Agreed to receive text messages
+ * @property {boolean} consent_media - Agreed to photos and videos of the student being used
+ * @property {Date} created_at - Contact creation timestamp
+ */
+export const StudentContact = sequelize.define(
+  "StudentContact",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    student_id: { type: DataTypes.INTEGER, allowNull: false },
+    name: { type: DataTypes.STRING(100), allowNull: false },
+    relationship: { type: DataTypes.STRING(50), allowNull: true },
+    phone: { type: DataTypes.STRING(30), allowNull: true },
+    alt_phone: { type: DataTypes.STRING(30), allowNull: true },
+    email: { type: DataTypes.STRING(255), allowNull: true },
+    is_primary: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    is_emergency: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    can_pick_up: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    consent_sms: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    consent_media: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "student_contacts",
+    timestamps: false,
+  }
+);
+
+Student.hasMany(StudentContact, {
+  foreignKey: "student_id",
+  onDelete: "CASCADE",
+});
+StudentContact.belongsTo(Student, { foreignKey: "student_id" });
+
+/**
+ * CustomField model for extra student fields defined by admins (school, t-shirt size, ...)
+ * @typedef {Object} CustomField
+ * @property {number} id - Unique field identifier (auto-increment)
+ * @property {string} key - Stable identifier used in the API, e.g. "tshirt_size" (unique)
+ * @property {string} label - Name shown to users
+ * @property {string} type - text|number|date|select|boolean (see services/customFields.js)
+ * @property {Array<string>|null} options - Allowed values of a select field
+ * @property {boolean} required - Whether new and edited students must have a value
+ * @property {number} position - Display order, lowest first
+ * @property {Date} created_at - Field creation timestamp
+ */
+export const CustomField = sequelize.define(
+  "CustomField",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    key: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+    label: { type: DataTypes.STRING(100), allowNull: false },
+    type: {
+      type: DataTypes.ENUM("text", "number", "date", "select", "boolean"),
+      allowNull: false,
+    },
+    options: { type: DataTypes.JSON, allowNull: true },
+    required: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "custom_fields",
+    timestamps: false,
+  }
+);
+
+/**
+ * CustomFieldValue model holding one student's value for one custom field
+ * @typedef {Object} CustomFieldValue
+ * @property {number} field_id - Reference to the custom field (foreign key)
+ * @property {number} student_id - Reference to the student (foreign key)
+ * @property {string} value - Value stored as text: numbers as digits, dates as YYYY-MM-DD,
+ * booleans as "true"/"false"
+ */
+export const CustomFieldValue = sequelize.define(
+  "CustomFieldValue",
+  {
+    field_id: { type: DataTypes.INTEGER, primaryKey: true },
+    student_id: { type: DataTypes.INTEGER, primaryKey: true },
+    value: { type: DataTypes.TEXT, allowNull: false },
+  },
+  {
+    tableName: "custom_field_values",
+    timestamps: false,
+  }
+);
+
+CustomField.hasMany(CustomFieldValue, {
+  foreignKey: "field_id",
+  onDelete: "CASCADE",
+});
+CustomFieldValue.belongsTo(CustomField, { foreignKey: "field_id" });
+Student.hasMany(CustomFieldValue, {
+  foreignKey: "student_id",
+  onDelete: "CASCADE",
+});
+
+/**
+ * Audit log model recording who created, changed or deleted a record
+ * @typedef {Object} AuditLog
+ * @property {number} id - Unique entry identifier (auto-increment)
+ * @property {number|null} user_id - Acting user, null for system changes or deleted users
+ * @property {string} entity_type - Kind of record, see AUDIT_ENTITIES in services/audit.js
+ * @property {number} entity_id - ID of the affected record (not a foreign key, so history outlives the record)
+ * @property {string} action - create|update|delete|merge
+ * @property {Object|null} before - Values before the change (changed fields only for updates)
+ * @property {Object|null} after - Values after the change (changed fields only for updates)
+ * @property {Date} created_at - When the change happened
+ */
+export const AuditLog = sequelize.define(
+  "AuditLog",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    user_id: { type: DataTypes.INTEGER, allowNull: true },
+    entity_type: { type: DataTypes.STRING(32), allowNull: false },
+    entity_id: { type: DataTypes.INTEGER, allowNull: false },
+    action: {
+      type: DataTypes.ENUM("create", "update", "delete", "merge"),
+      allowNull: false,
+    },
+    before: { type: DataTypes.JSON, allowNull: true },
+    after: { type: DataTypes.JSON, allowNull: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "audit_logs",
+    timestamps: false,
+  }
+);
+
+User.hasMany(AuditLog, { foreignKey: "user_id", onDelete: "SET NULL" });
+AuditLog.belongsTo(User, { foreignKey: "user_id", as: "actor" });
+
+/**
+ * MentorAssignment model linking mentors (staff users) to the students they look after
+ * @typedef {Object} MentorAssignment
+ * @property {number} user_id - Reference to the mentor's user account (foreign key)
+ * @property {number} student_id - Reference to the student (foreign key)
+ * @property {Date} created_at - When the mentor was assigned
+ */
+export const MentorAssignment = sequelize.define(
+  "MentorAssignment",
+  {
+    user_id: { type: DataTypes.INTEGER, primaryKey: true },
+    student_id: { type: DataTypes.INTEGER, primaryKey: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "mentor_assignments",
+    timestamps: false,
+  }
+);
+
+User.belongsToMany(Student, {
+  through: MentorAssignment,
+  foreignKey: "user_id",
+  otherKey: "student_id",
+  as: "AssignedStudents",
+});
+Student.belongsToMany(User, {
+  through: MentorAssignment,
+  foreignKey: "student_id",
+  otherKey: "user_id",
+  as: "Mentors",
+});
+
+/**
+ * StudentNote model for leaders' pastoral notes on a student
+ * @typedef {Object} StudentNote
+ * @property {number} id - Unique note identifier (auto-increment)
+ * @property {number} student_id - Reference to the student (foreign key)
+ * @property {number|null} author_id - User who wrote the note (null once their account is deleted)
+ * @property {string} body - Note text (Markdown)
+ * @property {string} visibility - private (author only) or leaders (all admins and mentors);
+ * see config/noteVisibilities.js
+ * @property {boolean} pinned - Shown above the other notes
+ * @property {Date} created_at - Note creation timestamp
+ * @property {Date|null} updated_at - When the note was last edited
+ */
+export const StudentNote = sequelize.define(
+  "StudentNote",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    student_id: { type: DataTypes.INTEGER, allowNull: false },
+    author_id: { type: DataTypes.INTEGER, allowNull: true },
+    body: { type: DataTypes.TEXT, allowNull: false },
+    visibility: {
+      type: DataTypes.ENUM("private", "leaders"),
+      allowNull: false,
+      defaultValue: "leaders",
+    },
+    pinned: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+    updated_at: { type: DataTypes.DATE, allowNull: true },
+  },
+  {
+    tableName: "student_notes",
+    timestamps: false,
+  }
+);
+
+Student.hasMany(StudentNote, { foreignKey: "student_id", onDelete: "CASCADE" });
+StudentNote.belongsTo(Student, { foreignKey: "student_id" });
+User.hasMany(StudentNote, { foreignKey: "author_id", onDelete: "SET NULL" });
+StudentNote.belongsTo(User, { foreignKey: "author_id", as: "author" });
+
+/**
+ * Tag model for lightweight labels on students, e.g. "new" or "worship team"
+ * @typedef {Object} Tag
+ * @property {number} id - Unique tag identifier (auto-increment)
+ * @property {string} name - Tag name (required, unique)
+ * @property {string} color - Chip colour as #rrggbb
+ * @property {Date} created_at - Tag creation timestamp
+ */
+export const Tag = sequelize.define(
+  "Tag",
+  {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    name: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      defaultValue: "#64748b",
+    },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "tags",
+    timestamps: false,
+  }
+);
+
+/**
+ * StudentTag model linking tags to students (many-to-many)
+ * @typedef {Object} StudentTag
+ * @property {number} tag_id - Reference to the tag (foreign key)
+ * @property {number} student_id - Reference to the student (foreign key)
+ * @property {Date} created_at - When the student was tagged
+ */
+export const StudentTag = sequelize.define(
+  "StudentTag",
+  {
+    tag_id: { type: DataTypes.INTEGER, primaryKey: true },
+    student_id: { type: DataTypes.INTEGER, primaryKey: true },
+    created_at: { type: DataTypes.DATE, defaultValue: Sequelize.NOW },
+  },
+  {
+    tableName: "student_tags",
+    timestamps: false,
+  }
+);
+
+Tag.belongsToMany(Student, {
+  through: StudentTag,
+  foreignKey: "tag_id",
+  otherKey: "student_id",
+});
+Student.belongsToMany(Tag, {
+  through: StudentTag,
+  foreignKey: "student_id",
+  otherKey: "tag_id",
+});
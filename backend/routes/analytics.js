@@ -8,9 +8,20 @@ import {
   getTimeToComplete,
   getByStudent,
 } from "../services/analytics.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { parseGroupFilter } from "../middleware/groupFilter.js";
+import { parseMentorScope } from "../middleware/mentorScope.js";
+import { EDITOR_ROLES } from "../config/roles.js";
 
 const router = express.Router();
 
+// Analytics are reserved for leaders who manage students (admins and mentors)
+router.use(authorizeRoles(...EDITOR_ROLES));
+// Every endpoint accepts ?group_id= to only cover one group's students
+router.use(parseGroupFilter);
+// Restricted mentors only see their assigned students; anyone can ask for that with ?mine=true
+router.use(parseMentorScope);
+
 // Helper: parse and validate date strings. Returns ISO date string (YYYY-MM-DD) or null
 function parseDateSafe(value) {
   if (!value) return null;
@@ -46,7 +57,12 @@ router.get("/overview", async (req, res) => {
         .status(400)
         .json({ message: "start_date must be <= end_date" });
     }
-    const data = await getOverview({ start_date: start, end_date: end });
+    const data = await getOverview({
+      start_date: start,
+      end_date: end,
+      group_id: req.groupId,
+      mentor_id: req.mentorId,
+    });
     res.json(data);
   } catch (err) {
     console.error(err);
@@ -54,7 +70,7 @@ router.get("/overview", async (req, res) => {
   }
 });
 
-// GET /api/analytics/completions?group_by=day|week|month&start_date=&end_date=
+// GET /api/analytics/completions?group_by=day|week|month&start_date=&end_date=&breakdown=category
 router.get("/completions", async (req, res) => {
   try {
     let start = parseDateSafe(req.query.start_date);
@@ -78,6 +94,9 @@ router.get("/completions", async (req, res) => {
       start_date: start,
       end_date: end,
       group_by,
+      group_id: req.groupId,
+      mentor_id: req.mentorId,
+      breakdown: req.query.breakdown === "category" ? "category" : null,
     });
     res.json(rows);
   } catch (err) {
@@ -113,6 +132,8 @@ router.get("/by-student", async (req, res) => {
       end_date: end,
       limit,
       offset,
+      group_id: req.groupId,
+      mentor_id: req.mentorId,
     });
     res.json(rows);
   } catch (err) {
@@ -146,6 +167,8 @@ router.get("/throughput", async (req, res) => {
       start_date: start,
       end_date: end,
       group_by,
+      group_id: req.groupId,
+      mentor_id: req.mentorId,
     });
     // Zero-fill missing buckets: the service returns all labels present in data; caller may want continuous buckets.
     res.json(rows);
@@ -163,7 +186,12 @@ router.get("/backlog", async (req, res) => {
     if (Number.isNaN(top_n) || top_n < 1) top_n = 10;
     if (top_n > 100) top_n = 100;
 
-    const data = await getBacklog({ as_of, top_n });
+    const data = await getBacklog({
+      as_of,
+      top_n,
+      group_id: req.groupId,
+      mentor_id: req.mentorId,
+    });
     res.json(data);
   } catch (err) {
     console.error(err);
@@ -178,7 +206,13 @@ router.get("/overdue", async (req, res) => {
     let end = parseDateSafe(req.query.end_date);
     // as_of uses parseDateSafe semantics but can be omitted
     const as_of = parseDateSafe(req.query.as_of) || null;
-    const data = await getOverdue({ start_date: start, end_date: end, as_of });
+    const data = await getOverdue({
+      start_date: start,
+      end_date: end,
+      as_of,
+      group_id: req.groupId,
+      mentor_id: req.mentorId,
+    });
     res.json(data);
   } catch (err) {
     console.error(err);
@@ -204,6 +238,8 @@ router.get("/time-to-complete", async (req, res) => {
     const result = await getTimeToComplete({
       start_date: start,
       end_date: end,
+      group_id: req.groupId,
+      mentor_id: req.mentorId,
     });
     res.json(result);
   } catch (err) {
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview API key management routes
+ * @description Admin-only endpoints to create, list and revoke personal API keys used by
+ * scripts and integrations. A key acts as the admin who created it, limited to its scopes.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { ApiKey, User } from "../models.js";
+import { API_KEY_SCOPES } from "../config/apiKeyScopes.js";
+import {
+  createApiKey,
+  revokeApiKey,
+  validateScopes,
+  MAX_API_KEY_TTL_DAYS,
+} from "../services/apiKeys.js";
+
+const router = express.Router();
+
+// Never send key hashes back to the client
+const PUBLIC_API_KEY_ATTRIBUTES = [
+  "id",
+  "user_id",
+  "name",
+  "key_prefix",
+  "scopes",
+  "expires_at",
+  "last_used_at",
+  "revoked_at",
+  "created_at",
+];
+
+/**
+ * List available scopes
+ * @route GET /api/api-keys/scopes
+ * @description Retrieves the scopes a key can be granted, with what each one allows
+ * @access Private (admin only)
+ * @returns {Array<Object>} Array of { name, description, methods, paths }
+ */
+router.get("/scopes", (req, res) => {
+  res.json(
+    Object.entries(API_KEY_SCOPES).map(([name, scope]) => ({
+      name,
+      ...scope,
+    }))
+  );
+});
+
+/**
+ * List API keys
+ * @route GET /api/api-keys
+ * @description Retrieves all keys, including revoked and expired ones, newest first
+ * @access Private (admin only)
+ * @returns {Array<Object>} Array of keys with their owner (without key hashes)
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    const keys = await ApiKey.findAll({
+      attributes: PUBLIC_API_KEY_ATTRIBUTES,
+      include: [{ model: User, as: "owner", attributes: ["id", "user_name"] }],
+      order: [["created_at", "DESC"]],
+    });
+    res.json(keys);
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res.status(500).json({ message: "Failed to fetch API keys" });
+  }
+});
+
+/**
+ * Create an API key
+ * @route POST /api/api-keys
+ * @description Issues a key owned by the signed-in admin. The raw key is only returned in
+ * this response; the database stores its hash.
+ * @access Private (admin only)
+ * @param {Object} req.body - Key data
+ * @param {string} req.body.name - Label describing what the key is for (required)
+ * @param {Array<string>} req.body.scopes - Scopes to grant (required, see GET /scopes)
+ * @param {number} [req.body.expires_in_days] - Days until the key expires (max 365); omit for no expiry
+ * @returns {Object} Created key with the raw `key`
+ * @throws {400} Bad request if name, scopes or expiry are invalid
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { scopes, expires_in_days } = req.body;
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    if (!name) return res.status(400).json({ message: "Name required" });
+    if (name.length > 100) {
+      return res
+        .status(400)
+        .json({ message: "Name must be at most 100 characters" });
+    }
+    const scopeError = validateScopes(scopes);
+    if (scopeError) return res.status(400).json({ message: scopeError });
+
+    let expiresAt = null;
+    if (expires_in_days !== undefined && expires_in_days !== null) {
+      const days = Number(expires_in_days);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_API_KEY_TTL_DAYS) {
+        return res.status(400).json({
+          message: `expires_in_days must be a whole number between 1 and ${MAX_API_KEY_TTL_DAYS}`,
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { apiKey, key } = await createApiKey({
+      userId: req.user.id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    res.status(201).json({
+      id: apiKey.id,
+      name: apiKey.name,
+      key_prefix: apiKey.key_prefix,
+      scopes: apiKey.scopes,
+      expires_at: apiKey.expires_at,
+      created_at: apiKey.created_at,
+      key,
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({ message: "Failed to create API key" });
+  }
+});
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/api-keys/:id
+ * @description Stops the key from authenticating. The key is kept so its history stays visible.
+ * @access Private (admin only)
+ * @param {string} req.params.id - API key ID
+ * @returns {Object} Success message
+ * @throws {404} Key not found or already revoked
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id);
+    if (!revoked) return res.status(404).json({ message: "API key not found" });
+    res.json({ message: "API key revoked" });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({ message: "Failed to revoke API key" });
+  }
+});
+
+export default router;
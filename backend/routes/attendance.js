@@ -9,6 +9,28 @@
 import express from "express";
 import { Student, Attendance, sequelize } from "../models.js";
 import { Op } from "sequelize";
+import { authorizeRoles } from "../middleware/auth.js";
+import { parseGroupFilter } from "../middleware/groupFilter.js";
+import { parseTagFilter } from "../middleware/tagFilter.js";
+import {
+  parseMentorScope,
+  requireStudentAccess,
+} from "../middleware/mentorScope.js";
+import { inGroup } from "../services/groups.js";
+import { taggedWith } from "../services/tags.js";
+import {
+  assignedTo,
+  canAccessStudent,
+  inaccessibleStudentIds,
+  NOT_ASSIGNED_MESSAGE,
+} from "../services/mentors.js";
+import { ROLES, EDITOR_ROLES } from "../config/roles.js";
+import { STUDENT_STATUSES } from "../config/studentStatuses.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
 
 const router = express.Router();
 
@@ -22,10 +44,14 @@ const router = express.Router();
  * @param {string} [req.query.start_date] - Filter from start date (YYYY-MM-DD)
  * @param {string} [req.query.end_date] - Filter to end date (YYYY-MM-DD)
  * @param {string} [req.query.status] - Filter by status (present|absent|late|excused)
+ * @param {string} [req.query.group_id] - Only students in this group
+ * @param {string} [req.query.mine] - "true" to only include students assigned to the current
+ * user; restricted mentors always only get their assigned students
  * @returns {Array<Object>} Array of attendance records with student information
+ * @throws {400} Bad request if group_id is invalid
  * @throws {500} Internal server error if database query fails
  */
-router.get("/", async (req, res) => {
+router.get("/", parseGroupFilter, parseMentorScope, async (req, res) => {
   try {
     const { student_id, date, start_date, end_date, status } = req.query;
 
@@ -33,6 +59,11 @@ router.get("/", async (req, res) => {
 
     if (student_id) {
       whereClause.student_id = student_id;
+    } else if (req.groupId) {
+      whereClause.student_id = inGroup(req.groupId);
+    }
+    if (req.mentorId) {
+      whereClause[Op.and] = [{ student_id: assignedTo(req.mentorId) }];
     }
 
     if (date) {
@@ -87,44 +118,49 @@ router.get("/", async (req, res) => {
  * @param {string} [req.query.start_date] - Filter from start date (YYYY-MM-DD)
  * @param {string} [req.query.end_date] - Filter to end date (YYYY-MM-DD)
  * @returns {Array<Object>} Array of attendance records for the student
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the student
  * @throws {500} Internal server error if database query fails
  */
-router.get("/student/:student_id", async (req, res) => {
-  try {
-    const { student_id } = req.params;
-    const { start_date, end_date } = req.query;
+router.get(
+  "/student/:student_id",
+  requireStudentAccess("student_id"),
+  async (req, res) => {
+    try {
+      const { student_id } = req.params;
+      const { start_date, end_date } = req.query;
+
+      const whereClause = { student_id };
+
+      if (start_date && end_date) {
+        whereClause.date = {
+          [Op.between]: [start_date, end_date],
+        };
+      }
 
-    const whereClause = { student_id };
+      const attendance = await Attendance.findAll({
+        where: whereClause,
+        include: [
+          {
+            model: Student,
+            attributes: ["id", "name"],
+          },
+        ],
+        order: [["date", "DESC"]],
+      });
 
-    if (start_date && end_date) {
-      whereClause.date = {
-        [Op.between]: [start_date, end_date],
-      };
+      res.json(attendance);
+    } catch (error) {
+      console.error("Error fetching student attendance:", error);
+      res.status(500).json({ message: "Failed to fetch student attendance" });
     }
-
-    const attendance = await Attendance.findAll({
-      where: whereClause,
-      include: [
-        {
-          model: Student,
-          attributes: ["id", "name"],
-        },
-      ],
-      order: [["date", "DESC"]],
-    });
-
-    res.json(attendance);
-  } catch (error) {
-    console.error("Error fetching student attendance:", error);
-    res.status(500).json({ message: "Failed to fetch student attendance" });
   }
-});
+);
 
 /**
  * Record attendance for a student
  * @route POST /api/attendance
  * @description Creates a new attendance record for a specific student and date
- * @access Private (requires JWT authentication)
+ * @access Private (admin or mentor)
  * @param {Object} req.body - Attendance data
  * @param {number} req.body.student_id - Student ID (required)
  * @param {string} req.body.date - Attendance date in YYYY-MM-DD format (required)
@@ -132,11 +168,12 @@ router.get("/student/:student_id", async (req, res) => {
  * @param {string} [req.body.notes] - Optional notes about the attendance
  * @returns {Object} Created attendance record with student information
  * @throws {400} Bad request if required fields are missing
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the student
  * @throws {404} Student not found
  * @throws {409} Conflict if attendance already exists for this student and date
  * @throws {500} Internal server error if database operation fails
  */
-router.post("/", async (req, res) => {
+router.post("/", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
   try {
     const { student_id, date, status, notes } = req.body;
 
@@ -151,6 +188,9 @@ router.post("/", async (req, res) => {
     if (!student) {
       return res.status(404).json({ message: "Student not found" });
     }
+    if (!(await canAccessStudent(req.user, student.id))) {
+      return res.status(403).json({ message: NOT_ASSIGNED_MESSAGE });
+    }
 
     // Check if attendance already exists for this student and date
     const existingAttendance = await Attendance.findOne({
@@ -169,6 +209,12 @@ router.post("/", async (req, res) => {
       status,
       notes: notes || null,
     });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.ATTENDANCE,
+      action: AUDIT_ACTIONS.CREATE,
+      after: attendance,
+    });
 
     const result = await Attendance.findByPk(attendance.id, {
       include: [
@@ -190,16 +236,17 @@ router.post("/", async (req, res) => {
  * Update an existing attendance record
  * @route PATCH /api/attendance/:id
  * @description Updates an existing attendance record's status and/or notes
- * @access Private (requires JWT authentication)
+ * @access Private (admin or mentor)
  * @param {string} req.params.id - Attendance record ID
  * @param {Object} req.body - Fields to update
  * @param {string} [req.body.status] - New attendance status: present|absent|late|excused
  * @param {string} [req.body.notes] - Updated notes
  * @returns {Object} Updated attendance record with student information
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the student
  * @throws {404} Attendance record not found
  * @throws {500} Internal server error if database operation fails
  */
-router.patch("/:id", async (req, res) => {
+router.patch("/:id", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
@@ -208,6 +255,9 @@ router.patch("/:id", async (req, res) => {
     if (!attendance) {
       return res.status(404).json({ message: "Attendance record not found" });
     }
+    if (!(await canAccessStudent(req.user, attendance.student_id))) {
+      return res.status(403).json({ message: NOT_ASSIGNED_MESSAGE });
+    }
 
     const updateData = {
       updated_at: new Date(),
@@ -226,6 +276,13 @@ router.patch("/:id", async (req, res) => {
         },
       ],
     });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.ATTENDANCE,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: attendance,
+      after: updatedAttendance,
+    });
 
     res.json(updatedAttendance);
   } catch (error) {
@@ -238,14 +295,14 @@ router.patch("/:id", async (req, res) => {
  * Delete an attendance record
  * @route DELETE /api/attendance/:id
  * @description Permanently deletes an attendance record
- * @access Private (requires JWT authentication)
+ * @access Private (admin only)
  * @param {string} req.params.id - Attendance record ID to delete
  * @returns {Object} Success message
  * @throws {404} Attendance record not found
  * @throws {500} Internal server error if database operation fails
  * @warning This action is irreversible
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -255,6 +312,12 @@ router.delete("/:id", async (req, res) => {
     }
 
     await Attendance.destroy({ where: { id } });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.ATTENDANCE,
+      action: AUDIT_ACTIONS.DELETE,
+      before: attendance,
+    });
     res.json({ message: "Attendance record deleted successfully" });
   } catch (error) {
     console.error("Error deleting attendance:", error);
@@ -266,7 +329,7 @@ router.delete("/:id", async (req, res) => {
  * Bulk record/update attendance for multiple students
  * @route POST /api/attendance/bulk
  * @description Records or updates attendance for multiple students on the same date
- * @access Private (requires JWT authentication)
+ * @access Private (admin or mentor)
  * @param {Object} req.body - Bulk attendance data
  * @param {string} req.body.date - Attendance date in YYYY-MM-DD format (required)
  * @param {Array<Object>} req.body.records - Array of attendance records (required)
@@ -275,11 +338,12 @@ router.delete("/:id", async (req, res) => {
  * @param {string} [req.body.records[].notes] - Optional notes
  * @returns {Object} Results object with successful operations and errors
  * @returns {Array<Object>} returns.success - Successfully processed records
- * @returns {Array<Object>} [returns.errors] - Records that failed to process
+ * @returns {Array<Object>} [returns.errors] - Records that failed to process, including
+ * students a restricted mentor is not assigned to
  * @throws {400} Bad request if date or records array is missing
  * @throws {500} Internal server error if database operation fails
  */
-router.post("/bulk", async (req, res) => {
+router.post("/bulk", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
   try {
     const { date, records } = req.body;
 
@@ -291,6 +355,10 @@ router.post("/bulk", async (req, res) => {
 
     const results = [];
     const errors = [];
+    const notAssigned = await inaccessibleStudentIds(
+      req.user,
+      records.map((record) => record.student_id).filter(Boolean)
+    );
 
     for (const record of records) {
       try {
@@ -303,6 +371,10 @@ router.post("/bulk", async (req, res) => {
           });
           continue;
         }
+        if (notAssigned.includes(Number(student_id))) {
+          errors.push({ student_id, error: NOT_ASSIGNED_MESSAGE });
+          continue;
+        }
 
         // Check if attendance already exists
         const existingAttendance = await Attendance.findOne({
@@ -320,6 +392,13 @@ router.post("/bulk", async (req, res) => {
             where: { student_id, date },
             include: [{ model: Student, attributes: ["id", "name"] }],
           });
+          await recordAudit({
+            actorId: req.user.id,
+            entityType: AUDIT_ENTITIES.ATTENDANCE,
+            action: AUDIT_ACTIONS.UPDATE,
+            before: existingAttendance,
+            after: updated,
+          });
 
           results.push(updated);
         } else {
@@ -330,6 +409,12 @@ router.post("/bulk", async (req, res) => {
             status,
             notes: notes || null,
           });
+          await recordAudit({
+            actorId: req.user.id,
+            entityType: AUDIT_ENTITIES.ATTENDANCE,
+            action: AUDIT_ACTIONS.CREATE,
+            after: attendance,
+          });
 
           const created = await Attendance.findByPk(attendance.id, {
             include: [{ model: Student, attributes: ["id", "name"] }],
@@ -359,7 +444,7 @@ router.post("/bulk", async (req, res) => {
  * Session-based attendance marking
  * @route POST /api/attendance/session
  * @description Mark attendance for all students in a session with simplified payload
- * @access Private (requires JWT authentication)
+ * @access Private (admin or mentor)
  * @param {Object} req.body - Session attendance data
  * @param {string} req.body.date - Session date in YYYY-MM-DD format (required)
  * @param {Array<Object>} req.body.attendance_records - Array of attendance records (required)
@@ -370,9 +455,10 @@ router.post("/bulk", async (req, res) => {
  * @returns {string} returns.message - Success message with count
  * @returns {Array<Object>} returns.attendance - Created/updated attendance records
  * @throws {400} Bad request if required fields are missing
+ * @throws {403} Forbidden if a restricted mentor is not assigned to one of the students
  * @throws {500} Internal server error if database operation fails
  */
-router.post("/session", async (req, res) => {
+router.post("/session", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
   try {
     const { date, attendance_records } = req.body;
 
@@ -381,6 +467,13 @@ router.post("/session", async (req, res) => {
         message: "date and attendance_records array are required",
       });
     }
+    const notAssigned = await inaccessibleStudentIds(
+      req.user,
+      attendance_records.map((record) => record.student_id).filter(Boolean)
+    );
+    if (notAssigned.length) {
+      return res.status(403).json({ message: NOT_ASSIGNED_MESSAGE });
+    }
 
     const results = await Promise.all(
       attendance_records.map(async (record) => {
@@ -398,13 +491,28 @@ router.post("/session", async (req, res) => {
           },
         });
 
-        if (!created) {
-          // Update existing record
+        if (created) {
+          await recordAudit({
+            actorId: req.user.id,
+            entityType: AUDIT_ENTITIES.ATTENDANCE,
+            action: AUDIT_ACTIONS.CREATE,
+            after: attendance,
+          });
+        } else {
+          // Update existing record, keeping a copy of the old values for the audit trail
+          const before = attendance.toJSON();
           await attendance.update({
             status,
             notes: notes || attendance.notes,
             updated_at: new Date(),
           });
+          await recordAudit({
+            actorId: req.user.id,
+            entityType: AUDIT_ENTITIES.ATTENDANCE,
+            action: AUDIT_ACTIONS.UPDATE,
+            before,
+            after: attendance,
+          });
         }
 
         // Return the record with student information
@@ -436,46 +544,66 @@ router.post("/session", async (req, res) => {
 /**
  * Get attendance sheet for a specific date
  * @route GET /api/attendance/sheet/:date
- * @description Gets all students with their attendance status for a specific date
+ * @description Gets all students with their attendance status for a specific date. Archived
+ * students are left out; their past records stay available through GET /api/attendance.
  * @access Private (requires JWT authentication)
  * @param {string} req.params.date - Date in YYYY-MM-DD format
+ * @param {string} [req.query.group_id] - Only students in this group
+ * @param {string} [req.query.tags] - Comma-separated tag IDs; only students with every one of them
+ * @param {string} [req.query.mine] - "true" to only include students assigned to the current
+ * user; restricted mentors always only get their assigned students
  * @returns {Array<Object>} Array of students with attendance information
  * @returns {number} returns[].student_id - Student ID
  * @returns {string} returns[].name - Student name
  * @returns {string} returns[].status - Attendance status or 'not_marked' if no record
  * @returns {string} [returns[].notes] - Attendance notes if any
  * @returns {number} [returns[].attendance_id] - Attendance record ID if exists
+ * @throws {400} Bad request if group_id or tags is invalid
  * @throws {500} Internal server error if database query fails
  */
-router.get("/sheet/:date", async (req, res) => {
-  try {
-    const { date } = req.params;
-
-    const students = await Student.findAll({
-      include: [
-        {
-          model: Attendance,
-          where: { date },
-          required: false, // LEFT JOIN to include students without attendance
+router.get(
+  "/sheet/:date",
+  parseGroupFilter,
+  parseTagFilter,
+  parseMentorScope,
+  async (req, res) => {
+    try {
+      const { date } = req.params;
+
+      const students = await Student.findAll({
+        where: {
+          [Op.and]: [
+            ...(req.groupId ? [{ id: inGroup(req.groupId) }] : []),
+            ...(req.tagIds.length ? [{ id: taggedWith(req.tagIds) }] : []),
+            ...(req.mentorId ? [{ id: assignedTo(req.mentorId) }] : []),
+          ],
+          status: { [Op.ne]: STUDENT_STATUSES.ARCHIVED },
         },
-      ],
-      order: [["name", "ASC"]],
-    });
-
-    const attendanceSheet = students.map((student) => ({
-      student_id: student.id,
-      name: student.name,
-      status: student.Attendances?.[0]?.status || "not_marked",
-      notes: student.Attendances?.[0]?.notes || null,
-      attendance_id: student.Attendances?.[0]?.id || null,
-    }));
+        include: [
+          {
+            model: Attendance,
+            where: { date },
+            required: false, // LEFT JOIN to include students without attendance
+          },
+        ],
+        order: [["name", "ASC"]],
+      });
 
-    res.json(attendanceSheet);
-  } catch (error) {
-    console.error("Error fetching attendance sheet:", error);
-    res.status(500).json({ message: "Failed to fetch attendance sheet" });
+      const attendanceSheet = students.map((student) => ({
+        student_id: student.id,
+        name: student.name,
+        status: student.Attendances?.[0]?.status || "not_marked",
+        notes: student.Attendances?.[0]?.notes || null,
+        attendance_id: student.Attendances?.[0]?.id || null,
+      }));
+
+      res.json(attendanceSheet);
+    } catch (error) {
+      console.error("Error fetching attendance sheet:", error);
+      res.status(500).json({ message: "Failed to fetch attendance sheet" });
+    }
   }
-});
+);
 
 /**
  * Get available session dates
@@ -484,6 +612,8 @@ router.get("/sheet/:date", async (req, res) => {
  * @access Private (requires JWT authentication)
  * @param {string} [req.query.start_date] - Filter from start date (YYYY-MM-DD)
  * @param {string} [req.query.end_date] - Filter to end date (YYYY-MM-DD)
+ * @param {string} [req.query.mine] - "true" to only count students assigned to the current
+ * user; restricted mentors always only count their assigned students
  * @returns {Array<Object>} Array of session dates with attendance counts
  * @returns {string} returns[].date - Session date (YYYY-MM-DD)
  * @returns {number} returns[].total_students - Total students with attendance recorded
@@ -493,11 +623,13 @@ router.get("/sheet/:date", async (req, res) => {
  * @returns {number} returns[].excused_count - Number of students marked excused
  * @throws {500} Internal server error if database query fails
  */
-router.get("/sessions", async (req, res) => {
+router.get("/sessions", parseMentorScope, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
 
-    const whereClause = {};
+    const whereClause = req.mentorId
+      ? { student_id: assignedTo(req.mentorId) }
+      : {};
     if (start_date && end_date) {
       whereClause.date = {
         [Op.between]: [start_date, end_date],
@@ -565,6 +697,8 @@ router.get("/sessions", async (req, res) => {
  * @access Private (requires JWT authentication)
  * @param {string} [req.query.start_date] - Filter from start date (YYYY-MM-DD)
  * @param {string} [req.query.end_date] - Filter to end date (YYYY-MM-DD)
+ * @param {string} [req.query.mine] - "true" to only include students assigned to the current
+ * user; restricted mentors always only get their assigned students
  * @returns {Array<Object>} Array of attendance summaries per student
  * @returns {number} returns[].total_records - Total attendance records for the student
  * @returns {number} returns[].present_count - Count of present days
@@ -574,11 +708,13 @@ router.get("/sessions", async (req, res) => {
  * @returns {Object} returns[].Student - Student information (id, name)
  * @throws {500} Internal server error if database query fails
  */
-router.get("/summary", async (req, res) => {
+router.get("/summary", parseMentorScope, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
 
-    const whereClause = {};
+    const whereClause = req.mentorId
+      ? { student_id: assignedTo(req.mentorId) }
+      : {};
     if (start_date && end_date) {
       whereClause.date = {
         [Op.between]: [start_date, end_date],
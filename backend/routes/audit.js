@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Audit trail routes
+ * @description Read-only access to the audit log of changes to students, goals,
+ * attendance records and users
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { Op } from "sequelize";
+import { AuditLog, User, sequelize } from "../models.js";
+import { ROLES } from "../config/roles.js";
+import { AUDIT_ENTITIES } from "../services/audit.js";
+import { assignedTo, isRestrictedMentor } from "../services/mentors.js";
+
+const router = express.Router();
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Entities that belong to one student: the table holding them and the column linking them
+// to the student, directly or through their goal
+const STUDENT_RECORDS = {
+  [AUDIT_ENTITIES.GOAL]: { table: "goals", key: "student_id" },
+  [AUDIT_ENTITIES.ATTENDANCE]: { table: "attendance", key: "student_id" },
+  [AUDIT_ENTITIES.CONTACT]: { table: "student_contacts", key: "student_id" },
+  [AUDIT_ENTITIES.GOAL_MILESTONE]: {
+    table: "goal_milestones",
+    key: "goal_id",
+    parent: "goals",
+  },
+};
+
+/**
+ * Build a `where` condition limiting a restricted mentor to entries about their assigned
+ * students. Goal, attendance, contact and milestone entries are matched through the
+ * record's current student, or the student_id (goal_id for milestones) in the snapshot for
+ * records since deleted.
+ * @param {number} userId - Mentor's user ID
+ * @returns {Object} Condition for audit_logs
+ */
+function visibleToMentor(userId) {
+  const assigned = `(SELECT student_id FROM mentor_assignments WHERE user_id = ${sequelize.escape(
+    userId
+  )})`;
+  const snapshot = (key) =>
+    `COALESCE(JSON_UNQUOTE(JSON_EXTRACT(\`AuditLog\`.\`after\`, '$.${key}')), JSON_UNQUOTE(JSON_EXTRACT(\`AuditLog\`.\`before\`, '$.${key}')))`;
+  return {
+    [Op.or]: [
+      {
+        entity_type: {
+          [Op.notIn]: [AUDIT_ENTITIES.STUDENT, ...Object.keys(STUDENT_RECORDS)],
+        },
+      },
+      { entity_type: AUDIT_ENTITIES.STUDENT, entity_id: assignedTo(userId) },
+      ...Object.entries(STUDENT_RECORDS).map(
+        ([entityType, { table, key, parent }]) => {
+          const owners = parent
+            ? `(SELECT id FROM ${parent} WHERE student_id IN ${assigned})`
+            : assigned;
+          return {
+            entity_type: entityType,
+            [Op.or]: [
+              {
+                entity_id: {
+                  [Op.in]: sequelize.literal(
+                    `(SELECT id FROM ${table} WHERE ${key} IN ${owners})`
+                  ),
+                },
+              },
+              sequelize.literal(`${snapshot(key)} IN ${owners}`),
+            ],
+          };
+        }
+      ),
+    ],
+  };
+}
+
+/**
+ * Parse a date filter. A bare YYYY-MM-DD end date covers the whole day.
+ * @param {string} value - Date or date-time string
+ * @param {boolean} endOfDay - Move date-only values to the end of the day
+ * @returns {Date|null} Parsed date, or null if invalid
+ */
+function parseDateFilter(value, endOfDay) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+}
+
+/**
+ * List audit entries
+ * @route GET /api/audit
+ * @description Retrieves audit entries, newest first. Changes to user accounts are only
+ * visible to admins, and restricted mentors only see student, goal, attendance, contact
+ * and milestone entries about their assigned students.
+ * @access Private (admin or mentor)
+ * @param {string} [req.query.entity_type] - student|goal|attendance|user|group|contact|custom_field|tag|goal_template|goal_category|goal_milestone
+ * @param {string} [req.query.entity_id] - Only entries for this record (use with entity_type)
+ * @param {string} [req.query.user_id] - Only changes made by this user
+ * @param {string} [req.query.start_date] - Earliest change, ISO date or date-time
+ * @param {string} [req.query.end_date] - Latest change; a YYYY-MM-DD date includes the whole day
+ * @param {number} [req.query.limit=50] - Page size (max 200)
+ * @param {number} [req.query.offset=0] - Number of entries to skip
+ * @returns {Object} { total, entries } where each entry includes actor { id, user_name }
+ * @throws {400} Bad request if entity_type or a date is invalid
+ * @throws {403} Forbidden if a non-admin asks for user entries
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { entity_type, entity_id, user_id, start_date, end_date } = req.query;
+    const isAdmin = req.user.role === ROLES.ADMIN;
+    const where = {};
+
+    if (entity_type) {
+      if (!Object.values(AUDIT_ENTITIES).includes(entity_type)) {
+        return res.status(400).json({ message: "Invalid entity_type" });
+      }
+      if (entity_type === AUDIT_ENTITIES.USER && !isAdmin) {
+        return res.status(403).json({
+          message: "You do not have permission to perform this action",
+        });
+      }
+      where.entity_type = entity_type;
+    } else if (!isAdmin) {
+      where.entity_type = { [Op.ne]: AUDIT_ENTITIES.USER };
+    }
+    if (entity_id) where.entity_id = entity_id;
+    if (await isRestrictedMentor(req.user)) {
+      where[Op.and] = [visibleToMentor(req.user.id)];
+    }
+    if (user_id) where.user_id = user_id;
+
+    if (start_date || end_date) {
+      const start = start_date ? parseDateFilter(start_date, false) : null;
+      const end = end_date ? parseDateFilter(end_date, true) : null;
+      if ((start_date && !start) || (end_date && !end)) {
+        return res.status(400).json({ message: "Invalid date filter" });
+      }
+      where.created_at = {
+        ...(start ? { [Op.gte]: start } : {}),
+        ...(end ? { [Op.lte]: end } : {}),
+      };
+    }
+
+    const maxLimit = 200;
+    let limit = Number(req.query.limit ?? 50);
+    let offset = Number(req.query.offset ?? 0);
+    if (Number.isNaN(limit) || limit < 1) limit = 50;
+    if (Number.isNaN(offset) || offset < 0) offset = 0;
+    if (limit > maxLimit) limit = maxLimit;
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where,
+      include: [{ model: User, as: "actor", attributes: ["id", "user_name"] }],
+      order: [
+        ["created_at", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset,
+    });
+    res.json({ total: count, entries: rows });
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res.status(500).json({ message: "Failed to fetch audit log" });
+  }
+});
+
+export default router;
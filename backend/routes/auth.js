@@ -7,21 +7,61 @@
 
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
-import { User } from "../models.js";
+import { Op } from "sequelize";
+import { User, Invite, PasswordReset, sequelize } from "../models.js";
+import { ROLES } from "../config/roles.js";
+import { buildAppUrl } from "../config/app.js";
+import { validatePassword } from "../config/passwordPolicy.js";
+import { generateToken, hashToken } from "../services/tokens.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeAllSessions,
+  sessionMetaFromRequest,
+} from "../services/sessions.js";
+import { sendMail } from "../services/mailer.js";
+import {
+  LOGIN_OUTCOMES,
+  clearFailedLogins,
+  isLocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+} from "../services/loginSecurity.js";
+import { twoFactorChallenge } from "../services/twoFactor.js";
+import { authenticateJWT } from "../middleware/auth.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+import twoFactorRoutes from "./twoFactor.js";
+import oidcRoutes from "./oidc.js";
 
 const router = express.Router();
 
+router.use("/2fa", twoFactorRoutes);
+router.use("/oidc", oidcRoutes);
+
+/**
+ * How long a password reset link stays valid, in minutes
+ * @type {number}
+ * @default 60
+ */
+const PASSWORD_RESET_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
 /**
  * Register admin user (restricted to first user only)
  * @route POST /api/auth/register
- * @description Creates the first admin user. Registration is blocked if users already exist.
+ * @description Creates the first admin user with the 'admin' role. Registration is blocked if users already exist.
  * @access Public (but restricted to first user)
  * @param {Object} req.body - Registration data
  * @param {string} req.body.userName - Unique username for the admin
  * @param {string} req.body.email - Admin email address
  * @param {string} req.body.password - Plain text password (will be hashed)
  * @returns {Object} Success message
+ * @throws {400} Bad request if the password does not meet the password policy
  * @throws {403} Forbidden if users already exist in the system
  * @throws {500} Internal server error if database operation fails
  * @security Password is hashed using bcrypt with salt rounds of 10
@@ -65,6 +105,12 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SuccessMessage'
+ *       400:
+ *         description: Password does not meet the password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       403:
  *         description: User already exists
  *         content:
@@ -83,24 +129,44 @@ router.post("/register", async (req, res) => {
   const count = await User.count();
   if (count > 0)
     return res.status(403).json({ message: "User already exists" });
+  const passwordError = validatePassword(password, { userName, email });
+  if (passwordError) return res.status(400).json({ message: passwordError });
   const hash = await bcrypt.hash(password, 10);
-  await User.create({ user_name: userName, email, password_hash: hash });
+  const user = await User.create({
+    user_name: userName,
+    email,
+    password_hash: hash,
+    role: ROLES.ADMIN,
+  });
+  await recordAudit({
+    actorId: user.id,
+    entityType: AUDIT_ENTITIES.USER,
+    action: AUDIT_ACTIONS.CREATE,
+    after: user,
+  });
   res.json({ message: "User registered" });
 });
 
 /**
  * User login authentication
  * @route POST /api/auth/login
- * @description Authenticates user credentials and returns JWT token
+ * @description Authenticates user credentials and returns JWT token. Users with two-factor
+ * authentication get a challenge token instead, to complete with POST /api/auth/2fa/verify.
+ * When an admin requires 2FA, users who have not enrolled get a setup challenge token.
  * @access Public
  * @param {Object} req.body - Login credentials
  * @param {string} req.body.userName - Username for authentication
  * @param {string} req.body.password - Plain text password
  * @returns {Object} Authentication response
- * @returns {string} returns.token - JWT token for authenticated requests
- * @returns {Object} returns.user - User information (id, userName, email)
+ * @returns {string} returns.token - Short-lived JWT access token (carries id, userName, email, role and sid claims)
+ * @returns {string} returns.refreshToken - Opaque refresh token used with POST /api/auth/refresh
+ * @returns {boolean} [returns.twoFactorRequired] - Set instead of tokens when a TOTP code is needed
+ * @returns {boolean} [returns.twoFactorSetupRequired] - Set instead of tokens when the user must enroll in 2FA
+ * @returns {string} [returns.challengeToken] - Short-lived token for the 2FA step
  * @throws {400} Bad request if username or password is missing
  * @throws {401} Unauthorized if credentials are invalid
+ * @throws {403} Forbidden if the account has been disabled
+ * @throws {423} Locked if too many failed attempts locked the account (LOGIN_LOCKOUT_THRESHOLD / LOGIN_LOCKOUT_MINUTES)
  * @throws {500} Internal server error if database operation fails
  * @security Uses bcrypt for password comparison and JWT for token generation
  *
@@ -140,8 +206,20 @@ router.post("/register", async (req, res) => {
  *               properties:
  *                 token:
  *                   type: string
- *                   description: JWT token for authenticated requests
+ *                   description: Short-lived JWT access token for authenticated requests
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Opaque refresh token for POST /api/auth/refresh
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Returned instead of tokens when a TOTP code is needed
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: Returned instead of tokens when the user must enroll in 2FA
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Short-lived token for /api/auth/2fa/verify or /api/auth/2fa/enable
  *                 user:
  *                   type: object
  *                   properties:
@@ -166,6 +244,12 @@ router.post("/register", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -180,32 +264,471 @@ router.post("/login", async (req, res) => {
       .status(400)
       .json({ message: "Username and password are required" });
   }
-  const user = await User.findOne({ where: { user_name: userName } });
-  if (!user)
-    return res.status(401).json({ message: "Invalid username or password" });
-  const match = await bcrypt.compare(password, user.password_hash);
-  if (!match)
-    return res.status(401).json({ message: "Invalid username or password" });
-  const token = jwt.sign(
-    { id: user.id, userName: user.user_name, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: "8h" }
-  );
-  res.json({ token });
+  const meta = sessionMetaFromRequest(req);
+  try {
+    const user = await User.findOne({ where: { user_name: userName } });
+    if (!user) {
+      await recordLoginAttempt({
+        user: null,
+        userName,
+        reason: LOGIN_OUTCOMES.UNKNOWN_USER,
+        meta,
+      });
+      return res.status(401).json({ message: "Invalid username or password" });
+    }
+    if (isLocked(user)) {
+      await recordLoginAttempt({
+        user,
+        userName,
+        reason: LOGIN_OUTCOMES.LOCKED,
+        meta,
+      });
+      return res.status(423).json({
+        message:
+          "This account is temporarily locked after too many failed attempts. Try again later.",
+      });
+    }
+    const match = await bcrypt.compare(password, user.password_hash);
+    if (!match) {
+      await registerFailedLogin(user);
+      await recordLoginAttempt({
+        user,
+        userName,
+        reason: LOGIN_OUTCOMES.INVALID_PASSWORD,
+        meta,
+      });
+      return res.status(401).json({ message: "Invalid username or password" });
+    }
+    if (!user.is_active) {
+      await recordLoginAttempt({
+        user,
+        userName,
+        reason: LOGIN_OUTCOMES.DISABLED,
+        meta,
+      });
+      return res
+        .status(403)
+        .json({ message: "This account has been disabled" });
+    }
+    // The failed login count is cleared only once the second factor succeeds
+    const challenge = await twoFactorChallenge(user);
+    if (challenge) return res.json(challenge);
+    await clearFailedLogins(user.id);
+    await recordLoginAttempt({
+      user,
+      userName,
+      reason: LOGIN_OUTCOMES.SUCCESS,
+      meta,
+    });
+    const tokens = await createSession(user, meta);
+    res.json(tokens);
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({ message: "Failed to log in" });
+  }
 });
 
-// Get current user
-router.get("/me", async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith("Bearer "))
-    return res.status(401).json({ message: "Invalid Login, Please try again" });
-  const token = authHeader.split(" ")[1];
+/**
+ * Refresh an access token
+ * @route POST /api/auth/refresh
+ * @description Exchanges a refresh token for a new short-lived access token and a new
+ * refresh token. The presented refresh token is invalidated (rotation); reusing an
+ * already rotated token revokes the whole session.
+ * @access Public (requires a valid refresh token)
+ * @param {Object} req.body - Refresh data
+ * @param {string} req.body.refreshToken - Refresh token from login or a previous refresh
+ * @returns {Object} New tokens
+ * @returns {string} returns.token - JWT access token
+ * @returns {string} returns.refreshToken - Replacement refresh token
+ * @throws {400} Bad request if refreshToken is missing
+ * @throws {401} Unauthorized if the refresh token is invalid, expired or revoked
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken)
+    return res.status(400).json({ message: "refreshToken is required" });
+  try {
+    const tokens = await rotateSession(refreshToken);
+    if (!tokens)
+      return res
+        .status(401)
+        .json({ message: "Session expired, please log in again" });
+    res.json(tokens);
+  } catch (error) {
+    console.error("Error refreshing session:", error);
+    res.status(500).json({ message: "Failed to refresh session" });
+  }
+});
+
+/**
+ * Log out
+ * @route POST /api/auth/logout
+ * @description Revokes the session that the refresh token belongs to. Access tokens
+ * issued for that session stop working immediately.
+ * @access Public (requires the session's refresh token)
+ * @param {Object} req.body - Logout data
+ * @param {string} req.body.refreshToken - Refresh token of the session to end
+ * @returns {Object} Success message
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeSessionByToken(req.body.refreshToken);
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({ message: "Failed to log out" });
+  }
+});
+
+/**
+ * Find an invite that can still be accepted
+ * @param {string} token - Raw invite token
+ * @returns {Promise<Object|null>} Invite or null if unknown, used or expired
+ */
+async function findUsableInvite(token) {
+  if (!token) return null;
+  return Invite.findOne({
+    where: {
+      token_hash: hashToken(token),
+      accepted_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+  });
+}
+
+/**
+ * Look up an invite
+ * @route GET /api/auth/invites/:token
+ * @description Validates an invite token so the accept-invite page can show who it is for
+ * @access Public
+ * @param {string} req.params.token - Raw invite token
+ * @returns {Object} Invite email, role and expiry
+ * @throws {404} Invite not found, already used or expired
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/invites/:token", async (req, res) => {
+  try {
+    const invite = await findUsableInvite(req.params.token);
+    if (!invite)
+      return res
+        .status(404)
+        .json({ message: "This invite is invalid or has expired" });
+    res.json({
+      email: invite.email,
+      role: invite.role,
+      expires_at: invite.expires_at,
+    });
+  } catch (error) {
+    console.error("Error fetching invite:", error);
+    res.status(500).json({ message: "Failed to fetch invite" });
+  }
+});
+
+/**
+ * Accept an invite
+ * @route POST /api/auth/accept-invite
+ * @description Creates the invited user's account with their chosen username and password.
+ * Invites are single-use: the invite is marked accepted in the same transaction.
+ * @access Public
+ * @param {Object} req.body - Acceptance data
+ * @param {string} req.body.token - Raw invite token (required)
+ * @param {string} req.body.userName - Chosen username (required)
+ * @param {string} req.body.password - Chosen password (required)
+ * @returns {Object} Success message
+ * @throws {400} Bad request if fields are missing or the password is too weak
+ * @throws {404} Invite not found, already used or expired
+ * @throws {409} Conflict if the username or email is already taken, or the invited student already has a login
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/accept-invite", async (req, res) => {
+  const { token, userName, password } = req.body;
+  if (!token || !userName || !password) {
+    return res
+      .status(400)
+      .json({ message: "token, userName and password are required" });
+  }
+  try {
+    const invite = await findUsableInvite(token);
+    if (!invite)
+      return res
+        .status(404)
+        .json({ message: "This invite is invalid or has expired" });
+
+    const passwordError = validatePassword(password, {
+      userName,
+      email: invite.email,
+    });
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    const existing = await User.findOne({
+      where: { [Op.or]: [{ user_name: userName }, { email: invite.email }] },
+    });
+    if (existing)
+      return res
+        .status(409)
+        .json({ message: "Username or email is already in use" });
+    if (
+      invite.student_id &&
+      (await User.findOne({ where: { student_id: invite.student_id } }))
+    )
+      return res
+        .status(409)
+        .json({ message: "This student already has a login" });
+
+    const hash = await bcrypt.hash(password, 10);
+    const accepted = await sequelize.transaction(async (transaction) => {
+      // Claim the invite first so two concurrent requests cannot both use it
+      const [claimed] = await Invite.update(
+        { accepted_at: new Date() },
+        { where: { id: invite.id, accepted_at: null }, transaction }
+      );
+      if (!claimed) return null;
+      const user = await User.create(
+        {
+          user_name: userName,
+          email: invite.email,
+          password_hash: hash,
+          role: invite.role,
+          student_id: invite.student_id,
+        },
+        { transaction }
+      );
+      await Invite.update(
+        { accepted_user_id: user.id },
+        { where: { id: invite.id }, transaction }
+      );
+      return user;
+    });
+    if (!accepted)
+      return res
+        .status(404)
+        .json({ message: "This invite is invalid or has expired" });
+    await recordAudit({
+      actorId: accepted.id,
+      entityType: AUDIT_ENTITIES.USER,
+      action: AUDIT_ACTIONS.CREATE,
+      after: accepted,
+    });
+    res.status(201).json({ message: "Account created" });
+  } catch (error) {
+    console.error("Error accepting invite:", error);
+    res.status(500).json({ message: "Failed to accept invite" });
+  }
+});
+
+/**
+ * Change the current user's password
+ * @route POST /api/auth/change-password
+ * @description Verifies the current password and sets a new one. Every other session of
+ * the user is revoked; the session making the request stays signed in.
+ * @access Private (any authenticated user)
+ * @param {Object} req.body - Password data
+ * @param {string} req.body.currentPassword - Current password (required)
+ * @param {string} req.body.newPassword - New password, checked against the password policy (required)
+ * @returns {Object} Success message
+ * @throws {400} Bad request if fields are missing, the current password is wrong or the new password is too weak
+ * @throws {404} Not found if the user no longer exists
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/change-password", authenticateJWT, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!currentPassword || !newPassword) {
+    return res
+      .status(400)
+      .json({ message: "currentPassword and newPassword are required" });
+  }
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const match = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!match)
+      return res.status(400).json({ message: "Current password is incorrect" });
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        message: "New password must be different from the current password",
+      });
+    }
+    const passwordError = validatePassword(newPassword, {
+      userName: user.user_name,
+      email: user.email,
+    });
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    user.password_hash = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    await revokeAllSessions(user.id, req.user.sid);
+    res.json({ message: "Password changed" });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({ message: "Failed to change password" });
+  }
+});
+
+/**
+ * Find a password reset that can still be used
+ * @param {string} token - Raw reset token
+ * @returns {Promise<Object|null>} Password reset or null if unknown, used or expired
+ */
+async function findUsableReset(token) {
+  if (!token) return null;
+  return PasswordReset.findOne({
+    where: {
+      token_hash: hashToken(token),
+      used_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+  });
+}
+
+/**
+ * Request a password reset
+ * @route POST /api/auth/forgot-password
+ * @description Emails a single-use reset link that expires after PASSWORD_RESET_TTL_MINUTES.
+ * Earlier unused links for the same account stop working. The response is the same whether
+ * or not an account exists, so the endpoint cannot be used to discover emails.
+ * @access Public
+ * @param {Object} req.body - Request data
+ * @param {string} req.body.email - Email address of the account (required)
+ * @returns {Object} Generic success message
+ * @throws {400} Bad request if email is missing
+ * @throws {500} Internal server error if the database or mail transport fails
+ */
+router.post("/forgot-password", async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ message: "Email required" });
   try {
-    const user = jwt.verify(token, process.env.JWT_SECRET);
-    res.json({ id: user.id, userName: user.userName, email: user.email });
-  } catch {
-    res.status(403).json({ message: "Invalid Login, Please try again" });
+    const user = await User.findOne({ where: { email } });
+    if (user && user.is_active) {
+      const now = new Date();
+      await PasswordReset.update(
+        { used_at: now },
+        { where: { user_id: user.id, used_at: null } }
+      );
+      const token = generateToken();
+      await PasswordReset.create({
+        user_id: user.id,
+        token_hash: hashToken(token),
+        expires_at: new Date(
+          now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+        ),
+      });
+      const resetUrl = buildAppUrl(`/auth/reset-password?token=${token}`);
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Gloire Road Map password",
+        text: [
+          `Hi ${user.user_name},`,
+          "",
+          "Someone asked to reset the password for your Gloire Road Map account.",
+          `Open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:`,
+          "",
+          resetUrl,
+          "",
+          "If you did not ask for this, you can ignore this email.",
+        ].join("\n"),
+      });
+    }
+    res.json({
+      message:
+        "If an account exists for that email, a reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+    res.status(500).json({ message: "Failed to request password reset" });
   }
 });
 
+/**
+ * Check a password reset token
+ * @route GET /api/auth/reset-password/:token
+ * @description Lets the reset page tell the user up front when a link is no longer valid
+ * @access Public
+ * @param {string} req.params.token - Raw reset token
+ * @returns {Object} Token expiry
+ * @throws {404} Reset token not found, already used or expired
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/reset-password/:token", async (req, res) => {
+  try {
+    const reset = await findUsableReset(req.params.token);
+    if (!reset)
+      return res
+        .status(404)
+        .json({ message: "This reset link is invalid or has expired" });
+    res.json({ expires_at: reset.expires_at });
+  } catch (error) {
+    console.error("Error fetching password reset:", error);
+    res.status(500).json({ message: "Failed to check reset link" });
+  }
+});
+
+/**
+ * Reset a password
+ * @route POST /api/auth/reset-password
+ * @description Sets a new password using a reset token. The token is single-use and all of
+ * the user's sessions are revoked, so they must log in again everywhere.
+ * @access Public
+ * @param {Object} req.body - Reset data
+ * @param {string} req.body.token - Raw reset token (required)
+ * @param {string} req.body.password - New password, checked against the password policy (required)
+ * @returns {Object} Success message
+ * @throws {400} Bad request if fields are missing or the password is too weak
+ * @throws {404} Reset token not found, already used or expired
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/reset-password", async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) {
+    return res.status(400).json({ message: "token and password are required" });
+  }
+  try {
+    const reset = await findUsableReset(token);
+    const user = reset && (await User.findByPk(reset.user_id));
+    if (!user || !user.is_active)
+      return res
+        .status(404)
+        .json({ message: "This reset link is invalid or has expired" });
+
+    const passwordError = validatePassword(password, {
+      userName: user.user_name,
+      email: user.email,
+    });
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    const hash = await bcrypt.hash(password, 10);
+    const updated = await sequelize.transaction(async (transaction) => {
+      // Claim the token first so it cannot be used twice concurrently
+      const [claimed] = await PasswordReset.update(
+        { used_at: new Date() },
+        { where: { id: reset.id, used_at: null }, transaction }
+      );
+      if (!claimed) return false;
+      await User.update(
+        { password_hash: hash, failed_login_count: 0, locked_until: null },
+        { where: { id: user.id }, transaction }
+      );
+      return true;
+    });
+    if (!updated)
+      return res
+        .status(404)
+        .json({ message: "This reset link is invalid or has expired" });
+
+    await revokeAllSessions(user.id);
+    res.json({ message: "Password has been reset" });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    res.status(500).json({ message: "Failed to reset password" });
+  }
+});
+
+// Get current user
+router.get("/me", authenticateJWT, (req, res) => {
+  const { id, userName, email, role } = req.user;
+  res.json({ id, userName, email, role });
+});
+
 export default router;
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Calendar feed routes
+ * @description Birthday calendar feed for calendar apps, which poll a URL and cannot send an
+ * Authorization header. Each staff user manages one secret feed link; the feed itself is
+ * authenticated by the token in that link. Mounted under /api/calendar without
+ * authenticateJWT, which the link management routes apply themselves.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { authenticateJWT, authorizeRoles } from "../middleware/auth.js";
+import { parseGroupFilter } from "../middleware/groupFilter.js";
+import { parseTagFilter } from "../middleware/tagFilter.js";
+import { parseMentorScope } from "../middleware/mentorScope.js";
+import { parseBirthdayQuery } from "../middleware/birthdayQuery.js";
+import { STAFF_ROLES } from "../config/roles.js";
+import { getSetting } from "../services/settings.js";
+import {
+  MAX_BIRTHDAY_DAYS,
+  findUpcomingBirthdays,
+  birthdayCalendar,
+} from "../services/birthdays.js";
+import {
+  authenticateCalendarFeed,
+  birthdayFeedUrl,
+  createCalendarFeed,
+  findCalendarFeed,
+  revokeCalendarFeed,
+} from "../services/calendarFeeds.js";
+
+const router = express.Router();
+
+const staffOnly = [authenticateJWT, authorizeRoles(...STAFF_ROLES)];
+
+/**
+ * Refuse calendar requests while the birthday_calendar setting is off
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ * @throws {404} Not found while the birthday_calendar setting is off
+ */
+async function requireBirthdayCalendar(req, res, next) {
+  try {
+    if (await getSetting("birthday_calendar")) return next();
+    res.status(404).json({ message: "The birthday calendar is turned off" });
+  } catch (error) {
+    console.error("Error checking birthday calendar setting:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+}
+
+/**
+ * Authenticate a feed request by the token in its link
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.token - Feed token
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ * @throws {401} Unauthorized if the link is unknown or revoked, or its owner is disabled
+ */
+async function authenticateFeedToken(req, res, next) {
+  try {
+    const user = await authenticateCalendarFeed(req.params.token);
+    if (!user) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or revoked calendar link" });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("Error checking calendar link:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+}
+
+/**
+ * Get the current user's birthday calendar link
+ * @route GET /api/calendar/birthdays
+ * @description Tells the dashboard whether the calendar is turned on and whether the user
+ * already has a link. The link itself is only shown when it is created.
+ * @access Private (staff)
+ * @returns {Object} { enabled, feed } where feed is { id, user_id, last_used_at, created_at }
+ * or null
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/birthdays", ...staffOnly, async (req, res) => {
+  try {
+    const [enabled, feed] = await Promise.all([
+      getSetting("birthday_calendar"),
+      findCalendarFeed(req.user.id),
+    ]);
+    res.json({ enabled, feed });
+  } catch (error) {
+    console.error("Error fetching calendar link:", error);
+    res.status(500).json({ message: "Failed to fetch calendar link" });
+  }
+});
+
+/**
+ * Create a birthday calendar link
+ * @route POST /api/calendar/birthdays
+ * @description Issues a new secret link for calendar apps to subscribe to. Any earlier link of
+ * the current user stops working. The feed lists the students the user can see.
+ * @access Private (staff)
+ * @returns {Object} { url, created_at }; the url is shown only this once
+ * @throws {404} Not found while the birthday_calendar setting is off
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post(
+  "/birthdays",
+  ...staffOnly,
+  requireBirthdayCalendar,
+  async (req, res) => {
+    try {
+      const { feed, token } = await createCalendarFeed(req.user.id);
+      res
+        .status(201)
+        .json({ url: birthdayFeedUrl(token), created_at: feed.created_at });
+    } catch (error) {
+      console.error("Error creating calendar link:", error);
+      res.status(500).json({ message: "Failed to create calendar link" });
+    }
+  }
+);
+
+/**
+ * Revoke the current user's birthday calendar link
+ * @route DELETE /api/calendar/birthdays
+ * @description Calendar apps subscribed to the link stop receiving updates
+ * @access Private (staff)
+ * @returns {Object} Success message
+ * @throws {404} Not found if the user has no link
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/birthdays", ...staffOnly, async (req, res) => {
+  try {
+    if (!(await revokeCalendarFeed(req.user.id))) {
+      return res.status(404).json({ message: "Calendar link not found" });
+    }
+    res.json({ message: "Calendar link revoked" });
+  } catch (error) {
+    console.error("Error revoking calendar link:", error);
+    res.status(500).json({ message: "Failed to revoke calendar link" });
+  }
+});
+
+/**
+ * Upcoming birthdays calendar feed
+ * @route GET /api/calendar/birthdays/:token.ics
+ * @description Serves upcoming birthdays as an iCalendar feed with one all-day event per
+ * birthday, listing the students the link's owner can see. Only available while the
+ * birthday_calendar setting is on.
+ * @access Public (requires a calendar link token)
+ * @param {string} req.params.token - Token from POST /api/calendar/birthdays
+ * @param {string} [req.query.days=366] - Days to look ahead (0-366)
+ * @param {string} [req.query.tz] - IANA timezone, e.g. Africa/Nairobi (default APP_TIMEZONE or UTC)
+ * @param {string} [req.query.group_id] - Only students in this group
+ * @param {string} [req.query.tags] - Comma-separated tag IDs; only students with every one of them
+ * @param {string} [req.query.mine] - "true" to only include students assigned to the link's owner
+ * @returns {string} iCalendar file (text/calendar) named birthdays.ics
+ * @throws {400} Bad request if days, tz, group_id or tags is invalid
+ * @throws {401} Unauthorized if the link is unknown or revoked
+ * @throws {404} Not found while the birthday_calendar setting is off
+ * @throws {500} Internal server error if database query fails
+ */
+router.get(
+  "/birthdays/:token.ics",
+  requireBirthdayCalendar,
+  authenticateFeedToken,
+  parseGroupFilter,
+  parseTagFilter,
+  parseMentorScope,
+  parseBirthdayQuery(MAX_BIRTHDAY_DAYS),
+  async (req, res) => {
+    try {
+      const birthdays = await findUpcomingBirthdays(req.birthdayOptions);
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        'attachment; filename="birthdays.ics"'
+      );
+      res.send(birthdayCalendar(birthdays));
+    } catch (error) {
+      console.error("Error building birthday calendar:", error);
+      res.status(500).json({ message: "Failed to build birthday calendar" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Student contact routes
+ * @description CRUD for a student's parents, guardians and emergency contacts, mounted at
+ * /api/students/:id/contacts. Any staff member can read them; admins and mentors manage them.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { StudentContact, sequelize } from "../models.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { loadStudent } from "../middleware/loadStudent.js";
+import { EDITOR_ROLES } from "../config/roles.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+
+// mergeParams exposes the student ID (:id) from the parent router
+const router = express.Router({ mergeParams: true });
+
+// Text fields and their maximum length (matching the columns)
+const TEXT_FIELDS = {
+  name: 100,
+  relationship: 50,
+  phone: 30,
+  alt_phone: 30,
+  email: 255,
+};
+
+const FLAG_FIELDS = [
+  "is_primary",
+  "is_emergency",
+  "can_pick_up",
+  "consent_sms",
+  "consent_media",
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[0-9+()\-.\s]{7,30}$/;
+
+/**
+ * Validate and normalise the fields sent for a contact
+ * @param {Object} body - req.body
+ * @param {Object|null} [existing] - Contact being updated; missing fields keep its values
+ * @returns {{values?: Object, error?: string}} Fields to save (only those sent), or an error message
+ */
+function parseContact(body, existing = null) {
+  const values = {};
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== "string") {
+      return { error: `${field} must be a string` };
+    }
+    const text = body[field]?.trim() || null;
+    if (text && text.length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    }
+    values[field] = text;
+  }
+  for (const field of FLAG_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== "boolean") {
+      return { error: `${field} must be true or false` };
+    }
+    values[field] = body[field];
+  }
+
+  const merged = { ...(existing ? existing.get() : {}), ...values };
+  if (!merged.name) return { error: "Name required" };
+  if (!merged.phone && !merged.alt_phone && !merged.email) {
+    return { error: "A phone number or email is required" };
+  }
+  for (const field of ["phone", "alt_phone"]) {
+    if (values[field] && !PHONE_PATTERN.test(values[field])) {
+      return { error: `${field} is not a valid phone number` };
+    }
+  }
+  if (values.email && !EMAIL_PATTERN.test(values.email)) {
+    return { error: "email is not a valid email address" };
+  }
+  return { values };
+}
+
+/**
+ * Find one of the student's contacts
+ * @param {Object} req - Express request with req.student and req.params.contactId
+ * @returns {Promise<Object|null>} Contact, or null if the student has no such contact
+ */
+function findContact(req) {
+  return StudentContact.findOne({
+    where: { id: req.params.contactId, student_id: req.student.id },
+  });
+}
+
+/**
+ * Save a contact, clearing is_primary on the student's other contacts when it becomes
+ * the primary one
+ * @async
+ * @param {Object} contact - Contact instance (new or existing) with its values set
+ * @returns {Promise<void>}
+ */
+async function saveContact(contact) {
+  await sequelize.transaction(async (transaction) => {
+    if (contact.is_primary) {
+      await StudentContact.update(
+        { is_primary: false },
+        {
+          where: { student_id: contact.student_id, is_primary: true },
+          transaction,
+        }
+      );
+    }
+    await contact.save({ transaction });
+  });
+}
+
+router.use(loadStudent);
+
+/**
+ * List a student's contacts
+ * @route GET /api/students/:id/contacts
+ * @description Retrieves the student's contacts, primary contact first, then by name
+ * @access Private (staff)
+ * @param {string} req.params.id - Student ID
+ * @returns {Array<Object>} Array of contacts
+ * @throws {404} Student not found
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    const contacts = await StudentContact.findAll({
+      where: { student_id: req.student.id },
+      order: [
+        ["is_primary", "DESC"],
+        ["name", "ASC"],
+      ],
+    });
+    res.json(contacts);
+  } catch (error) {
+    console.error("Error fetching contacts:", error);
+    res.status(500).json({ message: "Failed to fetch contacts" });
+  }
+});
+
+/**
+ * Add a contact
+ * @route POST /api/students/:id/contacts
+ * @description Adds a parent, guardian or emergency contact. The student's first contact
+ * becomes the primary one; marking a contact primary unmarks the previous one.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Student ID
+ * @param {string} req.body.name - Contact's full name (required)
+ * @param {string} [req.body.relationship] - e.g. "Mother", "Uncle"
+ * @param {string} [req.body.phone] - Main phone number
+ * @param {string} [req.body.alt_phone] - Second phone number
+ * @param {string} [req.body.email] - Email address (a phone number or email is required)
+ * @param {boolean} [req.body.is_primary] - First person to call
+ * @param {boolean} [req.body.is_emergency] - Can be called in an emergency
+ * @param {boolean} [req.body.can_pick_up] - Allowed to collect the student
+ * @param {boolean} [req.body.consent_sms] - Agreed to receive text messages
+ * @param {boolean} [req.body.consent_media] - Agreed to photos and videos being used
+ * @returns {Object} Created contact (201)
+ * @throws {400} Bad request if a field is missing or invalid
+ * @throws {404} Student not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
+  try {
+    const { values, error } = parseContact(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const existingCount = await StudentContact.count({
+      where: { student_id: req.student.id },
+    });
+    const contact = StudentContact.build({
+      ...values,
+      student_id: req.student.id,
+      is_primary: values.is_primary ?? existingCount === 0,
+    });
+    await saveContact(contact);
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.CONTACT,
+      action: AUDIT_ACTIONS.CREATE,
+      after: contact,
+    });
+    res.status(201).json(contact);
+  } catch (error) {
+    console.error("Error creating contact:", error);
+    res.status(500).json({ message: "Failed to create contact" });
+  }
+});
+
+/**
+ * Update a contact
+ * @route PATCH /api/students/:id/contacts/:contactId
+ * @description Updates a contact. Only provided fields are changed; send null to clear an
+ * optional text field.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Student ID
+ * @param {string} req.params.contactId - Contact ID
+ * @param {Object} req.body - Any of the fields accepted when adding a contact
+ * @returns {Object} Updated contact
+ * @throws {400} Bad request if a field is invalid or the contact would have no phone or email
+ * @throws {404} Student or contact not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.patch(
+  "/:contactId",
+  authorizeRoles(...EDITOR_ROLES),
+  async (req, res) => {
+    try {
+      const contact = await findContact(req);
+      if (!contact) {
+        return res.status(404).json({ message: "Contact not found" });
+      }
+      const { values, error } = parseContact(req.body, contact);
+      if (error) return res.status(400).json({ message: error });
+
+      const before = contact.toJSON();
+      contact.set(values);
+      await saveContact(contact);
+      await recordAudit({
+        actorId: req.user.id,
+        entityType: AUDIT_ENTITIES.CONTACT,
+        action: AUDIT_ACTIONS.UPDATE,
+        before,
+        after: contact,
+      });
+      res.json(contact);
+    } catch (error) {
+      console.error("Error updating contact:", error);
+      res.status(500).json({ message: "Failed to update contact" });
+    }
+  }
+);
+
+/**
+ * Delete a contact
+ * @route DELETE /api/students/:id/contacts/:contactId
+ * @description Removes a contact from the student
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Student ID
+ * @param {string} req.params.contactId - Contact ID
+ * @returns {Object} Success message
+ * @throws {404} Student or contact not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete(
+  "/:contactId",
+  authorizeRoles(...EDITOR_ROLES),
+  async (req, res) => {
+    try {
+      const contact = await findContact(req);
+      if (!contact) {
+        return res.status(404).json({ message: "Contact not found" });
+      }
+      await contact.destroy();
+      await recordAudit({
+        actorId: req.user.id,
+        entityType: AUDIT_ENTITIES.CONTACT,
+        action: AUDIT_ACTIONS.DELETE,
+        before: contact,
+      });
+      res.json({ message: "Contact deleted" });
+    } catch (error) {
+      console.error("Error deleting contact:", error);
+      res.status(500).json({ message: "Failed to delete contact" });
+    }
+  }
+);
+
+export default router;
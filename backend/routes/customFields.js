@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Custom student field routes
+ * @description CRUD for the extra fields admins can add to students (e.g. school, T-shirt
+ * size). Any staff member can read the definitions so forms and filters can be built;
+ * only admins can change them. Values are set through the student routes.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { CustomField } from "../models.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { ROLES } from "../config/roles.js";
+import {
+  listCustomFields,
+  parseFieldDefinition,
+} from "../services/customFields.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+/**
+ * List custom fields
+ * @route GET /api/custom-fields
+ * @description Retrieves all custom field definitions in display order
+ * @access Private (staff)
+ * @returns {Array<Object>} Array of custom fields
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listCustomFields());
+  } catch (error) {
+    console.error("Error fetching custom fields:", error);
+    res.status(500).json({ message: "Failed to fetch custom fields" });
+  }
+});
+
+/**
+ * Create a custom field
+ * @route POST /api/custom-fields
+ * @description Adds a field that can be filled in for every student
+ * @access Private (admin only)
+ * @param {string} req.body.key - Unique snake_case key used in the API, filters and exports
+ * @param {string} req.body.label - Name shown to staff
+ * @param {string} req.body.type - text|number|date|select|boolean
+ * @param {Array<string>} [req.body.options] - Allowed values (required for select fields)
+ * @param {boolean} [req.body.required] - New students must have a value
+ * @param {number} [req.body.position] - Display order, lowest first
+ * @returns {Object} Created custom field (201)
+ * @throws {400} Bad request if a field is missing or invalid
+ * @throws {409} Conflict if another field already has this key
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { values, error } = parseFieldDefinition(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (await CustomField.findOne({ where: { key: values.key } })) {
+      return res
+        .status(409)
+        .json({ message: "A custom field with this key already exists" });
+    }
+
+    const field = await CustomField.create(values);
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.CUSTOM_FIELD,
+      action: AUDIT_ACTIONS.CREATE,
+      after: field,
+    });
+    res.status(201).json(field);
+  } catch (error) {
+    console.error("Error creating custom field:", error);
+    res.status(500).json({ message: "Failed to create custom field" });
+  }
+});
+
+/**
+ * Update a custom field
+ * @route PATCH /api/custom-fields/:id
+ * @description Changes a field's label, options, required flag or position. The key and
+ * type cannot be changed. Existing values are kept when options are removed.
+ * @access Private (admin only)
+ * @param {string} req.params.id - Custom field ID
+ * @param {Object} req.body - Any of label, options, required, position
+ * @returns {Object} Updated custom field
+ * @throws {400} Bad request if a field is invalid or the key or type would change
+ * @throws {404} Custom field not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.patch("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const field = await CustomField.findByPk(req.params.id);
+    if (!field) {
+      return res.status(404).json({ message: "Custom field not found" });
+    }
+    const { values, error } = parseFieldDefinition(req.body, field);
+    if (error) return res.status(400).json({ message: error });
+
+    const before = field.toJSON();
+    await field.update(values);
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.CUSTOM_FIELD,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after: field,
+    });
+    res.json(field);
+  } catch (error) {
+    console.error("Error updating custom field:", error);
+    res.status(500).json({ message: "Failed to update custom field" });
+  }
+});
+
+/**
+ * Delete a custom field
+ * @route DELETE /api/custom-fields/:id
+ * @description Removes a field together with every student's value for it
+ * @access Private (admin only)
+ * @param {string} req.params.id - Custom field ID
+ * @returns {Object} Success message
+ * @throws {404} Custom field not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const field = await CustomField.findByPk(req.params.id);
+    if (!field) {
+      return res.status(404).json({ message: "Custom field not found" });
+    }
+    await field.destroy();
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.CUSTOM_FIELD,
+      action: AUDIT_ACTIONS.DELETE,
+      before: field,
+    });
+    res.json({ message: "Custom field deleted" });
+  } catch (error) {
+    console.error("Error deleting custom field:", error);
+    res.status(500).json({ message: "Failed to delete custom field" });
+  }
+});
+
+export default router;
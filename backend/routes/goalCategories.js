@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Goal category routes
+ * @description CRUD for goal categories (name, colour and icon), used to tell spiritual,
+ * academic and service goals apart. Any staff member can read categories; only admins
+ * manage them.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { GoalCategory, sequelize } from "../models.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { ROLES } from "../config/roles.js";
+import { COLOR_PATTERN } from "../config/colors.js";
+import {
+  MAX_CATEGORY_NAME_LENGTH,
+  CATEGORY_ICON_PATTERN,
+} from "../services/goalCategories.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+/**
+ * Check the fields sent for a new or updated category
+ * @async
+ * @param {Object} body - req.body
+ * @param {Object|null} [category] - Category being updated; fields may then be left out
+ * @returns {Promise<{values?: Object, status?: number, message?: string}>} Fields to save,
+ * or an error response
+ */
+async function parseCategory({ name, color, icon }, category = null) {
+  const values = {};
+  if (name !== undefined || !category) {
+    if (typeof name !== "string" || !name.trim()) {
+      return { status: 400, message: "Name required" };
+    }
+    if (name.trim().length > MAX_CATEGORY_NAME_LENGTH) {
+      return {
+        status: 400,
+        message: `Name must be at most ${MAX_CATEGORY_NAME_LENGTH} characters`,
+      };
+    }
+    const existing = await GoalCategory.findOne({
+      where: { name: name.trim() },
+    });
+    if (existing && existing.id !== category?.id) {
+      return {
+        status: 409,
+        message: "A category with this name already exists",
+      };
+    }
+    values.name = name.trim();
+  }
+  if (color !== undefined) {
+    if (!COLOR_PATTERN.test(color)) {
+      return { status: 400, message: "Color must be #rrggbb" };
+    }
+    values.color = color.toLowerCase();
+  }
+  if (icon !== undefined) {
+    if (icon !== null && !CATEGORY_ICON_PATTERN.test(icon)) {
+      return {
+        status: 400,
+        message: 'Icon must be a PrimeIcons name such as "pi-book"',
+      };
+    }
+    values.icon = icon;
+  }
+  return { values };
+}
+
+/**
+ * List goal categories
+ * @route GET /api/goal-categories
+ * @description Retrieves all goal categories ordered by name, with how many goals are in each
+ * @access Private (staff)
+ * @returns {Array<Object>} Array of categories with goal_count
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    const categories = await GoalCategory.findAll({
+      attributes: {
+        include: [
+          [
+            sequelize.literal(
+              "(SELECT COUNT(*) FROM goals WHERE goals.category_id = GoalCategory.id)"
+            ),
+            "goal_count",
+          ],
+        ],
+      },
+      order: [["name", "ASC"]],
+    });
+    res.json(categories);
+  } catch (error) {
+    console.error("Error fetching goal categories:", error);
+    res.status(500).json({ message: "Failed to fetch goal categories" });
+  }
+});
+
+/**
+ * Create a goal category
+ * @route POST /api/goal-categories
+ * @description Creates a goal category
+ * @access Private (admin only)
+ * @param {string} req.body.name - Unique category name (required, up to 50 characters)
+ * @param {string} [req.body.color] - Colour as #rrggbb (default grey)
+ * @param {string|null} [req.body.icon] - PrimeIcons name such as "pi-book"
+ * @returns {Object} Created category (201)
+ * @throws {400} Bad request if the name, colour or icon is invalid
+ * @throws {409} Conflict if another category already has this name
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { values, status, message } = await parseCategory(req.body);
+    if (!values) return res.status(status).json({ message });
+
+    const category = await GoalCategory.create(values);
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GOAL_CATEGORY,
+      action: AUDIT_ACTIONS.CREATE,
+      after: category,
+    });
+    res.status(201).json(category);
+  } catch (error) {
+    console.error("Error creating goal category:", error);
+    res.status(500).json({ message: "Failed to create goal category" });
+  }
+});
+
+/**
+ * Update a goal category
+ * @route PATCH /api/goal-categories/:id
+ * @description Renames a category or changes its colour or icon. Only provided fields are
+ * updated.
+ * @access Private (admin only)
+ * @param {string} req.params.id - Category ID
+ * @param {Object} req.body - Any of the fields accepted when creating a category
+ * @returns {Object} Updated category
+ * @throws {400} Bad request if the name, colour or icon is invalid
+ * @throws {404} Category not found
+ * @throws {409} Conflict if another category already has this name
+ * @throws {500} Internal server error if database operation fails
+ */
+router.patch("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const category = await GoalCategory.findByPk(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Goal category not found" });
+    }
+    const { values, status, message } = await parseCategory(req.body, category);
+    if (!values) return res.status(status).json({ message });
+
+    const before = category.toJSON();
+    await category.update(values);
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GOAL_CATEGORY,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after: category,
+    });
+    res.json(category);
+  } catch (error) {
+    console.error("Error updating goal category:", error);
+    res.status(500).json({ message: "Failed to update goal category" });
+  }
+});
+
+/**
+ * Delete a goal category
+ * @route DELETE /api/goal-categories/:id
+ * @description Deletes the category. Its goals are kept and become uncategorised.
+ * @access Private (admin only)
+ * @param {string} req.params.id - Category ID
+ * @returns {Object} Success message
+ * @throws {404} Category not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const category = await GoalCategory.findByPk(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: "Goal category not found" });
+    }
+    await category.destroy();
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GOAL_CATEGORY,
+      action: AUDIT_ACTIONS.DELETE,
+      before: category,
+    });
+    res.json({ message: "Goal category deleted" });
+  } catch (error) {
+    console.error("Error deleting goal category:", error);
+    res.status(500).json({ message: "Failed to delete goal category" });
+  }
+});
+
+export default router;
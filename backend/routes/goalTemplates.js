@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Goal template routes
+ * @description Library of reusable goals (title, description, target date offset and
+ * milestones) and bulk assignment of a template to many students or a whole group. Any
+ * staff member can read templates; admins and mentors manage and assign them and only
+ * admins can delete one.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { GoalTemplate, Group, GroupMember } from "../models.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { ROLES, EDITOR_ROLES } from "../config/roles.js";
+import { validateStudentIds } from "../services/groups.js";
+import { parseTemplate, assignTemplate } from "../services/goalTemplates.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+/**
+ * Work out which students a template is assigned to
+ * @async
+ * @param {Object} body - req.body with either student_ids or group_id
+ * @returns {Promise<{studentIds?: Array<number>, status?: number, message?: string}>}
+ * Student IDs, or an error response
+ */
+async function resolveStudents({ student_ids, group_id }) {
+  if ((student_ids === undefined) === (group_id === undefined)) {
+    return { status: 400, message: "Send either student_ids or group_id" };
+  }
+  if (group_id !== undefined) {
+    const group = Number.isInteger(group_id)
+      ? await Group.findByPk(group_id)
+      : null;
+    if (!group) return { status: 404, message: "Group not found" };
+    const members = await GroupMember.findAll({
+      where: { group_id: group.id },
+      attributes: ["student_id"],
+    });
+    if (!members.length) {
+      return { status: 400, message: "The group has no members" };
+    }
+    return { studentIds: members.map((member) => member.student_id) };
+  }
+  const idsError = await validateStudentIds(student_ids);
+  if (idsError) return { status: 400, message: idsError };
+  if (!student_ids.length) {
+    return { status: 400, message: "Select at least one student" };
+  }
+  return { studentIds: student_ids };
+}
+
+/**
+ * List goal templates
+ * @route GET /api/goal-templates
+ * @description Retrieves all goal templates ordered by title
+ * @access Private (staff)
+ * @returns {Array<Object>} Array of templates
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    const templates = await GoalTemplate.findAll({
+      order: [
+        ["title", "ASC"],
+        ["id", "ASC"],
+      ],
+    });
+    res.json(templates);
+  } catch (error) {
+    console.error("Error fetching goal templates:", error);
+    res.status(500).json({ message: "Failed to fetch goal templates" });
+  }
+});
+
+/**
+ * Create a goal template
+ * @route POST /api/goal-templates
+ * @description Creates a goal template
+ * @access Private (admin or mentor)
+ * @param {string} req.body.title - Title of the goals it creates (required)
+ * @param {string} [req.body.description] - Description of the goals
+ * @param {number|null} [req.body.target_offset_days] - Days from assignment to the target
+ * date (0-3650); null or left out for no target date
+ * @param {Array<string>} [req.body.milestones] - Milestone titles, in order (up to 50)
+ * @returns {Object} Created template (201)
+ * @throws {400} Bad request if a field is missing or invalid
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
+  try {
+    const { values, error } = parseTemplate(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const template = await GoalTemplate.create(values);
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GOAL_TEMPLATE,
+      action: AUDIT_ACTIONS.CREATE,
+      after: template,
+    });
+    res.status(201).json(template);
+  } catch (error) {
+    console.error("Error creating goal template:", error);
+    res.status(500).json({ message: "Failed to create goal template" });
+  }
+});
+
+/**
+ * Update a goal template
+ * @route PATCH /api/goal-templates/:id
+ * @description Updates a template. Only provided fields are changed; goals already created
+ * from it are not.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Template ID
+ * @param {Object} req.body - Any of the fields accepted when creating a template
+ * @returns {Object} Updated template
+ * @throws {400} Bad request if a field is invalid
+ * @throws {404} Template not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.patch("/:id", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
+  try {
+    const template = await GoalTemplate.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: "Goal template not found" });
+    }
+    const { values, error } = parseTemplate(req.body, true);
+    if (error) return res.status(400).json({ message: error });
+
+    const before = template.toJSON();
+    await template.update(values);
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GOAL_TEMPLATE,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after: template,
+    });
+    res.json(template);
+  } catch (error) {
+    console.error("Error updating goal template:", error);
+    res.status(500).json({ message: "Failed to update goal template" });
+  }
+});
+
+/**
+ * Assign a goal template
+ * @route POST /api/goal-templates/:id/assign
+ * @description Creates a goal with the template's title, description, target date (today
+ * plus target_offset_days) and milestones for each selected student, in one transaction.
+ * Archived students, students a restricted mentor is not assigned to and students who
+ * already have an open goal with the same title are skipped.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Template ID
+ * @param {Array<number>} [req.body.student_ids] - Students to give the goal to
+ * @param {number} [req.body.group_id] - Give the goal to every member of this group instead
+ * @returns {Object} { message, created, skipped, results } where results has one entry per
+ * student: { student_id, name, status: "created" | "skipped", goal_id, reason }
+ * @throws {400} Bad request if neither or both of student_ids and group_id are sent, or
+ * the students are invalid
+ * @throws {404} Template or group not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post(
+  "/:id/assign",
+  authorizeRoles(...EDITOR_ROLES),
+  async (req, res) => {
+    try {
+      const template = await GoalTemplate.findByPk(req.params.id);
+      if (!template) {
+        return res.status(404).json({ message: "Goal template not found" });
+      }
+      const { studentIds, status, message } = await resolveStudents(req.body);
+      if (!studentIds) return res.status(status).json({ message });
+
+      const { results, goals } = await assignTemplate(
+        template,
+        studentIds,
+        req.user
+      );
+      for (const goal of goals) {
+        await recordAudit({
+          actorId: req.user.id,
+          entityType: AUDIT_ENTITIES.GOAL,
+          action: AUDIT_ACTIONS.CREATE,
+          after: goal,
+        });
+      }
+      res.json({
+        message: `Goal added for ${goals.length} of ${results.length} students`,
+        created: goals.length,
+        skipped: results.length - goals.length,
+        results,
+      });
+    } catch (error) {
+      console.error("Error assigning goal template:", error);
+      res.status(500).json({ message: "Failed to assign goal template" });
+    }
+  }
+);
+
+/**
+ * Delete a goal template
+ * @route DELETE /api/goal-templates/:id
+ * @description Deletes a template. Goals already created from it are kept.
+ * @access Private (admin only)
+ * @param {string} req.params.id - Template ID
+ * @returns {Object} Success message
+ * @throws {404} Template not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const template = await GoalTemplate.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: "Goal template not found" });
+    }
+    await template.destroy();
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GOAL_TEMPLATE,
+      action: AUDIT_ACTIONS.DELETE,
+      before: template,
+    });
+    res.json({ message: "Goal template deleted" });
+  } catch (error) {
+    console.error("Error deleting goal template:", error);
+    res.status(500).json({ message: "Failed to delete goal template" });
+  }
+});
+
+export default router;
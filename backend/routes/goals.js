@@ -7,25 +7,89 @@
  */
 
 import express from "express";
+import { Op } from "sequelize";
 import { Goal, Student, PointsLog } from "../models.js";
 import { POINTS } from "../config/pointsConfig.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { ROLES, EDITOR_ROLES } from "../config/roles.js";
+import { parseMentorScope } from "../middleware/mentorScope.js";
+import {
+  assignedTo,
+  canAccessStudent,
+  NOT_ASSIGNED_MESSAGE,
+} from "../services/mentors.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+import {
+  MILESTONES_INCLUDE,
+  MILESTONES_ORDER,
+  attachProgress,
+} from "../services/goalMilestones.js";
+import {
+  CATEGORY_INCLUDE,
+  parseGoalClassification,
+} from "../services/goalCategories.js";
+import milestoneRoutes from "./milestones.js";
 
 const router = express.Router();
 
+/**
+ * List goals students asked to have marked complete
+ * @route GET /api/goals/completion-requests
+ * @description Retrieves open goals with a pending completion request from the student
+ * portal, oldest request first. Approve by setting is_completed, decline by clearing
+ * completion_requested_at, both with PATCH /api/goals/:id. Restricted mentors only get
+ * requests from their assigned students.
+ * @access Private (staff)
+ * @param {string} [req.query.mine] - "true" to only include students assigned to the current user
+ * @returns {Array<Object>} Goals with Student { id, name }
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/completion-requests", parseMentorScope, async (req, res) => {
+  try {
+    const goals = await Goal.findAll({
+      where: {
+        is_completed: false,
+        completion_requested_at: { [Op.ne]: null },
+        ...(req.mentorId ? { student_id: assignedTo(req.mentorId) } : {}),
+      },
+      include: [{ model: Student, attributes: ["id", "name"] }],
+      order: [["completion_requested_at", "ASC"]],
+    });
+    res.json(goals);
+  } catch (error) {
+    console.error("Error fetching completion requests:", error);
+    res.status(500).json({ message: "Failed to fetch completion requests" });
+  }
+});
+
 /**
  * Get a single goal by ID
  * @route GET /api/goals/:id
- * @description Retrieves a specific goal by its unique identifier
+ * @description Retrieves a specific goal by its unique identifier, with its milestones in
+ * order, its category and a progress percentage (100 when completed, otherwise the share of
+ * milestones done)
  * @access Private (requires JWT authentication)
  * @param {string} req.params.id - Goal ID
- * @returns {Object} Goal object with all properties
+ * @returns {Object} Goal object with all properties, milestones, category and progress
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the goal's student
  * @throws {404} Goal not found
  * @throws {500} Internal server error if database query fails
  */
 router.get("/:id", async (req, res) => {
   const { id } = req.params;
-  const goal = await Goal.findByPk(id);
+  const goal = await Goal.findByPk(id, {
+    include: [MILESTONES_INCLUDE, CATEGORY_INCLUDE],
+    order: MILESTONES_ORDER,
+  });
   if (!goal) return res.status(404).json({ message: "Goal not found" });
+  if (!(await canAccessStudent(req.user, goal.student_id))) {
+    return res.status(403).json({ message: NOT_ASSIGNED_MESSAGE });
+  }
+  attachProgress([goal]);
   res.json(goal);
 });
 
@@ -33,18 +97,29 @@ router.get("/:id", async (req, res) => {
  * Create a new goal
  * @route POST /api/goals
  * @description Creates a new goal for a student with optional description and target date
- * @access Private (requires JWT authentication)
+ * @access Private (admin or mentor)
  * @param {Object} req.body - Goal data
  * @param {number} req.body.student_id - Student ID (required)
  * @param {string} req.body.title - Goal title (required)
  * @param {string} [req.body.description] - Goal description (optional)
  * @param {string} [req.body.target_date] - Target completion date in ISO format (optional)
+ * @param {number|null} [req.body.category_id] - Goal category (optional)
+ * @param {string} [req.body.priority] - low|normal|high (default: normal)
  * @returns {Object} Success message with created goal data
- * @throws {400} Bad request if required fields are missing
+ * @throws {400} Bad request if required fields are missing or the category or priority is
+ * invalid
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the student
  * @throws {500} Internal server error if database operation fails
  */
-router.post("/", async (req, res) => {
+router.post("/", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
   const { student_id, title, description, target_date } = req.body;
+  if (!(await canAccessStudent(req.user, student_id))) {
+    return res.status(403).json({ message: NOT_ASSIGNED_MESSAGE });
+  }
+  const { values: classification, error } = await parseGoalClassification(
+    req.body
+  );
+  if (error) return res.status(400).json({ message: error });
   // Make description and target_date optional/null if missing or invalid
   let safeDescription =
     description && description.trim() !== "" ? description : null;
@@ -57,20 +132,38 @@ router.post("/", async (req, res) => {
     title,
     description: safeDescription,
     target_date: safeTargetDate,
+    ...classification,
     setup_date: new Date(),
     updated_at: new Date(),
     is_completed: false,
   });
+  await recordAudit({
+    actorId: req.user.id,
+    entityType: AUDIT_ENTITIES.GOAL,
+    action: AUDIT_ACTIONS.CREATE,
+    after: goal,
+  });
   res.status(201).json(goal);
 });
 
-router.patch("/:id", async (req, res) => {
+router.patch("/:id", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
   const { id } = req.params;
-  const { title, description, target_date, is_completed, completed_at } =
-    req.body;
+  const {
+    title,
+    description,
+    target_date,
+    is_completed,
+    completed_at,
+    completion_requested_at,
+  } = req.body;
   const updates = { updated_at: new Date() };
 
   if (title !== undefined) updates.title = title;
+  const { values: classification, error } = await parseGoalClassification(
+    req.body
+  );
+  if (error) return res.status(400).json({ message: error });
+  Object.assign(updates, classification);
   if (description !== undefined)
     updates.description =
       description && description.trim() !== "" ? description : null;
@@ -109,8 +202,20 @@ router.patch("/:id", async (req, res) => {
     }
   }
 
+  // Completing a goal answers a pending completion request. Leaders decline a request
+  // by sending completion_requested_at: null.
+  if (updates.is_completed || completion_requested_at === null) {
+    updates.completion_requested_at = null;
+  }
+
   // Fetch the goal before update to check previous completion state
   const goalBefore = await Goal.findByPk(id);
+  if (
+    goalBefore &&
+    !(await canAccessStudent(req.user, goalBefore.student_id))
+  ) {
+    return res.status(403).json({ message: NOT_ASSIGNED_MESSAGE });
+  }
   const wasCompleted = goalBefore && goalBefore.is_completed;
   const wasOnTime =
     goalBefore &&
@@ -119,8 +224,15 @@ router.patch("/:id", async (req, res) => {
     new Date(goalBefore.completed_at) <= new Date(goalBefore.target_date);
 
   await Goal.update(updates, { where: { id } });
-  const updated = await Goal.findByPk(id);
+  const updated = await Goal.findByPk(id, { include: [CATEGORY_INCLUDE] });
   if (!updated) return res.status(404).json({ message: "Goal not found" });
+  await recordAudit({
+    actorId: req.user.id,
+    entityType: AUDIT_ENTITIES.GOAL,
+    action: AUDIT_ACTIONS.UPDATE,
+    before: goalBefore,
+    after: updated,
+  });
 
   // Award or subtract points based on completion state change
   const student = updated ? await Student.findByPk(updated.student_id) : null;
@@ -183,10 +295,22 @@ router.patch("/:id", async (req, res) => {
 });
 
 // Delete a goal
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
   const { id } = req.params;
+  const goal = await Goal.findByPk(id);
   await Goal.destroy({ where: { id } });
+  if (goal) {
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GOAL,
+      action: AUDIT_ACTIONS.DELETE,
+      before: goal,
+    });
+  }
   res.json({ message: "Goal deleted" });
 });
 
+// Checklist steps inside a goal: /api/goals/:id/milestones
+router.use("/:id/milestones", milestoneRoutes);
+
 export default router;
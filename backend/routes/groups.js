@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Student group routes
+ * @description CRUD for groups (cohorts, classes) and their membership. Any staff member
+ * can read groups; admins and mentors manage them and only admins can delete one.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { Group, GroupMember, Student, sequelize } from "../models.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { ROLES, EDITOR_ROLES } from "../config/roles.js";
+import { validateStudentIds, setGroupMembers } from "../services/groups.js";
+import {
+  assignedTo,
+  isRestrictedMentor,
+  inaccessibleStudentIds,
+  NOT_ASSIGNED_MESSAGE,
+} from "../services/mentors.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Check the name of a new or renamed group
+ * @param {*} name - Value of req.body.name
+ * @param {number|null} [exceptId] - Group being renamed, which may keep its own name
+ * @returns {Promise<{status: number, message: string}|null>} Error response, or null if valid
+ */
+async function checkName(name, exceptId = null) {
+  if (typeof name !== "string" || !name.trim()) {
+    return { status: 400, message: "Name required" };
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return {
+      status: 400,
+      message: `Name must be at most ${MAX_NAME_LENGTH} characters`,
+    };
+  }
+  const existing = await Group.findOne({ where: { name: name.trim() } });
+  if (existing && existing.id !== exceptId) {
+    return { status: 409, message: "A group with this name already exists" };
+  }
+  return null;
+}
+
+/**
+ * List groups
+ * @route GET /api/groups
+ * @description Retrieves all groups ordered by name, with how many students each has
+ * @access Private (staff)
+ * @returns {Array<Object>} Array of groups with member_count
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    const groups = await Group.findAll({
+      attributes: {
+        include: [
+          [
+            sequelize.literal(
+              "(SELECT COUNT(*) FROM group_members WHERE group_members.group_id = Group.id)"
+            ),
+            "member_count",
+          ],
+        ],
+      },
+      order: [["name", "ASC"]],
+    });
+    res.json(groups);
+  } catch (error) {
+    console.error("Error fetching groups:", error);
+    res.status(500).json({ message: "Failed to fetch groups" });
+  }
+});
+
+/**
+ * Get a group with its members
+ * @route GET /api/groups/:id
+ * @description Retrieves a group and the students in it, ordered by name. Restricted mentors
+ * only see the members assigned to them.
+ * @access Private (staff)
+ * @param {string} req.params.id - Group ID
+ * @returns {Object} Group with Students: [{ id, name }]
+ * @throws {404} Group not found
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const restricted = await isRestrictedMentor(req.user);
+    const group = await Group.findByPk(req.params.id, {
+      include: [
+        {
+          model: Student,
+          attributes: ["id", "name"],
+          through: { attributes: [] },
+          ...(restricted && {
+            where: { id: assignedTo(req.user.id) },
+            required: false,
+          }),
+        },
+      ],
+      order: [[Student, "name", "ASC"]],
+    });
+    if (!group) return res.status(404).json({ message: "Group not found" });
+    res.json(group);
+  } catch (error) {
+    console.error("Error fetching group:", error);
+    res.status(500).json({ message: "Failed to fetch group" });
+  }
+});
+
+/**
+ * Create a group
+ * @route POST /api/groups
+ * @description Creates a group, optionally with its first members
+ * @access Private (admin or mentor)
+ * @param {Object} req.body - Group data
+ * @param {string} req.body.name - Unique group name (required)
+ * @param {string} [req.body.description] - What the group is for
+ * @param {Array<number>} [req.body.student_ids] - Students to add to the group
+ * @returns {Object} Created group (201)
+ * @throws {400} Bad request if the name or student_ids are invalid
+ * @throws {403} Forbidden if a restricted mentor lists a student not assigned to them
+ * @throws {409} Conflict if another group already has this name
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
+  try {
+    const { name, description, student_ids } = req.body;
+    const nameError = await checkName(name);
+    if (nameError) {
+      return res.status(nameError.status).json({ message: nameError.message });
+    }
+    if (student_ids !== undefined) {
+      const idsError = await validateStudentIds(student_ids);
+      if (idsError) return res.status(400).json({ message: idsError });
+      if ((await inaccessibleStudentIds(req.user, student_ids)).length) {
+        return res.status(403).json({ message: NOT_ASSIGNED_MESSAGE });
+      }
+    }
+
+    const group = await Group.create({
+      name: name.trim(),
+      description: description || null,
+    });
+    if (student_ids?.length) await setGroupMembers(group.id, student_ids);
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GROUP,
+      action: AUDIT_ACTIONS.CREATE,
+      after: group,
+    });
+    res.status(201).json(group);
+  } catch (error) {
+    console.error("Error creating group:", error);
+    res.status(500).json({ message: "Failed to create group" });
+  }
+});
+
+/**
+ * Update a group
+ * @route PATCH /api/groups/:id
+ * @description Renames a group or changes its description. Only provided fields are updated.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Group ID
+ * @param {string} [req.body.name] - New unique name
+ * @param {string} [req.body.description] - New description
+ * @returns {Object} Updated group
+ * @throws {400} Bad request if the name is invalid
+ * @throws {404} Group not found
+ * @throws {409} Conflict if another group already has this name
+ * @throws {500} Internal server error if database operation fails
+ */
+router.patch("/:id", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
+  try {
+    const group = await Group.findByPk(req.params.id);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+
+    const { name, description } = req.body;
+    if (name !== undefined) {
+      const nameError = await checkName(name, group.id);
+      if (nameError) {
+        return res
+          .status(nameError.status)
+          .json({ message: nameError.message });
+      }
+    }
+
+    const before = group.toJSON();
+    await group.update({
+      ...(name !== undefined ? { name: name.trim() } : {}),
+      ...(description !== undefined
+        ? { description: description || null }
+        : {}),
+    });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GROUP,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after: group,
+    });
+    res.json(group);
+  } catch (error) {
+    console.error("Error updating group:", error);
+    res.status(500).json({ message: "Failed to update group" });
+  }
+});
+
+/**
+ * Replace the members of a group
+ * @route PUT /api/groups/:id/members
+ * @description Sets exactly which students belong to the group; students not listed are removed.
+ * Restricted mentors can only add and remove students assigned to them; members they cannot
+ * see (and so cannot list) stay in the group.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Group ID
+ * @param {Array<number>} req.body.student_ids - Students in the group (empty array to clear it)
+ * @returns {Object} { message, member_count }
+ * @throws {400} Bad request if student_ids is missing or contains unknown students
+ * @throws {403} Forbidden if a restricted mentor adds a student not assigned to them
+ * @throws {404} Group not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.put(
+  "/:id/members",
+  authorizeRoles(...EDITOR_ROLES),
+  async (req, res) => {
+    try {
+      const group = await Group.findByPk(req.params.id);
+      if (!group) return res.status(404).json({ message: "Group not found" });
+
+      const { student_ids } = req.body;
+      const idsError = await validateStudentIds(student_ids);
+      if (idsError) return res.status(400).json({ message: idsError });
+
+      const current = (
+        await GroupMember.findAll({
+          where: { group_id: group.id },
+          attributes: ["student_id"],
+        })
+      ).map((member) => member.student_id);
+      const added = student_ids.filter((id) => !current.includes(id));
+      if ((await inaccessibleStudentIds(req.user, added)).length) {
+        return res.status(403).json({ message: NOT_ASSIGNED_MESSAGE });
+      }
+      const removed = current.filter((id) => !student_ids.includes(id));
+      const hidden = await inaccessibleStudentIds(req.user, removed);
+
+      const members = [...student_ids, ...hidden];
+      await setGroupMembers(group.id, members);
+      res.json({
+        message: "Group members updated",
+        member_count: new Set(members).size,
+      });
+    } catch (error) {
+      console.error("Error updating group members:", error);
+      res.status(500).json({ message: "Failed to update group members" });
+    }
+  }
+);
+
+/**
+ * Delete a group
+ * @route DELETE /api/groups/:id
+ * @description Deletes the group and its memberships. The students themselves are kept.
+ * @access Private (admin only)
+ * @param {string} req.params.id - Group ID
+ * @returns {Object} Success message
+ * @throws {404} Group not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const group = await Group.findByPk(req.params.id);
+    if (!group) return res.status(404).json({ message: "Group not found" });
+    await group.destroy();
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GROUP,
+      action: AUDIT_ACTIONS.DELETE,
+      before: group,
+    });
+    res.json({ message: "Group deleted" });
+  } catch (error) {
+    console.error("Error deleting group:", error);
+    res.status(500).json({ message: "Failed to delete group" });
+  }
+});
+
+export default router;
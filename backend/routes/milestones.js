@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Goal milestone routes
+ * @description Ordered checklist steps inside a goal, mounted at /api/goals/:id/milestones.
+ * Staff can read milestones; admins and mentors can change them.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { GoalMilestone } from "../models.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { loadGoal } from "../middleware/loadGoal.js";
+import { EDITOR_ROLES } from "../config/roles.js";
+import {
+  findMilestones,
+  addMilestone,
+  setMilestoneCompleted,
+  deleteMilestone,
+  reorderMilestones,
+  validateMilestoneTitle,
+} from "../services/goalMilestones.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+
+// mergeParams exposes the goal ID (:id) from the parent router
+const router = express.Router({ mergeParams: true });
+
+router.use(loadGoal);
+
+/**
+ * Find one of the loaded goal's milestones
+ * @function findGoalMilestone
+ * @param {Object} req - Express request object, after loadGoal
+ * @returns {Promise<Object|null>} Milestone, or null if the goal has no such milestone
+ */
+function findGoalMilestone(req) {
+  return GoalMilestone.findOne({
+    where: { id: req.params.milestoneId, goal_id: req.goal.id },
+  });
+}
+
+/**
+ * List a goal's milestones
+ * @route GET /api/goals/:id/milestones
+ * @description Retrieves the goal's milestones in order
+ * @access Private (staff)
+ * @param {string} req.params.id - Goal ID
+ * @returns {Array<Object>} Milestones, lowest position first
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the goal's student
+ * @throws {404} Goal not found
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    res.json(await findMilestones(req.goal.id));
+  } catch (error) {
+    console.error("Error fetching milestones:", error);
+    res.status(500).json({ message: "Failed to fetch milestones" });
+  }
+});
+
+/**
+ * Add a milestone
+ * @route POST /api/goals/:id/milestones
+ * @description Adds a milestone after the goal's existing ones
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Goal ID
+ * @param {string} req.body.title - Milestone title (required, up to 255 characters)
+ * @returns {Object} Created milestone (201)
+ * @throws {400} Bad request if the title is missing or too long
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the goal's student
+ * @throws {404} Goal not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
+  try {
+    const error = validateMilestoneTitle(req.body.title);
+    if (error) return res.status(400).json({ message: error });
+    const milestone = await addMilestone(req.goal.id, req.body.title);
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GOAL_MILESTONE,
+      action: AUDIT_ACTIONS.CREATE,
+      after: milestone,
+    });
+    res.status(201).json(milestone);
+  } catch (error) {
+    console.error("Error creating milestone:", error);
+    res.status(500).json({ message: "Failed to create milestone" });
+  }
+});
+
+/**
+ * Reorder milestones
+ * @route PUT /api/goals/:id/milestones/order
+ * @description Saves a new order for the goal's milestones. Each milestone that moved is
+ * audited with its new position.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Goal ID
+ * @param {Array<number>} req.body.milestone_ids - Every milestone ID of the goal, in the new order
+ * @returns {Array<Object>} Milestones in their new order
+ * @throws {400} Bad request if milestone_ids does not list each milestone exactly once
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the goal's student
+ * @throws {404} Goal not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.put("/order", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
+  try {
+    const before = await findMilestones(req.goal.id);
+    const error = await reorderMilestones(req.goal.id, req.body.milestone_ids);
+    if (error) return res.status(400).json({ message: error });
+    const milestones = await findMilestones(req.goal.id);
+    for (const milestone of milestones) {
+      await recordAudit({
+        actorId: req.user.id,
+        entityType: AUDIT_ENTITIES.GOAL_MILESTONE,
+        action: AUDIT_ACTIONS.UPDATE,
+        before: before.find((old) => old.id === milestone.id),
+        after: milestone,
+      });
+    }
+    res.json(milestones);
+  } catch (error) {
+    console.error("Error reordering milestones:", error);
+    res.status(500).json({ message: "Failed to reorder milestones" });
+  }
+});
+
+/**
+ * Update a milestone
+ * @route PATCH /api/goals/:id/milestones/:milestoneId
+ * @description Renames a milestone or ticks it off. Completing sets completed_at to now and
+ * awards POINTS.COMPLETE_MILESTONE; reopening clears it and takes the points back.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Goal ID
+ * @param {string} req.params.milestoneId - Milestone ID
+ * @param {string} [req.body.title] - New title
+ * @param {boolean} [req.body.completed] - Whether the milestone is done
+ * @returns {Object} Updated milestone
+ * @throws {400} Bad request if a field is invalid
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the goal's student
+ * @throws {404} Goal or milestone not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.patch(
+  "/:milestoneId",
+  authorizeRoles(...EDITOR_ROLES),
+  async (req, res) => {
+    try {
+      const milestone = await findGoalMilestone(req);
+      if (!milestone) {
+        return res.status(404).json({ message: "Milestone not found" });
+      }
+      const { title, completed } = req.body;
+      if (title !== undefined) {
+        const error = validateMilestoneTitle(title);
+        if (error) return res.status(400).json({ message: error });
+      }
+      if (completed !== undefined && typeof completed !== "boolean") {
+        return res
+          .status(400)
+          .json({ message: "completed must be true or false" });
+      }
+
+      const before = milestone.toJSON();
+      if (title !== undefined) await milestone.update({ title: title.trim() });
+      if (completed !== undefined) {
+        await setMilestoneCompleted(req.goal, milestone, completed);
+      }
+      await recordAudit({
+        actorId: req.user.id,
+        entityType: AUDIT_ENTITIES.GOAL_MILESTONE,
+        action: AUDIT_ACTIONS.UPDATE,
+        before,
+        after: milestone,
+      });
+      res.json(milestone);
+    } catch (error) {
+      console.error("Error updating milestone:", error);
+      res.status(500).json({ message: "Failed to update milestone" });
+    }
+  }
+);
+
+/**
+ * Delete a milestone
+ * @route DELETE /api/goals/:id/milestones/:milestoneId
+ * @description Removes a milestone. Deleting a completed milestone deducts the
+ * POINTS.COMPLETE_MILESTONE it earned.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Goal ID
+ * @param {string} req.params.milestoneId - Milestone ID
+ * @returns {Object} Success message
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the goal's student
+ * @throws {404} Goal or milestone not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete(
+  "/:milestoneId",
+  authorizeRoles(...EDITOR_ROLES),
+  async (req, res) => {
+    try {
+      const milestone = await findGoalMilestone(req);
+      if (!milestone) {
+        return res.status(404).json({ message: "Milestone not found" });
+      }
+      await deleteMilestone(req.goal, milestone);
+      await recordAudit({
+        actorId: req.user.id,
+        entityType: AUDIT_ENTITIES.GOAL_MILESTONE,
+        action: AUDIT_ACTIONS.DELETE,
+        before: milestone,
+      });
+      res.json({ message: "Milestone deleted" });
+    } catch (error) {
+      console.error("Error deleting milestone:", error);
+      res.status(500).json({ message: "Failed to delete milestone" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Student note routes
+ * @description Leaders' pastoral notes on a student, mounted at /api/students/:id/notes.
+ * Only admins and mentors can read and write notes; private notes are only shown to their
+ * author.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { StudentNote } from "../models.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { loadStudent } from "../middleware/loadStudent.js";
+import { ROLES, EDITOR_ROLES } from "../config/roles.js";
+import { findNotes, findNote, parseNote } from "../services/notes.js";
+
+// mergeParams exposes the student ID (:id) from the parent router
+const router = express.Router({ mergeParams: true });
+
+router.use(authorizeRoles(...EDITOR_ROLES), loadStudent);
+
+/**
+ * List a student's notes
+ * @route GET /api/students/:id/notes
+ * @description Retrieves the notes the current user may read, pinned notes first, then
+ * newest first
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Student ID
+ * @param {string} [req.query.search] - Text the notes must contain
+ * @returns {Array<Object>} Array of notes with their author ({ id, user_name })
+ * @throws {404} Student not found
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    const notes = await findNotes(req.user, {
+      studentId: req.student.id,
+      search: req.query.search,
+    });
+    res.json(notes);
+  } catch (error) {
+    console.error("Error fetching notes:", error);
+    res.status(500).json({ message: "Failed to fetch notes" });
+  }
+});
+
+/**
+ * Add a note
+ * @route POST /api/students/:id/notes
+ * @description Adds a note written by the current user
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Student ID
+ * @param {string} req.body.body - Note text in Markdown (required, up to 10000 characters)
+ * @param {string} [req.body.visibility] - private (only the author) or leaders (default)
+ * @param {boolean} [req.body.pinned] - Show the note above the others
+ * @returns {Object} Created note (201)
+ * @throws {400} Bad request if a field is missing or invalid
+ * @throws {404} Student not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { values, error } = parseNote(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const note = await StudentNote.create({
+      ...values,
+      student_id: req.student.id,
+      author_id: req.user.id,
+    });
+    res.status(201).json(await findNote(req.user, req.student.id, note.id));
+  } catch (error) {
+    console.error("Error creating note:", error);
+    res.status(500).json({ message: "Failed to create note" });
+  }
+});
+
+/**
+ * Update a note
+ * @route PATCH /api/students/:id/notes/:noteId
+ * @description Updates a note. Only provided fields are changed. Only the author can change
+ * the body or visibility; any leader who can read the note can pin or unpin it.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Student ID
+ * @param {string} req.params.noteId - Note ID
+ * @param {Object} req.body - Any of the fields accepted when adding a note
+ * @returns {Object} Updated note
+ * @throws {400} Bad request if a field is invalid
+ * @throws {403} Forbidden if someone other than the author changes the body or visibility
+ * @throws {404} Student or note not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.patch("/:noteId", async (req, res) => {
+  try {
+    const note = await findNote(req.user, req.student.id, req.params.noteId);
+    if (!note) return res.status(404).json({ message: "Note not found" });
+    const { values, error } = parseNote(req.body, true);
+    if (error) return res.status(400).json({ message: error });
+
+    const changesContent =
+      values.body !== undefined || values.visibility !== undefined;
+    if (changesContent && note.author_id !== req.user.id) {
+      return res
+        .status(403)
+        .json({ message: "Only the author can edit a note" });
+    }
+    await note.update({
+      ...values,
+      ...(changesContent ? { updated_at: new Date() } : {}),
+    });
+    res.json(note);
+  } catch (error) {
+    console.error("Error updating note:", error);
+    res.status(500).json({ message: "Failed to update note" });
+  }
+});
+
+/**
+ * Delete a note
+ * @route DELETE /api/students/:id/notes/:noteId
+ * @description Removes a note. Authors can delete their own notes and admins any note they
+ * can read.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Student ID
+ * @param {string} req.params.noteId - Note ID
+ * @returns {Object} Success message
+ * @throws {403} Forbidden if a mentor deletes someone else's note
+ * @throws {404} Student or note not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/:noteId", async (req, res) => {
+  try {
+    const note = await findNote(req.user, req.student.id, req.params.noteId);
+    if (!note) return res.status(404).json({ message: "Note not found" });
+    if (note.author_id !== req.user.id && req.user.role !== ROLES.ADMIN) {
+      return res
+        .status(403)
+        .json({ message: "Only the author can delete a note" });
+    }
+    await note.destroy();
+    res.json({ message: "Note deleted" });
+  } catch (error) {
+    console.error("Error deleting note:", error);
+    res.status(500).json({ message: "Failed to delete note" });
+  }
+});
+
+export default router;
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview OpenID Connect single sign-on routes
+ * @description Authorization code + PKCE sign-in through the organisation's identity
+ * provider, alongside password login. Mounted under /api/auth/oidc.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { getOidcConfig } from "../config/oidc.js";
+import { createSession, sessionMetaFromRequest } from "../services/sessions.js";
+import {
+  consumeLoginRequest,
+  exchangeCode,
+  resolveOidcUser,
+  startOidcLogin,
+} from "../services/oidc.js";
+import {
+  LOGIN_OUTCOMES,
+  clearFailedLogins,
+  recordLoginAttempt,
+} from "../services/loginSecurity.js";
+import { twoFactorChallenge } from "../services/twoFactor.js";
+
+const router = express.Router();
+
+/**
+ * Refuse SSO requests when no provider is configured
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * @throws {404} Not found if OIDC_ISSUER or OIDC_CLIENT_ID is not set
+ */
+function requireOidc(req, res, next) {
+  req.oidcConfig = getOidcConfig();
+  if (!req.oidcConfig.enabled) {
+    return res
+      .status(404)
+      .json({ message: "Single sign-on is not configured" });
+  }
+  next();
+}
+
+/**
+ * Get the single sign-on settings for the login page
+ * @route GET /api/auth/oidc/config
+ * @description Tells the login page whether to show the "Sign in with…" button
+ * @access Public
+ * @returns {Object} { enabled, provider_name }
+ */
+router.get("/config", (req, res) => {
+  const config = getOidcConfig();
+  res.json({
+    enabled: config.enabled,
+    provider_name: config.enabled ? config.providerName : null,
+  });
+});
+
+/**
+ * Start a single sign-on login
+ * @route POST /api/auth/oidc/start
+ * @description Creates a single-use login request and returns the provider URL to send the
+ * browser to. The frontend keeps `state` and checks that the callback returns the same value.
+ * @access Public
+ * @returns {Object} { authorization_url, state }
+ * @throws {404} Not found if single sign-on is not configured
+ * @throws {500} Internal server error if the provider or database cannot be reached
+ */
+router.post("/start", requireOidc, async (req, res) => {
+  try {
+    const { authorizationUrl, state } = await startOidcLogin(req.oidcConfig);
+    res.json({ authorization_url: authorizationUrl, state });
+  } catch (error) {
+    console.error("Error starting single sign-on:", error);
+    res.status(500).json({ message: "Failed to start single sign-on" });
+  }
+});
+
+/**
+ * Complete a single sign-on login
+ * @route POST /api/auth/oidc/callback
+ * @description Exchanges the authorization code (with the stored PKCE verifier) for an ID
+ * token, maps the identity to a local user and starts a session. Users with 2FA, or all
+ * users while the require_2fa setting is on, get the same challenge as password login.
+ * @access Public
+ * @param {Object} req.body - Callback parameters from the provider redirect
+ * @param {string} req.body.code - Authorization code
+ * @param {string} req.body.state - State from POST /api/auth/oidc/start
+ * @returns {Object} { token, refreshToken }, or { twoFactorRequired | twoFactorSetupRequired, challengeToken }
+ * @throws {400} Bad request if code or state is missing, unknown, expired or already used
+ * @throws {401} Unauthorized if the code exchange or ID token verification fails
+ * @throws {403} Forbidden if no account matches the identity or the account is disabled
+ * @throws {404} Not found if single sign-on is not configured
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/callback", requireOidc, async (req, res) => {
+  const { code, state } = req.body;
+  if (!code || !state) {
+    return res.status(400).json({ message: "code and state are required" });
+  }
+  const meta = sessionMetaFromRequest(req);
+  try {
+    const request = await consumeLoginRequest(state);
+    if (!request) {
+      return res
+        .status(400)
+        .json({ message: "This sign-in has expired, please try again" });
+    }
+
+    let claims;
+    try {
+      claims = await exchangeCode(code, request, req.oidcConfig);
+    } catch (error) {
+      console.error("Single sign-on rejected:", error.message);
+      await recordLoginAttempt({
+        user: null,
+        userName: "(single sign-on)",
+        reason: LOGIN_OUTCOMES.SSO_FAILED,
+        meta,
+      });
+      return res.status(401).json({ message: "Single sign-on failed" });
+    }
+
+    const userName = claims.preferred_username || claims.email || claims.sub;
+    const user = await resolveOidcUser(claims, req.oidcConfig);
+    if (!user) {
+      await recordLoginAttempt({
+        user: null,
+        userName,
+        reason: LOGIN_OUTCOMES.SSO_NO_ACCOUNT,
+        meta,
+      });
+      return res.status(403).json({
+        message:
+          "No account matches this sign-in. Ask an administrator for an invite.",
+      });
+    }
+    if (!user.is_active) {
+      await recordLoginAttempt({
+        user,
+        userName,
+        reason: LOGIN_OUTCOMES.DISABLED,
+        meta,
+      });
+      return res
+        .status(403)
+        .json({ message: "This account has been disabled" });
+    }
+
+    // The second factor is still ours to check, whatever the provider asked for
+    const challenge = await twoFactorChallenge(user);
+    if (challenge) return res.json(challenge);
+
+    // The provider vouched for the user, so a password lockout no longer applies
+    await clearFailedLogins(user.id);
+    await recordLoginAttempt({
+      user,
+      userName,
+      reason: LOGIN_OUTCOMES.SSO_SUCCESS,
+      meta,
+    });
+    const tokens = await createSession(user, meta);
+    res.json(tokens);
+  } catch (error) {
+    console.error("Error completing single sign-on:", error);
+    res.status(500).json({ message: "Failed to complete single sign-on" });
+  }
+});
+
+export default router;
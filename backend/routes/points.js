@@ -8,6 +8,9 @@
 import express from "express";
 import { getPointsLeaderboard } from "../services/points.js";
 import { authenticateJWT } from "../middleware/auth.js";
+import { parseGroupFilter } from "../middleware/groupFilter.js";
+import { parseTagFilter } from "../middleware/tagFilter.js";
+import { parseMentorScope } from "../middleware/mentorScope.js";
 const router = express.Router();
 
 /**
@@ -15,23 +18,42 @@ const router = express.Router();
  * @route GET /api/points/leaderboard
  * @description Retrieves the points leaderboard showing student rankings by total points
  * @access Private (requires JWT authentication)
+ * @param {string} [req.query.group_id] - Only rank students in this group
+ * @param {string} [req.query.tags] - Comma-separated tag IDs; only rank students with every one of them
+ * @param {string} [req.query.mine] - "true" to only rank students assigned to the current user;
+ * restricted mentors always only see their assigned students
+ * @param {string} [req.query.include_archived] - "true" to also rank archived students
  * @returns {Array<Object>} Array of students with point statistics
  * @returns {number} returns[].student_id - Student identifier
  * @returns {string} returns[].student_name - Student name
  * @returns {number} returns[].completed_points - Points from completed goals
  * @returns {number} returns[].on_time_bonus - Bonus points for on-time completion
+ * @returns {number} returns[].milestone_points - Points from completed goal milestones
  * @returns {number} returns[].total_points - Combined total points
+ * @throws {400} Bad request if group_id or tags is invalid
  * @throws {500} Internal server error if leaderboard calculation fails
  */
-router.get("/leaderboard", authenticateJWT, async (req, res) => {
-  try {
-    const leaderboard = await getPointsLeaderboard();
-    res.json(leaderboard);
-  } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to fetch leaderboard", details: err.message });
+router.get(
+  "/leaderboard",
+  authenticateJWT,
+  parseGroupFilter,
+  parseTagFilter,
+  parseMentorScope,
+  async (req, res) => {
+    try {
+      const leaderboard = await getPointsLeaderboard({
+        groupId: req.groupId,
+        tagIds: req.tagIds,
+        mentorId: req.mentorId,
+        includeArchived: req.query.include_archived === "true",
+      });
+      res.json(leaderboard);
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch leaderboard", details: err.message });
+    }
   }
-});
+);
 
 export default router;
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Student portal routes
+ * @description Read access for student logins to their own roadmap: goals, points,
+ * attendance history and leaderboard position. Students can ask a leader to mark a goal
+ * complete; they cannot complete it themselves.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { User, Student, Goal, PointsLog, Attendance } from "../models.js";
+import { getPointsLeaderboard } from "../services/points.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+/**
+ * Load the student linked to the signed-in login into req.student
+ * @description The link is read from the database on each request rather than from the
+ * token, so unlinking a login takes effect immediately.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ * @throws {403} Forbidden if the login is not linked to a student
+ */
+async function loadStudent(req, res, next) {
+  try {
+    const user = await User.findByPk(req.user.id, {
+      attributes: ["id", "student_id"],
+    });
+    const student = user?.student_id
+      ? await Student.findByPk(user.student_id)
+      : null;
+    if (!student) {
+      return res
+        .status(403)
+        .json({ message: "This login is not linked to a student" });
+    }
+    req.student = student;
+    next();
+  } catch (error) {
+    console.error("Error loading portal student:", error);
+    res.status(500).json({ message: "Failed to load student" });
+  }
+}
+
+router.use(loadStudent);
+
+/**
+ * Find one of the signed-in student's goals
+ * @param {Object} req - Express request with req.student and req.params.id
+ * @returns {Promise<Object|null>} Goal, or null if it does not exist or belongs to someone else
+ */
+function findOwnGoal(req) {
+  return Goal.findOne({
+    where: { id: req.params.id, student_id: req.student.id },
+  });
+}
+
+/**
+ * Get the signed-in student's profile and leaderboard position
+ * @route GET /api/portal/me
+ * @description Returns the student's name and points with their place on the points leaderboard.
+ * Other students' names and points are not included.
+ * @access Private (student)
+ * @returns {Object} { id, name, points, leaderboard: { rank, total_points, ranked_students } }
+ * where rank is null until the student has completed a goal
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/me", async (req, res) => {
+  try {
+    const { id, name, points } = req.student;
+    const leaderboard = await getPointsLeaderboard();
+    const index = leaderboard.findIndex((row) => row.student_id === id);
+    res.json({
+      id,
+      name,
+      points,
+      leaderboard: {
+        rank: index === -1 ? null : index + 1,
+        total_points:
+          index === -1 ? 0 : Number(leaderboard[index].total_points),
+        ranked_students: leaderboard.length,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching portal profile:", error);
+    res.status(500).json({ message: "Failed to fetch profile" });
+  }
+});
+
+/**
+ * List the signed-in student's goals
+ * @route GET /api/portal/goals
+ * @description Retrieves the student's goals, open goals first
+ * @access Private (student)
+ * @returns {Array<Object>} Goals, including completion_requested_at
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/goals", async (req, res) => {
+  try {
+    const goals = await Goal.findAll({
+      where: { student_id: req.student.id },
+      order: [
+        ["is_completed", "ASC"],
+        ["target_date", "ASC"],
+        ["id", "ASC"],
+      ],
+    });
+    res.json(goals);
+  } catch (error) {
+    console.error("Error fetching portal goals:", error);
+    res.status(500).json({ message: "Failed to fetch goals" });
+  }
+});
+
+/**
+ * Ask a leader to mark a goal complete
+ * @route POST /api/portal/goals/:id/request-completion
+ * @description Flags the goal for review. Leaders see it in GET /api/goals/completion-requests
+ * and approve or decline it there. Asking again keeps the original request time.
+ * @access Private (student)
+ * @param {string} req.params.id - Goal ID
+ * @returns {Object} Updated goal
+ * @throws {400} Bad request if the goal is already completed
+ * @throws {404} Goal not found or not the student's own
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/goals/:id/request-completion", async (req, res) => {
+  try {
+    const goal = await findOwnGoal(req);
+    if (!goal) return res.status(404).json({ message: "Goal not found" });
+    if (goal.is_completed) {
+      return res.status(400).json({ message: "Goal is already completed" });
+    }
+    if (!goal.completion_requested_at) {
+      const before = goal.toJSON();
+      await goal.update({ completion_requested_at: new Date() });
+      await recordAudit({
+        actorId: req.user.id,
+        entityType: AUDIT_ENTITIES.GOAL,
+        action: AUDIT_ACTIONS.UPDATE,
+        before,
+        after: goal,
+      });
+    }
+    res.json(goal);
+  } catch (error) {
+    console.error("Error requesting goal completion:", error);
+    res.status(500).json({ message: "Failed to request completion" });
+  }
+});
+
+/**
+ * Withdraw a completion request
+ * @route DELETE /api/portal/goals/:id/request-completion
+ * @description Clears a pending completion request the student made by mistake
+ * @access Private (student)
+ * @param {string} req.params.id - Goal ID
+ * @returns {Object} Updated goal
+ * @throws {404} Goal not found or not the student's own
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/goals/:id/request-completion", async (req, res) => {
+  try {
+    const goal = await findOwnGoal(req);
+    if (!goal) return res.status(404).json({ message: "Goal not found" });
+    if (goal.completion_requested_at) {
+      const before = goal.toJSON();
+      await goal.update({ completion_requested_at: null });
+      await recordAudit({
+        actorId: req.user.id,
+        entityType: AUDIT_ENTITIES.GOAL,
+        action: AUDIT_ACTIONS.UPDATE,
+        before,
+        after: goal,
+      });
+    }
+    res.json(goal);
+  } catch (error) {
+    console.error("Error withdrawing completion request:", error);
+    res.status(500).json({ message: "Failed to withdraw completion request" });
+  }
+});
+
+/**
+ * List the signed-in student's points history
+ * @route GET /api/portal/points
+ * @description Retrieves the latest 100 point changes, newest first
+ * @access Private (student)
+ * @returns {Array<Object>} Points log entries
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/points", async (req, res) => {
+  try {
+    const entries = await PointsLog.findAll({
+      where: { student_id: req.student.id },
+      order: [["created_at", "DESC"]],
+      limit: 100,
+    });
+    res.json(entries);
+  } catch (error) {
+    console.error("Error fetching portal points:", error);
+    res.status(500).json({ message: "Failed to fetch points history" });
+  }
+});
+
+/**
+ * Get the signed-in student's attendance history
+ * @route GET /api/portal/attendance
+ * @description Retrieves all attendance records, newest first, with counts per status
+ * @access Private (student)
+ * @returns {Object} { summary: { total, present, absent, late, excused }, records }
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/attendance", async (req, res) => {
+  try {
+    const records = await Attendance.findAll({
+      where: { student_id: req.student.id },
+      attributes: ["id", "date", "status", "notes"],
+      order: [["date", "DESC"]],
+    });
+    const summary = {
+      total: records.length,
+      present: 0,
+      absent: 0,
+      late: 0,
+      excused: 0,
+    };
+    for (const record of records) {
+      if (summary[record.status] !== undefined) summary[record.status] += 1;
+    }
+    res.json({ summary, records });
+  } catch (error) {
+    console.error("Error fetching portal attendance:", error);
+    res.status(500).json({ message: "Failed to fetch attendance history" });
+  }
+});
+
+export default router;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Settings routes
+ * @description Admin-only endpoints to read and change application-wide settings
+ * such as requiring two-factor authentication
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import {
+  getSettings,
+  updateSettings,
+  validateSettings,
+} from "../services/settings.js";
+
+const router = express.Router();
+
+/**
+ * Get settings
+ * @route GET /api/settings
+ * @description Retrieves all settings, with defaults for those never changed
+ * @access Private (admin only)
+ * @returns {Object} Settings keyed by name, e.g. { require_2fa: false, restrict_mentors: true }
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    res.json(await getSettings());
+  } catch (error) {
+    console.error("Error fetching settings:", error);
+    res.status(500).json({ message: "Failed to fetch settings" });
+  }
+});
+
+/**
+ * Update settings
+ * @route PATCH /api/settings
+ * @description Changes one or more settings
+ * @access Private (admin only)
+ * @param {Object} req.body - Settings to change
+ * @param {boolean} [req.body.require_2fa] - Require every user to use two-factor authentication
+ * @param {boolean} [req.body.restrict_mentors] - Limit mentors to the students assigned to them
+ * @param {boolean} [req.body.birthday_calendar] - Serve birthday calendar links (/api/calendar/birthdays)
+ * @returns {Object} All settings after the update
+ * @throws {400} Bad request if a setting is unknown or has the wrong type
+ * @throws {500} Internal server error if database operation fails
+ */
+router.patch("/", async (req, res) => {
+  const validationError = validateSettings(req.body);
+  if (validationError)
+    return res.status(400).json({ message: validationError });
+  try {
+    res.json(await updateSettings(req.body, req.user.id));
+  } catch (error) {
+    console.error("Error updating settings:", error);
+    res.status(500).json({ message: "Failed to update settings" });
+  }
+});
+
+export default router;
@@ -7,18 +7,257 @@
  */
 
 import express from "express";
-import { Student, Goal, Attendance, sequelize } from "../models.js";
+import { Op } from "sequelize";
+import { stringify } from "csv-stringify/sync";
+import {
+  Student,
+  Goal,
+  Attendance,
+  Group,
+  Tag,
+  User,
+  sequelize,
+} from "../models.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { parseGroupFilter } from "../middleware/groupFilter.js";
+import { parseTagFilter } from "../middleware/tagFilter.js";
+import {
+  parseMentorScope,
+  requireStudentAccess,
+} from "../middleware/mentorScope.js";
+import { parseBirthdayQuery } from "../middleware/birthdayQuery.js";
+import { uploadSpreadsheet } from "../middleware/upload.js";
+import contactRoutes from "./contacts.js";
+import noteRoutes from "./notes.js";
+import { ROLES, EDITOR_ROLES } from "../config/roles.js";
+import {
+  STUDENT_STATUSES,
+  ALL_STUDENT_STATUSES,
+} from "../config/studentStatuses.js";
+import {
+  inGroup,
+  validateGroupIds,
+  setStudentGroups,
+} from "../services/groups.js";
+import {
+  taggedWith,
+  validateTagIds,
+  setStudentTags,
+} from "../services/tags.js";
+import {
+  MAX_IMPORT_ROWS,
+  parseSpreadsheet,
+  guessMapping,
+  validateMapping,
+  buildPreview,
+  importStudents,
+} from "../services/studentImport.js";
+import {
+  listCustomFields,
+  validateCustomValues,
+  setCustomValues,
+  attachCustomValues,
+  customFieldConditions,
+} from "../services/customFields.js";
+import {
+  assignedTo,
+  isRestrictedMentor,
+  validateMentorIds,
+  setStudentMentors,
+  assignMentor,
+} from "../services/mentors.js";
+import { getStudentProfile } from "../services/studentProfile.js";
+import { findNotes } from "../services/notes.js";
+import { findUpcomingBirthdays } from "../services/birthdays.js";
+import {
+  MILESTONES_INCLUDE,
+  MILESTONES_ORDER,
+  attachProgress,
+} from "../services/goalMilestones.js";
+import {
+  CATEGORY_INCLUDE,
+  parseGoalClassification,
+  parseGoalFilters,
+} from "../services/goalCategories.js";
+import {
+  findDuplicateCandidates,
+  mergeStudents,
+} from "../services/studentMerge.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
 
 const router = express.Router();
 
+// Statuses that can be set with PATCH; archiving and restoring have their own endpoints
+const EDITABLE_STATUSES = ALL_STUDENT_STATUSES.filter(
+  (status) => status !== STUDENT_STATUSES.ARCHIVED
+);
+
+const DAYS_ATTENDED_SQL =
+  '(SELECT COUNT(*) FROM attendance WHERE attendance.student_id = Student.id AND attendance.status = "present")';
+
+// Sort keys accepted by GET /api/students and the column or expression each one orders by
+const SORT_COLUMNS = {
+  name: "name",
+  points: "points",
+  attendance: sequelize.literal(DAYS_ATTENDED_SQL),
+  created_at: "created_at",
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// Mentors included with students, without their account details
+const MENTORS_INCLUDE = {
+  model: User,
+  as: "Mentors",
+  attributes: ["id", "user_name"],
+  through: { attributes: [] },
+};
+
+// Tags included with students
+const TAGS_INCLUDE = {
+  model: Tag,
+  attributes: ["id", "name", "color"],
+  through: { attributes: [] },
+};
+
+/**
+ * Build the filters and sort order shared by the student list and export from the query
+ * string. Expects parseGroupFilter, parseTagFilter and parseMentorScope to have run.
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<{where?: Object, order?: Array, error?: string}>} Sequelize where and
+ * order options, or an error message
+ */
+async function parseListQuery(req) {
+  const {
+    status,
+    search,
+    custom,
+    sort = "created_at",
+    order = "desc",
+  } = req.query;
+  const where = req.groupId ? { id: inGroup(req.groupId) } : {};
+  if (!status) {
+    where.status = { [Op.ne]: STUDENT_STATUSES.ARCHIVED };
+  } else if (ALL_STUDENT_STATUSES.includes(status)) {
+    where.status = status;
+  } else if (status !== "all") {
+    return { error: "Invalid status" };
+  }
+  if (typeof search === "string" && search.trim()) {
+    // Escape LIKE wildcards so they match literally
+    const pattern = `%${search.trim().replace(/[\\%_]/g, "\\$&")}%`;
+    where[Op.or] = [
+      { name: { [Op.like]: pattern } },
+      { contact_number: { [Op.like]: pattern } },
+    ];
+  }
+  const { conditions, error } = await customFieldConditions(custom);
+  if (error) return { error };
+  if (req.tagIds.length) conditions.push(taggedWith(req.tagIds));
+  if (req.mentorId) conditions.push(assignedTo(req.mentorId));
+  if (conditions.length) {
+    where[Op.and] = conditions.map((condition) => ({ id: condition }));
+  }
+  if (!Object.hasOwn(SORT_COLUMNS, sort)) return { error: "Invalid sort" };
+  if (!["asc", "desc"].includes(order)) return { error: "Invalid order" };
+
+  const direction = order.toUpperCase();
+  return {
+    where,
+    order: [
+      [SORT_COLUMNS[sort], direction],
+      ["id", direction],
+    ],
+  };
+}
+
+/**
+ * Format a date column as YYYY-MM-DD for exports
+ * @param {Date|string|null} value - Column value
+ * @returns {string} Date, or an empty string
+ */
+function toDateString(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? "" : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Format a custom field value for exports
+ * @param {string|number|boolean|null} value - Typed value from attachCustomValues
+ * @returns {string|number} Cell value
+ */
+function formatExportValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return value;
+}
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Keep a spreadsheet from running an exported text cell as a formula by prefixing it with '
+ * @param {*} value - Cell value
+ * @returns {*} Cell value, prefixed when it is text that starts like a formula
+ */
+function escapeFormula(value) {
+  return typeof value === "string" && FORMULA_PREFIX.test(value)
+    ? `'${value}`
+    : value;
+}
+
+/**
+ * Check the mentor_ids sent when adding or editing a student. Only admins assign mentors.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {*} mentorIds - Value of req.body.mentor_ids
+ * @returns {Promise<{status: number, body: Object}|null>} Error response, or null if
+ * mentor_ids was not sent or is valid
+ */
+async function checkMentorIds(req, mentorIds) {
+  if (mentorIds === undefined) return null;
+  if (req.user.role !== ROLES.ADMIN) {
+    return { status: 403, body: { message: "Only admins can assign mentors" } };
+  }
+  const error = await validateMentorIds(mentorIds);
+  return error ? { status: 400, body: { message: error } } : null;
+}
+
 /**
  * Get all students with attendance statistics
  * @route GET /api/students
- * @description Retrieves all students with their attendance counts
+ * @description Retrieves students with their attendance counts, groups and tags. Archived students
+ * are left out unless asked for with `status`. Without `limit` every matching student is
+ * returned as an array; with `limit` the response is one page plus the total count.
+ * Mentors only get their assigned students while the restrict_mentors setting is on.
  * @access Private (requires JWT authentication)
- * @returns {Array<Object>} Array of student objects with attendance data
+ * @param {string} [req.query.group_id] - Only students in this group
+ * @param {string} [req.query.tags] - Comma-separated tag IDs; only students with every one of them
+ * @param {string} [req.query.mine] - "true" to only include students assigned to the current user
+ * @param {string} [req.query.status] - Only students with this status (active|inactive|graduated|archived),
+ * or "all" to include archived students
+ * @param {string} [req.query.search] - Text to look for in the name or contact number
+ * @param {Object} [req.query.custom] - Custom field filters as custom[key]=value; text fields
+ * match values containing the text, other fields must match exactly
+ * @param {string} [req.query.sort=created_at] - name|points|attendance|created_at
+ * @param {string} [req.query.order=desc] - asc|desc
+ * @param {number} [req.query.limit] - Page size (max 100)
+ * @param {number} [req.query.offset=0] - Number of students to skip
+ * @returns {Array<Object>|Object} Array of student objects with attendance data, or
+ * { total, students } when paginated
+ * @returns {Array<Object>} returns.Groups - Groups the student belongs to ({ id, name })
+ * @returns {Array<Object>} returns.Tags - The student's tags ({ id, name, color })
+ * @returns {Array<Object>} returns.Mentors - Users assigned to the student ({ id, user_name })
  * @returns {number} returns.days_attended - Number of days marked as present
  * @returns {number} returns.total_attendance_records - Total attendance records
+ * @returns {Object} returns.custom_fields - Custom field values by key (null when not set)
+ * @throws {400} Bad request if group_id, tags, status, a custom field filter, sort or order is invalid
  * @throws {500} Internal server error if database query fails
  *
  * @swagger
@@ -29,15 +268,74 @@ const router = express.Router();
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: group_id
+ *         schema:
+ *           type: integer
+ *         description: Only students in this group
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag IDs; only students with every one of these tags
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only students assigned to the current user
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, graduated, archived, all]
+ *         description: Filter by status; archived students are excluded by default
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text to look for in the name or contact number
+ *       - in: query
+ *         name: custom
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         description: Custom field filters, e.g. custom[school]=Hillside
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, points, attendance, created_at]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Page size (max 100); when given the response is { total, students }
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: List of students retrieved successfully
+ *         description: List of students (array), or one page of them with the total count
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Student'
+ *               oneOf:
+ *                 - type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Student'
+ *                 - $ref: '#/components/schemas/StudentPage'
+ *       400:
+ *         description: Invalid group_id, tags, status, custom field filter, sort or order
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -51,51 +349,287 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/", async (req, res) => {
-  try {
-    const students = await Student.findAll({
-      attributes: {
-        include: [
-          [
-            sequelize.literal(
-              '(SELECT COUNT(*) FROM attendance WHERE attendance.student_id = Student.id AND attendance.status = "present")'
-            ),
-            "days_attended",
-          ],
-          [
-            sequelize.literal(
-              "(SELECT COUNT(*) FROM attendance WHERE attendance.student_id = Student.id)"
-            ),
-            "total_attendance_records",
+router.get(
+  "/",
+  parseGroupFilter,
+  parseTagFilter,
+  parseMentorScope,
+  async (req, res) => {
+    try {
+      const { where, order, error } = await parseListQuery(req);
+      if (error) return res.status(400).json({ message: error });
+
+      const paginate = req.query.limit !== undefined;
+      let limit = Number(req.query.limit);
+      let offset = Number(req.query.offset ?? 0);
+      if (!Number.isInteger(limit) || limit < 1) limit = 25;
+      if (!Number.isInteger(offset) || offset < 0) offset = 0;
+      if (limit > MAX_PAGE_SIZE) limit = MAX_PAGE_SIZE;
+
+      const students = await Student.findAll({
+        where,
+        attributes: {
+          include: [
+            [sequelize.literal(DAYS_ATTENDED_SQL), "days_attended"],
+            [
+              sequelize.literal(
+                "(SELECT COUNT(*) FROM attendance WHERE attendance.student_id = Student.id)"
+              ),
+              "total_attendance_records",
+            ],
           ],
+        },
+        include: [
+          {
+            model: Group,
+            attributes: ["id", "name"],
+            through: { attributes: [] },
+          },
+          TAGS_INCLUDE,
+          MENTORS_INCLUDE,
         ],
-      },
-      order: [["created_at", "DESC"]],
-    });
-    res.json(students);
+        order,
+        ...(paginate ? { limit, offset } : {}),
+      });
+      await attachCustomValues(students);
+      if (!paginate) return res.json(students);
+      const total = await Student.count({ where });
+      res.json({ total, students });
+    } catch (error) {
+      console.error("Error fetching students:", error);
+      res.status(500).json({ message: "Failed to fetch students" });
+    }
+  }
+);
+
+/**
+ * Export students as CSV
+ * @route GET /api/students/export
+ * @description Downloads the students matching the same filters and sort as the student
+ * list as a CSV file, with one column per custom field after the standard columns. Text
+ * cells starting with =, +, -, @, a tab or a carriage return are prefixed with ' so
+ * spreadsheets do not run them as formulas.
+ * @access Private (staff)
+ * @param {Object} req.query - Same filters and sort as GET /api/students (no pagination)
+ * @returns {string} CSV file (text/csv) named students-YYYY-MM-DD.csv
+ * @throws {400} Bad request if a filter or the sort is invalid
+ * @throws {500} Internal server error if database query fails
+ */
+router.get(
+  "/export",
+  parseGroupFilter,
+  parseTagFilter,
+  parseMentorScope,
+  async (req, res) => {
+    try {
+      const { where, order, error } = await parseListQuery(req);
+      if (error) return res.status(400).json({ message: error });
+
+      const students = await Student.findAll({
+        where,
+        attributes: {
+          include: [[sequelize.literal(DAYS_ATTENDED_SQL), "days_attended"]],
+        },
+        include: [
+          {
+            model: Group,
+            attributes: ["name"],
+            through: { attributes: [] },
+          },
+          {
+            model: Tag,
+            attributes: ["name"],
+            through: { attributes: [] },
+          },
+        ],
+        order,
+      });
+      const fields = await listCustomFields();
+      await attachCustomValues(students, fields);
+
+      const header = [
+        "ID",
+        "Name",
+        "Status",
+        "Contact Number",
+        "Address",
+        "Date of Birth",
+        "Points",
+        "Days Attended",
+        "Groups",
+        "Tags",
+        "Joined",
+        ...fields.map((field) => field.label),
+      ];
+      const rows = students.map((student) => {
+        const custom = student.get("custom_fields");
+        return [
+          student.id,
+          student.name,
+          student.status,
+          student.contact_number,
+          student.address,
+          toDateString(student.date_of_birth),
+          student.points,
+          Number(student.get("days_attended")),
+          (student.Groups || []).map((group) => group.name).join(", "),
+          (student.Tags || []).map((tag) => tag.name).join(", "),
+          toDateString(student.created_at),
+          ...fields.map((field) => formatExportValue(custom[field.key])),
+        ];
+      });
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="students-${date}.csv"`
+      );
+      // The byte order mark makes Excel read the file as UTF-8
+      const cells = [header, ...rows].map((row) => row.map(escapeFormula));
+      res.send("\uFEFF" + stringify(cells));
+    } catch (error) {
+      console.error("Error exporting students:", error);
+      res.status(500).json({ message: "Failed to export students" });
+    }
+  }
+);
+
+/**
+ * Find likely duplicate students
+ * @route GET /api/students/duplicates
+ * @description Lists pairs of students that are probably the same person: near-identical
+ * names, or similar names with the same date of birth or phone number. Students with
+ * different dates of birth are never paired. Pairs matching on more details come first.
+ * @access Private (admin only)
+ * @returns {Array<Object>} Up to 100 { students: [a, b], similarity, reasons } where
+ * similarity is the name similarity (0-1) and reasons lists similar_name,
+ * same_date_of_birth and same_phone
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/duplicates", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    res.json(await findDuplicateCandidates());
   } catch (error) {
-    console.error("Error fetching students:", error);
-    res.status(500).json({ message: "Failed to fetch students" });
+    console.error("Error finding duplicate students:", error);
+    res.status(500).json({ message: "Failed to find duplicate students" });
   }
 });
 
+/**
+ * List upcoming birthdays
+ * @route GET /api/students/birthdays
+ * @description Lists the students whose birthday is today or within the next `days` days,
+ * soonest first. "Today" is taken in the given timezone. Students born on 29 February
+ * celebrate on 28 February in other years. Archived students and students without a date of
+ * birth are left out.
+ * @access Private (staff)
+ * @param {string} [req.query.days=30] - Days to look ahead (0-366); 0 only lists today's birthdays
+ * @param {string} [req.query.tz] - IANA timezone, e.g. Africa/Nairobi (default APP_TIMEZONE or UTC)
+ * @param {string} [req.query.group_id] - Only students in this group
+ * @param {string} [req.query.tags] - Comma-separated tag IDs; only students with every one of them
+ * @param {string} [req.query.mine] - "true" to only include students assigned to the current user
+ * @returns {Array<Object>} { student_id, name, date_of_birth, birthday, days_until, age,
+ * milestone } where birthday is the next birthday (YYYY-MM-DD), age the age being turned
+ * and milestone is true for 13, 16, 18, 21 and every tenth birthday
+ * @throws {400} Bad request if days, tz, group_id or tags is invalid
+ * @throws {500} Internal server error if database query fails
+ */
+router.get(
+  "/birthdays",
+  parseGroupFilter,
+  parseTagFilter,
+  parseMentorScope,
+  parseBirthdayQuery(30),
+  async (req, res) => {
+    try {
+      res.json(await findUpcomingBirthdays(req.birthdayOptions));
+    } catch (error) {
+      console.error("Error fetching birthdays:", error);
+      res.status(500).json({ message: "Failed to fetch birthdays" });
+    }
+  }
+);
+
+/**
+ * Search notes across students
+ * @route GET /api/students/notes
+ * @description Finds the newest notes containing the search text on any student the current
+ * user can see. Private notes are only searched for their author, and restricted mentors
+ * only search their assigned students' notes.
+ * @access Private (admin or mentor)
+ * @param {string} req.query.search - Text the notes must contain (required)
+ * @param {string} [req.query.mine] - "true" to only search students assigned to the current user
+ * @returns {Array<Object>} Up to 50 notes with their author ({ id, user_name }) and
+ * Student ({ id, name })
+ * @throws {400} Bad request if search is missing
+ * @throws {500} Internal server error if database query fails
+ */
+router.get(
+  "/notes",
+  authorizeRoles(...EDITOR_ROLES),
+  parseMentorScope,
+  async (req, res) => {
+    const { search } = req.query;
+    if (typeof search !== "string" || !search.trim()) {
+      return res.status(400).json({ message: "Search text required" });
+    }
+    try {
+      res.json(await findNotes(req.user, { search, mentorId: req.mentorId }));
+    } catch (error) {
+      console.error("Error searching notes:", error);
+      res.status(500).json({ message: "Failed to search notes" });
+    }
+  }
+);
+
 /**
  * Create a new student
  * @route POST /api/students
  * @description Creates a new student record with optional contact and personal information
- * @access Private (requires JWT authentication)
+ * @access Private (admin or mentor)
  * @param {Object} req.body - Student data
  * @param {string} req.body.name - Student's full name (required)
  * @param {string} [req.body.contact_number] - Student's contact number
  * @param {string} [req.body.address] - Student's address
  * @param {string} [req.body.date_of_birth] - Student's date of birth (ISO date string)
+ * @param {Array<number>} [req.body.group_ids] - Groups to add the student to
+ * @param {Array<number>} [req.body.tag_ids] - Tags to give the student
+ * @param {Array<number>} [req.body.mentor_ids] - Mentors to assign (admin only); students
+ * added by a restricted mentor are assigned to that mentor
+ * @param {Object} [req.body.custom_fields] - Custom field values by key; required fields must be set
  * @returns {Object} Success message
- * @throws {400} Bad request if name is missing
+ * @throws {400} Bad request if name is missing, group_ids, tag_ids or mentor_ids is invalid or a
+ * custom field value is missing or invalid
+ * @throws {403} Forbidden if a non-admin sends mentor_ids
  * @throws {500} Internal server error if database operation fails
  */
-router.post("/", async (req, res) => {
-  const { name, contact_number, address, date_of_birth } = req.body;
+router.post("/", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
+  const {
+    name,
+    contact_number,
+    address,
+    date_of_birth,
+    group_ids,
+    tag_ids,
+    mentor_ids,
+    custom_fields,
+  } = req.body;
   if (!name) return res.status(400).json({ message: "Name required" });
+  if (group_ids !== undefined) {
+    const groupError = await validateGroupIds(group_ids);
+    if (groupError) return res.status(400).json({ message: groupError });
+  }
+  if (tag_ids !== undefined) {
+    const tagError = await validateTagIds(tag_ids);
+    if (tagError) return res.status(400).json({ message: tagError });
+  }
+  const mentorError = await checkMentorIds(req, mentor_ids);
+  if (mentorError) return res.status(mentorError.status).json(mentorError.body);
+  const custom = await validateCustomValues(custom_fields, {
+    requireAll: true,
+  });
+  if (custom.error) return res.status(400).json({ message: custom.error });
 
   // normalize date_of_birth: treat empty string as null, try to parse otherwise
   let dob = null;
@@ -104,67 +638,378 @@ router.post("/", async (req, res) => {
     dob = isNaN(d.getTime()) ? null : d;
   }
 
-  await Student.create({
+  const student = await Student.create({
     name,
     contact_number: contact_number || null,
     address: address || null,
     date_of_birth: dob,
   });
+  if (group_ids?.length) await setStudentGroups(student.id, group_ids);
+  if (tag_ids?.length) await setStudentTags(student.id, tag_ids);
+  if (mentor_ids?.length) {
+    await setStudentMentors(student.id, mentor_ids);
+  } else if (await isRestrictedMentor(req.user)) {
+    // Otherwise the mentor could not see the student they just added
+    await assignMentor(student.id, req.user.id);
+  }
+  await setCustomValues(student.id, custom.values);
+  await recordAudit({
+    actorId: req.user.id,
+    entityType: AUDIT_ENTITIES.STUDENT,
+    action: AUDIT_ACTIONS.CREATE,
+    after: student,
+  });
   res.json({ message: "Student added" });
 });
 
+/**
+ * Import students from a spreadsheet
+ * @route POST /api/students/import
+ * @description Reads a CSV or XLSX file whose first row holds the column headers, maps the
+ * columns onto student fields, validates every row and flags likely duplicates (same name
+ * or phone number as an existing student or an earlier row). By default this is a dry run
+ * that only returns the preview; send dry_run=false to create the students, all in one
+ * transaction. Nothing is imported while any row has errors.
+ * @access Private (admin or mentor)
+ * @param {Object} req.file - Uploaded `file` field (multipart/form-data), .csv or .xlsx
+ * @param {string} [req.body.mapping] - JSON object of field -> column index, e.g.
+ * {"name":0,"date_of_birth":2}; guessed from the headers when omitted
+ * @param {string} [req.body.dry_run] - "false" to import; anything else only previews
+ * @param {string} [req.body.skip_duplicates] - "true" to leave out rows flagged as duplicates
+ * @returns {Object} Preview { dry_run, columns, mapping, rows, summary }, or after an import
+ * { message, imported, skipped } (201)
+ * @throws {400} Bad request if the file is missing, unreadable, empty or too long, the
+ * mapping is invalid (the response includes columns and mapping), or rows have errors when
+ * importing (the response includes the preview)
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post(
+  "/import",
+  authorizeRoles(...EDITOR_ROLES),
+  uploadSpreadsheet,
+  async (req, res) => {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ message: "A CSV or XLSX file is required" });
+    }
+    const dryRun = req.body.dry_run !== "false";
+
+    let columns;
+    let rows;
+    try {
+      ({ columns, rows } = await parseSpreadsheet(
+        req.file.buffer,
+        req.file.originalname
+      ));
+    } catch (error) {
+      return res.status(400).json({ message: "Could not read the file" });
+    }
+    if (!columns.length || !rows.length) {
+      return res
+        .status(400)
+        .json({ message: "The file has no rows below its header row" });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        message: `A file can contain at most ${MAX_IMPORT_ROWS} rows`,
+      });
+    }
+
+    let mapping;
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (error) {
+        return res.status(400).json({ message: "mapping must be valid JSON" });
+      }
+    } else {
+      mapping = guessMapping(columns);
+    }
+    const mappingError = validateMapping(mapping, columns);
+    if (mappingError) {
+      return res.status(400).json({ message: mappingError, columns, mapping });
+    }
+
+    try {
+      const preview = await buildPreview(rows, mapping);
+      if (dryRun) {
+        return res.json({ dry_run: true, columns, mapping, ...preview });
+      }
+      if (preview.summary.invalid) {
+        return res.status(400).json({
+          message: "Fix the rows with errors before importing",
+          dry_run: false,
+          columns,
+          mapping,
+          ...preview,
+        });
+      }
+
+      const { created, skipped } = await importStudents(preview.rows, {
+        skipDuplicates: req.body.skip_duplicates === "true",
+      });
+      const assignToImporter = await isRestrictedMentor(req.user);
+      for (const student of created) {
+        if (assignToImporter) await assignMentor(student.id, req.user.id);
+        await recordAudit({
+          actorId: req.user.id,
+          entityType: AUDIT_ENTITIES.STUDENT,
+          action: AUDIT_ACTIONS.CREATE,
+          after: student,
+        });
+      }
+      res.status(201).json({
+        message: `Imported ${created.length} students`,
+        imported: created.length,
+        skipped,
+      });
+    } catch (error) {
+      console.error("Error importing students:", error);
+      res.status(500).json({ message: "Failed to import students" });
+    }
+  }
+);
+
 /**
  * Update an existing student
  * @route PATCH /api/students/:id
  * @description Updates student information. Only provided fields will be updated.
- * @access Private (requires JWT authentication)
+ * @access Private (admin or mentor)
  * @param {string} req.params.id - Student ID
  * @param {Object} req.body - Student data to update
  * @param {string} [req.body.name] - Student's full name
  * @param {string} [req.body.contact_number] - Student's contact number
  * @param {string} [req.body.address] - Student's address
  * @param {string} [req.body.date_of_birth] - Student's date of birth (ISO date string)
+ * @param {Array<number>} [req.body.group_ids] - Replaces the student's groups (empty array removes all)
+ * @param {Array<number>} [req.body.tag_ids] - Replaces the student's tags (empty array removes all)
+ * @param {Array<number>} [req.body.mentor_ids] - Replaces the student's mentors (admin only)
+ * @param {string} [req.body.status] - active|inactive|graduated (use DELETE to archive)
+ * @param {Object} [req.body.custom_fields] - Custom field values to change by key; null clears
+ * an optional field, fields not sent are kept
  * @returns {Object} Success message
+ * @throws {400} Bad request if group_ids, tag_ids, mentor_ids, status or a custom field value is
+ * invalid, or the status of an archived student is changed without restoring it
+ * @throws {403} Forbidden if a non-admin sends mentor_ids or a restricted mentor is not
+ * assigned to the student
  * @throws {500} Internal server error if database operation fails
  */
-router.patch("/:id", async (req, res) => {
-  const { name, contact_number, address, date_of_birth } = req.body;
-  const { id } = req.params;
+router.patch(
+  "/:id",
+  authorizeRoles(...EDITOR_ROLES),
+  requireStudentAccess(),
+  async (req, res) => {
+    const {
+      name,
+      contact_number,
+      address,
+      date_of_birth,
+      group_ids,
+      tag_ids,
+      mentor_ids,
+      status,
+      custom_fields,
+    } = req.body;
+    const { id } = req.params;
+    if (group_ids !== undefined) {
+      const groupError = await validateGroupIds(group_ids);
+      if (groupError) return res.status(400).json({ message: groupError });
+    }
+    if (tag_ids !== undefined) {
+      const tagError = await validateTagIds(tag_ids);
+      if (tagError) return res.status(400).json({ message: tagError });
+    }
+    const mentorError = await checkMentorIds(req, mentor_ids);
+    if (mentorError)
+      return res.status(mentorError.status).json(mentorError.body);
+    if (status !== undefined && !EDITABLE_STATUSES.includes(status)) {
+      return res.status(400).json({ message: "Invalid status" });
+    }
+    const custom = await validateCustomValues(custom_fields);
+    if (custom.error) return res.status(400).json({ message: custom.error });
 
-  // normalize date_of_birth
-  let dob = null;
-  if (date_of_birth) {
-    const d = new Date(date_of_birth);
-    dob = isNaN(d.getTime()) ? null : d;
-  }
+    // normalize date_of_birth
+    let dob = null;
+    if (date_of_birth) {
+      const d = new Date(date_of_birth);
+      dob = isNaN(d.getTime()) ? null : d;
+    }
 
-  const update = {
-    ...(name !== undefined ? { name } : {}),
-    ...(contact_number !== undefined
-      ? { contact_number: contact_number || null }
-      : {}),
-    ...(address !== undefined ? { address: address || null } : {}),
-    ...(date_of_birth !== undefined ? { date_of_birth: dob } : {}),
-  };
+    const update = {
+      ...(name !== undefined ? { name } : {}),
+      ...(contact_number !== undefined
+        ? { contact_number: contact_number || null }
+        : {}),
+      ...(address !== undefined ? { address: address || null } : {}),
+      ...(date_of_birth !== undefined ? { date_of_birth: dob } : {}),
+      ...(status !== undefined ? { status } : {}),
+    };
 
-  await Student.update(update, { where: { id } });
-  res.json({ message: "Student updated" });
-});
+    const before = await Student.findByPk(id);
+    if (
+      status !== undefined &&
+      before?.status === STUDENT_STATUSES.ARCHIVED &&
+      status !== before.status
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Restore the student before changing their status" });
+    }
+    await Student.update(update, { where: { id } });
+    if (before && group_ids !== undefined) {
+      await setStudentGroups(before.id, group_ids);
+    }
+    if (before && tag_ids !== undefined) {
+      await setStudentTags(before.id, tag_ids);
+    }
+    if (before && mentor_ids !== undefined) {
+      await setStudentMentors(before.id, mentor_ids);
+    }
+    if (before) await setCustomValues(before.id, custom.values);
+    if (before) {
+      await recordAudit({
+        actorId: req.user.id,
+        entityType: AUDIT_ENTITIES.STUDENT,
+        action: AUDIT_ACTIONS.UPDATE,
+        before,
+        after: await Student.findByPk(id),
+      });
+    }
+    res.json({ message: "Student updated" });
+  }
+);
 
 /**
- * Delete a student
+ * Archive a student
  * @route DELETE /api/students/:id
- * @description Permanently deletes a student and all associated records
- * @access Private (requires JWT authentication)
- * @param {string} req.params.id - Student ID to delete
+ * @description Archives the student instead of deleting them, so their goals, points and
+ * attendance history are kept. Archived students are hidden from the member list,
+ * attendance sheets and leaderboards by default but still count in analytics.
+ * @access Private (admin only)
+ * @param {string} req.params.id - Student ID to archive
  * @returns {Object} Success message
+ * @throws {404} Student not found
  * @throws {500} Internal server error if database operation fails
- * @warning This action is irreversible and will delete all student data including goals and attendance
  */
-router.delete("/:id", async (req, res) => {
-  const { id } = req.params;
-  await Student.destroy({ where: { id } });
-  res.json({ message: "Student deleted" });
+router.delete("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const student = await Student.findByPk(req.params.id);
+    if (!student) {
+      return res.status(404).json({ message: "Student not found" });
+    }
+    if (student.status !== STUDENT_STATUSES.ARCHIVED) {
+      const before = student.toJSON();
+      await student.update({
+        status: STUDENT_STATUSES.ARCHIVED,
+        archived_at: new Date(),
+      });
+      await recordAudit({
+        actorId: req.user.id,
+        entityType: AUDIT_ENTITIES.STUDENT,
+        action: AUDIT_ACTIONS.UPDATE,
+        before,
+        after: student,
+      });
+    }
+    res.json({ message: "Student archived" });
+  } catch (error) {
+    console.error("Error archiving student:", error);
+    res.status(500).json({ message: "Failed to archive student" });
+  }
+});
+
+/**
+ * Restore an archived student
+ * @route POST /api/students/:id/restore
+ * @description Makes an archived student active again
+ * @access Private (admin only)
+ * @param {string} req.params.id - Student ID
+ * @returns {Object} Restored student
+ * @throws {400} Bad request if the student is not archived
+ * @throws {404} Student not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/:id/restore", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const student = await Student.findByPk(req.params.id);
+    if (!student) {
+      return res.status(404).json({ message: "Student not found" });
+    }
+    if (student.status !== STUDENT_STATUSES.ARCHIVED) {
+      return res.status(400).json({ message: "Student is not archived" });
+    }
+    const before = student.toJSON();
+    await student.update({
+      status: STUDENT_STATUSES.ACTIVE,
+      archived_at: null,
+    });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.STUDENT,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after: student,
+    });
+    res.json(student);
+  } catch (error) {
+    console.error("Error restoring student:", error);
+    res.status(500).json({ message: "Failed to restore student" });
+  }
+});
+
+/**
+ * Merge a duplicate student into this one
+ * @route POST /api/students/:id/merge
+ * @description Moves the duplicate's goals, points log, attendance, contacts, notes,
+ * groups, tags, custom field values and login onto this student, then deletes the duplicate. When both
+ * have attendance on the same day the better status is kept and the notes are combined.
+ * Blank contact number, address and date of birth are filled from the duplicate and
+ * points are recomputed from the points log. The merge is recorded in the audit log of
+ * the kept student.
+ * @access Private (admin only)
+ * @param {string} req.params.id - ID of the student to keep
+ * @param {number} req.body.duplicate_id - ID of the student to merge in and delete
+ * @returns {Object} { student, moved } where moved counts the goals, points_log, attendance,
+ * attendance_conflicts, contacts, notes, groups, tags and custom_fields moved and whether the login moved
+ * @throws {400} Bad request if duplicate_id is missing or the same student
+ * @throws {404} Student not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/:id/merge", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  const duplicateId = Number(req.body.duplicate_id);
+  if (!Number.isInteger(duplicateId) || duplicateId < 1) {
+    return res.status(400).json({ message: "duplicate_id is required" });
+  }
+  if (duplicateId === Number(req.params.id)) {
+    return res
+      .status(400)
+      .json({ message: "A student cannot be merged into itself" });
+  }
+  try {
+    const result = await mergeStudents(req.params.id, duplicateId);
+    if (!result) {
+      return res.status(404).json({ message: "Student not found" });
+    }
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.STUDENT,
+      action: AUDIT_ACTIONS.MERGE,
+      entityId: result.student.id,
+      before: result.duplicate,
+      after: result.moved,
+    });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.STUDENT,
+      action: AUDIT_ACTIONS.DELETE,
+      before: result.duplicate,
+    });
+    res.json({ student: result.student, moved: result.moved });
+  } catch (error) {
+    console.error("Error merging students:", error);
+    res.status(500).json({ message: "Failed to merge students" });
+  }
 });
 
 /**
@@ -179,10 +1024,15 @@ router.delete("/:id", async (req, res) => {
  * @returns {number} returns.days_late - Days marked as late
  * @returns {number} returns.days_excused - Days marked as excused
  * @returns {number} returns.total_attendance_records - Total attendance records
+ * @returns {Array<Object>} returns.Groups - Groups the student belongs to ({ id, name })
+ * @returns {Array<Object>} returns.Tags - The student's tags ({ id, name, color })
+ * @returns {Array<Object>} returns.Mentors - Users assigned to the student ({ id, user_name })
+ * @returns {Object} returns.custom_fields - Custom field values by key (null when not set)
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the student
  * @throws {404} Student not found
  * @throws {500} Internal server error if database query fails
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireStudentAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     const student = await Student.findByPk(id, {
@@ -220,11 +1070,21 @@ router.get("/:id", async (req, res) => {
           ],
         ],
       },
+      include: [
+        {
+          model: Group,
+          attributes: ["id", "name"],
+          through: { attributes: [] },
+        },
+        TAGS_INCLUDE,
+        MENTORS_INCLUDE,
+      ],
     });
 
     if (!student) {
       return res.status(404).json({ message: "Student not found" });
     }
+    await attachCustomValues([student]);
 
     res.json(student);
   } catch (error) {
@@ -233,21 +1093,60 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+/**
+ * Get a student's profile
+ * @route GET /api/students/:id/profile
+ * @description Retrieves everything shown on the member profile page in one call: the
+ * student with their groups, tags and custom fields, contacts, goals, the latest 100 points log
+ * entries, all attendance records and personal statistics
+ * @access Private (staff)
+ * @param {string} req.params.id - Student ID
+ * @returns {Object} { student, contacts, goals, points_log, attendance: { summary, records }, stats }
+ * @returns {Object} returns.stats - total_goals, completed_goals, overdue_goals,
+ * completion_rate, on_time_rate, attendance_rate (percentages, null without data),
+ * current_streak and longest_streak (sessions attended in a row)
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the student
+ * @throws {404} Student not found
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/:id/profile", requireStudentAccess(), async (req, res) => {
+  try {
+    const profile = await getStudentProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ message: "Student not found" });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error("Error fetching student profile:", error);
+    res.status(500).json({ message: "Failed to fetch student profile" });
+  }
+});
+
 /**
  * Get all goals for a specific student
  * @route GET /api/students/:id/goals
- * @description Retrieves all goals associated with a student, ordered by creation date
+ * @description Retrieves all goals associated with a student, ordered by creation date, each
+ * with its milestones, category and a progress percentage
  * @access Private (requires JWT authentication)
  * @param {string} req.params.id - Student ID
- * @returns {Array<Object>} Array of goal objects
+ * @param {string} [req.query.category_id] - Only goals in this category, or "none" for
+ * uncategorised goals
+ * @param {string} [req.query.priority] - Only goals with this priority (low|normal|high)
+ * @returns {Array<Object>} Array of goal objects with milestones, category and progress
+ * @throws {400} Bad request if a filter is invalid
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the student
  * @throws {500} Internal server error if database query fails
  */
-router.get("/:id/goals", async (req, res) => {
+router.get("/:id/goals", requireStudentAccess(), async (req, res) => {
   const { id } = req.params;
+  const { where, error } = parseGoalFilters(req.query);
+  if (error) return res.status(400).json({ message: error });
   const goals = await Goal.findAll({
-    where: { student_id: id },
-    order: [["created_at", "DESC"]],
+    where: { student_id: id, ...where },
+    include: [MILESTONES_INCLUDE, CATEGORY_INCLUDE],
+    order: [["created_at", "DESC"], ...MILESTONES_ORDER],
   });
+  attachProgress(goals);
   res.json(goals);
 });
 
@@ -255,20 +1154,42 @@ router.get("/:id/goals", async (req, res) => {
  * Create a new goal for a student
  * @route POST /api/students/:id/goals
  * @description Creates a new goal associated with the specified student
- * @access Private (requires JWT authentication)
+ * @access Private (admin or mentor)
  * @param {string} req.params.id - Student ID
  * @param {Object} req.body - Goal data
  * @param {string} req.body.title - Goal title (required)
+ * @param {number|null} [req.body.category_id] - Goal category
+ * @param {string} [req.body.priority] - low|normal|high (default: normal)
  * @returns {Object} Success message
- * @throws {400} Bad request if title is missing
+ * @throws {400} Bad request if title is missing or the category or priority is invalid
+ * @throws {403} Forbidden if a restricted mentor is not assigned to the student
  * @throws {500} Internal server error if database operation fails
  */
-router.post("/:id/goals", async (req, res) => {
-  const { id } = req.params;
-  const { title } = req.body;
-  if (!title) return res.status(400).json({ message: "Title required" });
-  await Goal.create({ student_id: id, title });
-  res.json({ message: "Goal added" });
-});
+router.post(
+  "/:id/goals",
+  authorizeRoles(...EDITOR_ROLES),
+  requireStudentAccess(),
+  async (req, res) => {
+    const { id } = req.params;
+    const { title } = req.body;
+    if (!title) return res.status(400).json({ message: "Title required" });
+    const { values, error } = await parseGoalClassification(req.body);
+    if (error) return res.status(400).json({ message: error });
+    const goal = await Goal.create({ student_id: id, title, ...values });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.GOAL,
+      action: AUDIT_ACTIONS.CREATE,
+      after: goal,
+    });
+    res.json({ message: "Goal added" });
+  }
+);
+
+// Parents, guardians and emergency contacts: /api/students/:id/contacts
+router.use("/:id/contacts", requireStudentAccess(), contactRoutes);
+
+// Leaders' notes: /api/students/:id/notes
+router.use("/:id/notes", requireStudentAccess(), noteRoutes);
 
 export default router;
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Student tag routes
+ * @description CRUD for tags (coloured labels such as "new" or "needs follow-up") and bulk
+ * tagging of students. Any staff member can read tags; admins and mentors manage and apply
+ * them and only admins can delete one.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { Tag, sequelize } from "../models.js";
+import { authorizeRoles } from "../middleware/auth.js";
+import { ROLES, EDITOR_ROLES } from "../config/roles.js";
+import { validateStudentIds } from "../services/groups.js";
+import { COLOR_PATTERN } from "../config/colors.js";
+import { tagStudents, untagStudents } from "../services/tags.js";
+import {
+  inaccessibleStudentIds,
+  NOT_ASSIGNED_MESSAGE,
+} from "../services/mentors.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Check the name of a new or renamed tag
+ * @param {*} name - Value of req.body.name
+ * @param {number|null} [exceptId] - Tag being renamed, which may keep its own name
+ * @returns {Promise<{status: number, message: string}|null>} Error response, or null if valid
+ */
+async function checkName(name, exceptId = null) {
+  if (typeof name !== "string" || !name.trim()) {
+    return { status: 400, message: "Name required" };
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return {
+      status: 400,
+      message: `Name must be at most ${MAX_NAME_LENGTH} characters`,
+    };
+  }
+  const existing = await Tag.findOne({ where: { name: name.trim() } });
+  if (existing && existing.id !== exceptId) {
+    return { status: 409, message: "A tag with this name already exists" };
+  }
+  return null;
+}
+
+/**
+ * Check the student IDs sent to tag or untag, and that the user may edit every student
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<{status: number, message: string}|null>} Error response, or null if valid
+ */
+async function checkStudents(req) {
+  const { student_ids } = req.body;
+  const idsError = await validateStudentIds(student_ids);
+  if (idsError) return { status: 400, message: idsError };
+  if (!student_ids.length) {
+    return { status: 400, message: "Select at least one student" };
+  }
+  if ((await inaccessibleStudentIds(req.user, student_ids)).length) {
+    return { status: 403, message: NOT_ASSIGNED_MESSAGE };
+  }
+  return null;
+}
+
+/**
+ * List tags
+ * @route GET /api/tags
+ * @description Retrieves all tags ordered by name, with how many students have each one
+ * @access Private (staff)
+ * @returns {Array<Object>} Array of tags with student_count
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    const tags = await Tag.findAll({
+      attributes: {
+        include: [
+          [
+            sequelize.literal(
+              "(SELECT COUNT(*) FROM student_tags WHERE student_tags.tag_id = Tag.id)"
+            ),
+            "student_count",
+          ],
+        ],
+      },
+      order: [["name", "ASC"]],
+    });
+    res.json(tags);
+  } catch (error) {
+    console.error("Error fetching tags:", error);
+    res.status(500).json({ message: "Failed to fetch tags" });
+  }
+});
+
+/**
+ * Create a tag
+ * @route POST /api/tags
+ * @description Creates a tag
+ * @access Private (admin or mentor)
+ * @param {string} req.body.name - Unique tag name (required, up to 50 characters)
+ * @param {string} [req.body.color] - Chip colour as #rrggbb (default grey)
+ * @returns {Object} Created tag (201)
+ * @throws {400} Bad request if the name or colour is invalid
+ * @throws {409} Conflict if another tag already has this name
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const nameError = await checkName(name);
+    if (nameError) {
+      return res.status(nameError.status).json({ message: nameError.message });
+    }
+    if (color !== undefined && !COLOR_PATTERN.test(color)) {
+      return res.status(400).json({ message: "Color must be #rrggbb" });
+    }
+
+    const tag = await Tag.create({
+      name: name.trim(),
+      ...(color !== undefined ? { color: color.toLowerCase() } : {}),
+    });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.TAG,
+      action: AUDIT_ACTIONS.CREATE,
+      after: tag,
+    });
+    res.status(201).json(tag);
+  } catch (error) {
+    console.error("Error creating tag:", error);
+    res.status(500).json({ message: "Failed to create tag" });
+  }
+});
+
+/**
+ * Update a tag
+ * @route PATCH /api/tags/:id
+ * @description Renames a tag or changes its colour. Only provided fields are updated.
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Tag ID
+ * @param {string} [req.body.name] - New unique name
+ * @param {string} [req.body.color] - New colour as #rrggbb
+ * @returns {Object} Updated tag
+ * @throws {400} Bad request if the name or colour is invalid
+ * @throws {404} Tag not found
+ * @throws {409} Conflict if another tag already has this name
+ * @throws {500} Internal server error if database operation fails
+ */
+router.patch("/:id", authorizeRoles(...EDITOR_ROLES), async (req, res) => {
+  try {
+    const tag = await Tag.findByPk(req.params.id);
+    if (!tag) return res.status(404).json({ message: "Tag not found" });
+
+    const { name, color } = req.body;
+    if (name !== undefined) {
+      const nameError = await checkName(name, tag.id);
+      if (nameError) {
+        return res
+          .status(nameError.status)
+          .json({ message: nameError.message });
+      }
+    }
+    if (color !== undefined && !COLOR_PATTERN.test(color)) {
+      return res.status(400).json({ message: "Color must be #rrggbb" });
+    }
+
+    const before = tag.toJSON();
+    await tag.update({
+      ...(name !== undefined ? { name: name.trim() } : {}),
+      ...(color !== undefined ? { color: color.toLowerCase() } : {}),
+    });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.TAG,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after: tag,
+    });
+    res.json(tag);
+  } catch (error) {
+    console.error("Error updating tag:", error);
+    res.status(500).json({ message: "Failed to update tag" });
+  }
+});
+
+/**
+ * Tag students
+ * @route POST /api/tags/:id/students
+ * @description Adds the tag to every selected student, keeping their other tags
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Tag ID
+ * @param {Array<number>} req.body.student_ids - Students to tag
+ * @returns {Object} { message, tagged } where tagged counts the students that did not
+ * have the tag yet
+ * @throws {400} Bad request if student_ids is empty or contains unknown students
+ * @throws {403} Forbidden if a restricted mentor is not assigned to every student
+ * @throws {404} Tag not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post(
+  "/:id/students",
+  authorizeRoles(...EDITOR_ROLES),
+  async (req, res) => {
+    try {
+      const tag = await Tag.findByPk(req.params.id);
+      if (!tag) return res.status(404).json({ message: "Tag not found" });
+      const studentsError = await checkStudents(req);
+      if (studentsError) {
+        return res
+          .status(studentsError.status)
+          .json({ message: studentsError.message });
+      }
+
+      const tagged = await tagStudents(tag.id, req.body.student_ids);
+      res.json({ message: "Students tagged", tagged });
+    } catch (error) {
+      console.error("Error tagging students:", error);
+      res.status(500).json({ message: "Failed to tag students" });
+    }
+  }
+);
+
+/**
+ * Untag students
+ * @route DELETE /api/tags/:id/students
+ * @description Removes the tag from every selected student
+ * @access Private (admin or mentor)
+ * @param {string} req.params.id - Tag ID
+ * @param {Array<number>} req.body.student_ids - Students to untag
+ * @returns {Object} { message, untagged } where untagged counts the students that had the tag
+ * @throws {400} Bad request if student_ids is empty or contains unknown students
+ * @throws {403} Forbidden if a restricted mentor is not assigned to every student
+ * @throws {404} Tag not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete(
+  "/:id/students",
+  authorizeRoles(...EDITOR_ROLES),
+  async (req, res) => {
+    try {
+      const tag = await Tag.findByPk(req.params.id);
+      if (!tag) return res.status(404).json({ message: "Tag not found" });
+      const studentsError = await checkStudents(req);
+      if (studentsError) {
+        return res
+          .status(studentsError.status)
+          .json({ message: studentsError.message });
+      }
+
+      const untagged = await untagStudents(tag.id, req.body.student_ids);
+      res.json({ message: "Students untagged", untagged });
+    } catch (error) {
+      console.error("Error untagging students:", error);
+      res.status(500).json({ message: "Failed to untag students" });
+    }
+  }
+);
+
+/**
+ * Delete a tag
+ * @route DELETE /api/tags/:id
+ * @description Deletes the tag and removes it from every student
+ * @access Private (admin only)
+ * @param {string} req.params.id - Tag ID
+ * @returns {Object} Success message
+ * @throws {404} Tag not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const tag = await Tag.findByPk(req.params.id);
+    if (!tag) return res.status(404).json({ message: "Tag not found" });
+    await tag.destroy();
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.TAG,
+      action: AUDIT_ACTIONS.DELETE,
+      before: tag,
+    });
+    res.json({ message: "Tag deleted" });
+  } catch (error) {
+    console.error("Error deleting tag:", error);
+    res.status(500).json({ message: "Failed to delete tag" });
+  }
+});
+
+export default router;
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Two-factor authentication routes
+ * @description TOTP enrollment, the second login step and recovery codes.
+ * Mounted under /api/auth/2fa.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import bcrypt from "bcrypt";
+import { User } from "../models.js";
+import { authenticateJWT } from "../middleware/auth.js";
+import { createSession, sessionMetaFromRequest } from "../services/sessions.js";
+import { getSetting } from "../services/settings.js";
+import { buildOtpauthUrl, generateTotpSecret } from "../services/totp.js";
+import {
+  CHALLENGE_PURPOSE,
+  countRecoveryCodes,
+  disableTwoFactor,
+  generateRecoveryCodes,
+  verifyChallengeToken,
+  verifySecondFactor,
+  verifyTotpCode,
+} from "../services/twoFactor.js";
+import {
+  LOGIN_OUTCOMES,
+  clearFailedLogins,
+  isLocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+} from "../services/loginSecurity.js";
+
+const router = express.Router();
+
+/**
+ * Authenticate an enrollment request
+ * @description Accepts either a normal access token or, when an admin requires 2FA, the
+ * setup challenge token returned by login (as `challengeToken` in the body). Loads the
+ * user into req.account and marks challenge-based requests with req.enrollmentChallenge.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @throws {401} Unauthorized if neither an access token nor a valid challenge token is given
+ * @throws {404} Not found if the user no longer exists or is disabled
+ */
+function authenticateEnrollment(req, res, next) {
+  const loadAccount = async (userId) => {
+    try {
+      const account = await User.findByPk(userId);
+      if (!account || !account.is_active)
+        return res.status(404).json({ message: "User not found" });
+      req.account = account;
+      next();
+    } catch (error) {
+      console.error("Error loading user for 2FA enrollment:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  };
+
+  if (req.headers.authorization) {
+    return authenticateJWT(req, res, () => loadAccount(req.user.id));
+  }
+  const userId = verifyChallengeToken(
+    req.body?.challengeToken,
+    CHALLENGE_PURPOSE.SETUP
+  );
+  if (!userId)
+    return res
+      .status(401)
+      .json({ message: "Login expired, please sign in again" });
+  req.enrollmentChallenge = true;
+  loadAccount(userId);
+}
+
+/**
+ * Get two-factor status
+ * @route GET /api/auth/2fa
+ * @description Returns whether the current user has 2FA enabled, whether it is required
+ * and how many recovery codes are left
+ * @access Private (any authenticated user)
+ * @returns {Object} { enabled, required, recoveryCodesRemaining }
+ * @throws {404} Not found if the user no longer exists
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", authenticateJWT, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json({
+      enabled: user.totp_enabled,
+      required: await getSetting("require_2fa"),
+      recoveryCodesRemaining: user.totp_enabled
+        ? await countRecoveryCodes(user.id)
+        : 0,
+    });
+  } catch (error) {
+    console.error("Error fetching 2FA status:", error);
+    res.status(500).json({ message: "Failed to fetch two-factor status" });
+  }
+});
+
+/**
+ * Start TOTP enrollment
+ * @route POST /api/auth/2fa/setup
+ * @description Generates a new secret and returns it with the otpauth:// provisioning URI
+ * to show as a QR code. 2FA is not active until confirmed with POST /api/auth/2fa/enable.
+ * @access Private (access token, or setup challenge token from login)
+ * @param {string} [req.body.challengeToken] - Setup challenge token when not signed in
+ * @returns {Object} { secret, otpauthUrl }
+ * @throws {409} Conflict if 2FA is already enabled
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/setup", authenticateEnrollment, async (req, res) => {
+  try {
+    const user = req.account;
+    if (user.totp_enabled)
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already enabled" });
+    const secret = generateTotpSecret();
+    await user.update({ totp_secret: secret, totp_last_step: null });
+    res.json({ secret, otpauthUrl: buildOtpauthUrl(secret, user.user_name) });
+  } catch (error) {
+    console.error("Error starting 2FA setup:", error);
+    res.status(500).json({ message: "Failed to start two-factor setup" });
+  }
+});
+
+/**
+ * Confirm TOTP enrollment
+ * @route POST /api/auth/2fa/enable
+ * @description Turns on 2FA once the user proves their app works by entering a code, and
+ * issues recovery codes. When enrolling from the login page (setup challenge token) the
+ * response also contains the session tokens.
+ * @access Private (access token, or setup challenge token from login)
+ * @param {string} req.body.code - Current 6 digit code from the authenticator app
+ * @param {string} [req.body.challengeToken] - Setup challenge token when not signed in
+ * @returns {Object} { recoveryCodes } plus { token, refreshToken } for challenge enrollment
+ * @throws {400} Bad request if setup was not started or the code is wrong
+ * @throws {409} Conflict if 2FA is already enabled
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/enable", authenticateEnrollment, async (req, res) => {
+  try {
+    const user = req.account;
+    if (user.totp_enabled)
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already enabled" });
+    if (!user.totp_secret)
+      return res
+        .status(400)
+        .json({ message: "Start two-factor setup before enabling it" });
+    if (!(await verifyTotpCode(user, req.body.code)))
+      return res.status(400).json({ message: "Invalid authentication code" });
+
+    await user.update({ totp_enabled: true });
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+    if (!req.enrollmentChallenge) return res.json({ recoveryCodes });
+
+    const meta = sessionMetaFromRequest(req);
+    await clearFailedLogins(user.id);
+    await recordLoginAttempt({ user, reason: LOGIN_OUTCOMES.SUCCESS, meta });
+    const tokens = await createSession(user, meta);
+    res.json({ recoveryCodes, ...tokens });
+  } catch (error) {
+    console.error("Error enabling 2FA:", error);
+    res.status(500).json({ message: "Failed to enable two-factor" });
+  }
+});
+
+/**
+ * Complete a two-factor login
+ * @route POST /api/auth/2fa/verify
+ * @description Exchanges the challenge token from POST /api/auth/login and a TOTP or
+ * recovery code for session tokens
+ * @access Public (requires a challenge token)
+ * @param {string} req.body.challengeToken - Challenge token from login
+ * @param {string} req.body.code - 6 digit TOTP code or an unused recovery code
+ * @returns {Object} { token, refreshToken }
+ * @throws {400} Bad request if fields are missing
+ * @throws {401} Unauthorized if the challenge expired or the code is wrong
+ * @throws {423} Locked if too many failed attempts locked the account
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/verify", async (req, res) => {
+  const { challengeToken, code } = req.body;
+  if (!challengeToken || !code)
+    return res
+      .status(400)
+      .json({ message: "challengeToken and code are required" });
+  try {
+    const userId = verifyChallengeToken(
+      challengeToken,
+      CHALLENGE_PURPOSE.VERIFY
+    );
+    const user = userId && (await User.findByPk(userId));
+    if (!user || !user.is_active || !user.totp_enabled)
+      return res
+        .status(401)
+        .json({ message: "Login expired, please sign in again" });
+    const meta = sessionMetaFromRequest(req);
+    if (isLocked(user)) {
+      await recordLoginAttempt({ user, reason: LOGIN_OUTCOMES.LOCKED, meta });
+      return res.status(423).json({
+        message:
+          "This account is temporarily locked after too many failed attempts. Try again later.",
+      });
+    }
+    if (!(await verifySecondFactor(user, code))) {
+      await registerFailedLogin(user);
+      await recordLoginAttempt({
+        user,
+        reason: LOGIN_OUTCOMES.INVALID_2FA,
+        meta,
+      });
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    await clearFailedLogins(user.id);
+    await recordLoginAttempt({ user, reason: LOGIN_OUTCOMES.SUCCESS, meta });
+    const tokens = await createSession(user, meta);
+    res.json(tokens);
+  } catch (error) {
+    console.error("Error verifying 2FA:", error);
+    res.status(500).json({ message: "Failed to verify two-factor code" });
+  }
+});
+
+/**
+ * Regenerate recovery codes
+ * @route POST /api/auth/2fa/recovery-codes
+ * @description Replaces all recovery codes; the old ones stop working
+ * @access Private (any authenticated user with 2FA enabled)
+ * @param {string} req.body.code - Current 6 digit code from the authenticator app
+ * @returns {Object} { recoveryCodes }
+ * @throws {400} Bad request if 2FA is not enabled or the code is wrong
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/recovery-codes", authenticateJWT, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user || !user.totp_enabled)
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    if (!(await verifyTotpCode(user, req.body.code)))
+      return res.status(400).json({ message: "Invalid authentication code" });
+    res.json({ recoveryCodes: await generateRecoveryCodes(user.id) });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({ message: "Failed to regenerate recovery codes" });
+  }
+});
+
+/**
+ * Disable two-factor authentication
+ * @route POST /api/auth/2fa/disable
+ * @description Turns off 2FA after confirming the password. Not allowed while an admin
+ * requires 2FA for all users.
+ * @access Private (any authenticated user)
+ * @param {string} req.body.password - Current password
+ * @returns {Object} Success message
+ * @throws {400} Bad request if the password is wrong
+ * @throws {403} Forbidden if 2FA is required for all users
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/disable", authenticateJWT, async (req, res) => {
+  try {
+    if (await getSetting("require_2fa"))
+      return res.status(403).json({
+        message: "Two-factor authentication is required for all users",
+      });
+    const user = await User.findByPk(req.user.id);
+    const match =
+      user &&
+      (await bcrypt.compare(req.body.password || "", user.password_hash));
+    if (!match) return res.status(400).json({ message: "Incorrect password" });
+    await disableTwoFactor(user.id);
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling 2FA:", error);
+    res.status(500).json({ message: "Failed to disable two-factor" });
+  }
+});
+
+export default router;
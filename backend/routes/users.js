@@ -0,0 +1,558 @@
+/**
+ * @fileoverview User management routes
+ * @description Admin-only endpoints to list, create, update, disable and delete user
+ * accounts, and to issue invites that let new leaders set their own password
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import bcrypt from "bcrypt";
+import { Op } from "sequelize";
+import { User, Invite, LoginAttempt, Student } from "../models.js";
+import { ALL_ROLES, ROLES } from "../config/roles.js";
+import { buildAppUrl } from "../config/app.js";
+import { validatePassword } from "../config/passwordPolicy.js";
+import { generateToken, hashToken } from "../services/tokens.js";
+import {
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} from "../services/sessions.js";
+import { disableTwoFactor } from "../services/twoFactor.js";
+import { clearFailedLogins } from "../services/loginSecurity.js";
+import {
+  recordAudit,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+/**
+ * How long an invite stays valid, in hours
+ * @type {number}
+ * @default 72
+ */
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+// Never send password hashes back to the client
+const PUBLIC_USER_ATTRIBUTES = [
+  "id",
+  "user_name",
+  "email",
+  "role",
+  "student_id",
+  "is_active",
+  "totp_enabled",
+  "locked_until",
+  "created_at",
+];
+
+/**
+ * Build the frontend link an invited person opens to accept their invite
+ * @param {string} token - Raw invite token
+ * @returns {string} Accept-invite URL
+ */
+function buildInviteUrl(token) {
+  return buildAppUrl(`/auth/accept-invite?token=${token}`);
+}
+
+/**
+ * Check whether removing admin rights from a user would leave no active admin
+ * @param {Object} user - User being demoted, disabled or deleted
+ * @returns {Promise<boolean>} True if the user is the last active admin
+ */
+async function isLastActiveAdmin(user) {
+  if (user.role !== ROLES.ADMIN || !user.is_active) return false;
+  const otherAdmins = await User.count({
+    where: { role: ROLES.ADMIN, is_active: true, id: { [Op.ne]: user.id } },
+  });
+  return otherAdmins === 0;
+}
+
+/**
+ * Check the student link of a new login or invite. Student logins must point at an
+ * existing student that has no login yet; staff logins must not point at a student.
+ * @param {string} role - Role of the new login
+ * @param {number|string|undefined} studentId - Student to link
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+async function checkStudentLink(role, studentId) {
+  if (role !== ROLES.STUDENT) {
+    return studentId ? "Only student logins can be linked to a student" : null;
+  }
+  if (!studentId) return "student_id is required for student logins";
+  const student = await Student.findByPk(studentId);
+  if (!student) return "Student not found";
+  const linked = await User.findOne({ where: { student_id: student.id } });
+  return linked ? "This student already has a login" : null;
+}
+
+/**
+ * List all users
+ * @route GET /api/users
+ * @description Retrieves all user accounts without password hashes
+ * @access Private (admin only)
+ * @returns {Array<Object>} Array of users
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/", async (req, res) => {
+  try {
+    const users = await User.findAll({
+      attributes: PUBLIC_USER_ATTRIBUTES,
+      include: [{ model: Student, attributes: ["id", "name"] }],
+      order: [["created_at", "ASC"]],
+    });
+    res.json(users);
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ message: "Failed to fetch users" });
+  }
+});
+
+/**
+ * Create a user directly
+ * @route POST /api/users
+ * @description Creates a user account with a password chosen by the admin
+ * @access Private (admin only)
+ * @param {Object} req.body - User data
+ * @param {string} req.body.userName - Unique username (required)
+ * @param {string} req.body.email - Unique email address (required)
+ * @param {string} req.body.password - Initial password (required)
+ * @param {string} [req.body.role] - admin|mentor|viewer|student (default: viewer)
+ * @param {number} [req.body.student_id] - Student to link; required for the student role
+ * @returns {Object} Created user
+ * @throws {400} Bad request if required fields are missing, role is invalid, the student link is invalid or the password is too weak
+ * @throws {409} Conflict if username or email is already taken
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/", async (req, res) => {
+  try {
+    const {
+      userName,
+      email,
+      password,
+      role = ROLES.VIEWER,
+      student_id,
+    } = req.body;
+    if (!userName || !email || !password) {
+      return res
+        .status(400)
+        .json({ message: "userName, email and password are required" });
+    }
+    if (!ALL_ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+    const linkError = await checkStudentLink(role, student_id);
+    if (linkError) return res.status(400).json({ message: linkError });
+    const passwordError = validatePassword(password, { userName, email });
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const existing = await User.findOne({
+      where: { [Op.or]: [{ user_name: userName }, { email }] },
+    });
+    if (existing) {
+      return res
+        .status(409)
+        .json({ message: "Username or email is already in use" });
+    }
+
+    const hash = await bcrypt.hash(password, 10);
+    const user = await User.create({
+      user_name: userName,
+      email,
+      password_hash: hash,
+      role,
+      student_id: role === ROLES.STUDENT ? student_id : null,
+    });
+    const created = await User.findByPk(user.id, {
+      attributes: PUBLIC_USER_ATTRIBUTES,
+    });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.USER,
+      action: AUDIT_ACTIONS.CREATE,
+      after: created,
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    console.error("Error creating user:", error);
+    res.status(500).json({ message: "Failed to create user" });
+  }
+});
+
+/**
+ * List recent login activity
+ * @route GET /api/users/login-activity
+ * @description Retrieves login attempts, newest first, for reviewing failed logins and lockouts
+ * @access Private (admin only)
+ * @param {string} [req.query.user_id] - Only attempts matched to this user
+ * @param {string} [req.query.user_name] - Only attempts with this username as entered
+ * @param {string} [req.query.success] - "true" or "false" to filter by outcome
+ * @param {number} [req.query.limit=50] - Page size (max 200)
+ * @param {number} [req.query.offset=0] - Number of attempts to skip
+ * @returns {Object} { total, attempts }
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/login-activity", async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.user_id) where.user_id = req.query.user_id;
+    if (req.query.user_name) where.user_name = req.query.user_name;
+    if (req.query.success === "true") where.success = true;
+    if (req.query.success === "false") where.success = false;
+
+    const maxLimit = 200;
+    let limit = Number(req.query.limit ?? 50);
+    let offset = Number(req.query.offset ?? 0);
+    if (Number.isNaN(limit) || limit < 1) limit = 50;
+    if (Number.isNaN(offset) || offset < 0) offset = 0;
+    if (limit > maxLimit) limit = maxLimit;
+
+    const { count, rows } = await LoginAttempt.findAndCountAll({
+      where,
+      order: [["created_at", "DESC"]],
+      limit,
+      offset,
+    });
+    res.json({ total: count, attempts: rows });
+  } catch (error) {
+    console.error("Error fetching login activity:", error);
+    res.status(500).json({ message: "Failed to fetch login activity" });
+  }
+});
+
+/**
+ * List pending invites
+ * @route GET /api/users/invites
+ * @description Retrieves invites that have not been accepted yet, including expired ones
+ * @access Private (admin only)
+ * @returns {Array<Object>} Array of invites (without token hashes)
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/invites", async (req, res) => {
+  try {
+    const invites = await Invite.findAll({
+      where: { accepted_at: null },
+      attributes: [
+        "id",
+        "email",
+        "role",
+        "student_id",
+        "expires_at",
+        "created_at",
+      ],
+      include: [
+        { model: User, as: "inviter", attributes: ["id", "user_name"] },
+        { model: Student, attributes: ["id", "name"] },
+      ],
+      order: [["created_at", "DESC"]],
+    });
+    res.json(invites);
+  } catch (error) {
+    console.error("Error fetching invites:", error);
+    res.status(500).json({ message: "Failed to fetch invites" });
+  }
+});
+
+/**
+ * Invite a new user
+ * @route POST /api/users/invites
+ * @description Issues a single-use invite token that expires after INVITE_TTL_HOURS.
+ * The raw token is only returned in this response; the database stores its hash.
+ * @access Private (admin only)
+ * @param {Object} req.body - Invite data
+ * @param {string} req.body.email - Email address of the person being invited (required)
+ * @param {string} [req.body.role] - admin|mentor|viewer|student (default: viewer)
+ * @param {number} [req.body.student_id] - Student to link; required for the student role
+ * @returns {Object} Invite with token, invite_url and expires_at
+ * @throws {400} Bad request if email is missing, role is invalid or the student link is invalid
+ * @throws {409} Conflict if a user with this email already exists
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/invites", async (req, res) => {
+  try {
+    const { email, role = ROLES.VIEWER, student_id } = req.body;
+    if (!email) return res.status(400).json({ message: "Email required" });
+    if (!ALL_ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+    const linkError = await checkStudentLink(role, student_id);
+    if (linkError) return res.status(400).json({ message: linkError });
+
+    const existingUser = await User.findOne({ where: { email } });
+    if (existingUser) {
+      return res
+        .status(409)
+        .json({ message: "A user with this email already exists" });
+    }
+
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+    const invite = await Invite.create({
+      email,
+      role,
+      student_id: role === ROLES.STUDENT ? student_id : null,
+      token_hash: hashToken(token),
+      invited_by: req.user.id,
+      expires_at: expiresAt,
+    });
+
+    res.status(201).json({
+      id: invite.id,
+      email: invite.email,
+      role: invite.role,
+      student_id: invite.student_id,
+      expires_at: invite.expires_at,
+      token,
+      invite_url: buildInviteUrl(token),
+    });
+  } catch (error) {
+    console.error("Error creating invite:", error);
+    res.status(500).json({ message: "Failed to create invite" });
+  }
+});
+
+/**
+ * Revoke a pending invite
+ * @route DELETE /api/users/invites/:id
+ * @description Deletes an invite so its token can no longer be used
+ * @access Private (admin only)
+ * @param {string} req.params.id - Invite ID
+ * @returns {Object} Success message
+ * @throws {404} Invite not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/invites/:id", async (req, res) => {
+  try {
+    const deleted = await Invite.destroy({ where: { id: req.params.id } });
+    if (!deleted) return res.status(404).json({ message: "Invite not found" });
+    res.json({ message: "Invite revoked" });
+  } catch (error) {
+    console.error("Error revoking invite:", error);
+    res.status(500).json({ message: "Failed to revoke invite" });
+  }
+});
+
+/**
+ * Update a user's role or active state
+ * @route PATCH /api/users/:id
+ * @description Changes role and/or enables/disables an account. Disabled users cannot log in.
+ * The last active admin cannot be demoted or disabled. Student logins cannot be switched
+ * to a staff role or back, because only student logins are linked to a student.
+ * @access Private (admin only)
+ * @param {string} req.params.id - User ID
+ * @param {Object} req.body - Fields to update
+ * @param {string} [req.body.role] - admin|mentor|viewer|student
+ * @param {boolean} [req.body.is_active] - Whether the account may log in
+ * @returns {Object} Updated user
+ * @throws {400} Bad request if role is invalid, switches between student and staff, or the change would remove the last admin
+ * @throws {404} User not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.patch("/:id", async (req, res) => {
+  try {
+    const { role, is_active } = req.body;
+    const user = await User.findByPk(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (role !== undefined && !ALL_ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+    if (
+      role !== undefined &&
+      (role === ROLES.STUDENT) !== (user.role === ROLES.STUDENT)
+    ) {
+      return res.status(400).json({
+        message: "Student logins cannot be switched to or from a staff role",
+      });
+    }
+
+    const losesAdmin =
+      (role !== undefined && role !== ROLES.ADMIN) || is_active === false;
+    if (losesAdmin && (await isLastActiveAdmin(user))) {
+      return res
+        .status(400)
+        .json({ message: "At least one active admin is required" });
+    }
+
+    const updates = {};
+    if (role !== undefined) updates.role = role;
+    if (is_active !== undefined) updates.is_active = Boolean(is_active);
+    await User.update(updates, { where: { id: user.id } });
+    // Disabling an account signs it out everywhere
+    if (updates.is_active === false) await revokeAllSessions(user.id);
+
+    const updated = await User.findByPk(user.id, {
+      attributes: PUBLIC_USER_ATTRIBUTES,
+    });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.USER,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: user,
+      after: updated,
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res.status(500).json({ message: "Failed to update user" });
+  }
+});
+
+/**
+ * List a user's active sessions
+ * @route GET /api/users/:id/sessions
+ * @description Retrieves sessions that have not been revoked or expired
+ * @access Private (admin only)
+ * @param {string} req.params.id - User ID
+ * @returns {Array<Object>} Sessions with user agent, IP and timestamps
+ * @throws {404} User not found
+ * @throws {500} Internal server error if database query fails
+ */
+router.get("/:id/sessions", async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    const sessions = await listActiveSessions(user.id);
+    res.json(sessions);
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ message: "Failed to fetch sessions" });
+  }
+});
+
+/**
+ * Revoke all of a user's sessions
+ * @route DELETE /api/users/:id/sessions
+ * @description Signs the user out on every device
+ * @access Private (admin only)
+ * @param {string} req.params.id - User ID
+ * @returns {Object} Success message with the number of revoked sessions
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/:id/sessions", async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.params.id);
+    res.json({ message: `Revoked ${count} session(s)` });
+  } catch (error) {
+    console.error("Error revoking sessions:", error);
+    res.status(500).json({ message: "Failed to revoke sessions" });
+  }
+});
+
+/**
+ * Revoke a single session
+ * @route DELETE /api/users/:id/sessions/:sessionId
+ * @description Signs the user out of one device
+ * @access Private (admin only)
+ * @param {string} req.params.id - User ID
+ * @param {string} req.params.sessionId - Session ID
+ * @returns {Object} Success message
+ * @throws {404} Session not found or already revoked
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/:id/sessions/:sessionId", async (req, res) => {
+  try {
+    const revoked = await revokeSession(
+      req.params.sessionId,
+      Number(req.params.id)
+    );
+    if (!revoked) return res.status(404).json({ message: "Session not found" });
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ message: "Failed to revoke session" });
+  }
+});
+
+/**
+ * Unlock a user
+ * @route POST /api/users/:id/unlock
+ * @description Lifts a lockout caused by too many failed logins and resets the failure count
+ * @access Private (admin only)
+ * @param {string} req.params.id - User ID
+ * @returns {Object} Success message
+ * @throws {404} User not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.post("/:id/unlock", async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    await clearFailedLogins(user.id);
+    res.json({ message: "User unlocked" });
+  } catch (error) {
+    console.error("Error unlocking user:", error);
+    res.status(500).json({ message: "Failed to unlock user" });
+  }
+});
+
+/**
+ * Reset a user's two-factor authentication
+ * @route DELETE /api/users/:id/2fa
+ * @description Turns off 2FA and deletes recovery codes, e.g. when a user lost their phone.
+ * If 2FA is required for all users they will be asked to enroll again at their next login.
+ * @access Private (admin only)
+ * @param {string} req.params.id - User ID
+ * @returns {Object} Success message
+ * @throws {404} User not found
+ * @throws {500} Internal server error if database operation fails
+ */
+router.delete("/:id/2fa", async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    await disableTwoFactor(user.id);
+    res.json({ message: "Two-factor authentication reset" });
+  } catch (error) {
+    console.error("Error resetting 2FA:", error);
+    res.status(500).json({ message: "Failed to reset two-factor" });
+  }
+});
+
+/**
+ * Delete a user
+ * @route DELETE /api/users/:id
+ * @description Permanently deletes a user account. Admins cannot delete themselves
+ * and the last active admin cannot be deleted.
+ * @access Private (admin only)
+ * @param {string} req.params.id - User ID
+ * @returns {Object} Success message
+ * @throws {400} Bad request if deleting yourself or the last admin
+ * @throws {404} User not found
+ * @throws {500} Internal server error if database operation fails
+ * @warning This action is irreversible
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.id === req.user.id) {
+      return res
+        .status(400)
+        .json({ message: "You cannot delete your own account" });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res
+        .status(400)
+        .json({ message: "At least one active admin is required" });
+    }
+    await User.destroy({ where: { id: user.id } });
+    await recordAudit({
+      actorId: req.user.id,
+      entityType: AUDIT_ENTITIES.USER,
+      action: AUDIT_ACTIONS.DELETE,
+      before: user,
+    });
+    res.json({ message: "User deleted" });
+  } catch (error) {
+    console.error("Error deleting user:", error);
+    res.status(500).json({ message: "Failed to delete user" });
+  }
+});
+
+export default router;
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Mock OpenID Connect provider
+ * @description A minimal identity provider for trying single sign-on locally and for the
+ * OIDC tests. Implements discovery, an authorization page listing test users, the token
+ * endpoint with PKCE (S256) checks and a JWKS endpoint. Not for production use.
+ *
+ * Run it with `npm run mock-oidc`, then start the backend with:
+ *   OIDC_ISSUER=http://localhost:4010
+ *   OIDC_CLIENT_ID=gloire-road-map
+ *   OIDC_ROLE_CLAIM=groups
+ *   OIDC_ROLE_MAP=roadmap-admins=admin,roadmap-leaders=mentor
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+import { fileURLToPath } from "url";
+
+/**
+ * Users offered on the mock sign-in page
+ * @type {Array<Object>}
+ */
+export const MOCK_OIDC_USERS = [
+  {
+    sub: "mock-admin",
+    preferred_username: "mock.admin",
+    name: "Mock Admin",
+    email: "admin@example.com",
+    email_verified: true,
+    groups: ["roadmap-admins"],
+  },
+  {
+    sub: "mock-leader",
+    preferred_username: "mock.leader",
+    name: "Mock Leader",
+    email: "leader@example.com",
+    email_verified: true,
+    groups: ["roadmap-leaders"],
+  },
+  {
+    sub: "mock-outsider",
+    preferred_username: "mock.outsider",
+    name: "Mock Outsider",
+    email: "outsider@example.com",
+    email_verified: true,
+    groups: [],
+  },
+];
+
+/**
+ * How long authorization codes stay valid, in milliseconds
+ * @type {number}
+ */
+const CODE_TTL_MS = 60 * 1000;
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+}
+
+/**
+ * Create the mock provider app
+ * @function createMockOidcProvider
+ * @param {Object} options - Provider options
+ * @param {string} options.issuer - Base URL the provider is served from
+ * @param {string} [options.clientId="gloire-road-map"] - Only client allowed to sign in
+ * @param {string|null} [options.clientSecret=null] - Required client secret, null for a public client
+ * @param {Array<Object>} [options.users] - Users offered on the sign-in page (ID token claims)
+ * @returns {express.Application} Express app
+ */
+export function createMockOidcProvider({
+  issuer,
+  clientId = "gloire-road-map",
+  clientSecret = null,
+  users = MOCK_OIDC_USERS,
+}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = crypto.randomBytes(8).toString("hex");
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+      token_endpoint_auth_methods_supported: ["client_secret_post", "none"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    res.json({
+      keys: [
+        {
+          ...publicKey.export({ format: "jwk" }),
+          kid,
+          use: "sig",
+          alg: "RS256",
+        },
+      ],
+    });
+  });
+
+  app.get("/authorize", (req, res) => {
+    const { client_id, response_type, code_challenge, code_challenge_method } =
+      req.query;
+    if (client_id !== clientId || response_type !== "code") {
+      return res
+        .status(400)
+        .send("Unknown client or unsupported response type");
+    }
+    if (!code_challenge || code_challenge_method !== "S256") {
+      return res.status(400).send("PKCE with S256 is required");
+    }
+    const hidden = [
+      "client_id",
+      "redirect_uri",
+      "state",
+      "nonce",
+      "code_challenge",
+    ]
+      .map(
+        (name) =>
+          `<input type="hidden" name="${name}" value="${escapeHtml(
+            req.query[name]
+          )}">`
+      )
+      .join("");
+    const buttons = users
+      .map(
+        (user) =>
+          `<button name="sub" value="${escapeHtml(user.sub)}">${escapeHtml(
+            user.name
+          )} (${escapeHtml(user.email)})</button>`
+      )
+      .join("<br>");
+    res.send(
+      `<!doctype html><title>Mock sign-in</title><h1>Mock sign-in</h1>` +
+        `<form method="post" action="${issuer}/authorize">${hidden}${buttons}</form>`
+    );
+  });
+
+  app.post("/authorize", (req, res) => {
+    const user = users.find((candidate) => candidate.sub === req.body.sub);
+    if (!user || req.body.client_id !== clientId) {
+      return res.status(400).send("Unknown user or client");
+    }
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      user,
+      redirectUri: req.body.redirect_uri,
+      codeChallenge: req.body.code_challenge,
+      nonce: req.body.nonce,
+      expiresAt: Date.now() + CODE_TTL_MS,
+    });
+    const redirect = new URL(req.body.redirect_uri);
+    redirect.searchParams.set("code", code);
+    redirect.searchParams.set("state", req.body.state);
+    res.redirect(302, redirect.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const invalidGrant = (description) =>
+      res
+        .status(400)
+        .json({ error: "invalid_grant", error_description: description });
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+    if (grant_type !== "authorization_code") {
+      return res.status(400).json({ error: "unsupported_grant_type" });
+    }
+    if (
+      req.body.client_id !== clientId ||
+      (clientSecret && req.body.client_secret !== clientSecret)
+    ) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+    const grant = codes.get(code);
+    codes.delete(code);
+    if (!grant || grant.expiresAt < Date.now()) {
+      return invalidGrant("Unknown or expired code");
+    }
+    if (grant.redirectUri !== redirect_uri) {
+      return invalidGrant("redirect_uri does not match");
+    }
+    const challenge = crypto
+      .createHash("sha256")
+      .update(String(code_verifier || ""))
+      .digest("base64url");
+    if (challenge !== grant.codeChallenge) {
+      return invalidGrant("PKCE verification failed");
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.user, ...(grant.nonce ? { nonce: grant.nonce } : {}) },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: kid,
+        issuer,
+        audience: clientId,
+        expiresIn: "5m",
+      }
+    );
+    res.json({
+      access_token: crypto.randomBytes(16).toString("hex"),
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: idToken,
+    });
+  });
+
+  return app;
+}
+
+// Started directly: node scripts/mock-oidc-provider.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOCK_OIDC_PORT) || 4010;
+  const issuer = `http://localhost:${port}`;
+  createMockOidcProvider({
+    issuer,
+    clientId: process.env.OIDC_CLIENT_ID || "gloire-road-map",
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+  }).listen(port, () => {
+    console.log(`Mock OIDC provider running at ${issuer}`);
+  });
+}
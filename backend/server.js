@@ -25,10 +25,22 @@ import { specs, swaggerUiOptions } from "./config/swagger.js";
 import authRoutes from "./routes/auth.js";
 import studentRoutes from "./routes/students.js";
 import goalRoutes from "./routes/goals.js";
+import goalTemplateRoutes from "./routes/goalTemplates.js";
+import goalCategoryRoutes from "./routes/goalCategories.js";
 import analyticsRoutes from "./routes/analytics.js";
 import pointsRoutes from "./routes/points.js";
 import attendanceRoutes from "./routes/attendance.js";
-import { authenticateJWT } from "./middleware/auth.js";
+import userRoutes from "./routes/users.js";
+import settingsRoutes from "./routes/settings.js";
+import auditRoutes from "./routes/audit.js";
+import portalRoutes from "./routes/portal.js";
+import apiKeyRoutes from "./routes/apiKeys.js";
+import groupRoutes from "./routes/groups.js";
+import tagRoutes from "./routes/tags.js";
+import customFieldRoutes from "./routes/customFields.js";
+import calendarRoutes from "./routes/calendar.js";
+import { authenticateJWT, authorizeRoles } from "./middleware/auth.js";
+import { ROLES, EDITOR_ROLES, STAFF_ROLES } from "./config/roles.js";
 
 dotenv.config();
 
@@ -78,19 +90,64 @@ app.use(express.json());
  *
  * Routes:
  * - /api/auth - Public authentication routes (login, register) with strict rate limiting
- * - /api/students - Protected student management routes
- * - /api/goals - Protected goal management routes
- * - /api/analytics - Protected analytics and reporting routes
- * - /api/points - Protected points system routes
- * - /api/attendance - Protected attendance tracking routes
+ * - /api/students - Protected student management routes (staff only)
+ * - /api/goals - Protected goal management and goal milestone routes (staff only)
+ * - /api/goal-templates - Reusable goals and bulk assignment (staff read, admins and mentors manage)
+ * - /api/goal-categories - Goal categories (staff read, admins manage)
+ * - /api/analytics - Protected analytics and reporting routes (staff only)
+ * - /api/points - Protected points system routes (staff only)
+ * - /api/attendance - Protected attendance tracking routes (staff only)
+ * - /api/groups - Protected student group (cohort) routes (staff only)
+ * - /api/tags - Student tags and bulk tagging (staff read, admins and mentors manage)
+ * - /api/custom-fields - Admin-defined extra student fields (staff read, admins manage)
+ * - /api/portal - Student portal, limited to the signed-in student's own records
+ * - /api/users - Admin-only user management and invite routes
+ * - /api/settings - Admin-only application settings
+ * - /api/audit - Audit trail of changes, for admins and mentors
+ * - /api/api-keys - Admin-only management of API keys for scripts and integrations
+ * - /api/calendar - Birthday calendar feed for calendar apps (secret link) and link management (staff only)
  * - /api-docs - Interactive API documentation (Swagger UI)
  */
 app.use("/api/auth", authLimiter, authRoutes);
-app.use("/api/students", authenticateJWT, studentRoutes);
-app.use("/api/goals", authenticateJWT, goalRoutes);
-app.use("/api/analytics", authenticateJWT, analyticsRoutes);
-app.use("/api/points", authenticateJWT, pointsRoutes);
-app.use("/api/attendance", authenticateJWT, attendanceRoutes);
+// Student logins only get the portal below, never the staff routes
+const staffOnly = authorizeRoles(...STAFF_ROLES);
+app.use("/api/students", authenticateJWT, staffOnly, studentRoutes);
+app.use("/api/goals", authenticateJWT, staffOnly, goalRoutes);
+app.use("/api/goal-templates", authenticateJWT, staffOnly, goalTemplateRoutes);
+app.use("/api/goal-categories", authenticateJWT, staffOnly, goalCategoryRoutes);
+app.use("/api/analytics", authenticateJWT, staffOnly, analyticsRoutes);
+app.use("/api/points", authenticateJWT, staffOnly, pointsRoutes);
+app.use("/api/attendance", authenticateJWT, staffOnly, attendanceRoutes);
+app.use("/api/groups", authenticateJWT, staffOnly, groupRoutes);
+app.use("/api/tags", authenticateJWT, staffOnly, tagRoutes);
+app.use("/api/custom-fields", authenticateJWT, staffOnly, customFieldRoutes);
+app.use(
+  "/api/portal",
+  authenticateJWT,
+  authorizeRoles(ROLES.STUDENT),
+  portalRoutes
+);
+app.use("/api/users", authenticateJWT, authorizeRoles(ROLES.ADMIN), userRoutes);
+app.use(
+  "/api/settings",
+  authenticateJWT,
+  authorizeRoles(ROLES.ADMIN),
+  settingsRoutes
+);
+app.use(
+  "/api/audit",
+  authenticateJWT,
+  authorizeRoles(...EDITOR_ROLES),
+  auditRoutes
+);
+app.use(
+  "/api/api-keys",
+  authenticateJWT,
+  authorizeRoles(ROLES.ADMIN),
+  apiKeyRoutes
+);
+// Authenticates per route: calendar apps fetch the feed with a token in the URL
+app.use("/api/calendar", calendarRoutes);
 
 /**
  * Swagger API Documentation
@@ -127,6 +184,7 @@ app.get("/", (req, res) => {
 });
 
 import { sequelize } from "./models.js";
+import { checkMailConfig } from "./services/mailer.js";
 
 /**
  * Server port configuration
@@ -135,6 +193,13 @@ import { sequelize } from "./models.js";
  */
 const PORT = process.env.PORT || 3001;
 
+// Refuse to start rather than fail (or log reset links) on the first email
+const mailError = checkMailConfig();
+if (mailError) {
+  console.error(`Mail is not configured: ${mailError}`);
+  process.exit(1);
+}
+
 /**
  * Initialize database connection and start HTTP server
  * @description Synchronizes Sequelize models with database and starts the Express server
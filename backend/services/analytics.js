@@ -1,17 +1,47 @@
 import { sequelize } from "../models.js";
 
-export async function getOverview({ start_date = null, end_date = null } = {}) {
+// Helper: SQL condition limiting goals to students in a group (bound as :group_id) and to
+// students assigned to a mentor (bound as :mentor_id), or null when neither is set
+function scopeCondition(
+  { group_id = null, mentor_id = null },
+  column = "student_id"
+) {
+  const parts = [];
+  if (group_id) {
+    parts.push(
+      `${column} IN (SELECT student_id FROM group_members WHERE group_id = :group_id)`
+    );
+  }
+  if (mentor_id) {
+    parts.push(
+      `${column} IN (SELECT student_id FROM mentor_assignments WHERE user_id = :mentor_id)`
+    );
+  }
+  return parts.length ? parts.join(" AND ") : null;
+}
+
+export async function getOverview({
+  start_date = null,
+  end_date = null,
+  group_id = null,
+  mentor_id = null,
+} = {}) {
+  const inGroup = scopeCondition({ group_id, mentor_id });
+  const andInGroup = inGroup ? `AND ${inGroup}` : "";
   // Single-row query returning KPIs
   const sql = `
     SELECT
-      (SELECT COUNT(*) FROM goals) AS total_goals,
-      (SELECT COUNT(*) FROM goals WHERE is_completed = 1) AS completed_goals,
+      (SELECT COUNT(*) FROM goals ${
+        inGroup ? `WHERE ${inGroup}` : ""
+      }) AS total_goals,
+      (SELECT COUNT(*) FROM goals WHERE is_completed = 1 ${andInGroup}) AS completed_goals,
       -- Use GREATEST(...,0) to avoid negative intervals (protect against bad data)
       (SELECT ROUND(AVG(GREATEST(TIMESTAMPDIFF(SECOND, created_at, completed_at), 0))/86400,2)
-         FROM goals WHERE completed_at IS NOT NULL AND created_at IS NOT NULL) AS avg_days_to_complete
+         FROM goals WHERE completed_at IS NOT NULL AND created_at IS NOT NULL ${andInGroup}) AS avg_days_to_complete
   `;
 
   const rows = await sequelize.query(sql, {
+    replacements: { group_id, mentor_id },
     type: sequelize.QueryTypes.SELECT,
   });
   const r = rows[0] || {
@@ -26,13 +56,53 @@ export async function getOverview({ start_date = null, end_date = null } = {}) {
   r.pct_complete =
     total > 0 ? Number(((completed / total) * 100).toFixed(2)) : 0;
 
+  r.by_category = await getCategoryBreakdown({ group_id, mentor_id });
   return r;
 }
 
+// Goal totals per category; goals without one are counted on a row with category_id null
+export async function getCategoryBreakdown({
+  group_id = null,
+  mentor_id = null,
+} = {}) {
+  const inGroup = scopeCondition({ group_id, mentor_id }, "g.student_id");
+  const sql = `
+    SELECT c.id AS category_id, c.name, c.color, c.icon,
+      COUNT(*) AS total_goals,
+      SUM(CASE WHEN g.is_completed = 1 THEN 1 ELSE 0 END) AS completed_goals
+    FROM goals g
+    LEFT JOIN goal_categories c ON c.id = g.category_id
+    ${inGroup ? `WHERE ${inGroup}` : ""}
+    GROUP BY c.id, c.name, c.color, c.icon
+    ORDER BY c.name IS NULL, c.name
+  `;
+
+  const rows =
+    (await sequelize.query(sql, {
+      replacements: { group_id, mentor_id },
+      type: sequelize.QueryTypes.SELECT,
+    })) || [];
+  return rows.map((row) => {
+    const total = Number(row.total_goals || 0);
+    const completed = Number(row.completed_goals || 0);
+    return {
+      ...row,
+      name: row.name || "Uncategorised",
+      total_goals: total,
+      completed_goals: completed,
+      pct_complete:
+        total > 0 ? Number(((completed / total) * 100).toFixed(2)) : 0,
+    };
+  });
+}
+
 export async function getCompletions({
   start_date = null,
   end_date = null,
   group_by = "week",
+  group_id = null,
+  mentor_id = null,
+  breakdown = null,
 } = {}) {
   let labelExpr = "DATE_FORMAT(completed_at, '%Y-%u')"; // week
   if (group_by === "day") labelExpr = "DATE_FORMAT(completed_at, '%Y-%m-%d')";
@@ -48,8 +118,25 @@ export async function getCompletions({
     whereParts.push("completed_at <= :end");
     replacements.end = end_date;
   }
+  const inScope = scopeCondition({ group_id, mentor_id });
+  if (inScope) {
+    whereParts.push(inScope);
+    Object.assign(replacements, { group_id, mentor_id });
+  }
 
-  const sql = `
+  // breakdown=category splits every period into one row per category (null = uncategorised)
+  const byCategory = breakdown === "category";
+  const sql = byCategory
+    ? `
+    SELECT ${labelExpr} AS label, goals.category_id, goal_categories.name AS category,
+      goal_categories.color, COUNT(*) AS completions
+    FROM goals
+    LEFT JOIN goal_categories ON goal_categories.id = goals.category_id
+    WHERE ${whereParts.join(" AND ")}
+    GROUP BY label, goals.category_id, goal_categories.name, goal_categories.color
+    ORDER BY label, goal_categories.name IS NULL, goal_categories.name
+  `
+    : `
     SELECT ${labelExpr} AS label, COUNT(*) AS completions
     FROM goals
     WHERE ${whereParts.join(" AND ")}
@@ -68,6 +155,8 @@ export async function getTimeToComplete({
   start_date = null,
   end_date = null,
   buckets = null,
+  group_id = null,
+  mentor_id = null,
 } = {}) {
   // Default histogram buckets
   const defaultBuckets = [
@@ -89,6 +178,11 @@ export async function getTimeToComplete({
     whereParts.push("DATE(completed_at) <= :end");
     replacements.end = end_date;
   }
+  const inScope = scopeCondition({ group_id, mentor_id });
+  if (inScope) {
+    whereParts.push(inScope);
+    Object.assign(replacements, { group_id, mentor_id });
+  }
 
   const sql = `
       SELECT TIMESTAMPDIFF(SECOND, created_at, completed_at)/86400.0 AS days
@@ -164,6 +258,8 @@ export async function getByStudent({
   end_date = null,
   limit = 50,
   offset = 0,
+  group_id = null,
+  mentor_id = null,
 } = {}) {
   const whereParts = ["g.completed_at IS NOT NULL"];
   const replacements = { limit: Number(limit), offset: Number(offset) };
@@ -175,6 +271,11 @@ export async function getByStudent({
     whereParts.push("g.completed_at <= :end");
     replacements.end = end_date;
   }
+  const inScope = scopeCondition({ group_id, mentor_id }, "g.student_id");
+  if (inScope) {
+    whereParts.push(inScope);
+    Object.assign(replacements, { group_id, mentor_id });
+  }
 
   const sql = `
     SELECT s.id AS student_id, s.name AS student_name, COUNT(*) AS completions,
@@ -198,6 +299,8 @@ export async function getThroughput({
   start_date = null,
   end_date = null,
   group_by = "month",
+  group_id = null,
+  mentor_id = null,
 } = {}) {
   // Decide label expression and bucket boundaries
   let dateFormat = "%Y-%m"; // month
@@ -224,6 +327,12 @@ export async function getThroughput({
     wherePartsCompleted.push("DATE(completed_at) <= :end");
     replacements.end = end_date;
   }
+  const inScope = scopeCondition({ group_id, mentor_id });
+  if (inScope) {
+    wherePartsCreated.push(inScope);
+    wherePartsCompleted.push(inScope);
+    Object.assign(replacements, { group_id, mentor_id });
+  }
 
   // We use two subqueries and then full outer-like join via UNION of labels
   const sqlCreated = `
@@ -392,7 +501,12 @@ export async function getThroughput({
   return series;
 }
 
-export async function getBacklog({ as_of = null, top_n = 10 } = {}) {
+export async function getBacklog({
+  as_of = null,
+  top_n = 10,
+  group_id = null,
+  mentor_id = null,
+} = {}) {
   // as_of is expected as YYYY-MM-DD; default to today if not provided
   const asOfDate = as_of || new Date().toISOString().slice(0, 10);
   let limit = Number(top_n) || 10;
@@ -400,10 +514,12 @@ export async function getBacklog({ as_of = null, top_n = 10 } = {}) {
   const MAX_TOP = 100;
   if (limit > MAX_TOP) limit = MAX_TOP;
 
-  const replacements = { as_of: asOfDate, top_n: limit };
+  const replacements = { as_of: asOfDate, top_n: limit, group_id, mentor_id };
 
   // Open as of : as created on or before as_of and not completed on or before as_of
-  const whereOpen = `DATE(created_at) <= :as_of AND (completed_at IS NULL OR DATE(completed_at) > :as_of)`;
+  let whereOpen = `DATE(created_at) <= :as_of AND (completed_at IS NULL OR DATE(completed_at) > :as_of)`;
+  const inScope = scopeCondition({ group_id, mentor_id });
+  if (inScope) whereOpen += ` AND ${inScope}`;
 
   const sqlTotal = `SELECT COUNT(*) AS total_open FROM goals WHERE ${whereOpen}`;
   const sqlOverdue = `SELECT COUNT(*) AS overdue FROM goals WHERE ${whereOpen} AND target_date IS NOT NULL AND DATE(target_date) < :as_of`;
@@ -499,11 +615,15 @@ export async function getOverdue({
   start_date = null,
   end_date = null,
   as_of = null,
+  group_id = null,
+  mentor_id = null,
 } = {}) {
   // as_of defaults to today for open overdue count
   const asOfDate = as_of || new Date().toISOString().slice(0, 10);
+  const inScope = scopeCondition({ group_id, mentor_id });
+  const andInGroup = inScope ? `AND ${inScope}` : "";
 
-  const replacements = { as_of: asOfDate };
+  const replacements = { as_of: asOfDate, group_id, mentor_id };
   if (start_date) replacements.start = start_date;
   if (end_date) replacements.end = end_date;
 
@@ -514,6 +634,7 @@ export async function getOverdue({
     WHERE is_completed = 0
       AND target_date IS NOT NULL
       AND DATE(target_date) < :as_of
+      ${andInGroup}
   `;
 
   // On-time completion rate for completed goals in range (if start/end provided)
@@ -528,6 +649,7 @@ export async function getOverdue({
           ? "AND DATE(completed_at) BETWEEN :start AND :end"
           : ""
       }
+      ${andInGroup}
   `;
 
   const [openRows, completedRows] = await Promise.all([
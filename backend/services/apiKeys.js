@@ -0,0 +1,153 @@
+/**
+ * @fileoverview API key service
+ * @description Creates, authenticates and checks the scopes of personal API keys. Keys are
+ * shown once at creation; only their SHA-256 hash is stored.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { ApiKey, User } from "../models.js";
+import { API_KEY_SCOPES, ALL_API_KEY_SCOPES } from "../config/apiKeyScopes.js";
+import { generateToken, hashToken } from "./tokens.js";
+
+/**
+ * Prefix of every API key, used to tell keys apart from JWTs in the Authorization header
+ * @type {string}
+ */
+export const API_KEY_PREFIX = "grm_";
+
+/**
+ * Number of leading key characters stored in clear for display
+ * @type {number}
+ */
+const DISPLAY_PREFIX_LENGTH = 12;
+
+/**
+ * Minimum time between last_used_at writes for the same key, in milliseconds
+ * @type {number}
+ */
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Maximum lifetime a key can be created with, in days
+ * @type {number}
+ */
+export const MAX_API_KEY_TTL_DAYS = 365;
+
+/**
+ * Check whether a bearer credential looks like an API key
+ * @param {string} token - Token from the Authorization header
+ * @returns {boolean} True for API keys, false for JWTs
+ */
+export function isApiKey(token) {
+  return typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Validate a list of scopes
+ * @param {*} scopes - Value from the request body
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return "At least one scope is required";
+  }
+  const unknown = scopes.filter((scope) => !ALL_API_KEY_SCOPES.includes(scope));
+  if (unknown.length) {
+    return `Unknown scope: ${unknown.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a request is covered by one of a key's scopes
+ * @param {Array<string>} scopes - Scopes granted to the key
+ * @param {string} method - HTTP method of the request
+ * @param {string} path - Full request path without query string, e.g. /api/attendance/5
+ * @returns {boolean} True if at least one scope allows the method on the path
+ */
+export function isScopeAllowed(scopes, method, path) {
+  const verb = method === "HEAD" ? "GET" : method;
+  return (scopes || []).some((name) => {
+    const scope = API_KEY_SCOPES[name];
+    return (
+      scope &&
+      scope.methods.includes(verb) &&
+      scope.paths.some(
+        (prefix) => path === prefix || path.startsWith(`${prefix}/`)
+      )
+    );
+  });
+}
+
+/**
+ * Create an API key
+ * @async
+ * @param {Object} options - Key options
+ * @param {number} options.userId - Owner of the key
+ * @param {string} options.name - Label for the key
+ * @param {Array<string>} options.scopes - Validated scopes
+ * @param {Date|null} [options.expiresAt] - Expiry, null for no expiry
+ * @returns {Promise<{apiKey: Object, key: string}>} Stored key and the raw key, which is
+ * not retrievable afterwards
+ */
+export async function createApiKey({ userId, name, scopes, expiresAt = null }) {
+  const key = `${API_KEY_PREFIX}${generateToken()}`;
+  const apiKey = await ApiKey.create({
+    user_id: userId,
+    name,
+    key_prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    key_hash: hashToken(key),
+    scopes,
+    expires_at: expiresAt,
+  });
+  return { apiKey, key };
+}
+
+/**
+ * Resolve an API key to the user it acts as
+ * @async
+ * @description Records the time of use, at most once a minute per key.
+ * @param {string} key - Raw API key
+ * @returns {Promise<Object|null>} { id, userName, email, role, apiKeyId, scopes } for
+ * req.user, or null if the key is unknown, revoked, expired or its owner is disabled
+ */
+export async function authenticateApiKey(key) {
+  const apiKey = await ApiKey.findOne({ where: { key_hash: hashToken(key) } });
+  const now = new Date();
+  if (!apiKey || apiKey.revoked_at) return null;
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= now) return null;
+
+  const owner = await User.findByPk(apiKey.user_id);
+  if (!owner || !owner.is_active) return null;
+
+  if (
+    !apiKey.last_used_at ||
+    now - new Date(apiKey.last_used_at) >= LAST_USED_RESOLUTION_MS
+  ) {
+    await ApiKey.update({ last_used_at: now }, { where: { id: apiKey.id } });
+  }
+
+  return {
+    id: owner.id,
+    userName: owner.user_name,
+    email: owner.email,
+    role: owner.role,
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes,
+  };
+}
+
+/**
+ * Revoke an API key
+ * @async
+ * @param {number} id - API key ID
+ * @returns {Promise<boolean>} True if an active key was revoked
+ */
+export async function revokeApiKey(id) {
+  const [count] = await ApiKey.update(
+    { revoked_at: new Date() },
+    { where: { id, revoked_at: null } }
+  );
+  return count > 0;
+}
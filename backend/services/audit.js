@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Audit trail service
+ * @description Records who created, updated or deleted students, goals, attendance
+ * records, users, groups, student contacts, custom fields, tags, goal templates, goal
+ * categories and goal milestones, together with the values before and after the change, and which duplicate
+ * students were merged.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { AuditLog } from "../models.js";
+
+/**
+ * Entity types stored in audit_logs.entity_type
+ * @namespace AUDIT_ENTITIES
+ */
+export const AUDIT_ENTITIES = {
+  STUDENT: "student",
+  GOAL: "goal",
+  ATTENDANCE: "attendance",
+  USER: "user",
+  GROUP: "group",
+  CONTACT: "contact",
+  CUSTOM_FIELD: "custom_field",
+  TAG: "tag",
+  GOAL_TEMPLATE: "goal_template",
+  GOAL_CATEGORY: "goal_category",
+  GOAL_MILESTONE: "goal_milestone",
+};
+
+/**
+ * Actions stored in audit_logs.action
+ * @namespace AUDIT_ACTIONS
+ */
+export const AUDIT_ACTIONS = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  MERGE: "merge",
+};
+
+// Secrets are never copied into the audit trail
+const REDACTED_FIELDS = ["password_hash", "totp_secret", "totp_last_step"];
+
+// Bookkeeping columns that change on every write and would only add noise
+const IGNORED_FIELDS = ["updated_at"];
+
+/**
+ * Turn a model instance or plain object into JSON-safe values for the audit trail.
+ * Secrets and included associations are dropped.
+ * @param {Object|null} record - Model instance or plain object
+ * @returns {Object|null} Plain values, or null when there is no record
+ */
+export function toAuditValues(record) {
+  if (!record) return null;
+  const plain =
+    typeof record.get === "function" ? record.get({ plain: true }) : record;
+  const values = {};
+  for (const [key, value] of Object.entries(plain)) {
+    if (REDACTED_FIELDS.includes(key) || IGNORED_FIELDS.includes(key)) continue;
+    // Skip included associations such as attendance.Student
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      continue;
+    }
+    values[key] = value;
+  }
+  return JSON.parse(JSON.stringify(values));
+}
+
+/**
+ * Reduce two snapshots to the fields that actually changed. Fields missing from
+ * either snapshot (e.g. when the after record was loaded with fewer attributes)
+ * are not compared.
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {{before: Object, after: Object}} Changed fields only; both empty when nothing changed
+ */
+export function diffAuditValues(before, after) {
+  const changed = { before: {}, after: {} };
+  for (const key of Object.keys(after)) {
+    if (!(key in before)) continue;
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    changed.before[key] = before[key] ?? null;
+    changed.after[key] = after[key] ?? null;
+  }
+  return changed;
+}
+
+/**
+ * Record a create, update, delete or merge in the audit trail. Updates store only the fields
+ * that changed and are skipped when nothing did. Never throws: a failed audit write
+ * must not fail a change that has already been saved.
+ * @async
+ * @param {Object} entry - Audit details
+ * @param {number|null} entry.actorId - ID of the user making the change
+ * @param {string} entry.entityType - One of AUDIT_ENTITIES
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {Object|null} [entry.before] - Record before the change (update and delete)
+ * @param {Object|null} [entry.after] - Record after the change (create and update)
+ * @param {number} [entry.entityId] - Defaults to the id of the after/before record
+ * @returns {Promise<void>}
+ */
+export async function recordAudit({
+  actorId,
+  entityType,
+  action,
+  before = null,
+  after = null,
+  entityId,
+}) {
+  try {
+    let beforeValues = toAuditValues(before);
+    let afterValues = toAuditValues(after);
+    const id = entityId ?? afterValues?.id ?? beforeValues?.id;
+    if (action === AUDIT_ACTIONS.UPDATE) {
+      const changed = diffAuditValues(beforeValues || {}, afterValues || {});
+      if (Object.keys(changed.after).length === 0) return;
+      beforeValues = changed.before;
+      afterValues = changed.after;
+    }
+    await AuditLog.create({
+      user_id: actorId ?? null,
+      entity_type: entityType,
+      entity_id: id,
+      action,
+      before: beforeValues,
+      after: afterValues,
+    });
+  } catch (error) {
+    console.error("Error recording audit entry:", error);
+  }
+}
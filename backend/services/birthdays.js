@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Birthdays service
+ * @description Works out students' upcoming birthdays from `date_of_birth`. "Today" is the
+ * calendar date in a given IANA timezone, so a birthday starts at local midnight rather
+ * than server (UTC) midnight. Students born on 29 February celebrate on 28 February in
+ * years that are not leap years. Upcoming birthdays can also be served as an iCalendar feed.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Op } from "sequelize";
+import { Student } from "../models.js";
+import { STUDENT_STATUSES } from "../config/studentStatuses.js";
+import { localDate, DEFAULT_TIME_ZONE } from "../utils/dates.js";
+
+/**
+ * Longest look-ahead, in days
+ * @type {number}
+ */
+export const MAX_BIRTHDAY_DAYS = 366;
+
+// Ages flagged as milestones, besides every tenth birthday
+const MILESTONE_AGES = [13, 16, 18, 21];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a year has 29 February
+ * @param {number} year - Calendar year
+ * @returns {boolean} True for leap years
+ */
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Date a birthday falls on in a given year, as a UTC timestamp
+ * @param {number} year - Calendar year
+ * @param {number} month - Birth month (1-12)
+ * @param {number} day - Birth day
+ * @returns {number} Milliseconds since the epoch at UTC midnight
+ */
+function birthdayIn(year, month, day) {
+  const leapDay = month === 2 && day === 29 && !isLeapYear(year);
+  return Date.UTC(year, month - 1, leapDay ? 28 : day);
+}
+
+/**
+ * Whether turning this age is worth a special mention
+ * @function isMilestoneAge
+ * @param {number} age - Age being turned
+ * @returns {boolean} True for 13, 16, 18, 21 and every tenth birthday
+ */
+export function isMilestoneAge(age) {
+  return MILESTONE_AGES.includes(age) || age % 10 === 0;
+}
+
+/**
+ * Work out a student's next birthday, which may be today
+ * @function nextBirthday
+ * @param {Date|string|null} dateOfBirth - Stored date of birth
+ * @param {{year: number, month: number, day: number}} today - Local date (see localDate)
+ * @returns {{date: string, days_until: number, age: number}|null} Next birthday as
+ * YYYY-MM-DD, days from today (0 = today) and the age being turned, or null without a
+ * usable date of birth
+ */
+export function nextBirthday(dateOfBirth, today) {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  if (Number.isNaN(birth.getTime())) return null;
+  const [birthYear, month, day] = birth
+    .toISOString()
+    .slice(0, 10)
+    .split("-")
+    .map(Number);
+
+  const todayTime = Date.UTC(today.year, today.month - 1, today.day);
+  let year = today.year;
+  if (birthdayIn(year, month, day) < todayTime) year += 1;
+  const age = year - birthYear;
+  // Dates of birth in the future are typing mistakes
+  if (age < 1) return null;
+
+  const date = birthdayIn(year, month, day);
+  return {
+    date: new Date(date).toISOString().slice(0, 10),
+    days_until: Math.round((date - todayTime) / DAY_MS),
+    age,
+  };
+}
+
+/**
+ * Find the students whose birthday is within the next few days
+ * @async
+ * @function findUpcomingBirthdays
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Days to look ahead; 0 only includes today
+ * @param {string} [options.timeZone] - IANA timezone "today" is taken in (default APP_TIMEZONE or UTC)
+ * @param {Array<Object>} [options.conditions] - Extra `where` conditions on students
+ * @param {Date} [options.now=new Date()] - Current moment
+ * @returns {Promise<Array<Object>>} { student_id, name, date_of_birth, birthday, days_until,
+ * age, milestone } soonest first. Archived students are left out.
+ */
+export async function findUpcomingBirthdays({
+  days = 30,
+  timeZone = DEFAULT_TIME_ZONE,
+  conditions = [],
+  now = new Date(),
+} = {}) {
+  const students = await Student.findAll({
+    where: {
+      [Op.and]: conditions,
+      date_of_birth: { [Op.ne]: null },
+      status: { [Op.ne]: STUDENT_STATUSES.ARCHIVED },
+    },
+    attributes: ["id", "name", "date_of_birth"],
+  });
+
+  const today = localDate(timeZone, now);
+  const upcoming = [];
+  for (const student of students) {
+    const next = nextBirthday(student.date_of_birth, today);
+    if (!next || next.days_until > days) continue;
+    upcoming.push({
+      student_id: student.id,
+      name: student.name,
+      date_of_birth: new Date(student.date_of_birth).toISOString().slice(0, 10),
+      birthday: next.date,
+      days_until: next.days_until,
+      age: next.age,
+      milestone: isMilestoneAge(next.age),
+    });
+  }
+  return upcoming.sort(
+    (a, b) => a.days_until - b.days_until || a.name.localeCompare(b.name)
+  );
+}
+
+// Longest iCalendar content line, in octets, before it is folded
+const ICS_LINE_OCTETS = 75;
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text - Plain text
+ * @returns {string} Text with backslashes, semicolons, commas and newlines escaped
+ */
+function escapeIcsText(text) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold an iCalendar content line so no line is longer than 75 octets
+ * @param {string} line - Content line
+ * @returns {string} Line, with CRLF and a space before each continuation
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length ? ICS_LINE_OCTETS - 1 : ICS_LINE_OCTETS;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Format a YYYY-MM-DD date as an iCalendar DATE value
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYYMMDD
+ */
+function icsDate(date) {
+  return date.replace(/-/g, "");
+}
+
+/**
+ * Build an iCalendar (RFC 5545) feed with one all-day event per upcoming birthday
+ * @function birthdayCalendar
+ * @param {Array<Object>} birthdays - Result of findUpcomingBirthdays
+ * @param {Date} [now=new Date()] - Time the feed is generated
+ * @returns {string} text/calendar document with CRLF line endings
+ */
+export function birthdayCalendar(birthdays, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Gloire Road Map//Birthdays//EN",
+    "CALSCALE:GREGORIAN",
+    "X-WR-CALNAME:Birthdays",
+  ];
+  for (const birthday of birthdays) {
+    const end = new Date(`${birthday.birthday}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + 1);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:birthday-${birthday.student_id}-${birthday.birthday}@gloire-road-map`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(birthday.birthday)}`,
+      `DTEND;VALUE=DATE:${icsDate(end.toISOString().slice(0, 10))}`,
+      `SUMMARY:${escapeIcsText(`${birthday.name} turns ${birthday.age}`)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
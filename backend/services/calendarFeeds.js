@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Calendar feed service
+ * @description Creates, looks up and revokes the secret links calendar apps use to subscribe
+ * to the birthday calendar. The token in a link is shown once; only its SHA-256 hash is stored.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { CalendarFeed, User } from "../models.js";
+import { STAFF_ROLES } from "../config/roles.js";
+import { buildAppUrl } from "../config/app.js";
+import { generateToken, hashToken } from "./tokens.js";
+
+/**
+ * Build the link a calendar app subscribes to
+ * @function birthdayFeedUrl
+ * @param {string} token - Raw feed token
+ * @returns {string} Feed URL, served through the frontend's /api proxy
+ */
+export function birthdayFeedUrl(token) {
+  return buildAppUrl(`/api/calendar/birthdays/${token}.ics`);
+}
+
+/**
+ * Get a user's feed link details
+ * @function findCalendarFeed
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Feed without its token hash, or null if the user has none
+ */
+export function findCalendarFeed(userId) {
+  return CalendarFeed.findOne({
+    where: { user_id: userId },
+    attributes: ["id", "user_id", "last_used_at", "created_at"],
+  });
+}
+
+/**
+ * Create a feed link for a user, replacing (and so revoking) any link they had
+ * @async
+ * @param {number} userId - User ID
+ * @returns {Promise<{feed: Object, token: string}>} Stored feed and the raw token, which is
+ * not retrievable afterwards
+ */
+export async function createCalendarFeed(userId) {
+  const token = generateToken();
+  await CalendarFeed.destroy({ where: { user_id: userId } });
+  const feed = await CalendarFeed.create({
+    user_id: userId,
+    token_hash: hashToken(token),
+  });
+  return { feed, token };
+}
+
+/**
+ * Revoke a user's feed link
+ * @async
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True if a link was revoked
+ */
+export async function revokeCalendarFeed(userId) {
+  const count = await CalendarFeed.destroy({ where: { user_id: userId } });
+  return count > 0;
+}
+
+/**
+ * Resolve a feed token to the user whose view of the students it serves
+ * @async
+ * @description Records the time of use.
+ * @param {string} token - Raw feed token from the link
+ * @returns {Promise<Object|null>} { id, userName, email, role } for req.user, or null if the
+ * token is unknown or revoked, or its owner is disabled or no longer staff
+ */
+export async function authenticateCalendarFeed(token) {
+  const feed = await CalendarFeed.findOne({
+    where: { token_hash: hashToken(token) },
+  });
+  if (!feed) return null;
+
+  const owner = await User.findByPk(feed.user_id);
+  if (!owner || !owner.is_active || !STAFF_ROLES.includes(owner.role)) {
+    return null;
+  }
+
+  await CalendarFeed.update(
+    { last_used_at: new Date() },
+    { where: { id: feed.id } }
+  );
+  return {
+    id: owner.id,
+    userName: owner.user_name,
+    email: owner.email,
+    role: owner.role,
+  };
+}
@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Custom student fields service
+ * @description Validates admin-defined field definitions and the values students have for
+ * them, converts values to and from their stored text form, and builds the student filters
+ * used by `GET /api/students?custom[key]=value`.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Op } from "sequelize";
+import { CustomField, CustomFieldValue, sequelize } from "../models.js";
+
+/**
+ * Types a custom field can have
+ * @namespace CUSTOM_FIELD_TYPES
+ */
+export const CUSTOM_FIELD_TYPES = {
+  TEXT: "text",
+  NUMBER: "number",
+  DATE: "date",
+  SELECT: "select",
+  BOOLEAN: "boolean",
+};
+
+const ALL_TYPES = Object.values(CUSTOM_FIELD_TYPES);
+
+// Keys appear in URLs and exports, so they are limited to snake_case
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const MAX_LABEL_LENGTH = 100;
+const MAX_OPTIONS = 100;
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * Validate the fields sent to create or update a custom field definition. The key and
+ * type cannot change once created, as stored values and saved filters depend on them.
+ * @function parseFieldDefinition
+ * @param {Object} body - req.body
+ * @param {Object|null} [existing] - Field being updated
+ * @returns {{values?: Object, error?: string}} Columns to save (only those sent), or an error message
+ */
+export function parseFieldDefinition(body, existing = null) {
+  const values = {};
+  const { key, label, type, options, required, position } = body;
+
+  if (existing) {
+    if (key !== undefined && key !== existing.key) {
+      return { error: "key cannot be changed" };
+    }
+    if (type !== undefined && type !== existing.type) {
+      return { error: "type cannot be changed" };
+    }
+  } else {
+    if (typeof key !== "string" || !KEY_PATTERN.test(key)) {
+      return {
+        error:
+          "key must start with a letter and contain only lowercase letters, digits and underscores (max 50)",
+      };
+    }
+    if (!ALL_TYPES.includes(type)) {
+      return { error: `type must be one of: ${ALL_TYPES.join(", ")}` };
+    }
+    values.key = key;
+    values.type = type;
+  }
+
+  if (label !== undefined || !existing) {
+    if (typeof label !== "string" || !label.trim()) {
+      return { error: "Label required" };
+    }
+    if (label.trim().length > MAX_LABEL_LENGTH) {
+      return {
+        error: `Label must be at most ${MAX_LABEL_LENGTH} characters`,
+      };
+    }
+    values.label = label.trim();
+  }
+
+  const fieldType = existing ? existing.type : type;
+  if (fieldType === CUSTOM_FIELD_TYPES.SELECT) {
+    if (options !== undefined || !existing) {
+      if (
+        !Array.isArray(options) ||
+        !options.length ||
+        options.length > MAX_OPTIONS ||
+        !options.every(
+          (option) =>
+            typeof option === "string" &&
+            option.trim() &&
+            option.trim().length <= MAX_LABEL_LENGTH
+        )
+      ) {
+        return {
+          error: `options must be a list of 1 to ${MAX_OPTIONS} non-empty values`,
+        };
+      }
+      const trimmed = options.map((option) => option.trim());
+      if (new Set(trimmed).size !== trimmed.length) {
+        return { error: "options must not repeat" };
+      }
+      values.options = trimmed;
+    }
+  } else if (options !== undefined && options !== null) {
+    return { error: "Only select fields have options" };
+  }
+
+  if (required !== undefined) {
+    if (typeof required !== "boolean") {
+      return { error: "required must be true or false" };
+    }
+    values.required = required;
+  }
+  if (position !== undefined) {
+    if (!Number.isInteger(position) || position < 0) {
+      return { error: "position must be a non-negative integer" };
+    }
+    values.position = position;
+  }
+  return { values };
+}
+
+/**
+ * Convert a value sent by a client into its stored text form
+ * @function toStoredValue
+ * @param {Object} field - Custom field definition
+ * @param {*} raw - Value from the request; null, undefined or "" mean no value
+ * @returns {{value?: string|null, error?: string}} Stored text (null for no value), or an error message
+ */
+export function toStoredValue(field, raw) {
+  if (raw === null || raw === undefined || raw === "") return { value: null };
+  switch (field.type) {
+    case CUSTOM_FIELD_TYPES.TEXT: {
+      if (typeof raw !== "string") return { error: "must be text" };
+      const text = raw.trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        return { error: `must be at most ${MAX_TEXT_LENGTH} characters` };
+      }
+      return { value: text || null };
+    }
+    case CUSTOM_FIELD_TYPES.NUMBER: {
+      const number = typeof raw === "string" ? Number(raw.trim()) : raw;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return { error: "must be a number" };
+      }
+      return { value: String(number) };
+    }
+    case CUSTOM_FIELD_TYPES.DATE: {
+      const date = new Date(`${raw}T00:00:00Z`);
+      if (
+        typeof raw !== "string" ||
+        !/^\d{4}-\d{2}-\d{2}$/.test(raw) ||
+        isNaN(date.getTime()) ||
+        date.toISOString().slice(0, 10) !== raw
+      ) {
+        return { error: "must be a date (YYYY-MM-DD)" };
+      }
+      return { value: raw };
+    }
+    case CUSTOM_FIELD_TYPES.SELECT:
+      if (!(field.options || []).includes(raw)) {
+        return { error: `must be one of: ${(field.options || []).join(", ")}` };
+      }
+      return { value: raw };
+    case CUSTOM_FIELD_TYPES.BOOLEAN:
+      if (typeof raw !== "boolean") return { error: "must be true or false" };
+      return { value: String(raw) };
+    default:
+      return { error: "has an unknown type" };
+  }
+}
+
+/**
+ * Convert a stored value back to its JSON type
+ * @function fromStoredValue
+ * @param {Object} field - Custom field definition
+ * @param {string|null} text - Stored text
+ * @returns {string|number|boolean|null} Typed value
+ */
+export function fromStoredValue(field, text) {
+  if (text === null || text === undefined) return null;
+  if (field.type === CUSTOM_FIELD_TYPES.NUMBER) return Number(text);
+  if (field.type === CUSTOM_FIELD_TYPES.BOOLEAN) return text === "true";
+  return text;
+}
+
+/**
+ * Load all field definitions in display order
+ * @async
+ * @function listCustomFields
+ * @returns {Promise<Array<Object>>} Custom field definitions
+ */
+export function listCustomFields() {
+  return CustomField.findAll({
+    order: [
+      ["position", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+}
+
+/**
+ * Check the custom field values sent for a student
+ * @async
+ * @function validateCustomValues
+ * @param {*} input - Value of req.body.custom_fields: { [key]: value }
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.requireAll] - Required fields must be present (creating a student);
+ * otherwise only the fields sent are checked
+ * @returns {Promise<{values?: Array<{field: Object, value: string|null}>, error?: string}>}
+ * Values to save, or an error message
+ */
+export async function validateCustomValues(input, { requireAll = false } = {}) {
+  if (input === undefined || input === null) input = {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "custom_fields must be an object" };
+  }
+  const fields = await listCustomFields();
+  const byKey = new Map(fields.map((field) => [field.key, field]));
+  for (const key of Object.keys(input)) {
+    if (!byKey.has(key)) return { error: `Unknown custom field: ${key}` };
+  }
+
+  const values = [];
+  for (const field of fields) {
+    const sent = Object.hasOwn(input, field.key);
+    if (!sent) {
+      if (requireAll && field.required) {
+        return { error: `${field.label} is required` };
+      }
+      continue;
+    }
+    const { value, error } = toStoredValue(field, input[field.key]);
+    if (error) return { error: `${field.label} ${error}` };
+    if (value === null && field.required) {
+      return { error: `${field.label} is required` };
+    }
+    values.push({ field, value });
+  }
+  return { values };
+}
+
+/**
+ * Save a student's custom field values; a null value removes it
+ * @async
+ * @function setCustomValues
+ * @param {number} studentId - Student ID
+ * @param {Array<{field: Object, value: string|null}>} values - Validated values from validateCustomValues
+ * @returns {Promise<void>}
+ */
+export async function setCustomValues(studentId, values) {
+  if (!values.length) return;
+  await sequelize.transaction(async (transaction) => {
+    for (const { field, value } of values) {
+      if (value === null) {
+        await CustomFieldValue.destroy({
+          where: { field_id: field.id, student_id: studentId },
+          transaction,
+        });
+      } else {
+        await CustomFieldValue.upsert(
+          { field_id: field.id, student_id: studentId, value },
+          { transaction }
+        );
+      }
+    }
+  });
+}
+
+/**
+ * Add a `custom_fields` object ({ [key]: value|null } for every defined field) to each student
+ * @async
+ * @function attachCustomValues
+ * @param {Array<Object>} students - Student instances
+ * @param {Array<Object>} [fields] - Field definitions, if already loaded
+ * @returns {Promise<void>}
+ */
+export async function attachCustomValues(students, fields) {
+  if (!students.length) return;
+  fields = fields || (await listCustomFields());
+  const stored = fields.length
+    ? await CustomFieldValue.findAll({
+        where: { student_id: students.map((student) => student.id) },
+      })
+    : [];
+  const byStudent = new Map();
+  for (const row of stored) {
+    if (!byStudent.has(row.student_id)) byStudent.set(row.student_id, {});
+    byStudent.get(row.student_id)[row.field_id] = row.value;
+  }
+  for (const student of students) {
+    const texts = byStudent.get(student.id) || {};
+    const custom = {};
+    for (const field of fields) {
+      custom[field.key] = fromStoredValue(field, texts[field.id] ?? null);
+    }
+    student.setDataValue("custom_fields", custom);
+  }
+}
+
+/**
+ * Build conditions on the student ID column for custom field filters. Text fields match
+ * values containing the filter; other types must match exactly, and `false` on a yes/no
+ * field also matches students without a value.
+ * @async
+ * @function customFieldConditions
+ * @param {*} filters - Value of req.query.custom: { [key]: value }
+ * @returns {Promise<{conditions?: Array<Object>, error?: string}>} Conditions for `id`
+ * (combine with Op.and), or an error message
+ */
+export async function customFieldConditions(filters) {
+  if (filters === undefined) return { conditions: [] };
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    return { error: "Invalid custom field filter" };
+  }
+  const keys = Object.keys(filters);
+  if (!keys.length) return { conditions: [] };
+  const fields = await CustomField.findAll({ where: { key: keys } });
+  const byKey = new Map(fields.map((field) => [field.key, field]));
+
+  const conditions = [];
+  for (const key of keys) {
+    const field = byKey.get(key);
+    if (!field) return { error: `Unknown custom field: ${key}` };
+    const filter = filters[key];
+    if (typeof filter !== "string" || !filter.trim()) {
+      return { error: `Invalid filter for ${field.label}` };
+    }
+    const studentsWith = (valueSql) =>
+      sequelize.literal(
+        `(SELECT student_id FROM custom_field_values WHERE field_id = ${sequelize.escape(
+          field.id
+        )} AND ${valueSql})`
+      );
+
+    if (field.type === CUSTOM_FIELD_TYPES.TEXT) {
+      // Escape LIKE wildcards so they match literally
+      const pattern = `%${filter.trim().replace(/[\\%_]/g, "\\$&")}%`;
+      conditions.push({
+        [Op.in]: studentsWith(`value LIKE ${sequelize.escape(pattern)}`),
+      });
+    } else if (field.type === CUSTOM_FIELD_TYPES.BOOLEAN) {
+      if (!["true", "false"].includes(filter)) {
+        return { error: `Invalid filter for ${field.label}` };
+      }
+      const withTrue = studentsWith("value = 'true'");
+      conditions.push(
+        filter === "true" ? { [Op.in]: withTrue } : { [Op.notIn]: withTrue }
+      );
+    } else {
+      const { value, error } = toStoredValue(field, filter.trim());
+      if (error) return { error: `Invalid filter for ${field.label}` };
+      conditions.push({
+        [Op.in]: studentsWith(`value = ${sequelize.escape(value)}`),
+      });
+    }
+  }
+  return { conditions };
+}
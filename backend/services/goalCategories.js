@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Goal categories service
+ * @description Checks the category and priority sent for a goal and the matching filters on
+ * goal lists. Categories (spiritual, academic, service...) are managed by admins; a goal has
+ * at most one, and goals without one are "uncategorised".
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { GoalCategory } from "../models.js";
+import { ALL_GOAL_PRIORITIES } from "../config/goalPriorities.js";
+
+// Longest category name, in characters
+export const MAX_CATEGORY_NAME_LENGTH = 50;
+
+/**
+ * Icons are PrimeIcons class names such as "pi-book"
+ * @type {RegExp}
+ */
+export const CATEGORY_ICON_PATTERN = /^pi-[a-z0-9-]+$/;
+
+// Category included with goals
+export const CATEGORY_INCLUDE = {
+  model: GoalCategory,
+  as: "category",
+  attributes: ["id", "name", "color", "icon"],
+};
+
+const PRIORITY_MESSAGE = `Priority must be one of: ${ALL_GOAL_PRIORITIES.join(
+  ", "
+)}`;
+
+/**
+ * Check the category and priority sent for a goal
+ * @async
+ * @function parseGoalClassification
+ * @param {Object} body - req.body
+ * @returns {Promise<{values?: Object, error?: string}>} category_id and priority to save
+ * (only those sent), or an error message
+ */
+export async function parseGoalClassification({ category_id, priority }) {
+  const values = {};
+  if (category_id !== undefined) {
+    if (category_id !== null) {
+      const category = Number.isInteger(category_id)
+        ? await GoalCategory.findByPk(category_id)
+        : null;
+      if (!category) return { error: "Unknown category" };
+    }
+    values.category_id = category_id;
+  }
+  if (priority !== undefined) {
+    if (!ALL_GOAL_PRIORITIES.includes(priority)) {
+      return { error: PRIORITY_MESSAGE };
+    }
+    values.priority = priority;
+  }
+  return { values };
+}
+
+/**
+ * Read the category and priority filters of a goal list
+ * @function parseGoalFilters
+ * @param {Object} query - req.query
+ * @param {string} [query.category_id] - Category ID, or "none" for uncategorised goals
+ * @param {string} [query.priority] - Priority
+ * @returns {{where?: Object, error?: string}} Conditions to add to the goals query, or an
+ * error message
+ */
+export function parseGoalFilters({ category_id, priority }) {
+  const where = {};
+  if (category_id !== undefined && category_id !== "") {
+    if (category_id === "none") {
+      where.category_id = null;
+    } else if (/^\d+$/.test(category_id)) {
+      where.category_id = Number(category_id);
+    } else {
+      return { error: 'category_id must be a category ID or "none"' };
+    }
+  }
+  if (priority !== undefined && priority !== "") {
+    if (!ALL_GOAL_PRIORITIES.includes(priority)) {
+      return { error: PRIORITY_MESSAGE };
+    }
+    where.priority = priority;
+  }
+  return { where };
+}
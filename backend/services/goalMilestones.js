@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Goal milestones service
+ * @description Ordered checklist steps inside a goal. A goal's progress is derived from its
+ * milestones rather than stored: 100 once the goal is completed, otherwise the share of
+ * milestones ticked off. Ticking a milestone can award partial points (POINTS.COMPLETE_MILESTONE),
+ * which are held only while it stays ticked: unticking or deleting it takes them back.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { GoalMilestone, Student, PointsLog, sequelize } from "../models.js";
+import { POINTS } from "../config/pointsConfig.js";
+
+// Longest milestone title, in characters
+export const MAX_MILESTONE_TITLE_LENGTH = 255;
+
+// Milestones included with goals
+export const MILESTONES_INCLUDE = { model: GoalMilestone, as: "milestones" };
+
+// Order for goal queries that include their milestones
+export const MILESTONES_ORDER = [
+  [MILESTONES_INCLUDE, "position", "ASC"],
+  [MILESTONES_INCLUDE, "id", "ASC"],
+];
+
+/**
+ * Work out a goal's progress percentage
+ * @function goalProgress
+ * @param {Object} goal - Goal, with its milestones loaded
+ * @returns {number} Whole number from 0 to 100: 100 for a completed goal, otherwise the
+ * percentage of milestones completed (0 when it has none)
+ */
+export function goalProgress(goal) {
+  if (goal.is_completed) return 100;
+  const milestones = goal.milestones || [];
+  if (!milestones.length) return 0;
+  const done = milestones.filter((milestone) => milestone.completed_at).length;
+  return Math.round((done / milestones.length) * 100);
+}
+
+/**
+ * Add a `progress` percentage to goals loaded with their milestones
+ * @function attachProgress
+ * @param {Array<Object>} goals - Goal instances
+ * @returns {void}
+ */
+export function attachProgress(goals) {
+  for (const goal of goals) {
+    goal.setDataValue("progress", goalProgress(goal));
+  }
+}
+
+/**
+ * Validate a milestone title
+ * @function validateMilestoneTitle
+ * @param {*} title - Title sent by the client
+ * @returns {string|null} Error message, or null if the title is valid
+ */
+export function validateMilestoneTitle(title) {
+  if (typeof title !== "string" || !title.trim()) {
+    return "Milestone title required";
+  }
+  if (title.trim().length > MAX_MILESTONE_TITLE_LENGTH) {
+    return `Milestone title must be at most ${MAX_MILESTONE_TITLE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Find a goal's milestones in order
+ * @function findMilestones
+ * @param {number} goalId - Goal ID
+ * @returns {Promise<Array<Object>>} Milestones, lowest position first
+ */
+export function findMilestones(goalId) {
+  return GoalMilestone.findAll({
+    where: { goal_id: goalId },
+    order: [
+      ["position", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+}
+
+/**
+ * Add a milestone after a goal's existing ones
+ * @async
+ * @function addMilestone
+ * @param {number} goalId - Goal ID
+ * @param {string} title - Validated title
+ * @returns {Promise<Object>} Created milestone
+ */
+export async function addMilestone(goalId, title) {
+  const last = await GoalMilestone.max("position", {
+    where: { goal_id: goalId },
+  });
+  return GoalMilestone.create({
+    goal_id: goalId,
+    title: title.trim(),
+    position: Number.isInteger(last) ? last + 1 : 0,
+  });
+}
+
+/**
+ * Tick off or reopen a milestone, awarding or taking back POINTS.COMPLETE_MILESTONE.
+ * Nothing changes when the milestone is already in the requested state.
+ * @async
+ * @function setMilestoneCompleted
+ * @param {Object} goal - Goal the milestone belongs to
+ * @param {Object} milestone - Milestone instance
+ * @param {boolean} completed - Whether the milestone is done
+ * @returns {Promise<void>}
+ */
+export async function setMilestoneCompleted(goal, milestone, completed) {
+  if (Boolean(milestone.completed_at) === completed) return;
+  const completedAt = completed ? new Date() : null;
+  await milestone.update({ completed_at: completedAt });
+
+  await logMilestonePoints(
+    goal,
+    completed ? POINTS.COMPLETE_MILESTONE : -POINTS.COMPLETE_MILESTONE,
+    completed ? "Completed goal milestone" : "Goal milestone reopened",
+    completedAt || new Date()
+  );
+}
+
+/**
+ * Delete a milestone. Deleting a completed milestone takes back the POINTS.COMPLETE_MILESTONE
+ * it earned.
+ * @async
+ * @function deleteMilestone
+ * @param {Object} goal - Goal the milestone belongs to
+ * @param {Object} milestone - Milestone instance
+ * @returns {Promise<void>}
+ */
+export async function deleteMilestone(goal, milestone) {
+  await milestone.destroy();
+  if (!milestone.completed_at) return;
+  await logMilestonePoints(
+    goal,
+    -POINTS.COMPLETE_MILESTONE,
+    "Completed goal milestone deleted",
+    new Date()
+  );
+}
+
+/**
+ * Add milestone points to the goal's student and log them. Does nothing for 0 points.
+ * @async
+ * @param {Object} goal - Goal the milestone belongs to
+ * @param {number} points - Points to add (negative to deduct)
+ * @param {string} reason - Points log reason
+ * @param {Date} createdAt - When the points were earned
+ * @returns {Promise<void>}
+ */
+async function logMilestonePoints(goal, points, reason, createdAt) {
+  if (!points) return;
+  const student = await Student.findByPk(goal.student_id);
+  if (!student) return;
+  student.points += points;
+  await student.save();
+  await PointsLog.create({
+    student_id: student.id,
+    points,
+    reason,
+    related_goal_id: goal.id,
+    created_at: createdAt,
+  });
+}
+
+/**
+ * Put a goal's milestones in a new order
+ * @async
+ * @function reorderMilestones
+ * @param {number} goalId - Goal ID
+ * @param {*} milestoneIds - Every one of the goal's milestone IDs, in the new order
+ * @returns {Promise<string|null>} Error message, or null once the order is saved
+ */
+export async function reorderMilestones(goalId, milestoneIds) {
+  const milestones = await findMilestones(goalId);
+  const ids = Array.isArray(milestoneIds) ? milestoneIds.map(Number) : [];
+  const known = new Set(milestones.map((milestone) => milestone.id));
+  if (
+    ids.length !== known.size ||
+    new Set(ids).size !== ids.length ||
+    !ids.every((id) => known.has(id))
+  ) {
+    return "milestone_ids must list each of the goal's milestones once";
+  }
+  await sequelize.transaction(async (transaction) => {
+    for (const [position, id] of ids.entries()) {
+      await GoalMilestone.update(
+        { position },
+        { where: { id, goal_id: goalId }, transaction }
+      );
+    }
+  });
+  return null;
+}
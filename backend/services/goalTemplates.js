@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Goal templates service
+ * @description Checks goal templates and hands them out: assigning a template creates one
+ * goal, with the template's milestones, for each student in a single transaction and
+ * reports what happened to every student.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Goal, GoalMilestone, Student, sequelize } from "../models.js";
+import { STUDENT_STATUSES } from "../config/studentStatuses.js";
+import { validateMilestoneTitle } from "./goalMilestones.js";
+import { inaccessibleStudentIds, NOT_ASSIGNED_MESSAGE } from "./mentors.js";
+import { localDate, DEFAULT_TIME_ZONE } from "../utils/dates.js";
+
+// Longest template title, in characters (goals.title is a VARCHAR(255))
+const MAX_TITLE_LENGTH = 255;
+
+// Furthest target date offset, in days
+export const MAX_TARGET_OFFSET_DAYS = 3650;
+
+// Most milestones a template can carry
+export const MAX_TEMPLATE_MILESTONES = 50;
+
+/**
+ * Validate and normalise the fields sent for a goal template
+ * @function parseTemplate
+ * @param {Object} body - req.body
+ * @param {boolean} [partial=false] - Whether fields may be left out (updates)
+ * @returns {{values?: Object, error?: string}} Fields to save (only those sent), or an error message
+ */
+export function parseTemplate(body, partial = false) {
+  const values = {};
+  if (body.title !== undefined || !partial) {
+    if (typeof body.title !== "string" || !body.title.trim()) {
+      return { error: "Title required" };
+    }
+    if (body.title.trim().length > MAX_TITLE_LENGTH) {
+      return { error: `Title must be at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    values.title = body.title.trim();
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string") {
+      return { error: "Description must be text" };
+    }
+    values.description = body.description?.trim() || null;
+  }
+  if (body.target_offset_days !== undefined) {
+    const days = body.target_offset_days;
+    if (
+      days !== null &&
+      (!Number.isInteger(days) || days < 0 || days > MAX_TARGET_OFFSET_DAYS)
+    ) {
+      return {
+        error: `target_offset_days must be a whole number from 0 to ${MAX_TARGET_OFFSET_DAYS}`,
+      };
+    }
+    values.target_offset_days = days;
+  }
+  if (body.milestones !== undefined) {
+    if (!Array.isArray(body.milestones)) {
+      return { error: "milestones must be a list of titles" };
+    }
+    if (body.milestones.length > MAX_TEMPLATE_MILESTONES) {
+      return {
+        error: `A template can have at most ${MAX_TEMPLATE_MILESTONES} milestones`,
+      };
+    }
+    for (const title of body.milestones) {
+      const error = validateMilestoneTitle(title);
+      if (error) return { error };
+    }
+    values.milestones = body.milestones.map((title) => title.trim());
+  }
+  return { values };
+}
+
+/**
+ * Work out the target date of a goal assigned now
+ * @function targetDateFor
+ * @param {number|null} offsetDays - Template's target_offset_days
+ * @param {Date} [now=new Date()] - Moment of assignment
+ * @param {string} [timeZone] - Timezone that decides today's date (default: APP_TIMEZONE)
+ * @returns {string|null} Target date as YYYY-MM-DD, or null without an offset
+ */
+export function targetDateFor(
+  offsetDays,
+  now = new Date(),
+  timeZone = DEFAULT_TIME_ZONE
+) {
+  if (offsetDays === null || offsetDays === undefined) return null;
+  const today = localDate(timeZone, now);
+  return new Date(Date.UTC(today.year, today.month - 1, today.day + offsetDays))
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Create a goal from a template for each student who can take it. Archived students,
+ * students a restricted mentor is not assigned to and students who already have an open
+ * goal with the template's title are skipped. Every goal and its milestones are created in
+ * one transaction.
+ * @async
+ * @function assignTemplate
+ * @param {Object} template - Goal template
+ * @param {Array<number>} studentIds - Validated student IDs
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Date} [now=new Date()] - Moment of assignment
+ * @returns {Promise<{results: Array<Object>, goals: Array<Object>}>} One result per student,
+ * ordered by name ({ student_id, name, status: "created" with goal_id, or "skipped" with
+ * reason }), and the created goals
+ */
+export async function assignTemplate(
+  template,
+  studentIds,
+  user,
+  now = new Date()
+) {
+  const ids = [...new Set(studentIds.map(Number))];
+  const students = await Student.findAll({
+    where: { id: ids },
+    attributes: ["id", "name", "status"],
+    order: [["name", "ASC"]],
+  });
+  const blocked = new Set(await inaccessibleStudentIds(user, ids));
+  const existing = await Goal.findAll({
+    where: { student_id: ids, title: template.title, is_completed: false },
+    attributes: ["student_id"],
+  });
+  const hasGoal = new Set(existing.map((goal) => goal.student_id));
+
+  const results = [];
+  const toCreate = [];
+  for (const student of students) {
+    const result = { student_id: student.id, name: student.name };
+    if (student.status === STUDENT_STATUSES.ARCHIVED) {
+      Object.assign(result, {
+        status: "skipped",
+        reason: "Student is archived",
+      });
+    } else if (blocked.has(student.id)) {
+      Object.assign(result, {
+        status: "skipped",
+        reason: NOT_ASSIGNED_MESSAGE,
+      });
+    } else if (hasGoal.has(student.id)) {
+      Object.assign(result, {
+        status: "skipped",
+        reason: "Already has an open goal with this title",
+      });
+    } else {
+      toCreate.push(result);
+    }
+    results.push(result);
+  }
+  if (!toCreate.length) return { results, goals: [] };
+
+  const targetDate = targetDateFor(template.target_offset_days, now);
+  const milestones = template.milestones || [];
+  const goals = await sequelize.transaction(async (transaction) => {
+    const created = [];
+    for (const result of toCreate) {
+      const goal = await Goal.create(
+        {
+          student_id: result.student_id,
+          title: template.title,
+          description: template.description,
+          target_date: targetDate,
+          setup_date: now,
+          updated_at: now,
+          is_completed: false,
+        },
+        { transaction }
+      );
+      if (milestones.length) {
+        await GoalMilestone.bulkCreate(
+          milestones.map((title, position) => ({
+            goal_id: goal.id,
+            title,
+            position,
+          })),
+          { transaction }
+        );
+      }
+      created.push(goal);
+    }
+    return created;
+  });
+  toCreate.forEach((result, index) => {
+    Object.assign(result, { status: "created", goal_id: goals[index].id });
+  });
+  return { results, goals };
+}
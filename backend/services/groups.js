@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Student groups service
+ * @description Validates and replaces group memberships. Students can belong to any
+ * number of groups (cohorts, classes), stored as rows in `group_members`.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Op } from "sequelize";
+import { Group, GroupMember, Student, sequelize } from "../models.js";
+
+/**
+ * Build a `where` condition matching the students in a group
+ * @function inGroup
+ * @param {number} groupId - Validated group ID (see middleware/groupFilter.js)
+ * @returns {Object} Condition for a student ID column, e.g. `where: { id: inGroup(3) }`
+ */
+export function inGroup(groupId) {
+  return {
+    [Op.in]: sequelize.literal(
+      `(SELECT student_id FROM group_members WHERE group_id = ${sequelize.escape(
+        groupId
+      )})`
+    ),
+  };
+}
+
+/**
+ * Check a list of IDs before using it as a membership list
+ * @async
+ * @function validateIds
+ * @param {*} ids - Value sent by the client
+ * @param {Object} model - Model the IDs must exist in
+ * @param {string} label - Name used in error messages, e.g. "group_ids"
+ * @returns {Promise<string|null>} Error message, or null if every ID exists
+ */
+async function validateIds(ids, model, label) {
+  if (!Array.isArray(ids)) return `${label} must be an array`;
+  if (!ids.every((id) => Number.isInteger(id) && id > 0)) {
+    return `${label} must contain positive integer IDs`;
+  }
+  const unique = [...new Set(ids)];
+  if (!unique.length) return null;
+  const found = await model.count({ where: { id: unique } });
+  return found === unique.length ? null : `${label} contains unknown IDs`;
+}
+
+/**
+ * Check the group IDs sent for a student
+ * @async
+ * @function validateGroupIds
+ * @param {*} groupIds - Value of req.body.group_ids
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+export function validateGroupIds(groupIds) {
+  return validateIds(groupIds, Group, "group_ids");
+}
+
+/**
+ * Check the student IDs sent for a group
+ * @async
+ * @function validateStudentIds
+ * @param {*} studentIds - Value of req.body.student_ids
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+export function validateStudentIds(studentIds) {
+  return validateIds(studentIds, Student, "student_ids");
+}
+
+/**
+ * Replace the groups a student belongs to
+ * @async
+ * @function setStudentGroups
+ * @param {number} studentId - Student ID
+ * @param {Array<number>} groupIds - Validated group IDs; an empty array removes the student from all groups
+ * @returns {Promise<void>}
+ */
+export async function setStudentGroups(studentId, groupIds) {
+  await sequelize.transaction(async (transaction) => {
+    await GroupMember.destroy({
+      where: { student_id: studentId },
+      transaction,
+    });
+    await GroupMember.bulkCreate(
+      [...new Set(groupIds)].map((groupId) => ({
+        group_id: groupId,
+        student_id: studentId,
+      })),
+      { transaction }
+    );
+  });
+}
+
+/**
+ * Replace the members of a group
+ * @async
+ * @function setGroupMembers
+ * @param {number} groupId - Group ID
+ * @param {Array<number>} studentIds - Validated student IDs; an empty array empties the group
+ * @returns {Promise<void>}
+ */
+export async function setGroupMembers(groupId, studentIds) {
+  await sequelize.transaction(async (transaction) => {
+    await GroupMember.destroy({ where: { group_id: groupId }, transaction });
+    await GroupMember.bulkCreate(
+      [...new Set(studentIds)].map((studentId) => ({
+        group_id: groupId,
+        student_id: studentId,
+      })),
+      { transaction }
+    );
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Login security service
+ * @description Per-account lockout after repeated failed logins and an audit trail of
+ * login attempts. Complements the IP-based authLimiter in server.js, which cannot stop
+ * a guess against one username spread over many addresses.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Sequelize, Op } from "sequelize";
+import { User, LoginAttempt } from "../models.js";
+
+/**
+ * Consecutive failed logins that lock an account
+ * @type {number}
+ * @default 5
+ */
+export const LOCKOUT_THRESHOLD =
+  Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+
+/**
+ * How long an account stays locked, in minutes
+ * @type {number}
+ * @default 15
+ */
+export const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+/**
+ * Outcomes stored in login_attempts.reason
+ * @namespace LOGIN_OUTCOMES
+ */
+export const LOGIN_OUTCOMES = {
+  SUCCESS: "success",
+  UNKNOWN_USER: "unknown_user",
+  INVALID_PASSWORD: "invalid_password",
+  INVALID_2FA: "invalid_2fa",
+  LOCKED: "locked",
+  DISABLED: "disabled",
+  SSO_SUCCESS: "sso_success",
+  SSO_FAILED: "sso_failed",
+  SSO_NO_ACCOUNT: "sso_no_account",
+};
+
+/**
+ * Outcomes that signed the user in
+ * @type {Array<string>}
+ */
+const SUCCESSFUL_OUTCOMES = [
+  LOGIN_OUTCOMES.SUCCESS,
+  LOGIN_OUTCOMES.SSO_SUCCESS,
+];
+
+/**
+ * Check whether an account is currently locked
+ * @param {Object} user - User model instance
+ * @returns {boolean} True while locked_until is in the future
+ */
+export function isLocked(user) {
+  return Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+}
+
+/**
+ * Count a failed login and lock the account once the threshold is reached
+ * @async
+ * @param {Object} user - User model instance
+ * @returns {Promise<boolean>} True if this failure locked the account
+ */
+export async function registerFailedLogin(user) {
+  // Increment in SQL so parallel guesses cannot overwrite each other's count
+  await User.update(
+    { failed_login_count: Sequelize.literal("failed_login_count + 1") },
+    { where: { id: user.id } }
+  );
+  const [locked] = await User.update(
+    {
+      failed_login_count: 0,
+      locked_until: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000),
+    },
+    {
+      where: {
+        id: user.id,
+        failed_login_count: { [Op.gte]: LOCKOUT_THRESHOLD },
+      },
+    }
+  );
+  return locked > 0;
+}
+
+/**
+ * Clear failed login count and any lock, e.g. after a successful login
+ * @async
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function clearFailedLogins(userId) {
+  await User.update(
+    { failed_login_count: 0, locked_until: null },
+    { where: { id: userId } }
+  );
+}
+
+/**
+ * Record a login attempt. Never throws: auditing must not break logins.
+ * @async
+ * @param {Object} attempt - Attempt details
+ * @param {Object|null} attempt.user - Matched user, if any
+ * @param {string} attempt.userName - Username as entered
+ * @param {string} attempt.reason - One of LOGIN_OUTCOMES
+ * @param {Object} [attempt.meta] - Output of sessionMetaFromRequest
+ * @returns {Promise<void>}
+ */
+export async function recordLoginAttempt({
+  user,
+  userName,
+  reason,
+  meta = {},
+}) {
+  try {
+    await LoginAttempt.create({
+      user_id: user ? user.id : null,
+      user_name: String(userName || user?.user_name || "").slice(0, 255),
+      success: SUCCESSFUL_OUTCOMES.includes(reason),
+      reason,
+      ip_address: meta.ip_address || null,
+      user_agent: meta.user_agent || null,
+    });
+  } catch (error) {
+    console.error("Error recording login attempt:", error);
+  }
+}
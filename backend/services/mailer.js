@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Mail service
+ * @description Sends transactional emails through a pluggable transport. `smtp` delivers
+ * through the server in SMTP_HOST. The `console` and `file` transports let password reset
+ * mails be read locally without an SMTP server and are the default outside production only;
+ * other transports can be added with registerMailTransport.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+/**
+ * A mail message
+ * @typedef {Object} MailMessage
+ * @property {string} to - Recipient address
+ * @property {string} from - Sender address
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain text body
+ */
+
+/**
+ * SMTP connection, created on first use from the SMTP_* environment variables
+ * @type {Object|null}
+ */
+let smtpTransporter = null;
+
+/**
+ * Get the SMTP connection
+ * @function getSmtpTransporter
+ * @returns {Object} Nodemailer transporter for SMTP_HOST
+ */
+function getSmtpTransporter() {
+  if (!smtpTransporter) {
+    const secure = process.env.SMTP_SECURE === "true";
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return smtpTransporter;
+}
+
+/**
+ * Registered transports, keyed by name. Each receives a MailMessage and returns a promise.
+ * @type {Object<string, function(MailMessage): Promise<void>>}
+ */
+const transports = {
+  smtp: async (message) => {
+    await getSmtpTransporter().sendMail(message);
+  },
+  console: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || "mail-outbox";
+    await fs.mkdir(dir, { recursive: true });
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, "_");
+    const fileName = `${Date.now()}-${safeRecipient}.eml`;
+    const contents = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      "",
+      message.text,
+    ].join("\n");
+    await fs.writeFile(path.join(dir, fileName), contents, "utf8");
+  },
+};
+
+/**
+ * Register or replace a mail transport
+ * @function registerMailTransport
+ * @param {string} name - Name selected through MAIL_TRANSPORT
+ * @param {function(MailMessage): Promise<void>} send - Delivers a message
+ * @example
+ * registerMailTransport("mailgun", async (message) => mailgunClient.send(message));
+ */
+export function registerMailTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Check the mail settings. Production must name a transport explicitly, and never the
+ * console transport, which would print reset links to the server log.
+ * @function checkMailConfig
+ * @returns {string|null} Error message, or null if mail can be sent
+ */
+export function checkMailConfig() {
+  const production = process.env.NODE_ENV === "production";
+  const name = process.env.MAIL_TRANSPORT || (production ? "" : "console");
+  if (!name) return "MAIL_TRANSPORT must be set in production";
+  if (!transports[name]) return `Unknown mail transport: ${name}`;
+  if (production && name === "console") {
+    return "The console mail transport cannot be used in production";
+  }
+  if (name === "smtp" && !process.env.SMTP_HOST) {
+    return "SMTP_HOST is required for the smtp mail transport";
+  }
+  return null;
+}
+
+/**
+ * Send an email with the transport named by MAIL_TRANSPORT (default outside production: console)
+ * @async
+ * @function sendMail
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<void>}
+ * @throws {Error} If the mail settings fail checkMailConfig
+ */
+export async function sendMail({ to, subject, text }) {
+  const error = checkMailConfig();
+  if (error) throw new Error(error);
+  const send = transports[process.env.MAIL_TRANSPORT || "console"];
+  await send({
+    to,
+    from: process.env.MAIL_FROM || "no-reply@gloire-roadmap.local",
+    subject,
+    text,
+  });
+}
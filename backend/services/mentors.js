@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Mentor assignments service
+ * @description Links mentors to the students they look after, stored as rows in
+ * `mentor_assignments`, and decides which students a mentor may see. While the
+ * `restrict_mentors` setting is on (the default), users with the mentor role only see and
+ * edit their assigned students; admins and viewers always see everyone.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Op } from "sequelize";
+import { MentorAssignment, User, sequelize } from "../models.js";
+import { ROLES, EDITOR_ROLES } from "../config/roles.js";
+import { getSetting } from "./settings.js";
+
+/**
+ * Message sent when a restricted mentor asks for a student not assigned to them
+ * @type {string}
+ */
+export const NOT_ASSIGNED_MESSAGE = "You are not assigned to this student";
+
+/**
+ * Build a `where` condition matching the students assigned to a mentor
+ * @function assignedTo
+ * @param {number} userId - Mentor's user ID
+ * @returns {Object} Condition for a student ID column, e.g. `where: { id: assignedTo(4) }`
+ */
+export function assignedTo(userId) {
+  return {
+    [Op.in]: sequelize.literal(
+      `(SELECT student_id FROM mentor_assignments WHERE user_id = ${sequelize.escape(
+        userId
+      )})`
+    ),
+  };
+}
+
+/**
+ * Whether a user is limited to their assigned students
+ * @async
+ * @function isRestrictedMentor
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<boolean>} True for mentors while the restrict_mentors setting is on
+ */
+export async function isRestrictedMentor(user) {
+  if (user?.role !== ROLES.MENTOR) return false;
+  return Boolean(await getSetting("restrict_mentors"));
+}
+
+/**
+ * Whether a user may see and edit a student
+ * @async
+ * @function canAccessStudent
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {number|string} studentId - Student ID
+ * @returns {Promise<boolean>} False only for a restricted mentor not assigned to the student
+ */
+export async function canAccessStudent(user, studentId) {
+  if (!(await isRestrictedMentor(user))) return true;
+  const found = await MentorAssignment.count({
+    where: { user_id: user.id, student_id: studentId },
+  });
+  return found > 0;
+}
+
+/**
+ * Check the mentor IDs sent for a student
+ * @async
+ * @function validateMentorIds
+ * @param {*} mentorIds - Value of req.body.mentor_ids
+ * @returns {Promise<string|null>} Error message, or null if every ID is an admin or mentor
+ */
+export async function validateMentorIds(mentorIds) {
+  if (!Array.isArray(mentorIds)) return "mentor_ids must be an array";
+  if (!mentorIds.every((id) => Number.isInteger(id) && id > 0)) {
+    return "mentor_ids must contain positive integer IDs";
+  }
+  const unique = [...new Set(mentorIds)];
+  if (!unique.length) return null;
+  const found = await User.count({
+    where: { id: unique, role: EDITOR_ROLES },
+  });
+  return found === unique.length
+    ? null
+    : "mentor_ids must contain admin or mentor user IDs";
+}
+
+/**
+ * Replace the mentors of a student
+ * @async
+ * @function setStudentMentors
+ * @param {number} studentId - Student ID
+ * @param {Array<number>} mentorIds - Validated user IDs; an empty array unassigns everyone
+ * @returns {Promise<void>}
+ */
+export async function setStudentMentors(studentId, mentorIds) {
+  await sequelize.transaction(async (transaction) => {
+    await MentorAssignment.destroy({
+      where: { student_id: studentId },
+      transaction,
+    });
+    await MentorAssignment.bulkCreate(
+      [...new Set(mentorIds)].map((userId) => ({
+        user_id: userId,
+        student_id: studentId,
+      })),
+      { transaction }
+    );
+  });
+}
+
+/**
+ * Assign a student to a mentor, keeping their other mentors
+ * @async
+ * @function assignMentor
+ * @param {number} studentId - Student ID
+ * @param {number} userId - Mentor's user ID
+ * @returns {Promise<void>}
+ */
+export async function assignMentor(studentId, userId) {
+  await MentorAssignment.findOrCreate({
+    where: { user_id: userId, student_id: studentId },
+  });
+}
+
+/**
+ * Find the students in a list that a user may not see or edit
+ * @async
+ * @function inaccessibleStudentIds
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Array<number|string>} studentIds - Student IDs to check
+ * @returns {Promise<Array<number>>} IDs the user is not assigned to; empty unless the
+ * user is a restricted mentor
+ */
+export async function inaccessibleStudentIds(user, studentIds) {
+  if (!(await isRestrictedMentor(user))) return [];
+  const ids = [...new Set(studentIds.map(Number))];
+  const assigned = await MentorAssignment.findAll({
+    where: { user_id: user.id, student_id: ids },
+    attributes: ["student_id"],
+  });
+  const allowed = new Set(assigned.map((row) => row.student_id));
+  return ids.filter((id) => !allowed.has(id));
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Student notes service
+ * @description Checks and finds leaders' notes on students. A note is visible to its
+ * author, and to every admin and mentor unless it is private. Notes are Markdown; they are
+ * stored as written and rendered (and sanitised) by the frontend.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Op } from "sequelize";
+import { StudentNote, Student, User } from "../models.js";
+import {
+  NOTE_VISIBILITIES,
+  ALL_NOTE_VISIBILITIES,
+} from "../config/noteVisibilities.js";
+import { assignedTo } from "./mentors.js";
+
+// Longest note body, in characters
+export const MAX_NOTE_LENGTH = 10000;
+
+// Most notes returned by a search across students
+const MAX_SEARCH_RESULTS = 50;
+
+// Author included with notes, without their account details
+const AUTHOR_INCLUDE = {
+  model: User,
+  as: "author",
+  attributes: ["id", "user_name"],
+};
+
+/**
+ * Build a `where` condition matching the notes a user may read
+ * @function visibleTo
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object} Condition for StudentNote queries
+ */
+export function visibleTo(user) {
+  return {
+    [Op.or]: [
+      { visibility: NOTE_VISIBILITIES.LEADERS },
+      { author_id: user.id },
+    ],
+  };
+}
+
+/**
+ * Validate and normalise the fields sent for a note
+ * @function parseNote
+ * @param {Object} body - req.body
+ * @param {boolean} [partial=false] - Whether fields may be left out (updates)
+ * @returns {{values?: Object, error?: string}} Fields to save (only those sent), or an error message
+ */
+export function parseNote(body, partial = false) {
+  const values = {};
+  if (body.body !== undefined || !partial) {
+    if (typeof body.body !== "string" || !body.body.trim()) {
+      return { error: "Note body required" };
+    }
+    if (body.body.length > MAX_NOTE_LENGTH) {
+      return {
+        error: `Note body must be at most ${MAX_NOTE_LENGTH} characters`,
+      };
+    }
+    values.body = body.body.trim();
+  }
+  if (body.visibility !== undefined) {
+    if (!ALL_NOTE_VISIBILITIES.includes(body.visibility)) {
+      return { error: "Invalid visibility" };
+    }
+    values.visibility = body.visibility;
+  }
+  if (body.pinned !== undefined) {
+    if (typeof body.pinned !== "boolean") {
+      return { error: "pinned must be true or false" };
+    }
+    values.pinned = body.pinned;
+  }
+  return { values };
+}
+
+/**
+ * Find the notes a user may read: a student's notes pinned first, then newest first, or
+ * the newest matching notes across students
+ * @async
+ * @function findNotes
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [options]
+ * @param {number} [options.studentId] - Only this student's notes; otherwise notes on every
+ * student are searched and the student ({ id, name }) is included
+ * @param {string} [options.search] - Text the note must contain
+ * @param {number|null} [options.mentorId] - Only notes on students assigned to this user
+ * @returns {Promise<Array<Object>>} Notes with their author ({ id, user_name }); at most 50
+ * when searching across students
+ */
+export async function findNotes(
+  user,
+  { studentId, search, mentorId = null } = {}
+) {
+  const conditions = [visibleTo(user)];
+  if (studentId) conditions.push({ student_id: studentId });
+  if (mentorId) conditions.push({ student_id: assignedTo(mentorId) });
+  if (typeof search === "string" && search.trim()) {
+    // Escape LIKE wildcards so they match literally
+    const pattern = `%${search.trim().replace(/[\\%_]/g, "\\$&")}%`;
+    conditions.push({ body: { [Op.like]: pattern } });
+  }
+
+  const newestFirst = [
+    ["created_at", "DESC"],
+    ["id", "DESC"],
+  ];
+  if (studentId) {
+    return StudentNote.findAll({
+      where: { [Op.and]: conditions },
+      include: [AUTHOR_INCLUDE],
+      order: [["pinned", "DESC"], ...newestFirst],
+    });
+  }
+  return StudentNote.findAll({
+    where: { [Op.and]: conditions },
+    include: [AUTHOR_INCLUDE, { model: Student, attributes: ["id", "name"] }],
+    order: newestFirst,
+    limit: MAX_SEARCH_RESULTS,
+  });
+}
+
+/**
+ * Find one of a student's notes that the user may read
+ * @function findNote
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {number} studentId - Student ID
+ * @param {number|string} noteId - Note ID
+ * @returns {Promise<Object|null>} Note, or null if it does not exist or is another user's
+ * private note
+ */
+export function findNote(user, studentId, noteId) {
+  return StudentNote.findOne({
+    where: {
+      [Op.and]: [{ id: noteId, student_id: studentId }, visibleTo(user)],
+    },
+    include: [AUTHOR_INCLUDE],
+  });
+}
@@ -0,0 +1,354 @@
+/**
+ * @fileoverview OpenID Connect service
+ * @description Authorization code flow with PKCE against the provider configured in
+ * config/oidc.js: builds the authorization URL, exchanges the code, verifies the ID token
+ * and maps the provider identity to a local user and role.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+import { Op } from "sequelize";
+import { User, UserIdentity, OidcLoginRequest } from "../models.js";
+import { getOidcConfig } from "../config/oidc.js";
+import { ROLES, STAFF_ROLES } from "../config/roles.js";
+import { generateToken, hashToken } from "./tokens.js";
+import { recordAudit, AUDIT_ACTIONS, AUDIT_ENTITIES } from "./audit.js";
+
+/**
+ * How long a user has to finish signing in at the provider, in minutes
+ * @type {number}
+ */
+const LOGIN_REQUEST_TTL_MINUTES = 10;
+
+/**
+ * How long provider metadata is cached, in milliseconds
+ * @type {number}
+ */
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * ID token signature algorithms accepted from the provider
+ * @type {Array<string>}
+ */
+const SIGNING_ALGORITHMS = ["RS256", "PS256", "ES256"];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Fetch a JSON document, failing on non-2xx responses
+ * @async
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    const detail = body?.error_description || body?.error || "";
+    throw new Error(`${url} responded with ${res.status} ${detail}`.trim());
+  }
+  return body;
+}
+
+/**
+ * Load the provider's discovery document
+ * @async
+ * @param {string} issuer - Issuer URL without trailing slash
+ * @returns {Promise<Object>} Provider metadata (authorization_endpoint, token_endpoint, jwks_uri, ...)
+ */
+export async function discoverProvider(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+  const metadata = await fetchJson(
+    `${issuer}/.well-known/openid-configuration`
+  );
+  if (String(metadata.issuer || "").replace(/\/$/, "") !== issuer) {
+    throw new Error("Discovery document issuer does not match OIDC_ISSUER");
+  }
+  discoveryCache.set(issuer, {
+    metadata,
+    expiresAt: Date.now() + DISCOVERY_TTL_MS,
+  });
+  return metadata;
+}
+
+function findSigningJwk(keys, kid) {
+  return keys.find(
+    (key) => (!kid || key.kid === kid) && (!key.use || key.use === "sig")
+  );
+}
+
+/**
+ * Get the provider key an ID token was signed with
+ * @async
+ * @description Keys are cached; an unknown key ID triggers one refetch so provider key
+ * rotation is picked up without a restart.
+ * @param {string} jwksUri - Provider JWKS URL
+ * @param {string} [kid] - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+async function getSigningKey(jwksUri, kid) {
+  let jwk = findSigningJwk(jwksCache.get(jwksUri) || [], kid);
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, keys);
+    jwk = findSigningJwk(keys, kid);
+  }
+  if (!jwk) throw new Error(`No provider signing key matches kid ${kid}`);
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ * @returns {{verifier: string, challenge: string}} Base64url-encoded values
+ */
+export function createPkcePair() {
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const challenge = crypto
+    .createHash("sha256")
+    .update(verifier)
+    .digest("base64url");
+  return { verifier, challenge };
+}
+
+/**
+ * Start a sign-in at the provider
+ * @async
+ * @description Stores the PKCE verifier and nonce server-side under the hashed state;
+ * only the challenge and state travel through the browser.
+ * @param {Object} [config] - Output of getOidcConfig
+ * @returns {Promise<{authorizationUrl: string, state: string}>} URL to send the browser
+ * to, and the state the callback must return
+ */
+export async function startOidcLogin(config = getOidcConfig()) {
+  const metadata = await discoverProvider(config.issuer);
+  const state = generateToken();
+  const nonce = generateToken(16);
+  const { verifier, challenge } = createPkcePair();
+  await OidcLoginRequest.create({
+    state_hash: hashToken(state),
+    code_verifier: verifier,
+    nonce,
+    expires_at: new Date(Date.now() + LOGIN_REQUEST_TTL_MINUTES * 60 * 1000),
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  const params = {
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+  };
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return { authorizationUrl: url.toString(), state };
+}
+
+/**
+ * Claim the pending sign-in a callback belongs to
+ * @async
+ * @param {string} state - State returned by the provider
+ * @returns {Promise<Object|null>} Login request, or null if unknown, expired or already used
+ */
+export async function consumeLoginRequest(state) {
+  if (!state) return null;
+  const request = await OidcLoginRequest.findOne({
+    where: { state_hash: hashToken(state) },
+  });
+  if (!request || request.used_at) return null;
+  if (new Date(request.expires_at) <= new Date()) return null;
+  // Only one callback may use a request, even if two arrive at once
+  const [claimed] = await OidcLoginRequest.update(
+    { used_at: new Date() },
+    { where: { id: request.id, used_at: null } }
+  );
+  return claimed ? request : null;
+}
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @async
+ * @param {string} idToken - ID token from the token endpoint
+ * @param {Object} options - Verification options
+ * @param {Object} options.metadata - Provider metadata
+ * @param {string} options.clientId - Expected audience
+ * @param {string} options.nonce - Nonce stored with the login request
+ * @returns {Promise<Object>} Verified claims
+ */
+export async function verifyIdToken(idToken, { metadata, clientId, nonce }) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error("ID token is not a JWT");
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: SIGNING_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: clientId,
+  });
+  if (claims.nonce !== nonce) throw new Error("ID token nonce does not match");
+  if (!claims.sub) throw new Error("ID token has no subject");
+  return claims;
+}
+
+/**
+ * Exchange an authorization code for verified ID token claims
+ * @async
+ * @param {string} code - Authorization code from the callback
+ * @param {Object} request - Login request from consumeLoginRequest
+ * @param {Object} [config] - Output of getOidcConfig
+ * @returns {Promise<Object>} Verified ID token claims
+ */
+export async function exchangeCode(code, request, config = getOidcConfig()) {
+  const metadata = await discoverProvider(config.issuer);
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: request.code_verifier,
+  });
+  if (config.clientSecret) body.set("client_secret", config.clientSecret);
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body,
+  });
+  if (!tokens?.id_token) throw new Error("Token response has no id_token");
+  return verifyIdToken(tokens.id_token, {
+    metadata,
+    clientId: config.clientId,
+    nonce: request.nonce,
+  });
+}
+
+/**
+ * Work out the role the provider grants
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object} [config] - Output of getOidcConfig
+ * @returns {string|null} Most privileged mapped staff role, or null if none matches
+ */
+export function roleFromClaims(claims, config = getOidcConfig()) {
+  if (!config.roleClaim) return null;
+  const raw = claims[config.roleClaim];
+  const values = Array.isArray(raw) ? raw : raw == null ? [] : [raw];
+  const roles = values.map((value) => config.roleMap[String(value)]);
+  // STAFF_ROLES is ordered from most to least privileged
+  return STAFF_ROLES.find((role) => roles.includes(role)) || null;
+}
+
+function isEmailVerified(claims) {
+  return claims.email_verified === true || claims.email_verified === "true";
+}
+
+/**
+ * Pick a free username for a login created by single sign-on
+ * @async
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<string>} Username not used by another account
+ */
+async function uniqueUserName(claims) {
+  const base = String(
+    claims.preferred_username || claims.email.split("@")[0]
+  ).slice(0, 50);
+  let userName = base;
+  let suffix = 2;
+  while (await User.findOne({ where: { user_name: userName } })) {
+    userName = `${base}${suffix}`;
+    suffix += 1;
+  }
+  return userName;
+}
+
+/**
+ * Apply the role granted by the provider to a staff login
+ * @async
+ * @description Student logins are never changed, and the last active admin is not demoted.
+ * @param {Object} user - User model instance
+ * @param {string} role - Mapped staff role
+ * @returns {Promise<void>}
+ */
+async function syncRole(user, role) {
+  if (user.role === role || !STAFF_ROLES.includes(user.role)) return;
+  if (user.role === ROLES.ADMIN && user.is_active) {
+    const otherAdmins = await User.count({
+      where: { role: ROLES.ADMIN, is_active: true, id: { [Op.ne]: user.id } },
+    });
+    if (otherAdmins === 0) return;
+  }
+  const before = user.toJSON();
+  await user.update({ role });
+  await recordAudit({
+    actorId: null,
+    entityType: AUDIT_ENTITIES.USER,
+    action: AUDIT_ACTIONS.UPDATE,
+    before,
+    after: user,
+  });
+}
+
+/**
+ * Find, link or create the local user for a provider identity
+ * @async
+ * @description Looks up a linked identity first, then a user with the same verified email
+ * (which links the identity), then creates a login if OIDC_AUTO_CREATE is on. When
+ * OIDC_ROLE_MAP grants a role, a staff login's role follows the provider.
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object} [config] - Output of getOidcConfig
+ * @returns {Promise<Object|null>} User model instance (possibly disabled), or null if no
+ * account matches and none may be created
+ */
+export async function resolveOidcUser(claims, config = getOidcConfig()) {
+  const mappedRole = roleFromClaims(claims, config);
+  const email = claims.email || null;
+  const identity = await UserIdentity.findOne({
+    where: { issuer: config.issuer, subject: claims.sub },
+  });
+
+  let user = identity ? await User.findByPk(identity.user_id) : null;
+  if (!user && email && isEmailVerified(claims)) {
+    user = await User.findOne({ where: { email } });
+    if (!user && config.autoCreate) {
+      // Nobody knows this password; the account signs in through the provider
+      user = await User.create({
+        user_name: await uniqueUserName(claims),
+        email,
+        password_hash: await bcrypt.hash(generateToken(), 10),
+        role: mappedRole || config.defaultRole,
+      });
+      await recordAudit({
+        actorId: null,
+        entityType: AUDIT_ENTITIES.USER,
+        action: AUDIT_ACTIONS.CREATE,
+        after: user,
+      });
+    }
+  }
+  if (!user) return null;
+
+  const now = new Date();
+  if (identity) {
+    await identity.update({ email, last_login_at: now });
+  } else {
+    await UserIdentity.create({
+      user_id: user.id,
+      issuer: config.issuer,
+      subject: claims.sub,
+      email,
+      last_login_at: now,
+    });
+  }
+  if (mappedRole) await syncRole(user, mappedRole);
+  return user;
+}
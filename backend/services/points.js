@@ -6,36 +6,86 @@
  */
 
 import { sequelize } from "../models.js";
+import { POINTS } from "../config/pointsConfig.js";
 
 /**
  * Calculate and retrieve points leaderboard
  * @async
  * @function getPointsLeaderboard
- * @description Calculates points for each student based on completed goals and on-time bonuses.
- * Points system: 2 points for completion + 3 bonus points for on-time completion
+ * @description Calculates points for each student based on completed goals, on-time bonuses
+ * and completed goal milestones.
+ * Points system: 2 points for completion + 3 bonus points for on-time completion, plus
+ * POINTS.COMPLETE_MILESTONE per completed milestone
+ * @param {Object} [options] - Leaderboard options
+ * @param {number|null} [options.groupId] - Only rank students in this group (default: everyone)
+ * @param {Array<number>} [options.tagIds] - Only rank students with every one of these tags (default: everyone)
+ * @param {number|null} [options.mentorId] - Only rank students assigned to this mentor (default: everyone)
+ * @param {boolean} [options.includeArchived] - Also rank archived students (default: false)
  * @returns {Promise<Array<Object>>} Promise resolving to leaderboard array
  * @returns {number} returns[].student_id - Student identifier
  * @returns {string} returns[].student_name - Student full name
  * @returns {number} returns[].completed_points - Base points from completed goals (2 per goal)
  * @returns {number} returns[].on_time_bonus - Bonus points for goals completed on or before target date (3 per goal)
- * @returns {number} returns[].total_points - Sum of completed_points and on_time_bonus
+ * @returns {number} returns[].milestone_points - Points from completed milestones
+ * @returns {number} returns[].total_points - Sum of completed_points, on_time_bonus and milestone_points
  * @throws {Error} Database query error if leaderboard calculation fails
  * @example
  * const leaderboard = await getPointsLeaderboard();
- * // Returns: [{ student_id: 1, student_name: "John Doe", completed_points: 10, on_time_bonus: 6, total_points: 16 }]
+ * // Returns: [{ student_id: 1, student_name: "John Doe", completed_points: 10, on_time_bonus: 6, milestone_points: 0, total_points: 16 }]
  */
-export async function getPointsLeaderboard() {
+export async function getPointsLeaderboard({
+  groupId = null,
+  tagIds = [],
+  mentorId = null,
+  includeArchived = false,
+} = {}) {
   // Assumes goals table has: student_id, is_completed, completed_at, target_date
-  const [results] = await sequelize.query(`
-    SELECT g.student_id, s.name as student_name,
-      SUM(2) AS completed_points,
-      SUM(CASE WHEN g.completed_at IS NOT NULL AND g.completed_at <= g.target_date THEN 3 ELSE 0 END) AS on_time_bonus,
-      SUM(2 + CASE WHEN g.completed_at IS NOT NULL AND g.completed_at <= g.target_date THEN 3 ELSE 0 END) AS total_points
-    FROM goals g
-    JOIN students s ON g.student_id = s.id
-    WHERE g.is_completed = 1
-    GROUP BY g.student_id, s.name
+  const groupFilter = groupId
+    ? "AND s.id IN (SELECT student_id FROM group_members WHERE group_id = :group_id)"
+    : "";
+  const tagFilter = tagIds.length
+    ? "AND s.id IN (SELECT student_id FROM student_tags WHERE tag_id IN (:tag_ids) GROUP BY student_id HAVING COUNT(*) = :tag_count)"
+    : "";
+  const mentorFilter = mentorId
+    ? "AND s.id IN (SELECT student_id FROM mentor_assignments WHERE user_id = :mentor_id)"
+    : "";
+  const [results] = await sequelize.query(
+    `
+    SELECT s.id AS student_id, s.name as student_name,
+      COALESCE(gp.completed_points, 0) AS completed_points,
+      COALESCE(gp.on_time_bonus, 0) AS on_time_bonus,
+      COALESCE(mp.milestone_points, 0) AS milestone_points,
+      COALESCE(gp.completed_points, 0) + COALESCE(gp.on_time_bonus, 0) + COALESCE(mp.milestone_points, 0) AS total_points
+    FROM students s
+    LEFT JOIN (
+      SELECT g.student_id,
+        SUM(2) AS completed_points,
+        SUM(CASE WHEN g.completed_at IS NOT NULL AND g.completed_at <= g.target_date THEN 3 ELSE 0 END) AS on_time_bonus
+      FROM goals g
+      WHERE g.is_completed = 1
+      GROUP BY g.student_id
+    ) gp ON gp.student_id = s.id
+    LEFT JOIN (
+      SELECT g.student_id, COUNT(*) * :milestone_points AS milestone_points
+      FROM goal_milestones m
+      JOIN goals g ON m.goal_id = g.id
+      WHERE m.completed_at IS NOT NULL
+      GROUP BY g.student_id
+    ) mp ON mp.student_id = s.id
+    WHERE (gp.student_id IS NOT NULL OR mp.milestone_points <> 0)
+      ${groupFilter} ${tagFilter} ${mentorFilter}
+      ${includeArchived ? "" : "AND s.status <> 'archived'"}
     ORDER BY total_points DESC, s.name ASC
-  `);
+  `,
+    {
+      replacements: {
+        group_id: groupId,
+        tag_ids: tagIds,
+        tag_count: tagIds.length,
+        mentor_id: mentorId,
+        milestone_points: POINTS.COMPLETE_MILESTONE,
+      },
+    }
+  );
   return results;
 }
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Session service
+ * @description Issues short-lived JWT access tokens backed by server-side sessions with
+ * rotating refresh tokens. Sessions can be revoked individually or per user.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import jwt from "jsonwebtoken";
+import { Op } from "sequelize";
+import { Session, User } from "../models.js";
+import { generateToken, hashToken } from "./tokens.js";
+import { getSetting } from "./settings.js";
+
+/**
+ * Access token lifetime (jsonwebtoken `expiresIn` format)
+ * @type {string}
+ * @default "15m"
+ */
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+/**
+ * Refresh token lifetime in days. Each rotation extends the session by this amount.
+ * @type {number}
+ * @default 30
+ */
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Extract the client details stored alongside a session
+ * @param {Object} req - Express request object
+ * @returns {{user_agent: string|null, ip_address: string|null}} Session metadata
+ */
+export function sessionMetaFromRequest(req) {
+  const userAgent = req.headers["user-agent"];
+  return {
+    user_agent: userAgent ? String(userAgent).slice(0, 255) : null,
+    ip_address: req.ip || null,
+  };
+}
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User model instance
+ * @param {number} sessionId - Session the token belongs to (`sid` claim)
+ * @returns {string} Signed JWT
+ */
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      userName: user.user_name,
+      email: user.email,
+      role: user.role,
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Start a new session for a user
+ * @async
+ * @param {Object} user - User model instance
+ * @param {Object} [meta] - Output of sessionMetaFromRequest
+ * @returns {Promise<{token: string, refreshToken: string}>} Access and refresh tokens
+ */
+export async function createSession(user, meta = {}) {
+  const refreshToken = generateToken();
+  const session = await Session.create({
+    user_id: user.id,
+    token_hash: hashToken(refreshToken),
+    user_agent: meta.user_agent || null,
+    ip_address: meta.ip_address || null,
+    expires_at: refreshExpiry(),
+  });
+  return { token: signAccessToken(user, session.id), refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * @async
+ * @description The presented refresh token is invalidated on use. Presenting a refresh
+ * token that was already rotated indicates it was copied, so the whole session is revoked.
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<{token: string, refreshToken: string}|null>} New tokens, or null if the
+ * refresh token is unknown, expired, revoked or belongs to a disabled user, or to a user
+ * without 2FA while the require_2fa setting is on
+ */
+export async function rotateSession(refreshToken) {
+  if (!refreshToken) return null;
+  const presentedHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const session = await Session.findOne({
+    where: { token_hash: presentedHash },
+  });
+  if (!session) {
+    const reused = await Session.findOne({
+      where: { previous_token_hash: presentedHash, revoked_at: null },
+    });
+    if (reused) await revokeSession(reused.id);
+    return null;
+  }
+  if (session.revoked_at || new Date(session.expires_at) <= now) return null;
+
+  const user = await User.findByPk(session.user_id);
+  if (!user || !user.is_active) {
+    await revokeSession(session.id);
+    return null;
+  }
+  // Once 2FA becomes mandatory, unenrolled users must log in again to set it up
+  if (!user.totp_enabled && (await getSetting("require_2fa"))) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const nextToken = generateToken();
+  // Only the request that still holds the current token may rotate it
+  const [rotated] = await Session.update(
+    {
+      token_hash: hashToken(nextToken),
+      previous_token_hash: presentedHash,
+      last_used_at: now,
+      expires_at: refreshExpiry(),
+    },
+    { where: { id: session.id, token_hash: presentedHash, revoked_at: null } }
+  );
+  if (!rotated) return null;
+
+  return { token: signAccessToken(user, session.id), refreshToken: nextToken };
+}
+
+/**
+ * Check whether a session can still authorize requests
+ * @async
+ * @param {number} sessionId - Session ID from the `sid` claim
+ * @returns {Promise<boolean>} True if the session exists, is not revoked and has not expired
+ */
+export async function isSessionActive(sessionId) {
+  const session = await Session.findByPk(sessionId);
+  return Boolean(
+    session && !session.revoked_at && new Date(session.expires_at) > new Date()
+  );
+}
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @async
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+export async function revokeSessionByToken(refreshToken) {
+  if (!refreshToken) return false;
+  const [count] = await Session.update(
+    { revoked_at: new Date() },
+    { where: { token_hash: hashToken(refreshToken), revoked_at: null } }
+  );
+  return count > 0;
+}
+
+/**
+ * Revoke a single session
+ * @async
+ * @param {number} sessionId - Session ID
+ * @param {number} [userId] - When given, only revoke if the session belongs to this user
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+export async function revokeSession(sessionId, userId) {
+  const where = { id: sessionId, revoked_at: null };
+  if (userId !== undefined) where.user_id = userId;
+  const [count] = await Session.update({ revoked_at: new Date() }, { where });
+  return count > 0;
+}
+
+/**
+ * Revoke every active session of a user
+ * @async
+ * @param {number} userId - User ID
+ * @param {number} [exceptSessionId] - Session to keep, e.g. the one changing the password
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessions(userId, exceptSessionId) {
+  const where = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) where.id = { [Op.ne]: exceptSessionId };
+  const [count] = await Session.update({ revoked_at: new Date() }, { where });
+  return count;
+}
+
+/**
+ * List a user's active sessions
+ * @async
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<Object>>} Sessions without token hashes, newest first
+ */
+export async function listActiveSessions(userId) {
+  return Session.findAll({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+    attributes: [
+      "id",
+      "user_agent",
+      "ip_address",
+      "created_at",
+      "last_used_at",
+      "expires_at",
+    ],
+    order: [["created_at", "DESC"]],
+  });
+}
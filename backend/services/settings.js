@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Settings service
+ * @description Reads and writes application-wide settings stored in the `settings` table.
+ * Missing rows fall back to DEFAULT_SETTINGS.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Setting } from "../models.js";
+
+/**
+ * Default value of every supported setting
+ * @namespace DEFAULT_SETTINGS
+ * @property {boolean} require_2fa - Every user must enroll in two-factor authentication (default: false)
+ * @property {boolean} restrict_mentors - Mentors only see and edit the students assigned to them (default: true)
+ * @property {boolean} birthday_calendar - Serve upcoming birthdays as an iCalendar feed (default: false)
+ */
+export const DEFAULT_SETTINGS = {
+  require_2fa: false,
+  restrict_mentors: true,
+  birthday_calendar: false,
+};
+
+/**
+ * Get all settings merged over their defaults
+ * @async
+ * @returns {Promise<Object>} Settings keyed by name
+ */
+export async function getSettings() {
+  const rows = await Setting.findAll();
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const row of rows) {
+    if (row.key in DEFAULT_SETTINGS) settings[row.key] = JSON.parse(row.value);
+  }
+  return settings;
+}
+
+/**
+ * Get a single setting
+ * @async
+ * @param {string} key - Setting name from DEFAULT_SETTINGS
+ * @returns {Promise<*>} Stored value or its default
+ */
+export async function getSetting(key) {
+  const row = await Setting.findByPk(key);
+  return row ? JSON.parse(row.value) : DEFAULT_SETTINGS[key];
+}
+
+/**
+ * Check a settings update before saving it
+ * @function validateSettings
+ * @param {Object} changes - New values keyed by setting name
+ * @returns {string|null} Error message for the first invalid entry, or null if valid
+ */
+export function validateSettings(changes) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    return "Settings must be an object";
+  }
+  for (const [key, value] of Object.entries(changes)) {
+    if (!(key in DEFAULT_SETTINGS)) return `Unknown setting: ${key}`;
+    if (typeof value !== typeof DEFAULT_SETTINGS[key]) {
+      return `Invalid value for setting: ${key}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Update one or more settings
+ * @async
+ * @param {Object} changes - New values keyed by setting name, checked with validateSettings
+ * @param {number} [userId] - User making the change
+ * @returns {Promise<Object>} All settings after the update
+ */
+export async function updateSettings(changes, userId) {
+  for (const [key, value] of Object.entries(changes)) {
+    await Setting.upsert({
+      key,
+      value: JSON.stringify(value),
+      updated_by: userId || null,
+      updated_at: new Date(),
+    });
+  }
+  return getSettings();
+}
@@ -0,0 +1,324 @@
+/**
+ * @fileoverview Student import service
+ * @description Reads CSV and XLSX spreadsheets of new students, maps their columns onto
+ * student fields, validates each row and flags likely duplicates of existing students.
+ * The same preview is used for the dry run and for the import itself, which creates every
+ * student in one transaction.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import ExcelJS from "exceljs";
+import { parse } from "csv-parse/sync";
+import { Student, sequelize } from "../models.js";
+
+// Largest spreadsheet accepted, in data rows (the header row is not counted)
+export const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Student fields a column can be mapped to
+ * @type {Array<string>}
+ */
+export const IMPORT_FIELDS = [
+  "name",
+  "contact_number",
+  "address",
+  "date_of_birth",
+];
+
+// Header names recognised for each field when guessing the mapping (lower case, single spaces)
+const FIELD_ALIASES = {
+  name: [
+    "name",
+    "full name",
+    "student",
+    "student name",
+    "member",
+    "member name",
+  ],
+  contact_number: [
+    "contact number",
+    "contact",
+    "phone",
+    "phone number",
+    "mobile",
+    "telephone",
+  ],
+  address: ["address", "home address"],
+  date_of_birth: [
+    "date of birth",
+    "dob",
+    "birth date",
+    "birthdate",
+    "birthday",
+  ],
+};
+
+const MIN_PHONE_DIGITS = 7;
+
+/**
+ * Normalise a header or name for comparisons
+ * @param {string} value - Raw text
+ * @returns {string} Lower case with single spaces, e.g. "Date_of  Birth" -> "date of birth"
+ */
+function normalize(value) {
+  return String(value ?? "")
+    .toLowerCase()
+    .replace(/[_\-.]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Format a date as YYYY-MM-DD using its UTC parts, as XLSX dates are stored in UTC
+ * @param {Date} date - Date to format
+ * @returns {string} ISO calendar date
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read the text of an XLSX cell, keeping dates as YYYY-MM-DD
+ * @param {Object} cell - ExcelJS cell
+ * @returns {string} Cell text
+ */
+function cellText(cell) {
+  const value = cell.value?.result ?? cell.value;
+  if (value instanceof Date) return toDateString(value);
+  return cell.text ?? "";
+}
+
+/**
+ * Read an uploaded spreadsheet into a header row and data rows. Blank rows are skipped.
+ * @async
+ * @function parseSpreadsheet
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name; its extension selects the parser (.csv or .xlsx)
+ * @returns {Promise<{columns: Array<string>, rows: Array<{row: number, cells: Array<string>}>}>}
+ * Header texts and the data rows with their line numbers in the file
+ * @throws {Error} If the file type is not supported or the file cannot be read
+ */
+export async function parseSpreadsheet(buffer, filename) {
+  const extension = filename.toLowerCase().split(".").pop();
+  let lines;
+  if (extension === "csv") {
+    const records = parse(buffer, {
+      bom: true,
+      relax_column_count: true,
+      trim: true,
+    });
+    lines = records.map((cells, index) => ({ row: index + 1, cells }));
+  } else if (extension === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    lines = [];
+    sheet?.eachRow((row, rowNumber) => {
+      const cells = [];
+      for (let i = 1; i <= row.cellCount; i++) {
+        cells.push(cellText(row.getCell(i)).trim());
+      }
+      lines.push({ row: rowNumber, cells });
+    });
+  } else {
+    throw new Error("Unsupported file type");
+  }
+
+  const nonBlank = lines.filter(({ cells }) => cells.some((cell) => cell));
+  const [header, ...rows] = nonBlank;
+  return { columns: header ? header.cells : [], rows };
+}
+
+/**
+ * Guess which column holds each student field from the header texts
+ * @function guessMapping
+ * @param {Array<string>} columns - Header row
+ * @returns {Object<string, number|null>} Column index for each field in IMPORT_FIELDS, or null
+ */
+export function guessMapping(columns) {
+  const headers = columns.map(normalize);
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const index = headers.findIndex((header) =>
+      FIELD_ALIASES[field].includes(header)
+    );
+    mapping[field] = index === -1 ? null : index;
+  }
+  return mapping;
+}
+
+/**
+ * Check a column mapping sent by the client
+ * @function validateMapping
+ * @param {*} mapping - Parsed mapping ({ field: columnIndex|null })
+ * @param {Array<string>} columns - Header row of the uploaded file
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateMapping(mapping, columns) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    return "mapping must be an object";
+  }
+  for (const [field, index] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) return `Unknown field: ${field}`;
+    if (index === null) continue;
+    if (!Number.isInteger(index) || index < 0 || index >= columns.length) {
+      return `Invalid column for ${field}`;
+    }
+  }
+  if (mapping.name === null || mapping.name === undefined) {
+    return "A column must be mapped to name";
+  }
+  return null;
+}
+
+/**
+ * Validate one row's values. Checks match the member form in the frontend.
+ * @param {Object} values - Mapped values (name, contact_number, address, date_of_birth)
+ * @returns {Array<string>} Error messages; empty when the row can be imported
+ */
+function validateValues(values) {
+  const errors = [];
+  if (!values.name) {
+    errors.push("Name is required");
+  } else if (values.name.length < 2) {
+    errors.push("Name must be at least 2 characters");
+  } else if (values.name.length > 255) {
+    errors.push("Name must be at most 255 characters");
+  }
+
+  if (values.contact_number) {
+    const digits = values.contact_number.replace(/\D/g, "");
+    if (/[^0-9+()\-.\s]/.test(values.contact_number)) {
+      errors.push("Contact number contains invalid characters");
+    } else if (digits.length < MIN_PHONE_DIGITS) {
+      errors.push("Contact number looks too short");
+    }
+  }
+
+  if (values.date_of_birth) {
+    const date = new Date(`${values.date_of_birth}T00:00:00Z`);
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(values.date_of_birth) ||
+      isNaN(date.getTime()) ||
+      toDateString(date) !== values.date_of_birth
+    ) {
+      errors.push("Date of birth must be a valid date (YYYY-MM-DD)");
+    } else if (date > new Date()) {
+      errors.push("Date of birth cannot be in the future");
+    }
+  }
+  return errors;
+}
+
+/**
+ * Keys that identify the same person: their normalised name and, when long enough,
+ * the digits of their phone number
+ * @param {{name?: string, contact_number?: string|null}} student - Student or row values
+ * @returns {Array<string>} Lookup keys
+ */
+function duplicateKeys(student) {
+  const keys = [];
+  if (student.name) keys.push(`name:${normalize(student.name)}`);
+  const digits = String(student.contact_number ?? "").replace(/\D/g, "");
+  if (digits.length >= MIN_PHONE_DIGITS) keys.push(`phone:${digits}`);
+  return keys;
+}
+
+/**
+ * Build the import preview: the mapped values of every row, its validation errors and
+ * any existing student or earlier row it probably duplicates
+ * @async
+ * @function buildPreview
+ * @param {Array<{row: number, cells: Array<string>}>} rows - Data rows from parseSpreadsheet
+ * @param {Object<string, number|null>} mapping - Validated column mapping
+ * @returns {Promise<{rows: Array<Object>, summary: Object}>} Preview rows and counts
+ * (total, valid, invalid, duplicates)
+ */
+export async function buildPreview(rows, mapping) {
+  const existing = await Student.findAll({
+    attributes: ["id", "name", "contact_number", "status"],
+  });
+  const known = new Map();
+  for (const student of existing) {
+    for (const key of duplicateKeys(student)) {
+      if (!known.has(key)) known.set(key, student);
+    }
+  }
+  const seen = new Map();
+
+  const preview = rows.map(({ row, cells }) => {
+    const values = {};
+    for (const field of IMPORT_FIELDS) {
+      const index = mapping[field];
+      const text = index === null || index === undefined ? "" : cells[index];
+      values[field] = text ? String(text).trim() : null;
+    }
+    const errors = validateValues(values);
+
+    const keys = duplicateKeys(values);
+    const match = keys.map((key) => known.get(key)).find(Boolean);
+    const earlierRow = keys.map((key) => seen.get(key)).find(Boolean);
+    for (const key of keys) if (!seen.has(key)) seen.set(key, row);
+
+    return {
+      row,
+      values,
+      errors,
+      duplicate_of: match
+        ? { id: match.id, name: match.name, status: match.status }
+        : null,
+      duplicate_of_row: earlierRow ?? null,
+    };
+  });
+
+  const invalid = preview.filter((row) => row.errors.length).length;
+  return {
+    rows: preview,
+    summary: {
+      total: preview.length,
+      valid: preview.length - invalid,
+      invalid,
+      duplicates: preview.filter(
+        (row) => row.duplicate_of || row.duplicate_of_row
+      ).length,
+    },
+  };
+}
+
+/**
+ * Create a student for each previewed row in a single transaction. Rows with errors must
+ * have been dealt with beforehand; if any insert fails, nothing is imported.
+ * @async
+ * @function importStudents
+ * @param {Array<Object>} previewRows - Rows from buildPreview without errors
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.skipDuplicates] - Leave out rows flagged as likely duplicates
+ * @returns {Promise<{created: Array<Object>, skipped: number}>} Created students and how many rows were skipped
+ */
+export async function importStudents(
+  previewRows,
+  { skipDuplicates = false } = {}
+) {
+  const toCreate = previewRows.filter(
+    (row) => !skipDuplicates || !(row.duplicate_of || row.duplicate_of_row)
+  );
+  const created = await sequelize.transaction(async (transaction) => {
+    const students = [];
+    for (const { values } of toCreate) {
+      students.push(
+        await Student.create(
+          {
+            name: values.name,
+            contact_number: values.contact_number,
+            address: values.address,
+            date_of_birth: values.date_of_birth,
+          },
+          { transaction }
+        )
+      );
+    }
+    return students;
+  });
+  return { created, skipped: previewRows.length - toCreate.length };
+}
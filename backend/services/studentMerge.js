@@ -0,0 +1,401 @@
+/**
+ * @fileoverview Duplicate student detection and merging
+ * @description Finds students that are probably the same person (similar names backed up
+ * by a matching date of birth or phone number) and merges a duplicate into the record
+ * that is kept, moving its goals, attendance, points history, contacts, notes, groups,
+ * tags, mentor assignments, custom field values and login before deleting it.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import {
+  Student,
+  User,
+  Goal,
+  PointsLog,
+  Attendance,
+  GroupMember,
+  StudentTag,
+  MentorAssignment,
+  StudentContact,
+  StudentNote,
+  CustomFieldValue,
+  sequelize,
+} from "../models.js";
+
+// Name similarity (0-1) at which two students are flagged on their name alone
+const NAME_MATCH = 0.9;
+
+// Lower name similarity that is enough when the date of birth or phone number also matches
+const NAME_MATCH_WITH_DETAILS = 0.6;
+
+// Phone numbers need this many digits to be compared
+const MIN_PHONE_DIGITS = 7;
+
+// Phone numbers are compared on their last digits, so "0917 123 4567" matches "+63 917 123 4567"
+const PHONE_MATCH_DIGITS = 9;
+
+// Most duplicate pairs returned by findDuplicateCandidates
+const MAX_CANDIDATES = 100;
+
+// When both records have attendance on the same day, the best status is kept
+const ATTENDANCE_STATUS_RANK = { present: 4, late: 3, excused: 2, absent: 1 };
+
+// Student fields filled from the duplicate when the kept record has no value
+const FILLABLE_FIELDS = ["contact_number", "address", "date_of_birth"];
+
+/**
+ * Normalise a name for fuzzy comparison: lower case without accents or punctuation,
+ * with its words sorted so "Cruz, Juan" matches "Juan Cruz"
+ * @param {string} name - Student name
+ * @returns {string} Normalised name, e.g. "José  dela Cruz" -> "cruz dela jose"
+ */
+export function normalizeName(name) {
+  return String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits turning a into b
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How alike two names are
+ * @function nameSimilarity
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 1 for the same name once normalised, down to 0 for nothing in common
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  const longest = Math.max(left.length, right.length);
+  return Number((1 - editDistance(left, right) / longest).toFixed(2));
+}
+
+/**
+ * Key used to compare phone numbers: their last digits, or null when too short
+ * @param {string|null} phone - Phone number as entered
+ * @returns {string|null} Comparable digits
+ */
+function phoneKey(phone) {
+  const digits = String(phone ?? "").replace(/\D/g, "");
+  return digits.length >= MIN_PHONE_DIGITS
+    ? digits.slice(-PHONE_MATCH_DIGITS)
+    : null;
+}
+
+/**
+ * Date of birth as YYYY-MM-DD, or null when not set
+ * @param {Date|string|null} value - Stored date of birth
+ * @returns {string|null} Calendar date
+ */
+function birthDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Decide whether two students are probably the same person. Students with different
+ * dates of birth are never matched; otherwise a near-identical name is enough, and a
+ * merely similar name needs a matching date of birth or phone number.
+ * @function compareStudents
+ * @param {Object} a - Student ({ name, contact_number, date_of_birth })
+ * @param {Object} b - Student to compare with
+ * @returns {{similarity: number, reasons: Array<string>}|null} Name similarity and the
+ * reasons (similar_name, same_date_of_birth, same_phone), or null when not a likely duplicate
+ */
+export function compareStudents(a, b) {
+  const dobA = birthDate(a.date_of_birth);
+  const dobB = birthDate(b.date_of_birth);
+  if (dobA && dobB && dobA !== dobB) return null;
+
+  const similarity = nameSimilarity(a.name, b.name);
+  const reasons = [];
+  if (dobA && dobA === dobB) reasons.push("same_date_of_birth");
+  const phone = phoneKey(a.contact_number);
+  if (phone && phone === phoneKey(b.contact_number)) {
+    reasons.push("same_phone");
+  }
+
+  if (
+    similarity >= NAME_MATCH ||
+    (similarity >= NAME_MATCH_WITH_DETAILS && reasons.length)
+  ) {
+    return { similarity, reasons: ["similar_name", ...reasons] };
+  }
+  return null;
+}
+
+/**
+ * Find pairs of students that are probably duplicates of each other, strongest first:
+ * pairs matching on more details come before those matching on their name alone.
+ * Archived students are included, as they are often the older copy of a record.
+ * @async
+ * @function findDuplicateCandidates
+ * @returns {Promise<Array<Object>>} Up to 100 { students: [a, b], similarity, reasons }
+ * where a is the older record
+ */
+export async function findDuplicateCandidates() {
+  const students = await Student.findAll({
+    attributes: [
+      "id",
+      "name",
+      "contact_number",
+      "date_of_birth",
+      "points",
+      "status",
+      "created_at",
+    ],
+    order: [["id", "ASC"]],
+  });
+
+  const candidates = [];
+  for (let i = 0; i < students.length; i += 1) {
+    for (let j = i + 1; j < students.length; j += 1) {
+      const match = compareStudents(students[i], students[j]);
+      if (match) {
+        candidates.push({ students: [students[i], students[j]], ...match });
+      }
+    }
+  }
+  candidates.sort(
+    (x, y) => y.reasons.length - x.reasons.length || y.similarity - x.similarity
+  );
+  return candidates.slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Status and notes to keep when both students have attendance on the same day
+ * @function resolveAttendanceConflict
+ * @param {Object} kept - Attendance record of the student being kept
+ * @param {Object} duplicate - Attendance record of the duplicate on the same date
+ * @returns {{status: string, notes: string|null}} The better status (present, late,
+ * excused, absent) and the notes of both records
+ */
+export function resolveAttendanceConflict(kept, duplicate) {
+  const status =
+    (ATTENDANCE_STATUS_RANK[duplicate.status] || 0) >
+    (ATTENDANCE_STATUS_RANK[kept.status] || 0)
+      ? duplicate.status
+      : kept.status;
+  const notes = [...new Set([kept.notes, duplicate.notes].filter(Boolean))];
+  return { status, notes: notes.length ? notes.join("; ") : null };
+}
+
+/**
+ * Merge a duplicate student into the one being kept, in a single transaction. Goals,
+ * points log entries, contacts, notes, attendance, group memberships, tags, mentor
+ * assignments and custom field values move to the kept student; attendance on a day both have a record is combined into one.
+ * Blank contact number, address and date of birth are filled from the duplicate, points
+ * are recomputed from the points log and the duplicate is deleted. The duplicate's login
+ * moves across when the kept student has none, otherwise it is unlinked.
+ * @async
+ * @function mergeStudents
+ * @param {number|string} keepId - ID of the student to keep
+ * @param {number|string} duplicateId - ID of the student merged into it and deleted
+ * @returns {Promise<Object|null>} { student, duplicate, moved } where duplicate holds the
+ * deleted record's values and moved counts what was moved, or null if either student
+ * does not exist
+ */
+export async function mergeStudents(keepId, duplicateId) {
+  return sequelize.transaction(async (transaction) => {
+    const [student, duplicate] = await Promise.all([
+      Student.findByPk(keepId, { transaction }),
+      Student.findByPk(duplicateId, { transaction }),
+    ]);
+    if (!student || !duplicate) return null;
+    const fromDuplicate = { where: { student_id: duplicate.id }, transaction };
+    const toStudent = { student_id: student.id };
+
+    const [goals] = await Goal.update(toStudent, fromDuplicate);
+    const [pointsLog] = await PointsLog.update(toStudent, fromDuplicate);
+
+    // A student has at most one primary contact
+    const keptPrimary = await StudentContact.count({
+      where: { student_id: student.id, is_primary: true },
+      transaction,
+    });
+    if (keptPrimary) {
+      await StudentContact.update(
+        { is_primary: false },
+        { where: { student_id: duplicate.id, is_primary: true }, transaction }
+      );
+    }
+    const [contacts] = await StudentContact.update(toStudent, fromDuplicate);
+    const [notes] = await StudentNote.update(toStudent, fromDuplicate);
+
+    // Attendance is unique per student and date
+    const keptAttendance = await Attendance.findAll({
+      where: { student_id: student.id },
+      transaction,
+    });
+    const keptByDate = new Map(
+      keptAttendance.map((record) => [String(record.date), record])
+    );
+    let attendance = 0;
+    let attendanceConflicts = 0;
+    for (const record of await Attendance.findAll(fromDuplicate)) {
+      const kept = keptByDate.get(String(record.date));
+      if (kept) {
+        await kept.update(resolveAttendanceConflict(kept, record), {
+          transaction,
+        });
+        await record.destroy({ transaction });
+        attendanceConflicts += 1;
+      } else {
+        await record.update(toStudent, { transaction });
+        attendance += 1;
+      }
+    }
+
+    const keptGroups = await GroupMember.findAll({
+      where: { student_id: student.id },
+      transaction,
+    });
+    const keptGroupIds = new Set(keptGroups.map((member) => member.group_id));
+    const newGroups = (await GroupMember.findAll(fromDuplicate)).filter(
+      (member) => !keptGroupIds.has(member.group_id)
+    );
+    await GroupMember.bulkCreate(
+      newGroups.map((member) => ({
+        group_id: member.group_id,
+        student_id: student.id,
+        created_at: member.created_at,
+      })),
+      { transaction }
+    );
+    await GroupMember.destroy(fromDuplicate);
+
+    const keptTags = await StudentTag.findAll({
+      where: { student_id: student.id },
+      transaction,
+    });
+    const keptTagIds = new Set(keptTags.map((row) => row.tag_id));
+    const newTags = (await StudentTag.findAll(fromDuplicate)).filter(
+      (row) => !keptTagIds.has(row.tag_id)
+    );
+    await StudentTag.bulkCreate(
+      newTags.map((row) => ({
+        tag_id: row.tag_id,
+        student_id: student.id,
+        created_at: row.created_at,
+      })),
+      { transaction }
+    );
+    await StudentTag.destroy(fromDuplicate);
+
+    // Assignments would otherwise be deleted with the duplicate, and restricted mentors
+    // would lose access to the merged record
+    const keptMentors = await MentorAssignment.findAll({
+      where: { student_id: student.id },
+      transaction,
+    });
+    const keptMentorIds = new Set(keptMentors.map((row) => row.user_id));
+    const newMentors = (await MentorAssignment.findAll(fromDuplicate)).filter(
+      (row) => !keptMentorIds.has(row.user_id)
+    );
+    await MentorAssignment.bulkCreate(
+      newMentors.map((row) => ({
+        user_id: row.user_id,
+        student_id: student.id,
+        created_at: row.created_at,
+      })),
+      { transaction }
+    );
+    await MentorAssignment.destroy(fromDuplicate);
+
+    // Values the kept student already has win
+    const keptValues = await CustomFieldValue.findAll({
+      where: { student_id: student.id },
+      transaction,
+    });
+    const keptFieldIds = new Set(keptValues.map((value) => value.field_id));
+    const newValues = (await CustomFieldValue.findAll(fromDuplicate)).filter(
+      (value) => !keptFieldIds.has(value.field_id)
+    );
+    await CustomFieldValue.bulkCreate(
+      newValues.map((value) => ({
+        field_id: value.field_id,
+        student_id: student.id,
+        value: value.value,
+      })),
+      { transaction }
+    );
+    await CustomFieldValue.destroy(fromDuplicate);
+
+    const [keptLogin, duplicateLogin] = await Promise.all([
+      User.findOne({ where: { student_id: student.id }, transaction }),
+      User.findOne(fromDuplicate),
+    ]);
+    let loginMoved = false;
+    if (duplicateLogin) {
+      loginMoved = !keptLogin;
+      await duplicateLogin.update(
+        { student_id: loginMoved ? student.id : null },
+        { transaction }
+      );
+    }
+
+    const updates = {};
+    for (const field of FILLABLE_FIELDS) {
+      if (!student[field] && duplicate[field]) {
+        updates[field] = duplicate[field];
+      }
+    }
+    updates.points =
+      (await PointsLog.sum("points", {
+        where: { student_id: student.id },
+        transaction,
+      })) || 0;
+    await student.update(updates, { transaction });
+
+    const duplicateValues = duplicate.toJSON();
+    await duplicate.destroy({ transaction });
+
+    return {
+      student,
+      duplicate: duplicateValues,
+      moved: {
+        goals,
+        points_log: pointsLog,
+        attendance,
+        attendance_conflicts: attendanceConflicts,
+        contacts,
+        notes,
+        groups: newGroups.length,
+        tags: newTags.length,
+        mentors: newMentors.length,
+        custom_fields: newValues.length,
+        login: loginMoved,
+      },
+    };
+  });
+}
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Student profile service
+ * @description Gathers everything the member profile page shows in one call: details,
+ * contacts, goals, points history, attendance and personal statistics.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import {
+  Student,
+  Group,
+  Tag,
+  Goal,
+  PointsLog,
+  Attendance,
+  StudentContact,
+  User,
+} from "../models.js";
+import { attachCustomValues } from "./customFields.js";
+import {
+  MILESTONES_INCLUDE,
+  MILESTONES_ORDER,
+  attachProgress,
+} from "./goalMilestones.js";
+
+// Attendance statuses that count as having attended
+const ATTENDED_STATUSES = ["present", "late"];
+
+// Number of points log entries returned with a profile
+const POINTS_LOG_LIMIT = 100;
+
+/**
+ * Percentage rounded to two decimals, or null when there is nothing to measure
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {number|null} Percentage
+ */
+function percent(part, whole) {
+  return whole > 0 ? Number(((part / whole) * 100).toFixed(2)) : null;
+}
+
+/**
+ * Count a student's goals by state. A goal is on time when it was completed on or before
+ * its target date, the same rule that awards the on-time points bonus.
+ * @function summariseGoals
+ * @param {Array<Object>} goals - The student's goals
+ * @param {Date} [now] - Current time, for overdue goals
+ * @returns {Object} { total_goals, completed_goals, overdue_goals, completion_rate, on_time_rate }
+ * where on_time_rate only considers completed goals that had a target date
+ */
+export function summariseGoals(goals, now = new Date()) {
+  let completed = 0;
+  let overdue = 0;
+  let withTarget = 0;
+  let onTime = 0;
+  for (const goal of goals) {
+    if (goal.is_completed) {
+      completed += 1;
+      if (goal.target_date) {
+        withTarget += 1;
+        if (
+          goal.completed_at &&
+          new Date(goal.completed_at) <= new Date(goal.target_date)
+        ) {
+          onTime += 1;
+        }
+      }
+    } else if (goal.target_date && new Date(goal.target_date) < now) {
+      overdue += 1;
+    }
+  }
+  return {
+    total_goals: goals.length,
+    completed_goals: completed,
+    overdue_goals: overdue,
+    completion_rate: percent(completed, goals.length),
+    on_time_rate: percent(onTime, withTarget),
+  };
+}
+
+/**
+ * Count attendance records by status and work out attendance streaks. A streak is a run
+ * of sessions the student attended (present or late) without an absence; excused sessions
+ * neither break nor extend it.
+ * @function summariseAttendance
+ * @param {Array<Object>} records - The student's attendance records, oldest first
+ * @returns {Object} { summary: { total, present, absent, late, excused }, attendance_rate,
+ * current_streak, longest_streak } where attendance_rate leaves out excused sessions
+ */
+export function summariseAttendance(records) {
+  const summary = {
+    total: records.length,
+    present: 0,
+    absent: 0,
+    late: 0,
+    excused: 0,
+  };
+  let streak = 0;
+  let longest = 0;
+  for (const record of records) {
+    if (summary[record.status] !== undefined) summary[record.status] += 1;
+    if (ATTENDED_STATUSES.includes(record.status)) {
+      streak += 1;
+      longest = Math.max(longest, streak);
+    } else if (record.status === "absent") {
+      streak = 0;
+    }
+  }
+  return {
+    summary,
+    attendance_rate: percent(
+      summary.present + summary.late,
+      summary.total - summary.excused
+    ),
+    current_streak: streak,
+    longest_streak: longest,
+  };
+}
+
+/**
+ * Load a student's profile
+ * @async
+ * @function getStudentProfile
+ * @param {number|string} studentId - Student ID
+ * @returns {Promise<Object|null>} { student (with Groups, Tags and Mentors), contacts, goals
+ * (with their milestones and progress), points_log, attendance: { summary, records }, stats },
+ * or null if the student does not exist
+ */
+export async function getStudentProfile(studentId) {
+  const student = await Student.findByPk(studentId, {
+    include: [
+      {
+        model: Group,
+        attributes: ["id", "name"],
+        through: { attributes: [] },
+      },
+      {
+        model: Tag,
+        attributes: ["id", "name", "color"],
+        through: { attributes: [] },
+      },
+      {
+        model: User,
+        as: "Mentors",
+        attributes: ["id", "user_name"],
+        through: { attributes: [] },
+      },
+    ],
+  });
+  if (!student) return null;
+
+  const [contacts, goals, pointsLog, records] = await Promise.all([
+    StudentContact.findAll({
+      where: { student_id: student.id },
+      order: [
+        ["is_primary", "DESC"],
+        ["name", "ASC"],
+      ],
+    }),
+    Goal.findAll({
+      where: { student_id: student.id },
+      include: [MILESTONES_INCLUDE],
+      order: [
+        ["is_completed", "ASC"],
+        ["target_date", "ASC"],
+        ["id", "ASC"],
+        ...MILESTONES_ORDER,
+      ],
+    }),
+    PointsLog.findAll({
+      where: { student_id: student.id },
+      order: [
+        ["created_at", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit: POINTS_LOG_LIMIT,
+    }),
+    Attendance.findAll({
+      where: { student_id: student.id },
+      attributes: ["id", "date", "status", "notes"],
+      order: [["date", "ASC"]],
+    }),
+  ]);
+  await attachCustomValues([student]);
+  attachProgress(goals);
+
+  const { summary, ...attendanceStats } = summariseAttendance(records);
+  return {
+    student,
+    contacts,
+    goals,
+    points_log: pointsLog,
+    attendance: { summary, records },
+    stats: { ...summariseGoals(goals), ...attendanceStats },
+  };
+}
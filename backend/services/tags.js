@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Student tags service
+ * @description Validates tags and tags or untags students. Tags are lightweight coloured
+ * labels such as "new" or "needs follow-up"; a student can have any number of them, stored
+ * as rows in `student_tags`.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import { Op } from "sequelize";
+import { Tag, StudentTag, sequelize } from "../models.js";
+
+/**
+ * Build a `where` condition matching the students that have every one of the given tags
+ * @function taggedWith
+ * @param {Array<number>} tagIds - Validated tag IDs (see middleware/tagFilter.js)
+ * @returns {Object} Condition for a student ID column, e.g. `where: { id: taggedWith([1, 2]) }`
+ */
+export function taggedWith(tagIds) {
+  const ids = tagIds.map((tagId) => sequelize.escape(tagId)).join(", ");
+  return {
+    [Op.in]: sequelize.literal(
+      `(SELECT student_id FROM student_tags WHERE tag_id IN (${ids}) GROUP BY student_id HAVING COUNT(*) = ${tagIds.length})`
+    ),
+  };
+}
+
+/**
+ * Check the tag IDs sent for a student
+ * @async
+ * @function validateTagIds
+ * @param {*} tagIds - Value of req.body.tag_ids
+ * @returns {Promise<string|null>} Error message, or null if every ID exists
+ */
+export async function validateTagIds(tagIds) {
+  if (!Array.isArray(tagIds)) return "tag_ids must be an array";
+  if (!tagIds.every((id) => Number.isInteger(id) && id > 0)) {
+    return "tag_ids must contain positive integer IDs";
+  }
+  const unique = [...new Set(tagIds)];
+  if (!unique.length) return null;
+  const found = await Tag.count({ where: { id: unique } });
+  return found === unique.length ? null : "tag_ids contains unknown IDs";
+}
+
+/**
+ * Replace the tags of a student
+ * @async
+ * @function setStudentTags
+ * @param {number} studentId - Student ID
+ * @param {Array<number>} tagIds - Validated tag IDs; an empty array removes every tag
+ * @returns {Promise<void>}
+ */
+export async function setStudentTags(studentId, tagIds) {
+  await sequelize.transaction(async (transaction) => {
+    await StudentTag.destroy({ where: { student_id: studentId }, transaction });
+    await StudentTag.bulkCreate(
+      [...new Set(tagIds)].map((tagId) => ({
+        tag_id: tagId,
+        student_id: studentId,
+      })),
+      { transaction }
+    );
+  });
+}
+
+/**
+ * Add a tag to several students, keeping their other tags
+ * @async
+ * @function tagStudents
+ * @param {number} tagId - Tag ID
+ * @param {Array<number>} studentIds - Validated student IDs
+ * @returns {Promise<number>} How many students were tagged (students that already had the
+ * tag are not counted)
+ */
+export async function tagStudents(tagId, studentIds) {
+  const ids = [...new Set(studentIds)];
+  const existing = await StudentTag.findAll({
+    where: { tag_id: tagId, student_id: ids },
+    attributes: ["student_id"],
+  });
+  const tagged = new Set(existing.map((row) => row.student_id));
+  const added = ids.filter((id) => !tagged.has(id));
+  await StudentTag.bulkCreate(
+    added.map((studentId) => ({ tag_id: tagId, student_id: studentId }))
+  );
+  return added.length;
+}
+
+/**
+ * Remove a tag from several students
+ * @async
+ * @function untagStudents
+ * @param {number} tagId - Tag ID
+ * @param {Array<number>} studentIds - Student IDs
+ * @returns {Promise<number>} How many students had the tag removed
+ */
+export function untagStudents(tagId, studentIds) {
+  return StudentTag.destroy({
+    where: { tag_id: tagId, student_id: [...new Set(studentIds)] },
+  });
+}
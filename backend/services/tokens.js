@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Opaque token helpers
+ * @description Generates random single-use tokens and hashes them for storage, so that
+ * a leaked database row cannot be replayed as a valid token
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import crypto from "crypto";
+
+/**
+ * Generate a random URL-safe token
+ * @function generateToken
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} Hex-encoded token
+ */
+export function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+/**
+ * Hash a token for storage and lookup
+ * @function hashToken
+ * @param {string} token - Raw token as given to the client
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
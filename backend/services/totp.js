@@ -0,0 +1,153 @@
+/**
+ * @fileoverview TOTP helpers
+ * @description Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+ * such as Google Authenticator, Authy and 1Password: SHA-1, 6 digits, 30 second steps.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Issuer shown in authenticator apps
+ * @type {string}
+ * @default "Gloire Road Map"
+ */
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Gloire Road Map";
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @function base32Encode
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @function base32Decode
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the input contains characters outside the base32 alphabet
+ */
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @function generateTotpSecret
+ * @returns {string} Base32 secret (160 bits)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the TOTP time step for a moment in time
+ * @function currentStep
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {number} Number of 30 second steps since the Unix epoch
+ */
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Compute the code for a time step
+ * @function generateTotp
+ * @param {string} secret - Base32 secret
+ * @param {number} [step] - Time step (defaults to the current one)
+ * @returns {string} Zero-padded 6 digit code
+ */
+export function generateTotp(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Check a code, allowing for small clock drift
+ * @function verifyTotp
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.window=1] - Number of steps accepted before and after the current one
+ * @param {number} [options.now=Date.now()] - Time in milliseconds
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+export function verifyTotp(
+  secret,
+  code,
+  { window = 1, now = Date.now() } = {}
+) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const step = currentStep(now);
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateTotp(secret, step + drift);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step + drift;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps read from a QR code
+ * @function buildOtpauthUrl
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label, e.g. the username
+ * @returns {string} Provisioning URI
+ */
+export function buildOtpauthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
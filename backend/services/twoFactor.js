@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Two-factor authentication service
+ * @description Challenge tokens for the second login step, recovery codes and
+ * verification of TOTP or recovery codes for users who have enrolled.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import jwt from "jsonwebtoken";
+import { Op } from "sequelize";
+import { User, RecoveryCode } from "../models.js";
+import { generateToken, hashToken } from "./tokens.js";
+import { verifyTotp } from "./totp.js";
+import { getSetting } from "./settings.js";
+
+/**
+ * Purposes a challenge token can be issued for
+ * @namespace CHALLENGE_PURPOSE
+ * @property {string} VERIFY - Password was correct, a TOTP or recovery code is still needed
+ * @property {string} SETUP - Password was correct, but 2FA is required and the user must enroll first
+ */
+export const CHALLENGE_PURPOSE = {
+  VERIFY: "2fa-verify",
+  SETUP: "2fa-setup",
+};
+
+/**
+ * Challenge token lifetime (jsonwebtoken `expiresIn` format)
+ * @type {string}
+ * @default "5m"
+ */
+const CHALLENGE_TOKEN_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+
+/**
+ * Number of recovery codes issued at a time
+ * @type {number}
+ */
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Sign a short-lived token proving the user passed the password step
+ * @param {Object} user - User model instance
+ * @param {string} purpose - One of CHALLENGE_PURPOSE
+ * @returns {string} Signed JWT. authenticateJWT rejects it as an access token.
+ */
+export function signChallengeToken(user, purpose) {
+  return jwt.sign({ id: user.id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_TTL,
+  });
+}
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Challenge token from the login response
+ * @param {string} purpose - Expected CHALLENGE_PURPOSE
+ * @returns {number|null} User ID, or null if the token is invalid, expired or for another purpose
+ */
+export function verifyChallengeToken(token, purpose) {
+  if (!token) return null;
+  try {
+    const claims = jwt.verify(token, process.env.JWT_SECRET);
+    return claims.purpose === purpose ? claims.id : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decide whether a user who passed the first login step still owes a second factor.
+ * Shared by password login and single sign-on so both apply the same rule.
+ * @async
+ * @param {Object} user - User model instance
+ * @returns {Promise<Object|null>} Login response with a challenge token, or null when a
+ * session can be started straight away
+ */
+export async function twoFactorChallenge(user) {
+  if (user.totp_enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user, CHALLENGE_PURPOSE.VERIFY),
+    };
+  }
+  if (await getSetting("require_2fa")) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: signChallengeToken(user, CHALLENGE_PURPOSE.SETUP),
+    };
+  }
+  return null;
+}
+
+/**
+ * Normalize a recovery code as typed by a user
+ * @param {string} code - Recovery code, with or without dash and in any case
+ * @returns {string} Lowercase code without separators
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || "")
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @async
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} Raw codes formatted as xxxxx-xxxxx. Only hashes are stored.
+ */
+export async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await RecoveryCode.destroy({ where: { user_id: userId } });
+  await RecoveryCode.bulkCreate(
+    codes.map((code) => ({
+      user_id: userId,
+      code_hash: hashToken(normalizeRecoveryCode(code)),
+    }))
+  );
+  return codes;
+}
+
+/**
+ * Count the recovery codes a user has not used yet
+ * @async
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Remaining codes
+ */
+export async function countRecoveryCodes(userId) {
+  return RecoveryCode.count({ where: { user_id: userId, used_at: null } });
+}
+
+/**
+ * Check a TOTP code and record its time step so it cannot be used again
+ * @async
+ * @param {Object} user - User model instance with totp_secret
+ * @param {string} code - 6 digit code
+ * @returns {Promise<boolean>} True if the code is valid and was not used before
+ */
+export async function verifyTotpCode(user, code) {
+  if (!user.totp_secret) return false;
+  const step = verifyTotp(user.totp_secret, code);
+  if (step === null) return false;
+  // Conditional update so concurrent requests cannot both accept the same code
+  const [updated] = await User.update(
+    { totp_last_step: step },
+    {
+      where: {
+        id: user.id,
+        [Op.or]: [
+          { totp_last_step: null },
+          { totp_last_step: { [Op.lt]: step } },
+        ],
+      },
+    }
+  );
+  return updated > 0;
+}
+
+/**
+ * Verify the second factor of an enrolled user: a TOTP code or an unused recovery code
+ * @async
+ * @param {Object} user - User model instance
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>} True if the code is accepted
+ */
+export async function verifySecondFactor(user, code) {
+  if (/^\s*\d{6}\s*$/.test(String(code || ""))) {
+    return verifyTotpCode(user, code);
+  }
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return false;
+  const [used] = await RecoveryCode.update(
+    { used_at: new Date() },
+    {
+      where: {
+        user_id: user.id,
+        code_hash: hashToken(normalized),
+        used_at: null,
+      },
+    }
+  );
+  return used > 0;
+}
+
+/**
+ * Turn off two-factor authentication and delete recovery codes
+ * @async
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function disableTwoFactor(userId) {
+  await User.update(
+    { totp_enabled: false, totp_secret: null, totp_last_step: null },
+    { where: { id: userId } }
+  );
+  await RecoveryCode.destroy({ where: { user_id: userId } });
+}
@@ -1,6 +1,5 @@
-import express from "express";
 import request from "supertest";
-import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { describe, it, expect, afterAll, vi } from "vitest";
 
 // Mock the service functions to avoid hitting DB
 vi.mock("../services/analytics.js", () => {
@@ -17,15 +16,16 @@ vi.mock("../services/analytics.js", () => {
   };
 });
 
-import analyticsRoutes from "../routes/analytics.js";
+vi.mock("../services/mentors.js", () => {
+  return { isRestrictedMentor: vi.fn() };
+});
 
-let server;
+import { getOverview, getByStudent } from "../services/analytics.js";
+import { isRestrictedMentor } from "../services/mentors.js";
+import analyticsRoutes from "../routes/analytics.js";
+import { buildRouteApp } from "./helpers.js";
 
-beforeAll(() => {
-  const app = express();
-  app.use("/api/analytics", analyticsRoutes);
-  server = app;
-});
+const server = buildRouteApp({ "/api/analytics": analyticsRoutes }, "admin");
 
 describe("Analytics routes parameter validation", () => {
   it("defaults to last 90 days when dates missing for overview", async () => {
@@ -64,4 +64,56 @@ describe("Analytics routes parameter validation", () => {
     // Invalid strings default to last 90 days, so valid; the route treats them as missing and returns 200
     expect(res.status).toBe(200);
   });
+
+  it("rejects viewers with 403", async () => {
+    const res = await request(server)
+      .get("/api/analytics/overview")
+      .set("x-test-role", "viewer");
+    expect(res.status).toBe(403);
+  });
+
+  it("allows mentors", async () => {
+    const res = await request(server)
+      .get("/api/analytics/overview")
+      .set("x-test-role", "mentor");
+    expect(res.status).toBe(200);
+  });
+
+  it("passes group_id through to the service", async () => {
+    const res = await request(server).get("/api/analytics/overview?group_id=3");
+    expect(res.status).toBe(200);
+    expect(getOverview).toHaveBeenLastCalledWith(
+      expect.objectContaining({ group_id: 3 })
+    );
+  });
+
+  it("limits restricted mentors to their assigned students", async () => {
+    isRestrictedMentor.mockResolvedValueOnce(true);
+    await request(server)
+      .get("/api/analytics/by-student")
+      .set("x-test-role", "mentor");
+    expect(getByStudent).toHaveBeenLastCalledWith(
+      expect.objectContaining({ mentor_id: 1 })
+    );
+
+    isRestrictedMentor.mockResolvedValueOnce(false);
+    await request(server).get("/api/analytics/overview");
+    expect(getOverview).toHaveBeenLastCalledWith(
+      expect.objectContaining({ mentor_id: null })
+    );
+
+    isRestrictedMentor.mockResolvedValueOnce(false);
+    await request(server).get("/api/analytics/overview?mine=true");
+    expect(getOverview).toHaveBeenLastCalledWith(
+      expect.objectContaining({ mentor_id: 1 })
+    );
+  });
+
+  it("returns 400 for an invalid group_id", async () => {
+    const res = await request(server).get(
+      "/api/analytics/completions?group_id=abc"
+    );
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Invalid group_id");
+  });
 });
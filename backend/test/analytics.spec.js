@@ -12,7 +12,7 @@ vi.mock("../models.js", () => {
 
 import { sequelize } from "../models.js";
 import { getOverview, getCompletions } from "../services/analytics.js";
-import { getByStudent } from "../services/analytics.js";
+import { getByStudent, getBacklog } from "../services/analytics.js";
 
 describe("analytics service", () => {
   beforeEach(() => {
@@ -48,4 +48,90 @@ describe("analytics service", () => {
     const rows = await getByStudent({});
     expect(rows).toEqual(mockRows);
   });
+
+  it("getOverview limits every subquery to the requested group", async () => {
+    sequelize.query.mockResolvedValueOnce([
+      { total_goals: 3, completed_goals: 1, avg_days_to_complete: 2 },
+    ]);
+    await getOverview({ group_id: 4 });
+    const [sql, options] = sequelize.query.mock.calls[0];
+    expect(
+      sql.match(/FROM group_members WHERE group_id = :group_id/g)
+    ).toHaveLength(3);
+    expect(options.replacements).toEqual({ group_id: 4, mentor_id: null });
+  });
+
+  it("limits queries to a mentor's assigned students", async () => {
+    sequelize.query.mockResolvedValue([]);
+    await getByStudent({ mentor_id: 6 });
+    await getBacklog({ mentor_id: 6 });
+    for (const [sql, options] of sequelize.query.mock.calls) {
+      expect(sql).toContain(
+        "student_id IN (SELECT student_id FROM mentor_assignments WHERE user_id = :mentor_id)"
+      );
+      expect(options.replacements.mentor_id).toBe(6);
+    }
+    expect(sequelize.query).toHaveBeenCalledTimes(6);
+  });
+
+  it("getOverview breaks goals down by category", async () => {
+    sequelize.query
+      .mockResolvedValueOnce([
+        { total_goals: 5, completed_goals: 2, avg_days_to_complete: 2 },
+      ])
+      .mockResolvedValueOnce([
+        {
+          category_id: 3,
+          name: "Service",
+          color: "#16a34a",
+          icon: "pi-heart",
+          total_goals: 4,
+          completed_goals: "1",
+        },
+        {
+          category_id: null,
+          name: null,
+          color: null,
+          icon: null,
+          total_goals: 1,
+          completed_goals: "1",
+        },
+      ]);
+    const res = await getOverview({ group_id: 4 });
+    expect(res.by_category).toEqual([
+      expect.objectContaining({
+        category_id: 3,
+        name: "Service",
+        completed_goals: 1,
+        pct_complete: 25,
+      }),
+      expect.objectContaining({
+        category_id: null,
+        name: "Uncategorised",
+        pct_complete: 100,
+      }),
+    ]);
+    expect(sequelize.query.mock.calls[1][0]).toContain(
+      "g.student_id IN (SELECT student_id FROM group_members"
+    );
+  });
+
+  it("getCompletions splits periods by category on request", async () => {
+    sequelize.query.mockResolvedValue([]);
+    await getCompletions({ group_by: "month", breakdown: "category" });
+    const [sql] = sequelize.query.mock.calls[0];
+    expect(sql).toContain("LEFT JOIN goal_categories");
+    expect(sql).toContain("GROUP BY label, goals.category_id");
+  });
+
+  it("getByStudent only filters by group when one is given", async () => {
+    sequelize.query.mockResolvedValue([]);
+    await getByStudent({});
+    await getByStudent({ group_id: 2 });
+    expect(sequelize.query.mock.calls[0][0]).not.toContain("group_members");
+    expect(sequelize.query.mock.calls[1][0]).toContain(
+      "g.student_id IN (SELECT student_id FROM group_members"
+    );
+    expect(sequelize.query.mock.calls[1][1].replacements.group_id).toBe(2);
+  });
 });
@@ -0,0 +1,168 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, vi, beforeAll, beforeEach } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    ApiKey: { create: vi.fn(), findOne: vi.fn(), update: vi.fn() },
+    Session: { findByPk: vi.fn() },
+    User: { findByPk: vi.fn() },
+  };
+});
+
+import { ApiKey, User } from "../models.js";
+import { hashToken } from "../services/tokens.js";
+import {
+  createApiKey,
+  authenticateApiKey,
+  isScopeAllowed,
+  validateScopes,
+} from "../services/apiKeys.js";
+import { authenticateJWT } from "../middleware/auth.js";
+
+const owner = {
+  id: 1,
+  user_name: "admin",
+  email: "admin@example.com",
+  role: "admin",
+  is_active: true,
+};
+
+function storedKey(overrides = {}) {
+  return {
+    id: 7,
+    user_id: 1,
+    scopes: ["attendance:write"],
+    expires_at: null,
+    last_used_at: null,
+    revoked_at: null,
+    ...overrides,
+  };
+}
+
+describe("API key service", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("stores only the hash and a display prefix of a new key", async () => {
+    ApiKey.create.mockImplementationOnce(async (data) => ({ id: 7, ...data }));
+    const { key } = await createApiKey({
+      userId: 1,
+      name: "Check-in kiosk",
+      scopes: ["attendance:write"],
+    });
+
+    expect(key.startsWith("grm_")).toBe(true);
+    const stored = ApiKey.create.mock.calls[0][0];
+    expect(stored.key_hash).toBe(hashToken(key));
+    expect(stored.key_prefix).toBe(key.slice(0, 12));
+    expect(Object.values(stored)).not.toContain(key);
+  });
+
+  it("rejects unknown and missing scopes", () => {
+    expect(validateScopes([])).toBe("At least one scope is required");
+    expect(validateScopes(["students:write"])).toBe(
+      "Unknown scope: students:write"
+    );
+    expect(validateScopes(["analytics:read"])).toBeNull();
+  });
+
+  it("matches scopes on method and path prefix", () => {
+    const scopes = ["attendance:write"];
+    expect(isScopeAllowed(scopes, "POST", "/api/attendance/bulk")).toBe(true);
+    expect(isScopeAllowed(scopes, "DELETE", "/api/attendance/3")).toBe(false);
+    expect(isScopeAllowed(scopes, "GET", "/api/attendance-export")).toBe(false);
+    expect(isScopeAllowed(scopes, "GET", "/api/students")).toBe(false);
+    expect(isScopeAllowed(["analytics:read"], "HEAD", "/api/points")).toBe(
+      true
+    );
+  });
+
+  it("does not authenticate revoked or expired keys", async () => {
+    ApiKey.findOne.mockResolvedValueOnce(storedKey({ revoked_at: new Date() }));
+    expect(await authenticateApiKey("grm_a")).toBeNull();
+
+    ApiKey.findOne.mockResolvedValueOnce(
+      storedKey({ expires_at: new Date(Date.now() - 1000) })
+    );
+    expect(await authenticateApiKey("grm_b")).toBeNull();
+    expect(ApiKey.update).not.toHaveBeenCalled();
+  });
+
+  it("does not authenticate keys of disabled users", async () => {
+    ApiKey.findOne.mockResolvedValueOnce(storedKey());
+    User.findByPk.mockResolvedValueOnce({ ...owner, is_active: false });
+    expect(await authenticateApiKey("grm_c")).toBeNull();
+  });
+
+  it("acts as the owner and throttles last-used updates", async () => {
+    ApiKey.findOne.mockResolvedValueOnce(storedKey());
+    User.findByPk.mockResolvedValue(owner);
+    const user = await authenticateApiKey("grm_d");
+    expect(user).toEqual({
+      id: 1,
+      userName: "admin",
+      email: "admin@example.com",
+      role: "admin",
+      apiKeyId: 7,
+      scopes: ["attendance:write"],
+    });
+    expect(ApiKey.update).toHaveBeenCalledTimes(1);
+
+    ApiKey.findOne.mockResolvedValueOnce(
+      storedKey({ last_used_at: new Date(Date.now() - 5000) })
+    );
+    await authenticateApiKey("grm_d");
+    expect(ApiKey.update).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("authenticateJWT with API keys", () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = "test-secret";
+    app = express();
+    const ok = (req, res) => res.json({ user: req.user });
+    app.use("/api/attendance", authenticateJWT, express.Router().all("*", ok));
+    app.use("/api/users", authenticateJWT, express.Router().all("*", ok));
+  });
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    User.findByPk.mockResolvedValue(owner);
+  });
+
+  it("accepts a key on routes its scopes cover", async () => {
+    ApiKey.findOne.mockResolvedValueOnce(storedKey());
+    const res = await request(app)
+      .post("/api/attendance/bulk")
+      .set("Authorization", "Bearer grm_valid");
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ id: 1, role: "admin", apiKeyId: 7 });
+    expect(ApiKey.findOne.mock.calls[0][0].where).toEqual({
+      key_hash: hashToken("grm_valid"),
+    });
+  });
+
+  it("forbids routes outside the key's scopes", async () => {
+    ApiKey.findOne.mockResolvedValue(storedKey());
+    const admin = await request(app)
+      .get("/api/users")
+      .set("Authorization", "Bearer grm_valid");
+    expect(admin.status).toBe(403);
+    const remove = await request(app)
+      .delete("/api/attendance/3")
+      .set("Authorization", "Bearer grm_valid");
+    expect(remove.status).toBe(403);
+  });
+
+  it("returns 401 for unknown keys", async () => {
+    ApiKey.findOne.mockResolvedValueOnce(null);
+    const res = await request(app)
+      .get("/api/attendance")
+      .set("Authorization", "Bearer grm_unknown");
+    expect(res.status).toBe(401);
+  });
+});
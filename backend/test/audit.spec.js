@@ -0,0 +1,181 @@
+import express from "express";
+import request from "supertest";
+import { Op } from "sequelize";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    AuditLog: { create: vi.fn(), findAndCountAll: vi.fn() },
+    User: {},
+    Setting: { findByPk: vi.fn() },
+    sequelize: {
+      escape: (value) => String(value),
+      literal: (sql) => ({ sql }),
+    },
+  };
+});
+
+import { AuditLog, Setting } from "../models.js";
+import {
+  recordAudit,
+  toAuditValues,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+} from "../services/audit.js";
+import auditRoutes from "../routes/audit.js";
+
+function appAs(role) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 1, role };
+    next();
+  });
+  app.use("/api/audit", auditRoutes);
+  return app;
+}
+
+describe("audit service", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("drops secrets and included associations from snapshots", () => {
+    const values = toAuditValues({
+      get: () => ({
+        id: 4,
+        user_name: "sam",
+        password_hash: "$2b$10$secret",
+        totp_secret: "JBSWY3DPEHPK3PXP",
+        Student: { id: 1, name: "Ada" },
+        created_at: new Date("2026-10-01T00:00:00Z"),
+      }),
+    });
+    expect(values).toEqual({
+      id: 4,
+      user_name: "sam",
+      created_at: "2026-10-01T00:00:00.000Z",
+    });
+  });
+
+  it("stores only the changed fields of an update", async () => {
+    await recordAudit({
+      actorId: 2,
+      entityType: AUDIT_ENTITIES.GOAL,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: { id: 9, title: "Read", is_completed: false, updated_at: "a" },
+      after: { id: 9, title: "Read", is_completed: true, updated_at: "b" },
+    });
+    expect(AuditLog.create).toHaveBeenCalledWith({
+      user_id: 2,
+      entity_type: "goal",
+      entity_id: 9,
+      action: "update",
+      before: { is_completed: false },
+      after: { is_completed: true },
+    });
+  });
+
+  it("skips updates that changed nothing and never throws", async () => {
+    await recordAudit({
+      actorId: 2,
+      entityType: AUDIT_ENTITIES.GOAL,
+      action: AUDIT_ACTIONS.UPDATE,
+      before: { id: 9, title: "Read" },
+      after: { id: 9, title: "Read" },
+    });
+    expect(AuditLog.create).not.toHaveBeenCalled();
+
+    vi.spyOn(console, "error").mockImplementationOnce(() => {});
+    AuditLog.create.mockRejectedValueOnce(new Error("db down"));
+    await expect(
+      recordAudit({
+        actorId: 2,
+        entityType: AUDIT_ENTITIES.STUDENT,
+        action: AUDIT_ACTIONS.DELETE,
+        before: { id: 3, name: "Ada" },
+      })
+    ).resolves.toBeUndefined();
+  });
+});
+
+describe("GET /api/audit", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    AuditLog.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+  });
+
+  it("filters by entity, user and whole days", async () => {
+    const res = await request(appAs("admin")).get(
+      "/api/audit?entity_type=goal&entity_id=9&user_id=2&start_date=2026-10-01&end_date=2026-10-02"
+    );
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ total: 0, entries: [] });
+    const { where } = AuditLog.findAndCountAll.mock.calls[0][0];
+    expect(where.entity_type).toBe("goal");
+    expect(where.entity_id).toBe("9");
+    expect(where.user_id).toBe("2");
+    expect(where.created_at[Op.gte].toISOString()).toBe(
+      "2026-10-01T00:00:00.000Z"
+    );
+    expect(where.created_at[Op.lte].toISOString()).toBe(
+      "2026-10-02T23:59:59.999Z"
+    );
+  });
+
+  it("hides user account changes from mentors", async () => {
+    const denied = await request(appAs("mentor")).get(
+      "/api/audit?entity_type=user"
+    );
+    expect(denied.status).toBe(403);
+
+    await request(appAs("mentor")).get("/api/audit");
+    const { where } = AuditLog.findAndCountAll.mock.calls[0][0];
+    expect(where.entity_type[Op.ne]).toBe("user");
+  });
+
+  it("limits restricted mentors to their assigned students", async () => {
+    await request(appAs("mentor")).get("/api/audit?entity_type=contact");
+    const { where } = AuditLog.findAndCountAll.mock.calls[0][0];
+    const [scope] = where[Op.and];
+    const contact = scope[Op.or].find((part) => part.entity_type === "contact");
+    expect(contact[Op.or][0].entity_id[Op.in].sql).toBe(
+      "(SELECT id FROM student_contacts WHERE student_id IN (SELECT student_id FROM mentor_assignments WHERE user_id = 1))"
+    );
+    expect(contact[Op.or][1].sql).toContain("'$.student_id'");
+    expect(scope[Op.or][0].entity_type[Op.notIn]).toEqual([
+      "student",
+      "goal",
+      "attendance",
+      "contact",
+      "goal_milestone",
+    ]);
+    const milestone = scope[Op.or].find(
+      (part) => part.entity_type === "goal_milestone"
+    );
+    expect(milestone[Op.or][1].sql).toMatch(
+      /'\$\.goal_id'.* IN \(SELECT id FROM goals WHERE student_id IN /
+    );
+
+    // Admins and unrestricted mentors see every entry
+    Setting.findByPk.mockResolvedValue({ value: "false" });
+    await request(appAs("mentor")).get("/api/audit");
+    await request(appAs("admin")).get("/api/audit");
+    expect(
+      AuditLog.findAndCountAll.mock.calls[1][0].where[Op.and]
+    ).toBeUndefined();
+    expect(
+      AuditLog.findAndCountAll.mock.calls[2][0].where[Op.and]
+    ).toBeUndefined();
+  });
+
+  it("rejects unknown entity types and invalid dates", async () => {
+    const app = appAs("admin");
+    expect((await request(app).get("/api/audit?entity_type=x")).status).toBe(
+      400
+    );
+    expect((await request(app).get("/api/audit?start_date=nope")).status).toBe(
+      400
+    );
+    expect(AuditLog.findAndCountAll).not.toHaveBeenCalled();
+  });
+});
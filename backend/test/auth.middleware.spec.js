@@ -0,0 +1,87 @@
+import express from "express";
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import { describe, it, expect, beforeAll } from "vitest";
+import { authenticateJWT, authorizeRoles } from "../middleware/auth.js";
+
+const SECRET = "test-secret";
+
+let app;
+
+beforeAll(() => {
+  process.env.JWT_SECRET = SECRET;
+  app = express();
+  app.get("/open", authenticateJWT, (req, res) => res.json({ ok: true }));
+  app.delete(
+    "/admin-only",
+    authenticateJWT,
+    authorizeRoles("admin"),
+    (req, res) => res.json({ ok: true })
+  );
+  app.post(
+    "/editors",
+    authenticateJWT,
+    authorizeRoles("admin", "mentor"),
+    (req, res) => res.json({ ok: true })
+  );
+});
+
+const tokenFor = (role) =>
+  jwt.sign({ id: 1, userName: "u", email: "u@example.com", role }, SECRET);
+
+describe("authorizeRoles middleware", () => {
+  it("returns 401 when no token is provided", async () => {
+    const res = await request(app).delete("/admin-only");
+    expect(res.status).toBe(401);
+  });
+
+  it("lets any authenticated role through routes without role checks", async () => {
+    const res = await request(app)
+      .get("/open")
+      .set("Authorization", `Bearer ${tokenFor("viewer")}`);
+    expect(res.status).toBe(200);
+  });
+
+  it("allows admins on admin-only routes", async () => {
+    const res = await request(app)
+      .delete("/admin-only")
+      .set("Authorization", `Bearer ${tokenFor("admin")}`);
+    expect(res.status).toBe(200);
+  });
+
+  it("forbids mentors on admin-only routes", async () => {
+    const res = await request(app)
+      .delete("/admin-only")
+      .set("Authorization", `Bearer ${tokenFor("mentor")}`);
+    expect(res.status).toBe(403);
+  });
+
+  it("forbids viewers on editor routes and allows mentors", async () => {
+    const viewer = await request(app)
+      .post("/editors")
+      .set("Authorization", `Bearer ${tokenFor("viewer")}`);
+    expect(viewer.status).toBe(403);
+    const mentor = await request(app)
+      .post("/editors")
+      .set("Authorization", `Bearer ${tokenFor("mentor")}`);
+    expect(mentor.status).toBe(200);
+  });
+
+  it("forbids tokens without a role claim", async () => {
+    const legacy = jwt.sign({ id: 1, userName: "u" }, SECRET);
+    const res = await request(app)
+      .delete("/admin-only")
+      .set("Authorization", `Bearer ${legacy}`);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("authenticateJWT", () => {
+  it("rejects 2FA challenge tokens as access tokens", async () => {
+    const challenge = jwt.sign({ id: 1, purpose: "2fa-verify" }, SECRET);
+    const res = await request(app)
+      .get("/open")
+      .set("Authorization", `Bearer ${challenge}`);
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,200 @@
+import express from "express";
+import request from "supertest";
+import bcrypt from "bcrypt";
+import { describe, it, expect, beforeAll, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    User: {
+      findOne: vi.fn(),
+      findByPk: vi.fn(),
+      update: vi.fn(),
+    },
+    Invite: {},
+    PasswordReset: {
+      findOne: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+    },
+    sequelize: {
+      transaction: vi.fn(async (callback) => callback({})),
+    },
+  };
+});
+
+vi.mock("../services/sessions.js", () => {
+  return {
+    createSession: vi.fn(),
+    rotateSession: vi.fn(),
+    revokeSessionByToken: vi.fn(),
+    revokeAllSessions: vi.fn(),
+    sessionMetaFromRequest: vi.fn(),
+  };
+});
+
+vi.mock("../services/mailer.js", () => {
+  return { sendMail: vi.fn() };
+});
+
+vi.mock("../middleware/auth.js", () => {
+  return {
+    authenticateJWT: (req, res, next) => {
+      req.user = { id: 3, sid: 21, role: "mentor" };
+      next();
+    },
+  };
+});
+
+import { User, PasswordReset, sequelize } from "../models.js";
+import { revokeAllSessions } from "../services/sessions.js";
+import { sendMail } from "../services/mailer.js";
+import { hashToken } from "../services/tokens.js";
+import authRoutes from "../routes/auth.js";
+
+let server;
+let currentHash;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/auth", authRoutes);
+  server = app;
+  currentHash = await bcrypt.hash("oldPassword1", 4);
+});
+
+describe("Password routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    sequelize.transaction.mockImplementation(async (callback) => callback({}));
+  });
+
+  it("changes the password and revokes the other sessions", async () => {
+    const user = {
+      id: 3,
+      user_name: "mentor",
+      email: "mentor@example.com",
+      password_hash: currentHash,
+      save: vi.fn(),
+    };
+    User.findByPk.mockResolvedValueOnce(user);
+
+    const res = await request(server)
+      .post("/api/auth/change-password")
+      .send({ currentPassword: "oldPassword1", newPassword: "newPassword2" });
+
+    expect(res.status).toBe(200);
+    expect(await bcrypt.compare("newPassword2", user.password_hash)).toBe(true);
+    expect(user.save).toHaveBeenCalled();
+    expect(revokeAllSessions).toHaveBeenCalledWith(3, 21);
+  });
+
+  it("rejects a wrong current password", async () => {
+    User.findByPk.mockResolvedValueOnce({
+      id: 3,
+      password_hash: currentHash,
+      save: vi.fn(),
+    });
+
+    const res = await request(server)
+      .post("/api/auth/change-password")
+      .send({ currentPassword: "nope", newPassword: "newPassword2" });
+
+    expect(res.status).toBe(400);
+    expect(revokeAllSessions).not.toHaveBeenCalled();
+  });
+
+  it("rejects a weak new password", async () => {
+    User.findByPk.mockResolvedValueOnce({
+      id: 3,
+      password_hash: currentHash,
+      save: vi.fn(),
+    });
+
+    const res = await request(server)
+      .post("/api/auth/change-password")
+      .send({ currentPassword: "oldPassword1", newPassword: "short" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/at least 8 characters/);
+  });
+
+  it("emails a hashed, single-use reset token", async () => {
+    User.findOne.mockResolvedValueOnce({
+      id: 3,
+      user_name: "mentor",
+      email: "mentor@example.com",
+      is_active: true,
+    });
+
+    const res = await request(server)
+      .post("/api/auth/forgot-password")
+      .send({ email: "mentor@example.com" });
+
+    expect(res.status).toBe(200);
+    const mail = sendMail.mock.calls[0][0];
+    expect(mail.to).toBe("mentor@example.com");
+    const token = mail.text.match(/token=([0-9a-f]{64})/)[1];
+    expect(PasswordReset.create.mock.calls[0][0].token_hash).toBe(
+      hashToken(token)
+    );
+    // Earlier links are invalidated
+    expect(PasswordReset.update.mock.calls[0][1].where).toEqual({
+      user_id: 3,
+      used_at: null,
+    });
+  });
+
+  it("responds the same way for unknown emails", async () => {
+    User.findOne.mockResolvedValueOnce(null);
+
+    const res = await request(server)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nobody@example.com" });
+
+    expect(res.status).toBe(200);
+    expect(sendMail).not.toHaveBeenCalled();
+    expect(PasswordReset.create).not.toHaveBeenCalled();
+  });
+
+  it("resets the password and revokes all sessions", async () => {
+    PasswordReset.findOne.mockResolvedValueOnce({ id: 9, user_id: 3 });
+    User.findByPk.mockResolvedValueOnce({
+      id: 3,
+      user_name: "mentor",
+      email: "mentor@example.com",
+      is_active: true,
+    });
+    PasswordReset.update.mockResolvedValueOnce([1]);
+
+    const res = await request(server)
+      .post("/api/auth/reset-password")
+      .send({ token: "abc", password: "brandNew42" });
+
+    expect(res.status).toBe(200);
+    expect(PasswordReset.findOne.mock.calls[0][0].where.token_hash).toBe(
+      hashToken("abc")
+    );
+    const { password_hash } = User.update.mock.calls[0][0];
+    expect(await bcrypt.compare("brandNew42", password_hash)).toBe(true);
+    expect(revokeAllSessions).toHaveBeenCalledWith(3);
+  });
+
+  it("refuses a reset token that was already used", async () => {
+    PasswordReset.findOne.mockResolvedValueOnce({ id: 9, user_id: 3 });
+    User.findByPk.mockResolvedValueOnce({
+      id: 3,
+      user_name: "mentor",
+      email: "mentor@example.com",
+      is_active: true,
+    });
+    PasswordReset.update.mockResolvedValueOnce([0]);
+
+    const res = await request(server)
+      .post("/api/auth/reset-password")
+      .send({ token: "abc", password: "brandNew42" });
+
+    expect(res.status).toBe(404);
+    expect(User.update).not.toHaveBeenCalled();
+    expect(revokeAllSessions).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { Op } from "sequelize";
+
+vi.mock("../models.js", () => {
+  return {
+    Student: {
+      findAll: vi.fn(),
+    },
+  };
+});
+
+import { Student } from "../models.js";
+import {
+  nextBirthday,
+  isMilestoneAge,
+  findUpcomingBirthdays,
+  birthdayCalendar,
+} from "../services/birthdays.js";
+
+describe("Birthdays", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("finds the next birthday, wrapping into next year", () => {
+    const today = { year: 2026, month: 10, day: 19 };
+    expect(nextBirthday("2010-10-19", today)).toEqual({
+      date: "2026-10-19",
+      days_until: 0,
+      age: 16,
+    });
+    expect(nextBirthday(new Date("2012-01-05"), today)).toEqual({
+      date: "2027-01-05",
+      days_until: 78,
+      age: 15,
+    });
+    expect(nextBirthday(null, today)).toBeNull();
+    expect(nextBirthday("2027-01-01", today)).toBeNull();
+  });
+
+  it("moves 29 February birthdays to 28 February outside leap years", () => {
+    expect(
+      nextBirthday("2008-02-29", { year: 2027, month: 2, day: 1 })
+    ).toEqual({ date: "2027-02-28", days_until: 27, age: 19 });
+    expect(
+      nextBirthday("2008-02-29", { year: 2028, month: 2, day: 28 })
+    ).toEqual({ date: "2028-02-29", days_until: 1, age: 20 });
+  });
+
+  it("flags milestone ages", () => {
+    expect([13, 16, 18, 21, 30, 40].every(isMilestoneAge)).toBe(true);
+    expect([12, 15, 17, 22].some(isMilestoneAge)).toBe(false);
+  });
+
+  it("lists birthdays within the look-ahead, soonest first", async () => {
+    Student.findAll.mockResolvedValueOnce([
+      { id: 1, name: "Ben", date_of_birth: "2013-11-01" },
+      { id: 2, name: "Ann", date_of_birth: "2010-10-20" },
+      { id: 3, name: "Cy", date_of_birth: "2011-12-25" },
+    ]);
+    const conditions = [{ id: 5 }];
+
+    const birthdays = await findUpcomingBirthdays({
+      days: 14,
+      timeZone: "UTC",
+      conditions,
+      now: new Date("2026-10-19T12:00:00Z"),
+    });
+
+    expect(birthdays).toEqual([
+      {
+        student_id: 2,
+        name: "Ann",
+        date_of_birth: "2010-10-20",
+        birthday: "2026-10-20",
+        days_until: 1,
+        age: 16,
+        milestone: true,
+      },
+      {
+        student_id: 1,
+        name: "Ben",
+        date_of_birth: "2013-11-01",
+        birthday: "2026-11-01",
+        days_until: 13,
+        age: 13,
+        milestone: true,
+      },
+    ]);
+    expect(Student.findAll.mock.calls[0][0].where).toEqual({
+      [Op.and]: conditions,
+      date_of_birth: { [Op.ne]: null },
+      status: { [Op.ne]: "archived" },
+    });
+  });
+
+  it("builds an all-day calendar event per birthday", () => {
+    const calendar = birthdayCalendar(
+      [
+        {
+          student_id: 1,
+          name: "Ben; the Elder",
+          birthday: "2026-12-31",
+          age: 13,
+        },
+      ],
+      new Date("2026-10-19T08:30:00Z")
+    );
+    const lines = calendar.split("\r\n");
+    expect(lines.slice(5, 12)).toEqual([
+      "BEGIN:VEVENT",
+      "UID:birthday-1-2026-12-31@gloire-road-map",
+      "DTSTAMP:20261019T083000Z",
+      "DTSTART;VALUE=DATE:20261231",
+      "DTEND;VALUE=DATE:20270101",
+      "SUMMARY:Ben\\; the Elder turns 13",
+      "TRANSP:TRANSPARENT",
+    ]);
+    expect(lines.at(-2)).toBe("END:VCALENDAR");
+
+    // Long lines are folded at 75 octets
+    const long = birthdayCalendar([
+      { student_id: 2, name: "é".repeat(60), birthday: "2026-11-01", age: 20 },
+    ]);
+    const summary = long
+      .split("\r\n")
+      .filter((line) => /^(SUMMARY| )/.test(line));
+    expect(summary.length).toBeGreaterThan(1);
+    for (const line of summary) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+  });
+});
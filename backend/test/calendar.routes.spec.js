@@ -0,0 +1,185 @@
+import express from "express";
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import { Op } from "sequelize";
+import { describe, it, expect, beforeAll, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    Student: {
+      findAll: vi.fn(),
+    },
+    User: {
+      findByPk: vi.fn(),
+    },
+    CalendarFeed: {
+      findOne: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+      destroy: vi.fn(),
+    },
+    Setting: {
+      findByPk: vi.fn(),
+    },
+    sequelize: {
+      literal: vi.fn(),
+      escape: vi.fn(),
+    },
+  };
+});
+
+import { Student, User, CalendarFeed, Setting, sequelize } from "../models.js";
+import { hashToken } from "../services/tokens.js";
+import calendarRoutes from "../routes/calendar.js";
+
+let server;
+let token;
+
+beforeAll(() => {
+  process.env.JWT_SECRET = "test-secret";
+  process.env.APP_URL = "https://roadmap.example.org/";
+  token = jwt.sign({ id: 5, role: "mentor" }, "test-secret");
+  const app = express();
+  app.use(express.json());
+  app.use("/api/calendar", calendarRoutes);
+  server = app;
+});
+
+function turnCalendarOn() {
+  Setting.findByPk.mockImplementation(async (key) => ({
+    key,
+    value: key === "birthday_calendar" ? "true" : "false",
+  }));
+}
+
+describe("Birthday calendar routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    sequelize.literal.mockImplementation((sql) => ({ sql }));
+    sequelize.escape.mockImplementation((value) => String(value));
+  });
+
+  it("creates a link only the token can open, replacing the previous one", async () => {
+    const anonymous = await request(server).post("/api/calendar/birthdays");
+    expect(anonymous.status).toBe(401);
+
+    const off = await request(server)
+      .post("/api/calendar/birthdays")
+      .set("Authorization", `Bearer ${token}`);
+    expect(off.status).toBe(404);
+    expect(off.body.message).toBe("The birthday calendar is turned off");
+
+    turnCalendarOn();
+    CalendarFeed.create.mockImplementation(async (values) => ({
+      id: 1,
+      created_at: new Date(),
+      ...values,
+    }));
+    const res = await request(server)
+      .post("/api/calendar/birthdays")
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.status).toBe(201);
+    expect(CalendarFeed.destroy).toHaveBeenCalledWith({
+      where: { user_id: 5 },
+    });
+
+    const match = res.body.url.match(
+      /^https:\/\/roadmap\.example\.org\/api\/calendar\/birthdays\/([0-9a-f]+)\.ics$/
+    );
+    expect(match).not.toBeNull();
+    expect(CalendarFeed.create.mock.calls[0][0]).toEqual({
+      user_id: 5,
+      token_hash: hashToken(match[1]),
+    });
+  });
+
+  it("serves the feed for a valid link with the owner's mentor scope", async () => {
+    turnCalendarOn();
+    CalendarFeed.findOne.mockResolvedValueOnce({ id: 1, user_id: 5 });
+    User.findByPk.mockResolvedValueOnce({
+      id: 5,
+      user_name: "mentor",
+      role: "mentor",
+      is_active: true,
+    });
+    Student.findAll.mockResolvedValueOnce([
+      { id: 3, name: "Ann, Jr.", date_of_birth: "2010-01-02" },
+    ]);
+
+    const res = await request(server).get(
+      "/api/calendar/birthdays/abc123.ics?tz=Africa/Nairobi&mine=true"
+    );
+
+    expect(res.status).toBe(200);
+    expect(CalendarFeed.findOne.mock.calls[0][0].where).toEqual({
+      token_hash: hashToken("abc123"),
+    });
+    expect(res.headers["content-type"]).toMatch(/^text\/calendar/);
+    expect(res.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(res.text).toMatch(/SUMMARY:Ann\\, Jr\. turns \d+\r\n/);
+    expect(Student.findAll.mock.calls[0][0].where[Op.and]).toEqual([
+      {
+        id: {
+          [Op.in]: {
+            sql: "(SELECT student_id FROM mentor_assignments WHERE user_id = 5)",
+          },
+        },
+      },
+    ]);
+    expect(CalendarFeed.update).toHaveBeenCalledWith(
+      { last_used_at: expect.any(Date) },
+      { where: { id: 1 } }
+    );
+  });
+
+  it("refuses revoked links, disabled owners and a switched-off calendar", async () => {
+    const off = await request(server).get("/api/calendar/birthdays/abc.ics");
+    expect(off.status).toBe(404);
+
+    turnCalendarOn();
+    CalendarFeed.findOne.mockResolvedValueOnce(null);
+    const revoked = await request(server).get(
+      "/api/calendar/birthdays/abc.ics"
+    );
+    expect(revoked.status).toBe(401);
+
+    CalendarFeed.findOne.mockResolvedValueOnce({ id: 1, user_id: 5 });
+    User.findByPk.mockResolvedValueOnce({
+      id: 5,
+      role: "mentor",
+      is_active: false,
+    });
+    const disabled = await request(server).get(
+      "/api/calendar/birthdays/abc.ics"
+    );
+    expect(disabled.status).toBe(401);
+    expect(Student.findAll).not.toHaveBeenCalled();
+  });
+
+  it("reports and revokes the current user's link", async () => {
+    turnCalendarOn();
+    CalendarFeed.findOne.mockResolvedValueOnce({ id: 1, user_id: 5 });
+    const status = await request(server)
+      .get("/api/calendar/birthdays")
+      .set("Authorization", `Bearer ${token}`);
+    expect(status.body).toEqual({ enabled: true, feed: { id: 1, user_id: 5 } });
+    expect(CalendarFeed.findOne.mock.calls[0][0].attributes).not.toContain(
+      "token_hash"
+    );
+
+    CalendarFeed.destroy.mockResolvedValueOnce(1);
+    const revoked = await request(server)
+      .delete("/api/calendar/birthdays")
+      .set("Authorization", `Bearer ${token}`);
+    expect(revoked.status).toBe(200);
+    expect(CalendarFeed.destroy).toHaveBeenCalledWith({
+      where: { user_id: 5 },
+    });
+
+    CalendarFeed.destroy.mockResolvedValueOnce(0);
+    const missing = await request(server)
+      .delete("/api/calendar/birthdays")
+      .set("Authorization", `Bearer ${token}`);
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,127 @@
+import request from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    Student: {
+      findByPk: vi.fn(),
+    },
+    StudentContact: {
+      findAll: vi.fn(),
+      findOne: vi.fn(),
+      count: vi.fn(),
+      update: vi.fn(),
+      build: vi.fn(),
+    },
+    AuditLog: {
+      create: vi.fn(),
+    },
+    sequelize: {
+      transaction: vi.fn(),
+    },
+  };
+});
+
+import { Student, StudentContact, AuditLog, sequelize } from "../models.js";
+import contactRoutes from "../routes/contacts.js";
+import { buildRouteApp, mockInstance } from "./helpers.js";
+
+const server = buildRouteApp({ "/api/students/:id/contacts": contactRoutes });
+
+describe("Student contact routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    sequelize.transaction.mockImplementation((work) => work({}));
+    Student.findByPk.mockResolvedValue({ id: 3, name: "Ann" });
+    StudentContact.build.mockImplementation((values) => mockInstance(values));
+  });
+
+  it("returns 404 for an unknown student", async () => {
+    Student.findByPk.mockResolvedValueOnce(null);
+    const res = await request(server).get("/api/students/99/contacts");
+    expect(res.status).toBe(404);
+  });
+
+  it("requires a name and a phone number or email", async () => {
+    const res = await request(server)
+      .post("/api/students/3/contacts")
+      .send({ name: "Mary Doe" });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("A phone number or email is required");
+
+    const badEmail = await request(server)
+      .post("/api/students/3/contacts")
+      .send({ name: "Mary Doe", email: "mary@" });
+    expect(badEmail.status).toBe(400);
+    expect(StudentContact.build).not.toHaveBeenCalled();
+  });
+
+  it("makes the first contact primary and audits it", async () => {
+    StudentContact.count.mockResolvedValueOnce(0);
+
+    const res = await request(server).post("/api/students/3/contacts").send({
+      name: " Mary Doe ",
+      relationship: "Mother",
+      phone: "0712 345 678",
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      student_id: 3,
+      name: "Mary Doe",
+      is_primary: true,
+    });
+    // The previous primary contact, if any, is unmarked in the same transaction
+    expect(StudentContact.update).toHaveBeenCalledWith(
+      { is_primary: false },
+      expect.objectContaining({ where: { student_id: 3, is_primary: true } })
+    );
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ entity_type: "contact", action: "create" })
+    );
+  });
+
+  it("keeps the current primary when adding another contact", async () => {
+    StudentContact.count.mockResolvedValueOnce(1);
+    const res = await request(server)
+      .post("/api/students/3/contacts")
+      .send({ name: "Tom Doe", email: "tom@example.com", can_pick_up: true });
+
+    expect(res.status).toBe(201);
+    expect(res.body.is_primary).toBe(false);
+    expect(StudentContact.update).not.toHaveBeenCalled();
+  });
+
+  it("only updates a contact of the student in the URL", async () => {
+    StudentContact.findOne.mockResolvedValueOnce(null);
+    const res = await request(server)
+      .patch("/api/students/3/contacts/8")
+      .send({ relationship: "Aunt" });
+    expect(res.status).toBe(404);
+    expect(StudentContact.findOne).toHaveBeenCalledWith({
+      where: { id: "8", student_id: 3 },
+    });
+  });
+
+  it("refuses to clear the last way to reach a contact", async () => {
+    StudentContact.findOne.mockResolvedValueOnce(
+      mockInstance({
+        id: 8,
+        student_id: 3,
+        name: "Mary Doe",
+        phone: "0712345678",
+      })
+    );
+    const res = await request(server)
+      .patch("/api/students/3/contacts/8")
+      .send({ phone: null });
+    expect(res.status).toBe(400);
+  });
+
+  it("does not let viewers change contacts", async () => {
+    const res = await request(server)
+      .delete("/api/students/3/contacts/8")
+      .set("x-test-role", "viewer");
+    expect(res.status).toBe(403);
+  });
+});
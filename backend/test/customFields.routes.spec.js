@@ -0,0 +1,103 @@
+import request from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    CustomField: {
+      findAll: vi.fn(),
+      findOne: vi.fn(),
+      findByPk: vi.fn(),
+      create: vi.fn(),
+    },
+    CustomFieldValue: {},
+    AuditLog: {
+      create: vi.fn(),
+    },
+    sequelize: {},
+  };
+});
+
+import { CustomField, AuditLog } from "../models.js";
+import customFieldRoutes from "../routes/customFields.js";
+import { buildRouteApp, mockInstance } from "./helpers.js";
+
+const server = buildRouteApp(
+  { "/api/custom-fields": customFieldRoutes },
+  "admin"
+);
+
+describe("Custom field routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("lets any staff member list the fields", async () => {
+    CustomField.findAll.mockResolvedValueOnce([{ id: 1, key: "school" }]);
+    const res = await request(server)
+      .get("/api/custom-fields")
+      .set("x-test-role", "viewer");
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ id: 1, key: "school" }]);
+  });
+
+  it("only lets admins change the fields", async () => {
+    const res = await request(server)
+      .post("/api/custom-fields")
+      .set("x-test-role", "mentor")
+      .send({ key: "school", label: "School", type: "text" });
+    expect(res.status).toBe(403);
+    expect(CustomField.create).not.toHaveBeenCalled();
+  });
+
+  it("creates a field with a unique key and audits it", async () => {
+    CustomField.findOne.mockResolvedValueOnce({ id: 1, key: "school" });
+    const taken = await request(server)
+      .post("/api/custom-fields")
+      .send({ key: "school", label: "School", type: "text" });
+    expect(taken.status).toBe(409);
+
+    CustomField.create.mockImplementationOnce(async (values) =>
+      mockInstance({ id: 2, ...values })
+    );
+    const res = await request(server)
+      .post("/api/custom-fields")
+      .send({ key: "allergies", label: "Allergies", type: "text" });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ id: 2, key: "allergies" });
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ entity_type: "custom_field", action: "create" })
+    );
+  });
+
+  it("refuses to change the type of a field", async () => {
+    const field = mockInstance({
+      id: 2,
+      key: "age",
+      label: "Age",
+      type: "number",
+    });
+    CustomField.findByPk.mockResolvedValueOnce(field);
+    const res = await request(server)
+      .patch("/api/custom-fields/2")
+      .send({ type: "text" });
+    expect(res.status).toBe(400);
+    expect(field.update).not.toHaveBeenCalled();
+  });
+
+  it("deletes a field", async () => {
+    CustomField.findByPk.mockResolvedValueOnce(null);
+    const missing = await request(server).delete("/api/custom-fields/9");
+    expect(missing.status).toBe(404);
+
+    const field = mockInstance({
+      id: 2,
+      key: "age",
+      label: "Age",
+      type: "number",
+    });
+    CustomField.findByPk.mockResolvedValueOnce(field);
+    const res = await request(server).delete("/api/custom-fields/2");
+    expect(res.status).toBe(200);
+    expect(field.destroy).toHaveBeenCalled();
+  });
+});
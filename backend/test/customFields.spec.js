@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    CustomField: {
+      findAll: vi.fn(),
+    },
+    CustomFieldValue: {},
+    sequelize: {},
+  };
+});
+
+import { CustomField } from "../models.js";
+import {
+  parseFieldDefinition,
+  toStoredValue,
+  fromStoredValue,
+  validateCustomValues,
+} from "../services/customFields.js";
+
+describe("Custom fields", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("validates new field definitions", () => {
+    expect(
+      parseFieldDefinition({
+        key: "shirt_size",
+        label: " Shirt size ",
+        type: "select",
+        options: ["S", " M ", "L"],
+        required: true,
+      })
+    ).toEqual({
+      values: {
+        key: "shirt_size",
+        label: "Shirt size",
+        type: "select",
+        options: ["S", "M", "L"],
+        required: true,
+      },
+    });
+    expect(
+      parseFieldDefinition({ key: "Shirt Size", label: "x", type: "text" })
+        .error
+    ).toMatch(/^key must start with a letter/);
+    expect(
+      parseFieldDefinition({ key: "size", label: "Size", type: "select" }).error
+    ).toBe("options must be a list of 1 to 100 non-empty values");
+    expect(
+      parseFieldDefinition({
+        key: "size",
+        label: "Size",
+        type: "select",
+        options: ["S", "S"],
+      }).error
+    ).toBe("options must not repeat");
+    expect(
+      parseFieldDefinition({
+        key: "school",
+        label: "School",
+        type: "text",
+        options: ["A"],
+      }).error
+    ).toBe("Only select fields have options");
+  });
+
+  it("does not let the key or type of an existing field change", () => {
+    const existing = { key: "school", type: "text" };
+    expect(parseFieldDefinition({ type: "number" }, existing).error).toBe(
+      "type cannot be changed"
+    );
+    expect(parseFieldDefinition({ key: "college" }, existing).error).toBe(
+      "key cannot be changed"
+    );
+    expect(
+      parseFieldDefinition({ key: "school", label: "School name" }, existing)
+    ).toEqual({ values: { label: "School name" } });
+  });
+
+  it("checks values against the field type", () => {
+    const number = { type: "number" };
+    expect(toStoredValue(number, 12.5)).toEqual({ value: "12.5" });
+    expect(toStoredValue(number, " 7 ")).toEqual({ value: "7" });
+    expect(toStoredValue(number, "seven").error).toBe("must be a number");
+
+    const date = { type: "date" };
+    expect(toStoredValue(date, "2026-02-28")).toEqual({ value: "2026-02-28" });
+    expect(toStoredValue(date, "2026-02-30").error).toBe(
+      "must be a date (YYYY-MM-DD)"
+    );
+
+    const flag = { type: "boolean" };
+    expect(toStoredValue(flag, false)).toEqual({ value: "false" });
+    expect(toStoredValue(flag, "yes").error).toBe("must be true or false");
+
+    expect(toStoredValue({ type: "text" }, "")).toEqual({ value: null });
+    expect(fromStoredValue(number, "7")).toBe(7);
+    expect(fromStoredValue(flag, "false")).toBe(false);
+  });
+
+  it("only requires every required field when asked to", async () => {
+    CustomField.findAll.mockResolvedValue([
+      { id: 1, key: "school", label: "School", type: "text", required: true },
+      { id: 2, key: "age", label: "Age", type: "number", required: false },
+    ]);
+
+    expect(
+      await validateCustomValues({ age: 9 }, { requireAll: true })
+    ).toEqual({ error: "School is required" });
+    const { values } = await validateCustomValues({ age: 9 });
+    expect(values).toEqual([
+      { field: expect.objectContaining({ key: "age" }), value: "9" },
+    ]);
+    expect(await validateCustomValues({ age: "old" })).toEqual({
+      error: "Age must be a number",
+    });
+    expect(await validateCustomValues(["school"])).toEqual({
+      error: "custom_fields must be an object",
+    });
+  });
+});
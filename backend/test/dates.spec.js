@@ -0,0 +1,18 @@
+import { describe, it, expect } from "vitest";
+import { isValidTimeZone, localDate } from "../utils/dates.js";
+
+describe("Date helpers", () => {
+  it("takes today's date in the requested timezone", () => {
+    // 23:30 UTC on 31 December is already New Year's Day in Nairobi (UTC+3)
+    const now = new Date("2026-12-31T23:30:00Z");
+    expect(localDate("UTC", now)).toEqual({ year: 2026, month: 12, day: 31 });
+    expect(localDate("Africa/Nairobi", now)).toEqual({
+      year: 2027,
+      month: 1,
+      day: 1,
+    });
+    expect(isValidTimeZone("Africa/Nairobi")).toBe(true);
+    expect(isValidTimeZone("Mars/Olympus")).toBe(false);
+    expect(isValidTimeZone("")).toBe(false);
+  });
+});
@@ -0,0 +1,167 @@
+import request from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    GoalCategory: {
+      findAll: vi.fn(),
+      findByPk: vi.fn(),
+      findOne: vi.fn(),
+      create: vi.fn(),
+    },
+    Goal: {
+      findByPk: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+    },
+    GoalMilestone: {},
+    Student: {
+      findByPk: vi.fn(),
+    },
+    PointsLog: {
+      create: vi.fn(),
+    },
+    MentorAssignment: {
+      count: vi.fn(),
+    },
+    Setting: {
+      findByPk: vi.fn(),
+    },
+    AuditLog: {
+      create: vi.fn(),
+    },
+    sequelize: {
+      literal: vi.fn(),
+    },
+  };
+});
+
+import { GoalCategory, Goal, MentorAssignment, AuditLog } from "../models.js";
+import { parseGoalFilters } from "../services/goalCategories.js";
+import goalCategoryRoutes from "../routes/goalCategories.js";
+import goalRoutes from "../routes/goals.js";
+import { buildRouteApp } from "./helpers.js";
+
+const server = buildRouteApp({
+  "/api/goal-categories": goalCategoryRoutes,
+  "/api/goals": goalRoutes,
+});
+
+const SERVICE = { id: 3, name: "Service", color: "#16a34a", icon: "pi-heart" };
+
+describe("Goal list filters", () => {
+  it("reads category and priority filters", () => {
+    expect(parseGoalFilters({}).where).toEqual({});
+    expect(
+      parseGoalFilters({ category_id: "3", priority: "high" }).where
+    ).toEqual({ category_id: 3, priority: "high" });
+    expect(parseGoalFilters({ category_id: "none" }).where).toEqual({
+      category_id: null,
+    });
+    expect(parseGoalFilters({ category_id: "abc" }).error).toMatch(
+      /category_id/
+    );
+    expect(parseGoalFilters({ priority: "urgent" }).error).toBe(
+      "Priority must be one of: low, normal, high"
+    );
+  });
+});
+
+describe("Goal category routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    GoalCategory.findOne.mockResolvedValue(null);
+  });
+
+  it("lets only admins create categories", async () => {
+    const mentor = await request(server)
+      .post("/api/goal-categories")
+      .send({ name: "Service" });
+    expect(mentor.status).toBe(403);
+
+    GoalCategory.create.mockImplementation(async (values) => ({
+      id: 3,
+      ...values,
+    }));
+    const res = await request(server)
+      .post("/api/goal-categories")
+      .set("x-test-role", "admin")
+      .send({ name: " Service ", color: "#16A34A", icon: "pi-heart" });
+    expect(res.status).toBe(201);
+    expect(GoalCategory.create).toHaveBeenCalledWith({
+      name: "Service",
+      color: "#16a34a",
+      icon: "pi-heart",
+    });
+    expect(AuditLog.create.mock.calls[0][0].entity_type).toBe("goal_category");
+  });
+
+  it("rejects bad icons and duplicate names", async () => {
+    const icon = await request(server)
+      .post("/api/goal-categories")
+      .set("x-test-role", "admin")
+      .send({ name: "Service", icon: "<svg>" });
+    expect(icon.status).toBe(400);
+    expect(icon.body.message).toMatch(/Icon/);
+
+    GoalCategory.findByPk.mockResolvedValue(SERVICE);
+    GoalCategory.findOne.mockResolvedValue({ id: 4, name: "Academic" });
+    const duplicate = await request(server)
+      .patch("/api/goal-categories/3")
+      .set("x-test-role", "admin")
+      .send({ name: "Academic" });
+    expect(duplicate.status).toBe(409);
+    expect(GoalCategory.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("Goal category and priority", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    MentorAssignment.count.mockResolvedValue(1);
+  });
+
+  it("checks the category and priority of a new goal", async () => {
+    GoalCategory.findByPk.mockResolvedValue(null);
+    const unknown = await request(server)
+      .post("/api/goals")
+      .send({ student_id: 1, title: "Serve", category_id: 99 });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toBe("Unknown category");
+
+    const priority = await request(server)
+      .post("/api/goals")
+      .send({ student_id: 1, title: "Serve", priority: "urgent" });
+    expect(priority.status).toBe(400);
+    expect(Goal.create).not.toHaveBeenCalled();
+
+    GoalCategory.findByPk.mockResolvedValue(SERVICE);
+    Goal.create.mockImplementation(async (values) => ({ id: 7, ...values }));
+    const res = await request(server).post("/api/goals").send({
+      student_id: 1,
+      title: "Serve",
+      category_id: 3,
+      priority: "high",
+    });
+    expect(res.status).toBe(201);
+    expect(Goal.create.mock.calls[0][0]).toMatchObject({
+      category_id: 3,
+      priority: "high",
+    });
+  });
+
+  it("clears a goal's category", async () => {
+    Goal.findByPk.mockResolvedValue({
+      id: 7,
+      student_id: 1,
+      category_id: 3,
+      is_completed: false,
+    });
+    const res = await request(server)
+      .patch("/api/goals/7")
+      .send({ category_id: null });
+    expect(res.status).toBe(200);
+    expect(Goal.update.mock.calls[0][0]).toMatchObject({ category_id: null });
+    expect(GoalCategory.findByPk).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,210 @@
+import request from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    GoalTemplate: {
+      findAll: vi.fn(),
+      findByPk: vi.fn(),
+      create: vi.fn(),
+    },
+    Goal: {
+      findAll: vi.fn(),
+      create: vi.fn(),
+    },
+    GoalMilestone: {
+      bulkCreate: vi.fn(),
+    },
+    Group: {
+      findByPk: vi.fn(),
+    },
+    GroupMember: {
+      findAll: vi.fn(),
+    },
+    Student: {
+      findAll: vi.fn(),
+      count: vi.fn(),
+    },
+    MentorAssignment: {
+      findAll: vi.fn(),
+    },
+    Setting: {
+      findByPk: vi.fn(),
+    },
+    AuditLog: {
+      create: vi.fn(),
+    },
+    sequelize: {
+      transaction: vi.fn(),
+      literal: vi.fn(),
+    },
+  };
+});
+
+import {
+  GoalTemplate,
+  Goal,
+  GoalMilestone,
+  Group,
+  GroupMember,
+  Student,
+  MentorAssignment,
+  Setting,
+  AuditLog,
+  sequelize,
+} from "../models.js";
+import { parseTemplate, targetDateFor } from "../services/goalTemplates.js";
+import goalTemplateRoutes from "../routes/goalTemplates.js";
+import { buildRouteApp } from "./helpers.js";
+
+const server = buildRouteApp({ "/api/goal-templates": goalTemplateRoutes });
+
+const STARTER = {
+  id: 4,
+  title: "Read the Gospel of Mark",
+  description: "One chapter a day",
+  target_offset_days: 14,
+  milestones: ["Chapters 1-8", "Chapters 9-16"],
+};
+
+describe("Goal template helpers", () => {
+  it("checks and trims template fields", () => {
+    expect(parseTemplate({ title: " " }).error).toBe("Title required");
+    expect(
+      parseTemplate({ title: "Read", target_offset_days: -1 }).error
+    ).toMatch(/target_offset_days/);
+    expect(parseTemplate({ title: "Read", milestones: ["Ok", ""] }).error).toBe(
+      "Milestone title required"
+    );
+    expect(
+      parseTemplate({ title: " Read ", description: " ", milestones: [" A "] })
+        .values
+    ).toEqual({ title: "Read", description: null, milestones: ["A"] });
+    expect(parseTemplate({ milestones: [] }, true).values).toEqual({
+      milestones: [],
+    });
+  });
+
+  it("counts the target date from today in the app timezone", () => {
+    const now = new Date("2026-10-19T23:30:00Z");
+    expect(targetDateFor(14, now, "UTC")).toBe("2026-11-02");
+    expect(targetDateFor(14, now, "Africa/Lagos")).toBe("2026-11-03");
+    expect(targetDateFor(null, now, "UTC")).toBeNull();
+  });
+});
+
+describe("Goal template routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    GoalTemplate.findByPk.mockResolvedValue(STARTER);
+    Student.count.mockImplementation(async ({ where }) => where.id.length);
+    Goal.findAll.mockResolvedValue([]);
+    sequelize.transaction.mockImplementation((work) => work({}));
+    let nextId = 100;
+    Goal.create.mockImplementation(async (values) => ({
+      id: nextId++,
+      ...values,
+    }));
+  });
+
+  it("lets editors create templates and keeps viewers out", async () => {
+    const viewer = await request(server)
+      .post("/api/goal-templates")
+      .set("x-test-role", "viewer")
+      .send({ title: "Read" });
+    expect(viewer.status).toBe(403);
+
+    GoalTemplate.create.mockImplementation(async (values) => ({
+      id: 4,
+      ...values,
+    }));
+    const res = await request(server)
+      .post("/api/goal-templates")
+      .send({ title: "Read", target_offset_days: 30 });
+    expect(res.status).toBe(201);
+    expect(GoalTemplate.create).toHaveBeenCalledWith({
+      title: "Read",
+      target_offset_days: 30,
+    });
+    expect(AuditLog.create.mock.calls[0][0].entity_type).toBe("goal_template");
+  });
+
+  it("needs either students or a group to assign to", async () => {
+    const neither = await request(server)
+      .post("/api/goal-templates/4/assign")
+      .send({});
+    expect(neither.status).toBe(400);
+    expect(neither.body.message).toBe("Send either student_ids or group_id");
+
+    const unknown = await request(server)
+      .post("/api/goal-templates/4/assign")
+      .send({ group_id: 9 });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.message).toBe("Group not found");
+    expect(Goal.create).not.toHaveBeenCalled();
+  });
+
+  it("creates goals with milestones and reports every student", async () => {
+    Group.findByPk.mockResolvedValue({ id: 2 });
+    GroupMember.findAll.mockResolvedValue([
+      { student_id: 1 },
+      { student_id: 2 },
+      { student_id: 3 },
+      { student_id: 4 },
+    ]);
+    Student.findAll.mockResolvedValue([
+      { id: 1, name: "Ann", status: "active" },
+      { id: 2, name: "Ben", status: "archived" },
+      { id: 3, name: "Cat", status: "active" },
+      { id: 4, name: "Dan", status: "active" },
+    ]);
+    // Restricted mentor assigned to everyone but Dan, and Cat already has the goal
+    Setting.findByPk.mockResolvedValue(null);
+    MentorAssignment.findAll.mockResolvedValue([
+      { student_id: 1 },
+      { student_id: 2 },
+      { student_id: 3 },
+    ]);
+    Goal.findAll.mockResolvedValue([{ student_id: 3 }]);
+
+    const res = await request(server)
+      .post("/api/goal-templates/4/assign")
+      .send({ group_id: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ created: 1, skipped: 3 });
+    expect(res.body.results).toEqual([
+      { student_id: 1, name: "Ann", status: "created", goal_id: 100 },
+      {
+        student_id: 2,
+        name: "Ben",
+        status: "skipped",
+        reason: "Student is archived",
+      },
+      {
+        student_id: 3,
+        name: "Cat",
+        status: "skipped",
+        reason: "Already has an open goal with this title",
+      },
+      {
+        student_id: 4,
+        name: "Dan",
+        status: "skipped",
+        reason: "You are not assigned to this student",
+      },
+    ]);
+    expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+    expect(Goal.create.mock.calls[0][0]).toMatchObject({
+      student_id: 1,
+      title: "Read the Gospel of Mark",
+      description: "One chapter a day",
+      target_date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+    });
+    expect(GoalMilestone.bulkCreate.mock.calls[0][0]).toEqual([
+      { goal_id: 100, title: "Chapters 1-8", position: 0 },
+      { goal_id: 100, title: "Chapters 9-16", position: 1 },
+    ]);
+    expect(AuditLog.create).toHaveBeenCalledTimes(1);
+  });
+});
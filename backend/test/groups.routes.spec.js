@@ -0,0 +1,204 @@
+import request from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { Op } from "sequelize";
+
+vi.mock("../models.js", () => {
+  return {
+    Group: {
+      findAll: vi.fn(),
+      findOne: vi.fn(),
+      findByPk: vi.fn(),
+      create: vi.fn(),
+      count: vi.fn(),
+    },
+    GroupMember: {
+      findAll: vi.fn(),
+      destroy: vi.fn(),
+      bulkCreate: vi.fn(),
+    },
+    Student: {
+      count: vi.fn(),
+    },
+    MentorAssignment: {
+      findAll: vi.fn(),
+    },
+    Setting: {
+      findByPk: vi.fn(),
+    },
+    AuditLog: {
+      create: vi.fn(),
+    },
+    sequelize: {
+      transaction: vi.fn(),
+      literal: vi.fn(),
+      escape: vi.fn(),
+    },
+  };
+});
+
+import {
+  Group,
+  GroupMember,
+  Student,
+  MentorAssignment,
+  Setting,
+  AuditLog,
+  sequelize,
+} from "../models.js";
+import groupRoutes from "../routes/groups.js";
+import { buildRouteApp, mockInstance } from "./helpers.js";
+
+const server = buildRouteApp({ "/api/groups": groupRoutes });
+
+describe("Group routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    sequelize.transaction.mockImplementation((work) => work({}));
+    GroupMember.findAll.mockResolvedValue([]);
+    // Mentors see everyone unless a test restricts them
+    Setting.findByPk.mockResolvedValue({
+      key: "restrict_mentors",
+      value: "false",
+    });
+  });
+
+  it("requires a name", async () => {
+    const res = await request(server).post("/api/groups").send({ name: " " });
+    expect(res.status).toBe(400);
+    expect(Group.create).not.toHaveBeenCalled();
+  });
+
+  it("refuses a duplicate name", async () => {
+    Group.findOne.mockResolvedValueOnce(
+      mockInstance({ id: 2, name: "Seniors" })
+    );
+    const res = await request(server)
+      .post("/api/groups")
+      .send({ name: "Seniors" });
+    expect(res.status).toBe(409);
+  });
+
+  it("creates a group with its first members and audits it", async () => {
+    Student.count.mockResolvedValueOnce(2);
+    Group.create.mockResolvedValueOnce(
+      mockInstance({ id: 7, name: "Juniors" })
+    );
+
+    const res = await request(server)
+      .post("/api/groups")
+      .send({ name: " Juniors ", student_ids: [3, 4, 3] });
+
+    expect(res.status).toBe(201);
+    expect(Group.create).toHaveBeenCalledWith({
+      name: "Juniors",
+      description: null,
+    });
+    expect(GroupMember.bulkCreate).toHaveBeenCalledWith(
+      [
+        { group_id: 7, student_id: 3 },
+        { group_id: 7, student_id: 4 },
+      ],
+      expect.any(Object)
+    );
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ entity_type: "group", action: "create" })
+    );
+  });
+
+  it("rejects members that are not existing students", async () => {
+    Group.findByPk.mockResolvedValueOnce(
+      mockInstance({ id: 7, name: "Juniors" })
+    );
+    Student.count.mockResolvedValueOnce(1);
+
+    const res = await request(server)
+      .put("/api/groups/7/members")
+      .send({ student_ids: [3, 99] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("student_ids contains unknown IDs");
+    expect(GroupMember.destroy).not.toHaveBeenCalled();
+  });
+
+  it("replaces the member list", async () => {
+    Group.findByPk.mockResolvedValueOnce(
+      mockInstance({ id: 7, name: "Juniors" })
+    );
+
+    const res = await request(server)
+      .put("/api/groups/7/members")
+      .send({ student_ids: [] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.member_count).toBe(0);
+    expect(GroupMember.destroy).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { group_id: 7 } })
+    );
+  });
+
+  it("limits restricted mentors to their assigned members", async () => {
+    Setting.findByPk.mockResolvedValue(null);
+    sequelize.literal.mockImplementation((sql) => ({ sql }));
+    sequelize.escape.mockImplementation((value) => String(value));
+    // The mentor is assigned to students 3 and 4 only
+    MentorAssignment.findAll.mockImplementation(async ({ where }) =>
+      where.student_id
+        .filter((id) => [3, 4].includes(id))
+        .map((id) => ({ student_id: id }))
+    );
+
+    Group.findByPk.mockResolvedValueOnce(
+      mockInstance({ id: 7, name: "Juniors" })
+    );
+    await request(server).get("/api/groups/7");
+    const [include] = Group.findByPk.mock.calls[0][1].include;
+    expect(include.required).toBe(false);
+    expect(include.where.id[Op.in].sql).toBe(
+      "(SELECT student_id FROM mentor_assignments WHERE user_id = 1)"
+    );
+
+    // Every listed student exists
+    Student.count.mockImplementation(async ({ where }) => where.id.length);
+    const create = await request(server)
+      .post("/api/groups")
+      .send({ name: "Juniors", student_ids: [3, 5] });
+    expect(create.status).toBe(403);
+    expect(Group.create).not.toHaveBeenCalled();
+
+    // Student 5 is in the group but not assigned to the mentor
+    Group.findByPk.mockResolvedValue(mockInstance({ id: 7, name: "Juniors" }));
+    GroupMember.findAll.mockResolvedValue([
+      { student_id: 3 },
+      { student_id: 5 },
+    ]);
+    const add = await request(server)
+      .put("/api/groups/7/members")
+      .send({ student_ids: [3, 6] });
+    expect(add.status).toBe(403);
+    expect(add.body.message).toBe("You are not assigned to this student");
+    expect(GroupMember.destroy).not.toHaveBeenCalled();
+
+    const res = await request(server)
+      .put("/api/groups/7/members")
+      .send({ student_ids: [4] });
+    expect(res.status).toBe(200);
+    expect(res.body.member_count).toBe(2);
+    expect(GroupMember.bulkCreate.mock.calls[0][0]).toEqual([
+      { group_id: 7, student_id: 4 },
+      { group_id: 7, student_id: 5 },
+    ]);
+  });
+
+  it("only lets admins delete a group", async () => {
+    const res = await request(server).delete("/api/groups/7");
+    expect(res.status).toBe(403);
+
+    const group = mockInstance({ id: 7, name: "Juniors" });
+    Group.findByPk.mockResolvedValueOnce(group);
+    const adminRes = await request(server)
+      .delete("/api/groups/7")
+      .set("x-test-role", "admin");
+    expect(adminRes.status).toBe(200);
+    expect(group.destroy).toHaveBeenCalled();
+  });
+});
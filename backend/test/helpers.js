@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Shared route test helpers
+ * @description App builder and model fixtures for route specs that mock ../models.js
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+import express from "express";
+import { vi } from "vitest";
+
+/**
+ * Build an app serving routers behind a stand-in for authenticateJWT
+ * @function buildRouteApp
+ * @description The signed-in user has id 1; their role comes from the x-test-role header.
+ * @param {Object<string, Function>} mounts - Routers keyed by mount path
+ * @param {string} [defaultRole="mentor"] - Role when the test sends no x-test-role header
+ * @returns {Function} Express app for supertest
+ */
+export function buildRouteApp(mounts, defaultRole = "mentor") {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 1, role: req.headers["x-test-role"] || defaultRole };
+    next();
+  });
+  for (const [path, router] of Object.entries(mounts)) app.use(path, router);
+  return app;
+}
+
+/**
+ * Build a stand-in for a Sequelize model instance
+ * @function mockInstance
+ * @description get() and toJSON() return the current attribute values, so changes made
+ * through set(), update() and setDataValue() show up in responses. update(), save() and
+ * destroy() are mocks for assertions.
+ * @param {Object} values - Attribute values
+ * @returns {Object} Model instance fixture
+ */
+export function mockInstance(values) {
+  return {
+    ...values,
+    get() {
+      return Object.fromEntries(
+        Object.entries(this).filter(([, value]) => typeof value !== "function")
+      );
+    },
+    toJSON() {
+      return this.get();
+    },
+    set(changes) {
+      Object.assign(this, changes);
+    },
+    setDataValue(key, value) {
+      this[key] = value;
+    },
+    update: vi.fn(async function (changes) {
+      Object.assign(this, changes);
+      return this;
+    }),
+    save: vi.fn(),
+    destroy: vi.fn(),
+  };
+}
@@ -0,0 +1,161 @@
+import express from "express";
+import request from "supertest";
+import bcrypt from "bcrypt";
+import { Op } from "sequelize";
+import { describe, it, expect, beforeAll, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    User: {
+      findOne: vi.fn(),
+      update: vi.fn(),
+    },
+    LoginAttempt: {
+      create: vi.fn(),
+    },
+    Invite: {},
+    PasswordReset: {},
+    sequelize: {},
+  };
+});
+
+vi.mock("../services/sessions.js", () => {
+  return {
+    createSession: vi.fn(),
+    rotateSession: vi.fn(),
+    revokeSessionByToken: vi.fn(),
+    revokeAllSessions: vi.fn(),
+    sessionMetaFromRequest: vi.fn(() => ({
+      ip_address: "10.0.0.1",
+      user_agent: "vitest",
+    })),
+  };
+});
+
+vi.mock("../services/settings.js", () => {
+  return { getSetting: vi.fn() };
+});
+
+import { User, LoginAttempt } from "../models.js";
+import { createSession, sessionMetaFromRequest } from "../services/sessions.js";
+import {
+  LOCKOUT_THRESHOLD,
+  registerFailedLogin,
+} from "../services/loginSecurity.js";
+import authRoutes from "../routes/auth.js";
+
+let server;
+let passwordHash;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/auth", authRoutes);
+  server = app;
+  passwordHash = await bcrypt.hash("password123", 4);
+});
+
+const makeUser = (overrides = {}) => ({
+  id: 8,
+  user_name: "leader",
+  is_active: true,
+  password_hash: passwordHash,
+  totp_enabled: false,
+  failed_login_count: 0,
+  locked_until: null,
+  ...overrides,
+});
+
+describe("Account lockout and login auditing", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    sessionMetaFromRequest.mockReturnValue({
+      ip_address: "10.0.0.1",
+      user_agent: "vitest",
+    });
+    User.update.mockResolvedValue([0]);
+  });
+
+  it("records a successful login and clears the failure count", async () => {
+    User.findOne.mockResolvedValueOnce(makeUser({ failed_login_count: 2 }));
+    createSession.mockResolvedValueOnce({ token: "t", refreshToken: "r" });
+
+    const res = await request(server)
+      .post("/api/auth/login")
+      .send({ userName: "leader", password: "password123" });
+
+    expect(res.status).toBe(200);
+    expect(User.update).toHaveBeenCalledWith(
+      { failed_login_count: 0, locked_until: null },
+      { where: { id: 8 } }
+    );
+    expect(LoginAttempt.create).toHaveBeenCalledWith({
+      user_id: 8,
+      user_name: "leader",
+      success: true,
+      reason: "success",
+      ip_address: "10.0.0.1",
+      user_agent: "vitest",
+    });
+  });
+
+  it("counts a wrong password against the account", async () => {
+    User.findOne.mockResolvedValueOnce(makeUser());
+
+    const res = await request(server)
+      .post("/api/auth/login")
+      .send({ userName: "leader", password: "wrong" });
+
+    expect(res.status).toBe(401);
+    expect(User.update.mock.calls[0][0].failed_login_count.val).toBe(
+      "failed_login_count + 1"
+    );
+    expect(LoginAttempt.create.mock.calls[0][0]).toMatchObject({
+      success: false,
+      reason: "invalid_password",
+    });
+  });
+
+  it("refuses locked accounts even with the right password", async () => {
+    User.findOne.mockResolvedValueOnce(
+      makeUser({ locked_until: new Date(Date.now() + 60 * 1000) })
+    );
+
+    const res = await request(server)
+      .post("/api/auth/login")
+      .send({ userName: "leader", password: "password123" });
+
+    expect(res.status).toBe(423);
+    expect(createSession).not.toHaveBeenCalled();
+    expect(LoginAttempt.create.mock.calls[0][0].reason).toBe("locked");
+  });
+
+  it("audits unknown usernames without a user id", async () => {
+    User.findOne.mockResolvedValueOnce(null);
+
+    const res = await request(server)
+      .post("/api/auth/login")
+      .send({ userName: "ghost", password: "password123" });
+
+    expect(res.status).toBe(401);
+    expect(LoginAttempt.create.mock.calls[0][0]).toMatchObject({
+      user_id: null,
+      user_name: "ghost",
+      reason: "unknown_user",
+    });
+  });
+
+  it("locks the account once the threshold is reached", async () => {
+    User.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([1]);
+
+    const locked = await registerFailedLogin({ id: 8 });
+
+    expect(locked).toBe(true);
+    const [changes, options] = User.update.mock.calls[1];
+    expect(changes.failed_login_count).toBe(0);
+    expect(new Date(changes.locked_until).getTime()).toBeGreaterThan(
+      Date.now()
+    );
+    expect(options.where.failed_login_count[Op.gte]).toBe(LOCKOUT_THRESHOLD);
+  });
+});
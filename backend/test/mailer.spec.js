@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+const smtpSend = vi.fn();
+
+vi.mock("nodemailer", () => {
+  return {
+    default: { createTransport: vi.fn(() => ({ sendMail: smtpSend })) },
+  };
+});
+
+import nodemailer from "nodemailer";
+import { checkMailConfig, sendMail } from "../services/mailer.js";
+
+const MAIL_ENV = [
+  "NODE_ENV",
+  "MAIL_TRANSPORT",
+  "SMTP_HOST",
+  "SMTP_PORT",
+  "SMTP_USER",
+  "SMTP_PASSWORD",
+];
+const message = { to: "ana@example.com", subject: "Reset", text: "token-123" };
+
+describe("mailer", () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(MAIL_ENV.map((key) => [key, process.env[key]]));
+    for (const key of MAIL_ENV) delete process.env[key];
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    vi.restoreAllMocks();
+  });
+
+  it("logs to the console by default outside production", async () => {
+    expect(checkMailConfig()).toBeNull();
+    await sendMail(message);
+    expect(console.log.mock.calls[0][0]).toContain("token-123");
+  });
+
+  it("refuses to send in production without a real transport", async () => {
+    process.env.NODE_ENV = "production";
+    expect(checkMailConfig()).toBe("MAIL_TRANSPORT must be set in production");
+    await expect(sendMail(message)).rejects.toThrow("MAIL_TRANSPORT");
+
+    process.env.MAIL_TRANSPORT = "console";
+    expect(checkMailConfig()).toBe(
+      "The console mail transport cannot be used in production"
+    );
+    await expect(sendMail(message)).rejects.toThrow();
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  it("delivers through the SMTP server from the environment", async () => {
+    process.env.NODE_ENV = "production";
+    process.env.MAIL_TRANSPORT = "smtp";
+    expect(checkMailConfig()).toBe(
+      "SMTP_HOST is required for the smtp mail transport"
+    );
+
+    Object.assign(process.env, {
+      SMTP_HOST: "smtp.example.com",
+      SMTP_USER: "roadmap",
+      SMTP_PASSWORD: "secret",
+    });
+    expect(checkMailConfig()).toBeNull();
+    await sendMail(message);
+
+    expect(nodemailer.createTransport).toHaveBeenCalledWith({
+      host: "smtp.example.com",
+      port: 587,
+      secure: false,
+      auth: { user: "roadmap", pass: "secret" },
+    });
+    expect(smtpSend).toHaveBeenCalledWith(
+      expect.objectContaining({ to: "ana@example.com", text: "token-123" })
+    );
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  it("reports unknown transports", () => {
+    process.env.MAIL_TRANSPORT = "pigeon";
+    expect(checkMailConfig()).toBe("Unknown mail transport: pigeon");
+  });
+});
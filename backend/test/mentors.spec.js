@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    MentorAssignment: {
+      count: vi.fn(),
+      findAll: vi.fn(),
+    },
+    User: {
+      count: vi.fn(),
+    },
+    Setting: {
+      findByPk: vi.fn(),
+    },
+    sequelize: {
+      transaction: vi.fn(),
+    },
+  };
+});
+
+import { MentorAssignment, User, Setting } from "../models.js";
+import {
+  isRestrictedMentor,
+  canAccessStudent,
+  validateMentorIds,
+  inaccessibleStudentIds,
+} from "../services/mentors.js";
+
+const MENTOR = { id: 4, role: "mentor" };
+
+describe("Mentor assignments", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("restricts mentors by default and can be turned off", async () => {
+    Setting.findByPk.mockResolvedValueOnce(null);
+    expect(await isRestrictedMentor(MENTOR)).toBe(true);
+
+    Setting.findByPk.mockResolvedValueOnce({ value: "false" });
+    expect(await isRestrictedMentor(MENTOR)).toBe(false);
+
+    expect(await isRestrictedMentor({ id: 1, role: "admin" })).toBe(false);
+    expect(await isRestrictedMentor({ id: 2, role: "viewer" })).toBe(false);
+    expect(Setting.findByPk).toHaveBeenCalledTimes(2);
+  });
+
+  it("only lets restricted mentors reach their assigned students", async () => {
+    Setting.findByPk.mockResolvedValue(null);
+    MentorAssignment.count.mockResolvedValueOnce(1);
+    expect(await canAccessStudent(MENTOR, 7)).toBe(true);
+    MentorAssignment.count.mockResolvedValueOnce(0);
+    expect(await canAccessStudent(MENTOR, 8)).toBe(false);
+
+    MentorAssignment.findAll.mockResolvedValueOnce([{ student_id: 7 }]);
+    expect(await inaccessibleStudentIds(MENTOR, ["7", 8, 8, 9])).toEqual([
+      8, 9,
+    ]);
+    expect(MentorAssignment.findAll.mock.calls[0][0].where).toEqual({
+      user_id: 4,
+      student_id: [7, 8, 9],
+    });
+  });
+
+  it("only accepts admins and mentors as mentors", async () => {
+    expect(await validateMentorIds("2")).toBe("mentor_ids must be an array");
+    expect(await validateMentorIds([2, "x"])).toBe(
+      "mentor_ids must contain positive integer IDs"
+    );
+    expect(await validateMentorIds([])).toBeNull();
+    expect(User.count).not.toHaveBeenCalled();
+
+    User.count.mockResolvedValueOnce(1);
+    expect(await validateMentorIds([2, 3, 3])).toBe(
+      "mentor_ids must contain admin or mentor user IDs"
+    );
+    expect(User.count).toHaveBeenCalledWith({
+      where: { id: [2, 3], role: ["admin", "mentor"] },
+    });
+  });
+});
@@ -0,0 +1,306 @@
+import request from "supertest";
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    Goal: {
+      findByPk: vi.fn(),
+    },
+    GoalMilestone: {
+      findAll: vi.fn(),
+      findOne: vi.fn(),
+      max: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+    },
+    GoalCategory: {},
+    Student: {
+      findByPk: vi.fn(),
+    },
+    PointsLog: {
+      create: vi.fn(),
+    },
+    MentorAssignment: {
+      count: vi.fn(),
+    },
+    Setting: {
+      findByPk: vi.fn(),
+    },
+    AuditLog: {
+      create: vi.fn(),
+    },
+    sequelize: {
+      transaction: vi.fn(),
+    },
+  };
+});
+
+import {
+  Goal,
+  GoalMilestone,
+  Student,
+  PointsLog,
+  MentorAssignment,
+  AuditLog,
+  sequelize,
+} from "../models.js";
+import { POINTS } from "../config/pointsConfig.js";
+import { goalProgress } from "../services/goalMilestones.js";
+import goalRoutes from "../routes/goals.js";
+import { buildRouteApp, mockInstance } from "./helpers.js";
+
+const server = buildRouteApp({ "/api/goals": goalRoutes });
+
+const mockGoal = (values) =>
+  mockInstance({
+    id: 5,
+    student_id: 3,
+    is_completed: false,
+    milestones: [],
+    ...values,
+  });
+
+describe("goalProgress", () => {
+  it("derives the percentage from completed milestones", () => {
+    const done = { completed_at: new Date() };
+    const open = { completed_at: null };
+    expect(goalProgress({ is_completed: false, milestones: [] })).toBe(0);
+    expect(
+      goalProgress({ is_completed: false, milestones: [done, open, open] })
+    ).toBe(33);
+    expect(goalProgress({ is_completed: true, milestones: [open] })).toBe(100);
+  });
+});
+
+describe("Goal milestone routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    Goal.findByPk.mockResolvedValue(mockGoal());
+    // The mentor is assigned to the goal's student
+    MentorAssignment.count.mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    POINTS.COMPLETE_MILESTONE = 0;
+  });
+
+  it("returns a goal with its milestones and progress", async () => {
+    Goal.findByPk.mockResolvedValueOnce(
+      mockGoal({
+        milestones: [
+          { id: 1, completed_at: "2026-10-01T00:00:00.000Z" },
+          { id: 2, completed_at: null },
+        ],
+      })
+    );
+    const res = await request(server).get("/api/goals/5");
+    expect(res.status).toBe(200);
+    expect(res.body.progress).toBe(50);
+    expect(Goal.findByPk.mock.calls[0][1].include[0].as).toBe("milestones");
+  });
+
+  it("adds milestones after the existing ones", async () => {
+    const viewer = await request(server)
+      .post("/api/goals/5/milestones")
+      .set("x-test-role", "viewer")
+      .send({ title: "Gospels" });
+    expect(viewer.status).toBe(403);
+
+    const empty = await request(server)
+      .post("/api/goals/5/milestones")
+      .send({ title: "  " });
+    expect(empty.status).toBe(400);
+    expect(empty.body.message).toBe("Milestone title required");
+
+    GoalMilestone.max.mockResolvedValueOnce(2);
+    GoalMilestone.create.mockImplementation(async (values) => values);
+    const res = await request(server)
+      .post("/api/goals/5/milestones")
+      .send({ title: " Acts " });
+    expect(res.status).toBe(201);
+    expect(GoalMilestone.create).toHaveBeenCalledWith({
+      goal_id: 5,
+      title: "Acts",
+      position: 3,
+    });
+    expect(AuditLog.create.mock.calls[0][0]).toMatchObject({
+      entity_type: "goal_milestone",
+      action: "create",
+    });
+
+    Goal.findByPk.mockResolvedValueOnce(null);
+    const missing = await request(server)
+      .post("/api/goals/99/milestones")
+      .send({ title: "Acts" });
+    expect(missing.status).toBe(404);
+  });
+
+  it("ticks a milestone off once, awarding the configured points", async () => {
+    POINTS.COMPLETE_MILESTONE = 1;
+    const milestone = mockInstance({ id: 7, completed_at: null });
+    GoalMilestone.findOne.mockResolvedValue(milestone);
+    const student = { id: 3, points: 4, save: vi.fn() };
+    Student.findByPk.mockResolvedValue(student);
+
+    const bad = await request(server)
+      .patch("/api/goals/5/milestones/7")
+      .send({ completed: "yes" });
+    expect(bad.status).toBe(400);
+
+    const res = await request(server)
+      .patch("/api/goals/5/milestones/7")
+      .send({ completed: true });
+    expect(res.status).toBe(200);
+    expect(res.body.completed_at).toEqual(expect.any(String));
+    expect(GoalMilestone.findOne.mock.calls[0][0].where).toEqual({
+      id: "7",
+      goal_id: 5,
+    });
+    expect(student.points).toBe(5);
+    expect(PointsLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        student_id: 3,
+        points: 1,
+        reason: "Completed goal milestone",
+        related_goal_id: 5,
+      })
+    );
+
+    expect(AuditLog.create.mock.calls[0][0]).toMatchObject({
+      entity_type: "goal_milestone",
+      entity_id: 7,
+      action: "update",
+      before: { completed_at: null },
+    });
+
+    await request(server)
+      .patch("/api/goals/5/milestones/7")
+      .send({ completed: true });
+    expect(PointsLog.create).toHaveBeenCalledTimes(1);
+    // Nothing changed, so nothing more is audited
+    expect(AuditLog.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("takes back the points of a deleted completed milestone", async () => {
+    POINTS.COMPLETE_MILESTONE = 1;
+    const student = { id: 3, points: 5, save: vi.fn() };
+    Student.findByPk.mockResolvedValue(student);
+
+    const open = mockInstance({ id: 6, completed_at: null });
+    GoalMilestone.findOne.mockResolvedValueOnce(open);
+    await request(server).delete("/api/goals/5/milestones/6");
+    expect(open.destroy).toHaveBeenCalled();
+    expect(PointsLog.create).not.toHaveBeenCalled();
+
+    const done = mockInstance({ id: 7, completed_at: new Date() });
+    GoalMilestone.findOne.mockResolvedValueOnce(done);
+    const res = await request(server).delete("/api/goals/5/milestones/7");
+    expect(res.status).toBe(200);
+    expect(done.destroy).toHaveBeenCalled();
+    expect(student.points).toBe(4);
+    expect(PointsLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        student_id: 3,
+        points: -1,
+        reason: "Completed goal milestone deleted",
+        related_goal_id: 5,
+      })
+    );
+    expect(AuditLog.create.mock.calls[1][0]).toMatchObject({
+      entity_type: "goal_milestone",
+      action: "delete",
+    });
+  });
+
+  it("does not let an untick followed by a delete keep milestone points", async () => {
+    POINTS.COMPLETE_MILESTONE = 1;
+    const milestone = mockInstance({ id: 7, completed_at: null });
+    GoalMilestone.findOne.mockResolvedValue(milestone);
+    const student = { id: 3, points: 4, save: vi.fn() };
+    Student.findByPk.mockResolvedValue(student);
+
+    await request(server)
+      .patch("/api/goals/5/milestones/7")
+      .send({ completed: true });
+    expect(student.points).toBe(5);
+
+    await request(server)
+      .patch("/api/goals/5/milestones/7")
+      .send({ completed: false });
+    expect(student.points).toBe(4);
+    expect(PointsLog.create).toHaveBeenLastCalledWith(
+      expect.objectContaining({ points: -1, reason: "Goal milestone reopened" })
+    );
+
+    const res = await request(server).delete("/api/goals/5/milestones/7");
+    expect(res.status).toBe(200);
+    expect(milestone.destroy).toHaveBeenCalled();
+    expect(student.points).toBe(4);
+    expect(PointsLog.create).toHaveBeenCalledTimes(2);
+  });
+
+  it("only reorders when every milestone is listed once", async () => {
+    GoalMilestone.findAll.mockResolvedValue([
+      { id: 1, position: 0 },
+      { id: 2, position: 1 },
+      { id: 3, position: 2 },
+    ]);
+    sequelize.transaction.mockImplementation((work) => work({}));
+
+    const partial = await request(server)
+      .put("/api/goals/5/milestones/order")
+      .send({ milestone_ids: [3, 1, 1] });
+    expect(partial.status).toBe(400);
+    expect(GoalMilestone.update).not.toHaveBeenCalled();
+
+    const res = await request(server)
+      .put("/api/goals/5/milestones/order")
+      .send({ milestone_ids: [3, 1, 2] });
+    expect(res.status).toBe(200);
+    expect(GoalMilestone.update.mock.calls.map((call) => call[0])).toEqual([
+      { position: 0 },
+      { position: 1 },
+      { position: 2 },
+    ]);
+    expect(GoalMilestone.update.mock.calls[0][1].where).toEqual({
+      id: 3,
+      goal_id: 5,
+    });
+
+    // Each moved milestone is audited with its new position (the order is loaded
+    // before, while checking and after the change)
+    const oldOrder = [
+      { id: 1, position: 0 },
+      { id: 2, position: 1 },
+      { id: 3, position: 2 },
+    ];
+    GoalMilestone.findAll.mockResolvedValueOnce(oldOrder);
+    GoalMilestone.findAll.mockResolvedValueOnce(oldOrder);
+    GoalMilestone.findAll.mockResolvedValueOnce([
+      { id: 3, position: 0 },
+      { id: 1, position: 1 },
+      { id: 2, position: 2 },
+    ]);
+    AuditLog.create.mockClear();
+    await request(server)
+      .put("/api/goals/5/milestones/order")
+      .send({ milestone_ids: [3, 1, 2] });
+    expect(AuditLog.create.mock.calls.map((call) => call[0])).toEqual([
+      expect.objectContaining({
+        entity_id: 3,
+        before: { position: 2 },
+        after: { position: 0 },
+      }),
+      expect.objectContaining({ entity_id: 1, after: { position: 1 } }),
+      expect.objectContaining({ entity_id: 2, after: { position: 2 } }),
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+import request from "supertest";
+import { Op } from "sequelize";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    Student: {
+      findByPk: vi.fn(),
+    },
+    StudentNote: {
+      findAll: vi.fn(),
+      findOne: vi.fn(),
+      create: vi.fn(),
+    },
+    User: {},
+  };
+});
+
+import { Student, StudentNote } from "../models.js";
+import noteRoutes from "../routes/notes.js";
+import { buildRouteApp, mockInstance } from "./helpers.js";
+
+const server = buildRouteApp({ "/api/students/:id/notes": noteRoutes });
+
+// Notes the current user (id 1) may read: shared notes and their own
+const VISIBLE_TO_USER = {
+  [Op.or]: [{ visibility: "leaders" }, { author_id: 1 }],
+};
+
+describe("Student note routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    Student.findByPk.mockResolvedValue({ id: 3, name: "Ann" });
+  });
+
+  it("is only open to admins and mentors", async () => {
+    const viewer = await request(server)
+      .get("/api/students/3/notes")
+      .set("x-test-role", "viewer");
+    expect(viewer.status).toBe(403);
+
+    Student.findByPk.mockResolvedValueOnce(null);
+    const missing = await request(server).get("/api/students/99/notes");
+    expect(missing.status).toBe(404);
+  });
+
+  it("lists the notes the user may read, optionally searched", async () => {
+    StudentNote.findAll.mockResolvedValue([]);
+    const res = await request(server).get(
+      "/api/students/3/notes?search=100%25"
+    );
+    expect(res.status).toBe(200);
+    const query = StudentNote.findAll.mock.calls[0][0];
+    expect(query.where[Op.and]).toEqual([
+      VISIBLE_TO_USER,
+      { student_id: 3 },
+      { body: { [Op.like]: "%100\\%%" } },
+    ]);
+    expect(query.order[0]).toEqual(["pinned", "DESC"]);
+  });
+
+  it("checks the note before adding it", async () => {
+    const empty = await request(server)
+      .post("/api/students/3/notes")
+      .send({ body: "   " });
+    expect(empty.status).toBe(400);
+    expect(empty.body.message).toBe("Note body required");
+
+    const hidden = await request(server)
+      .post("/api/students/3/notes")
+      .send({ body: "Hi", visibility: "students" });
+    expect(hidden.status).toBe(400);
+    expect(hidden.body.message).toBe("Invalid visibility");
+    expect(StudentNote.create).not.toHaveBeenCalled();
+
+    StudentNote.create.mockResolvedValueOnce({ id: 5 });
+    StudentNote.findOne.mockResolvedValueOnce(mockInstance({ id: 5 }));
+    const res = await request(server)
+      .post("/api/students/3/notes")
+      .send({ body: " **Moved house** ", visibility: "private" });
+    expect(res.status).toBe(201);
+    expect(StudentNote.create).toHaveBeenCalledWith({
+      body: "**Moved house**",
+      visibility: "private",
+      student_id: 3,
+      author_id: 1,
+    });
+  });
+
+  it("only lets the author edit a note, but anyone can pin it", async () => {
+    const note = mockInstance({ id: 5, author_id: 2, body: "Old" });
+    StudentNote.findOne.mockResolvedValue(note);
+
+    const edit = await request(server)
+      .patch("/api/students/3/notes/5")
+      .send({ body: "New" });
+    expect(edit.status).toBe(403);
+    expect(note.update).not.toHaveBeenCalled();
+
+    const pin = await request(server)
+      .patch("/api/students/3/notes/5")
+      .send({ pinned: true });
+    expect(pin.status).toBe(200);
+    expect(note.update).toHaveBeenCalledWith({ pinned: true });
+    expect(StudentNote.findOne.mock.calls[0][0].where[Op.and]).toEqual([
+      { id: "5", student_id: 3 },
+      VISIBLE_TO_USER,
+    ]);
+
+    note.author_id = 1;
+    const own = await request(server)
+      .patch("/api/students/3/notes/5")
+      .send({ body: "New" });
+    expect(own.status).toBe(200);
+    expect(note.update).toHaveBeenLastCalledWith({
+      body: "New",
+      updated_at: expect.any(Date),
+    });
+  });
+
+  it("lets authors and admins delete notes", async () => {
+    const note = mockInstance({ id: 5, author_id: 2 });
+    StudentNote.findOne.mockResolvedValue(note);
+
+    const mentor = await request(server).delete("/api/students/3/notes/5");
+    expect(mentor.status).toBe(403);
+    expect(note.destroy).not.toHaveBeenCalled();
+
+    const admin = await request(server)
+      .delete("/api/students/3/notes/5")
+      .set("x-test-role", "admin");
+    expect(admin.status).toBe(200);
+    expect(note.destroy).toHaveBeenCalled();
+
+    StudentNote.findOne.mockResolvedValueOnce(null);
+    const missing = await request(server)
+      .delete("/api/students/3/notes/6")
+      .set("x-test-role", "admin");
+    expect(missing.status).toBe(404);
+  });
+});
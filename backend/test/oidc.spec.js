@@ -0,0 +1,290 @@
+import http from "http";
+import express from "express";
+import request from "supertest";
+import {
+  describe,
+  it,
+  expect,
+  vi,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    User: {
+      findByPk: vi.fn(),
+      findOne: vi.fn(),
+      count: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+    },
+    UserIdentity: { findOne: vi.fn(), create: vi.fn() },
+    OidcLoginRequest: { create: vi.fn(), findOne: vi.fn(), update: vi.fn() },
+    Session: { create: vi.fn() },
+    LoginAttempt: { create: vi.fn() },
+    AuditLog: { create: vi.fn() },
+    Setting: { findByPk: vi.fn() },
+  };
+});
+
+import {
+  User,
+  UserIdentity,
+  OidcLoginRequest,
+  Session,
+  LoginAttempt,
+  Setting,
+} from "../models.js";
+import { hashToken } from "../services/tokens.js";
+import { roleFromClaims } from "../services/oidc.js";
+import { getOidcConfig } from "../config/oidc.js";
+import { createMockOidcProvider } from "../scripts/mock-oidc-provider.js";
+import oidcRoutes from "../routes/oidc.js";
+
+const REDIRECT_URI = "http://app.test/auth/oidc/callback";
+
+let provider;
+let issuer;
+let app;
+
+beforeAll(async () => {
+  provider = http.createServer();
+  await new Promise((resolve) => provider.listen(0, "127.0.0.1", resolve));
+  issuer = `http://127.0.0.1:${provider.address().port}`;
+  provider.on("request", createMockOidcProvider({ issuer }));
+
+  Object.assign(process.env, {
+    JWT_SECRET: "test-secret",
+    OIDC_ISSUER: issuer,
+    OIDC_CLIENT_ID: "gloire-road-map",
+    OIDC_REDIRECT_URI: REDIRECT_URI,
+    OIDC_ROLE_CLAIM: "groups",
+    OIDC_ROLE_MAP: "roadmap-admins=admin,roadmap-leaders=mentor",
+  });
+
+  app = express();
+  app.use(express.json());
+  app.use("/api/auth/oidc", oidcRoutes);
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => provider.close(resolve));
+});
+
+function mockUser(values) {
+  return {
+    ...values,
+    get() {
+      return { ...values, role: this.role };
+    },
+    toJSON() {
+      return this.get();
+    },
+    update: vi.fn(async function (changes) {
+      Object.assign(this, changes);
+    }),
+  };
+}
+
+/**
+ * Start a login, sign in at the mock provider and return the callback parameters
+ */
+async function signInAtProvider(sub) {
+  const start = await request(app).post("/api/auth/oidc/start");
+  const stored = OidcLoginRequest.create.mock.calls.at(-1)[0];
+  OidcLoginRequest.findOne.mockResolvedValueOnce({
+    id: 1,
+    ...stored,
+    used_at: null,
+  });
+  OidcLoginRequest.update.mockResolvedValueOnce([1]);
+
+  const params = new URL(start.body.authorization_url).searchParams;
+  const form = new URLSearchParams({
+    sub,
+    client_id: params.get("client_id"),
+    redirect_uri: params.get("redirect_uri"),
+    state: params.get("state"),
+    nonce: params.get("nonce"),
+    code_challenge: params.get("code_challenge"),
+  });
+  const res = await fetch(`${issuer}/authorize`, {
+    method: "POST",
+    body: form,
+    redirect: "manual",
+  });
+  const callback = new URL(res.headers.get("location"));
+  return {
+    code: callback.searchParams.get("code"),
+    state: callback.searchParams.get("state"),
+    stored,
+  };
+}
+
+describe("OIDC single sign-on", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    Session.create.mockImplementation(async (data) => ({ id: 9, ...data }));
+  });
+
+  it("starts an authorization code flow with PKCE", async () => {
+    const res = await request(app).post("/api/auth/oidc/start");
+    expect(res.status).toBe(200);
+
+    const url = new URL(res.body.authorization_url);
+    expect(url.origin + url.pathname).toBe(`${issuer}/authorize`);
+    expect(url.searchParams.get("code_challenge_method")).toBe("S256");
+    expect(url.searchParams.get("redirect_uri")).toBe(REDIRECT_URI);
+    expect(url.searchParams.get("state")).toBe(res.body.state);
+
+    const stored = OidcLoginRequest.create.mock.calls[0][0];
+    expect(stored.state_hash).toBe(hashToken(res.body.state));
+    expect(res.body.authorization_url).not.toContain(stored.code_verifier);
+  });
+
+  it("signs in a linked user and applies the mapped role", async () => {
+    const { code, state } = await signInAtProvider("mock-leader");
+    const identity = { user_id: 4, update: vi.fn() };
+    const user = mockUser({
+      id: 4,
+      user_name: "leader",
+      email: "leader@example.com",
+      role: "viewer",
+      is_active: true,
+    });
+    UserIdentity.findOne.mockResolvedValueOnce(identity);
+    User.findByPk.mockResolvedValueOnce(user);
+
+    const res = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code, state });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeTruthy();
+    expect(res.body.refreshToken).toBeTruthy();
+    expect(UserIdentity.findOne.mock.calls[0][0].where).toEqual({
+      issuer,
+      subject: "mock-leader",
+    });
+    expect(user.update).toHaveBeenCalledWith({ role: "mentor" });
+    expect(LoginAttempt.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user_id: 4,
+        success: true,
+        reason: "sso_success",
+      })
+    );
+  });
+
+  it("links an existing user by verified email on first sign-in", async () => {
+    const { code, state } = await signInAtProvider("mock-admin");
+    UserIdentity.findOne.mockResolvedValueOnce(null);
+    User.findOne.mockResolvedValueOnce(
+      mockUser({
+        id: 2,
+        email: "admin@example.com",
+        role: "admin",
+        is_active: true,
+      })
+    );
+
+    const res = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code, state });
+
+    expect(res.status).toBe(200);
+    expect(User.findOne.mock.calls[0][0].where).toEqual({
+      email: "admin@example.com",
+    });
+    expect(UserIdentity.create).toHaveBeenCalledWith(
+      expect.objectContaining({ user_id: 2, issuer, subject: "mock-admin" })
+    );
+  });
+
+  it("applies the same two-factor gate as password login", async () => {
+    let { code, state } = await signInAtProvider("mock-leader");
+    UserIdentity.findOne.mockResolvedValueOnce({ user_id: 4, update: vi.fn() });
+    User.findByPk.mockResolvedValueOnce(
+      mockUser({ id: 4, role: "mentor", is_active: true, totp_enabled: true })
+    );
+    let res = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code, state });
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.challengeToken).toBeTruthy();
+    expect(res.body.token).toBeUndefined();
+
+    ({ code, state } = await signInAtProvider("mock-leader"));
+    UserIdentity.findOne.mockResolvedValueOnce({ user_id: 4, update: vi.fn() });
+    User.findByPk.mockResolvedValueOnce(
+      mockUser({ id: 4, role: "mentor", is_active: true })
+    );
+    Setting.findByPk.mockResolvedValueOnce({ value: "true" });
+    res = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code, state });
+    expect(res.body.twoFactorSetupRequired).toBe(true);
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  it("refuses identities without a local account", async () => {
+    const { code, state } = await signInAtProvider("mock-outsider");
+    UserIdentity.findOne.mockResolvedValueOnce(null);
+    User.findOne.mockResolvedValueOnce(null);
+
+    const res = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code, state });
+
+    expect(res.status).toBe(403);
+    expect(User.create).not.toHaveBeenCalled();
+    expect(Session.create).not.toHaveBeenCalled();
+    expect(LoginAttempt.create).toHaveBeenCalledWith(
+      expect.objectContaining({ success: false, reason: "sso_no_account" })
+    );
+  });
+
+  it("fails when the code is redeemed without the matching PKCE verifier", async () => {
+    const { code, state, stored } = await signInAtProvider("mock-leader");
+    OidcLoginRequest.findOne.mockReset();
+    OidcLoginRequest.findOne.mockResolvedValueOnce({
+      id: 1,
+      ...stored,
+      code_verifier: "not-the-verifier",
+      used_at: null,
+    });
+
+    const res = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code, state });
+
+    expect(res.status).toBe(401);
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  it("rejects a state that was already used", async () => {
+    OidcLoginRequest.findOne.mockResolvedValueOnce({
+      id: 1,
+      used_at: new Date(),
+      expires_at: new Date(Date.now() + 60000),
+    });
+    const res = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code: "abc", state: "used" });
+    expect(res.status).toBe(400);
+  });
+
+  it("maps claims to the most privileged configured staff role", () => {
+    const config = getOidcConfig();
+    expect(
+      roleFromClaims({ groups: ["roadmap-leaders", "roadmap-admins"] }, config)
+    ).toBe("admin");
+    expect(roleFromClaims({ groups: "roadmap-leaders" }, config)).toBe(
+      "mentor"
+    );
+    expect(roleFromClaims({ groups: ["others"] }, config)).toBeNull();
+  });
+});
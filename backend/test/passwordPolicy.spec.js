@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import { validatePassword } from "../config/passwordPolicy.js";
+
+describe("validatePassword", () => {
+  it("accepts a password with letters and numbers", () => {
+    expect(validatePassword("roadmap2026")).toBeNull();
+  });
+
+  it("rejects short passwords", () => {
+    expect(validatePassword("abc123")).toMatch(/at least 8 characters/);
+  });
+
+  it("requires a letter and a number", () => {
+    expect(validatePassword("12345678")).toMatch(/letter/);
+    expect(validatePassword("abcdefgh")).toMatch(/number/);
+  });
+
+  it("rejects passwords longer than bcrypt can hash", () => {
+    expect(validatePassword("a1".repeat(40))).toMatch(/at most 72 bytes/);
+  });
+
+  it("rejects the username or email as password", () => {
+    expect(validatePassword("Leader123", { userName: "leader123" })).toMatch(
+      /username or email/
+    );
+  });
+});
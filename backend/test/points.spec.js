@@ -0,0 +1,33 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    sequelize: {
+      query: vi.fn(),
+    },
+  };
+});
+
+import { sequelize } from "../models.js";
+import { POINTS } from "../config/pointsConfig.js";
+import { getPointsLeaderboard } from "../services/points.js";
+
+describe("getPointsLeaderboard", () => {
+  afterEach(() => {
+    POINTS.COMPLETE_MILESTONE = 0;
+  });
+
+  it("adds the configured points for completed milestones", async () => {
+    POINTS.COMPLETE_MILESTONE = 1;
+    const rows = [{ student_id: 3, milestone_points: 2, total_points: 7 }];
+    sequelize.query.mockResolvedValue([rows]);
+
+    expect(await getPointsLeaderboard({ groupId: 4 })).toBe(rows);
+    const [sql, { replacements }] = sequelize.query.mock.calls[0];
+    expect(sql).toContain("FROM goal_milestones m");
+    expect(sql).toMatch(
+      /\+ COALESCE\(mp\.milestone_points, 0\) AS total_points/
+    );
+    expect(replacements).toMatchObject({ group_id: 4, milestone_points: 1 });
+  });
+});
@@ -0,0 +1,139 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, beforeAll, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    User: { findByPk: vi.fn() },
+    Student: { findByPk: vi.fn() },
+    Goal: { findAll: vi.fn(), findOne: vi.fn() },
+    PointsLog: { findAll: vi.fn() },
+    Attendance: { findAll: vi.fn() },
+    AuditLog: { create: vi.fn() },
+  };
+});
+
+vi.mock("../services/points.js", () => {
+  return { getPointsLeaderboard: vi.fn() };
+});
+
+import { User, Student, Goal, Attendance, AuditLog } from "../models.js";
+import { getPointsLeaderboard } from "../services/points.js";
+import portalRoutes from "../routes/portal.js";
+
+let server;
+
+beforeAll(() => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 20, role: "student" };
+    next();
+  });
+  app.use("/api/portal", portalRoutes);
+  server = app;
+});
+
+function signInAs(student) {
+  User.findByPk.mockResolvedValue({ id: 20, student_id: student.id });
+  Student.findByPk.mockResolvedValue(student);
+}
+
+describe("Student portal routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("refuses logins that are not linked to a student", async () => {
+    User.findByPk.mockResolvedValueOnce({ id: 20, student_id: null });
+    const res = await request(server).get("/api/portal/goals");
+    expect(res.status).toBe(403);
+    expect(Goal.findAll).not.toHaveBeenCalled();
+  });
+
+  it("only lists the signed-in student's goals", async () => {
+    signInAs({ id: 5, name: "Ada", points: 7 });
+    Goal.findAll.mockResolvedValueOnce([]);
+    const res = await request(server).get("/api/portal/goals");
+    expect(res.status).toBe(200);
+    expect(Goal.findAll.mock.calls[0][0].where).toEqual({ student_id: 5 });
+  });
+
+  it("reports the leaderboard position without other students", async () => {
+    signInAs({ id: 5, name: "Ada", points: 7 });
+    getPointsLeaderboard.mockResolvedValueOnce([
+      { student_id: 9, student_name: "Bo", total_points: "12" },
+      { student_id: 5, student_name: "Ada", total_points: "7" },
+    ]);
+    const res = await request(server).get("/api/portal/me");
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      id: 5,
+      name: "Ada",
+      points: 7,
+      leaderboard: { rank: 2, total_points: 7, ranked_students: 2 },
+    });
+  });
+
+  it("does not let a student request completion of someone else's goal", async () => {
+    signInAs({ id: 5, name: "Ada", points: 0 });
+    Goal.findOne.mockResolvedValueOnce(null);
+    const res = await request(server).post(
+      "/api/portal/goals/99/request-completion"
+    );
+    expect(res.status).toBe(404);
+    expect(Goal.findOne.mock.calls[0][0].where).toEqual({
+      id: "99",
+      student_id: 5,
+    });
+  });
+
+  it("flags an open goal for a leader to approve", async () => {
+    signInAs({ id: 5, name: "Ada", points: 0 });
+    const goal = {
+      id: 3,
+      is_completed: false,
+      completion_requested_at: null,
+      get() {
+        return { id: 3, completion_requested_at: this.completion_requested_at };
+      },
+      toJSON() {
+        return this.get();
+      },
+      update: vi.fn(async function (values) {
+        Object.assign(this, values);
+      }),
+    };
+    Goal.findOne.mockResolvedValueOnce(goal);
+
+    const res = await request(server).post(
+      "/api/portal/goals/3/request-completion"
+    );
+
+    expect(res.status).toBe(200);
+    expect(goal.update).toHaveBeenCalledWith({
+      completion_requested_at: expect.any(Date),
+    });
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ user_id: 20, entity_type: "goal" })
+    );
+  });
+
+  it("summarises attendance by status", async () => {
+    signInAs({ id: 5, name: "Ada", points: 0 });
+    Attendance.findAll.mockResolvedValueOnce([
+      { id: 1, date: "2026-10-12", status: "present" },
+      { id: 2, date: "2026-10-05", status: "late" },
+      { id: 3, date: "2026-09-28", status: "present" },
+    ]);
+    const res = await request(server).get("/api/portal/attendance");
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({
+      total: 3,
+      present: 2,
+      absent: 0,
+      late: 1,
+      excused: 0,
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, vi, beforeEach, beforeAll } from "vitest";
+import jwt from "jsonwebtoken";
+
+vi.mock("../models.js", () => {
+  return {
+    Session: {
+      create: vi.fn(),
+      findOne: vi.fn(),
+      findByPk: vi.fn(),
+      update: vi.fn(),
+      findAll: vi.fn(),
+    },
+    User: {
+      findByPk: vi.fn(),
+    },
+    Setting: {
+      findByPk: vi.fn(),
+    },
+  };
+});
+
+import { Session, User, Setting } from "../models.js";
+import { hashToken } from "../services/tokens.js";
+import {
+  createSession,
+  rotateSession,
+  isSessionActive,
+} from "../services/sessions.js";
+
+const user = {
+  id: 5,
+  user_name: "mentor",
+  email: "mentor@example.com",
+  role: "mentor",
+  is_active: true,
+};
+const future = () => new Date(Date.now() + 60 * 60 * 1000);
+
+describe("session service", () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = "test-secret";
+  });
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("createSession stores a hashed refresh token and signs the session id", async () => {
+    Session.create.mockImplementationOnce(async (data) => ({
+      id: 11,
+      ...data,
+    }));
+
+    const { token, refreshToken } = await createSession(user, {
+      user_agent: "vitest",
+      ip_address: "127.0.0.1",
+    });
+
+    const stored = Session.create.mock.calls[0][0];
+    expect(stored.token_hash).toBe(hashToken(refreshToken));
+    expect(stored.user_agent).toBe("vitest");
+    const claims = jwt.verify(token, "test-secret");
+    expect(claims).toMatchObject({ id: 5, role: "mentor", sid: 11 });
+  });
+
+  it("rotateSession issues new tokens and remembers the previous hash", async () => {
+    Session.findOne.mockResolvedValueOnce({
+      id: 11,
+      user_id: 5,
+      revoked_at: null,
+      expires_at: future(),
+    });
+    User.findByPk.mockResolvedValueOnce(user);
+    Session.update.mockResolvedValueOnce([1]);
+
+    const result = await rotateSession("old-token");
+
+    expect(result.refreshToken).not.toBe("old-token");
+    const [changes, options] = Session.update.mock.calls[0];
+    expect(changes.token_hash).toBe(hashToken(result.refreshToken));
+    expect(changes.previous_token_hash).toBe(hashToken("old-token"));
+    expect(options.where.token_hash).toBe(hashToken("old-token"));
+  });
+
+  it("rotateSession revokes the session when a rotated token is reused", async () => {
+    Session.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 11, user_id: 5 });
+    Session.update.mockResolvedValueOnce([1]);
+
+    const result = await rotateSession("stolen-token");
+
+    expect(result).toBeNull();
+    expect(Session.update).toHaveBeenCalledTimes(1);
+    expect(Session.update.mock.calls[0][1].where.id).toBe(11);
+  });
+
+  it("rotateSession rejects expired sessions", async () => {
+    Session.findOne.mockResolvedValueOnce({
+      id: 11,
+      user_id: 5,
+      revoked_at: null,
+      expires_at: new Date(Date.now() - 1000),
+    });
+    expect(await rotateSession("old-token")).toBeNull();
+    expect(Session.update).not.toHaveBeenCalled();
+  });
+
+  it("rotateSession revokes sessions of disabled users", async () => {
+    Session.findOne.mockResolvedValueOnce({
+      id: 11,
+      user_id: 5,
+      revoked_at: null,
+      expires_at: future(),
+    });
+    User.findByPk.mockResolvedValueOnce({ ...user, is_active: false });
+    Session.update.mockResolvedValueOnce([1]);
+
+    expect(await rotateSession("old-token")).toBeNull();
+    expect(Session.update.mock.calls[0][0]).toHaveProperty("revoked_at");
+  });
+
+  it("rotateSession sends users without 2FA back to login once it is required", async () => {
+    const session = {
+      id: 11,
+      user_id: 5,
+      revoked_at: null,
+      expires_at: future(),
+    };
+    Setting.findByPk.mockResolvedValue({ value: "true" });
+    Session.findOne.mockResolvedValueOnce(session);
+    User.findByPk.mockResolvedValueOnce(user);
+    Session.update.mockResolvedValueOnce([1]);
+
+    expect(await rotateSession("old-token")).toBeNull();
+    expect(Setting.findByPk).toHaveBeenCalledWith("require_2fa");
+    expect(Session.update.mock.calls[0][0]).toHaveProperty("revoked_at");
+
+    Session.findOne.mockResolvedValueOnce(session);
+    User.findByPk.mockResolvedValueOnce({ ...user, totp_enabled: true });
+    Session.update.mockResolvedValueOnce([1]);
+    expect(await rotateSession("old-token")).not.toBeNull();
+  });
+
+  it("isSessionActive is false for revoked sessions", async () => {
+    Session.findByPk.mockResolvedValueOnce({
+      id: 11,
+      revoked_at: new Date(),
+      expires_at: future(),
+    });
+    expect(await isSessionActive(11)).toBe(false);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return { Setting: { findAll: vi.fn(), findByPk: vi.fn(), upsert: vi.fn() } };
+});
+
+import { Setting } from "../models.js";
+import { getSettings, validateSettings } from "../services/settings.js";
+
+describe("settings service", () => {
+  it("falls back to defaults for settings never saved", async () => {
+    Setting.findAll.mockResolvedValueOnce([]);
+    expect(await getSettings()).toEqual({
+      require_2fa: false,
+      restrict_mentors: true,
+      birthday_calendar: false,
+    });
+
+    Setting.findAll.mockResolvedValueOnce([
+      { key: "require_2fa", value: "true" },
+    ]);
+    expect(await getSettings()).toEqual({
+      require_2fa: true,
+      restrict_mentors: true,
+      birthday_calendar: false,
+    });
+  });
+
+  it("rejects unknown keys and wrong types", () => {
+    expect(validateSettings({ require_2fa: true })).toBeNull();
+    expect(validateSettings({ nope: true })).toMatch(/Unknown setting/);
+    expect(validateSettings({ require_2fa: "yes" })).toMatch(/Invalid value/);
+  });
+});
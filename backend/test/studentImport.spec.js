@@ -0,0 +1,160 @@
+import ExcelJS from "exceljs";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    Student: {
+      findAll: vi.fn(),
+      create: vi.fn(),
+    },
+    sequelize: {
+      transaction: vi.fn(),
+    },
+  };
+});
+
+import { Student, sequelize } from "../models.js";
+import {
+  parseSpreadsheet,
+  guessMapping,
+  validateMapping,
+  buildPreview,
+  importStudents,
+} from "../services/studentImport.js";
+
+describe("Student import", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("reads a CSV file, skipping blank rows", async () => {
+    const csv = Buffer.from(
+      '\uFEFFFull Name,Phone,DOB\n"Doe, Jane",0712 345 678,2001-02-03\n\nJohn Roe,,\n'
+    );
+    const { columns, rows } = await parseSpreadsheet(csv, "intake.CSV");
+    expect(columns).toEqual(["Full Name", "Phone", "DOB"]);
+    expect(rows).toEqual([
+      { row: 2, cells: ["Doe, Jane", "0712 345 678", "2001-02-03"] },
+      { row: 4, cells: ["John Roe", "", ""] },
+    ]);
+  });
+
+  it("reads the first sheet of an XLSX file with dates as YYYY-MM-DD", async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Students");
+    sheet.addRow(["Name", "Date of birth"]);
+    sheet.addRow(["Jane Doe", new Date(Date.UTC(2001, 1, 3))]);
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    const { columns, rows } = await parseSpreadsheet(buffer, "intake.xlsx");
+    expect(columns).toEqual(["Name", "Date of birth"]);
+    expect(rows).toEqual([{ row: 2, cells: ["Jane Doe", "2001-02-03"] }]);
+  });
+
+  it("rejects other file types", async () => {
+    await expect(
+      parseSpreadsheet(Buffer.from("x"), "intake.txt")
+    ).rejects.toThrow("Unsupported file type");
+  });
+
+  it("guesses the mapping from the headers and checks mappings", () => {
+    const columns = ["Student Name", "Mobile", "Notes", "date_of_birth"];
+    const mapping = guessMapping(columns);
+    expect(mapping).toEqual({
+      name: 0,
+      contact_number: 1,
+      address: null,
+      date_of_birth: 3,
+    });
+    expect(validateMapping(mapping, columns)).toBeNull();
+    expect(validateMapping({ name: null }, columns)).toBe(
+      "A column must be mapped to name"
+    );
+    expect(validateMapping({ name: 9 }, columns)).toBe(
+      "Invalid column for name"
+    );
+    expect(validateMapping({ name: 0, email: 2 }, columns)).toBe(
+      "Unknown field: email"
+    );
+  });
+
+  it("reports row errors and likely duplicates", async () => {
+    Student.findAll.mockResolvedValueOnce([
+      { id: 5, name: "Jane  Doe", contact_number: null, status: "active" },
+      {
+        id: 6,
+        name: "Sam Poe",
+        contact_number: "+1 (555) 010-9999",
+        status: "archived",
+      },
+    ]);
+    const rows = [
+      { row: 2, cells: ["jane doe", "", ""] },
+      { row: 3, cells: ["Samuel Poe", "15550109999", ""] },
+      { row: 4, cells: ["A", "12ab", "2001-02-30"] },
+      { row: 5, cells: ["New Person", "", "2999-01-01"] },
+      { row: 6, cells: ["Other Person", "", "2001-02-03"] },
+      { row: 7, cells: ["other person", "", ""] },
+    ];
+    const mapping = { name: 0, contact_number: 1, date_of_birth: 2 };
+
+    const preview = await buildPreview(rows, mapping);
+
+    expect(preview.rows[0].duplicate_of).toEqual({
+      id: 5,
+      name: "Jane  Doe",
+      status: "active",
+    });
+    expect(preview.rows[1].duplicate_of.id).toBe(6);
+    expect(preview.rows[2].errors).toEqual([
+      "Name must be at least 2 characters",
+      "Contact number contains invalid characters",
+      "Date of birth must be a valid date (YYYY-MM-DD)",
+    ]);
+    expect(preview.rows[3].errors).toEqual([
+      "Date of birth cannot be in the future",
+    ]);
+    expect(preview.rows[4]).toMatchObject({
+      values: {
+        name: "Other Person",
+        contact_number: null,
+        address: null,
+        date_of_birth: "2001-02-03",
+      },
+      errors: [],
+      duplicate_of: null,
+      duplicate_of_row: null,
+    });
+    expect(preview.rows[5].duplicate_of_row).toBe(6);
+    expect(preview.summary).toEqual({
+      total: 6,
+      valid: 4,
+      invalid: 2,
+      duplicates: 3,
+    });
+  });
+
+  it("creates the students in one transaction, optionally skipping duplicates", async () => {
+    const transaction = {};
+    sequelize.transaction.mockImplementation((work) => work(transaction));
+    Student.create.mockImplementation(async (values) => ({ id: 1, ...values }));
+    const rows = [
+      {
+        values: { name: "Jane Doe", contact_number: null },
+        duplicate_of: { id: 5 },
+      },
+      { values: { name: "New Person", contact_number: null } },
+    ];
+
+    const result = await importStudents(rows, { skipDuplicates: true });
+
+    expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+    expect(Student.create).toHaveBeenCalledTimes(1);
+    expect(Student.create).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "New Person" }),
+      { transaction }
+    );
+    expect(result.skipped).toBe(1);
+    expect(result.created).toHaveLength(1);
+  });
+});
@@ -0,0 +1,366 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    Student: {
+      findAll: vi.fn(),
+      findByPk: vi.fn(),
+    },
+    User: {
+      findOne: vi.fn(),
+    },
+    Goal: {
+      update: vi.fn(),
+    },
+    PointsLog: {
+      update: vi.fn(),
+      sum: vi.fn(),
+    },
+    Attendance: {
+      findAll: vi.fn(),
+    },
+    GroupMember: {
+      findAll: vi.fn(),
+      bulkCreate: vi.fn(),
+      destroy: vi.fn(),
+    },
+    StudentTag: {
+      findAll: vi.fn(),
+      bulkCreate: vi.fn(),
+      destroy: vi.fn(),
+    },
+    MentorAssignment: {
+      findAll: vi.fn(),
+      bulkCreate: vi.fn(),
+      destroy: vi.fn(),
+    },
+    StudentContact: {
+      count: vi.fn(),
+      update: vi.fn(),
+    },
+    StudentNote: {
+      update: vi.fn(),
+    },
+    CustomFieldValue: {
+      findAll: vi.fn(),
+      bulkCreate: vi.fn(),
+      destroy: vi.fn(),
+    },
+    sequelize: {
+      transaction: vi.fn(),
+    },
+  };
+});
+
+import {
+  Student,
+  User,
+  Goal,
+  PointsLog,
+  Attendance,
+  GroupMember,
+  StudentTag,
+  MentorAssignment,
+  StudentContact,
+  StudentNote,
+  CustomFieldValue,
+  sequelize,
+} from "../models.js";
+import {
+  normalizeName,
+  nameSimilarity,
+  compareStudents,
+  findDuplicateCandidates,
+  resolveAttendanceConflict,
+  mergeStudents,
+} from "../services/studentMerge.js";
+
+function mockRecord(values) {
+  return {
+    ...values,
+    toJSON() {
+      return { ...values };
+    },
+    update: vi.fn(async function (changes) {
+      Object.assign(this, changes);
+    }),
+    destroy: vi.fn(),
+  };
+}
+
+describe("Student merge", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    sequelize.transaction.mockImplementation((work) => work({}));
+  });
+
+  it("compares names regardless of case, accents, punctuation and word order", () => {
+    expect(normalizeName("José  dela Cruz")).toBe("cruz dela jose");
+    expect(nameSimilarity("Cruz, Juan", "juan cruz")).toBe(1);
+    expect(nameSimilarity("Maria Santos", "Marie Santos")).toBeGreaterThan(0.9);
+    expect(nameSimilarity("Maria Santos", "Pedro Reyes")).toBeLessThan(0.6);
+    expect(nameSimilarity("", "Pedro Reyes")).toBe(0);
+  });
+
+  it("needs a matching detail when names are only similar", () => {
+    const juan = {
+      name: "Juan D. Cruz",
+      contact_number: "0917 123 4567",
+      date_of_birth: "2012-05-01",
+    };
+    expect(compareStudents(juan, { name: "Juan Cruz" })).toBeNull();
+    expect(
+      compareStudents(juan, {
+        name: "Juan Cruz",
+        contact_number: "+63 917 123 4567",
+      })
+    ).toEqual({ similarity: 0.82, reasons: ["similar_name", "same_phone"] });
+    expect(
+      compareStudents(juan, {
+        name: "Juan Cruz",
+        date_of_birth: new Date("2012-05-01"),
+      }).reasons
+    ).toEqual(["similar_name", "same_date_of_birth"]);
+    expect(compareStudents(juan, { name: "Juan D Cruz" })).toEqual({
+      similarity: 1,
+      reasons: ["similar_name"],
+    });
+  });
+
+  it("never pairs students with different dates of birth", () => {
+    expect(
+      compareStudents(
+        { name: "Ana Reyes", date_of_birth: "2012-05-01" },
+        { name: "Ana Reyes", date_of_birth: "2014-09-30" }
+      )
+    ).toBeNull();
+  });
+
+  it("lists the strongest duplicate pairs first", async () => {
+    Student.findAll.mockResolvedValueOnce([
+      { id: 1, name: "Ana Reyes" },
+      { id: 2, name: "Ben Lim", contact_number: "09171234567" },
+      { id: 3, name: "ana reyes" },
+      { id: 4, name: "Benny Lim", contact_number: "0917-123-4567" },
+      { id: 5, name: "Carla Tan" },
+    ]);
+    const candidates = await findDuplicateCandidates();
+    expect(
+      candidates.map(({ students, reasons }) => [
+        students.map((student) => student.id),
+        reasons,
+      ])
+    ).toEqual([
+      [
+        [2, 4],
+        ["similar_name", "same_phone"],
+      ],
+      [[1, 3], ["similar_name"]],
+    ]);
+  });
+
+  it("keeps the better attendance status and both notes", () => {
+    expect(
+      resolveAttendanceConflict(
+        { status: "absent", notes: "No show" },
+        { status: "late", notes: "Came at 10" }
+      )
+    ).toEqual({ status: "late", notes: "No show; Came at 10" });
+    expect(
+      resolveAttendanceConflict(
+        { status: "present", notes: "Same" },
+        { status: "excused", notes: "Same" }
+      )
+    ).toEqual({ status: "present", notes: "Same" });
+    expect(
+      resolveAttendanceConflict({ status: "absent" }, { status: "absent" })
+    ).toEqual({ status: "absent", notes: null });
+  });
+
+  it("returns null when either student does not exist", async () => {
+    Student.findByPk.mockResolvedValueOnce(mockRecord({ id: 1 }));
+    Student.findByPk.mockResolvedValueOnce(null);
+    expect(await mergeStudents(1, 2)).toBeNull();
+    expect(Goal.update).not.toHaveBeenCalled();
+  });
+
+  it("moves everything onto the kept student and deletes the duplicate", async () => {
+    const kept = mockRecord({
+      id: 1,
+      name: "Ana Reyes",
+      contact_number: null,
+      address: "Old address",
+      date_of_birth: null,
+      points: 10,
+    });
+    const duplicate = mockRecord({
+      id: 2,
+      name: "ana reyes",
+      contact_number: "0917 123 4567",
+      address: "New address",
+      date_of_birth: "2012-05-01",
+      points: 25,
+    });
+    Student.findByPk.mockImplementation(async (id) =>
+      id === 1 ? kept : duplicate
+    );
+    Goal.update.mockResolvedValue([3]);
+    PointsLog.update.mockResolvedValue([4]);
+    PointsLog.sum.mockResolvedValue(35);
+    StudentContact.count.mockResolvedValue(1);
+    StudentContact.update.mockResolvedValue([2]);
+    StudentNote.update.mockResolvedValue([5]);
+
+    const keptMonday = mockRecord({
+      date: "2026-10-05",
+      status: "absent",
+      notes: null,
+    });
+    const duplicateMonday = mockRecord({
+      date: "2026-10-05",
+      status: "present",
+      notes: "Signed in twice",
+    });
+    const duplicateTuesday = mockRecord({ date: "2026-10-06" });
+    Attendance.findAll.mockImplementation(async ({ where }) =>
+      where.student_id === 1
+        ? [keptMonday]
+        : [duplicateMonday, duplicateTuesday]
+    );
+    GroupMember.findAll.mockImplementation(async ({ where }) =>
+      where.student_id === 1
+        ? [{ group_id: 10 }]
+        : [{ group_id: 10 }, { group_id: 11, created_at: "2026-01-01" }]
+    );
+    StudentTag.findAll.mockImplementation(async ({ where }) =>
+      where.student_id === 1
+        ? []
+        : [
+            { tag_id: 4, created_at: "2026-02-01" },
+            { tag_id: 5, created_at: "2026-03-01" },
+          ]
+    );
+    MentorAssignment.findAll.mockImplementation(async ({ where }) =>
+      where.student_id === 1
+        ? [{ user_id: 3 }]
+        : [{ user_id: 3 }, { user_id: 6, created_at: "2026-04-01" }]
+    );
+    CustomFieldValue.findAll.mockImplementation(async ({ where }) =>
+      where.student_id === 1
+        ? [{ field_id: 1, value: "Kept school" }]
+        : [
+            { field_id: 1, value: "Other school" },
+            { field_id: 2, value: "M" },
+          ]
+    );
+    const duplicateLogin = mockRecord({ id: 7, student_id: 2 });
+    User.findOne.mockImplementation(async ({ where }) =>
+      where.student_id === 2 ? duplicateLogin : null
+    );
+
+    const result = await mergeStudents(1, 2);
+
+    expect(Goal.update).toHaveBeenCalledWith(
+      { student_id: 1 },
+      { where: { student_id: 2 }, transaction: {} }
+    );
+    expect(StudentContact.update).toHaveBeenCalledWith(
+      { is_primary: false },
+      { where: { student_id: 2, is_primary: true }, transaction: {} }
+    );
+    expect(keptMonday.update).toHaveBeenCalledWith(
+      { status: "present", notes: "Signed in twice" },
+      { transaction: {} }
+    );
+    expect(duplicateMonday.destroy).toHaveBeenCalled();
+    expect(duplicateTuesday.update).toHaveBeenCalledWith(
+      { student_id: 1 },
+      { transaction: {} }
+    );
+    expect(GroupMember.bulkCreate).toHaveBeenCalledWith(
+      [{ group_id: 11, student_id: 1, created_at: "2026-01-01" }],
+      { transaction: {} }
+    );
+    expect(StudentTag.bulkCreate).toHaveBeenCalledWith(
+      [
+        { tag_id: 4, student_id: 1, created_at: "2026-02-01" },
+        { tag_id: 5, student_id: 1, created_at: "2026-03-01" },
+      ],
+      { transaction: {} }
+    );
+    expect(StudentTag.destroy).toHaveBeenCalledWith({
+      where: { student_id: 2 },
+      transaction: {},
+    });
+    expect(MentorAssignment.bulkCreate).toHaveBeenCalledWith(
+      [{ user_id: 6, student_id: 1, created_at: "2026-04-01" }],
+      { transaction: {} }
+    );
+    expect(MentorAssignment.destroy).toHaveBeenCalledWith({
+      where: { student_id: 2 },
+      transaction: {},
+    });
+    expect(CustomFieldValue.bulkCreate).toHaveBeenCalledWith(
+      [{ field_id: 2, student_id: 1, value: "M" }],
+      { transaction: {} }
+    );
+    expect(duplicateLogin.update).toHaveBeenCalledWith(
+      { student_id: 1 },
+      { transaction: {} }
+    );
+    expect(kept.update).toHaveBeenCalledWith(
+      {
+        contact_number: "0917 123 4567",
+        date_of_birth: "2012-05-01",
+        points: 35,
+      },
+      { transaction: {} }
+    );
+    expect(duplicate.destroy).toHaveBeenCalled();
+    expect(result.duplicate.name).toBe("ana reyes");
+    expect(result.moved).toEqual({
+      goals: 3,
+      points_log: 4,
+      attendance: 1,
+      attendance_conflicts: 1,
+      contacts: 2,
+      notes: 5,
+      groups: 1,
+      tags: 2,
+      mentors: 1,
+      custom_fields: 1,
+      login: true,
+    });
+  });
+
+  it("unlinks the duplicate's login when the kept student already has one", async () => {
+    Student.findByPk.mockImplementation(async (id) =>
+      mockRecord({ id, name: "Ana Reyes" })
+    );
+    Goal.update.mockResolvedValue([0]);
+    PointsLog.update.mockResolvedValue([0]);
+    PointsLog.sum.mockResolvedValue(null);
+    StudentContact.count.mockResolvedValue(0);
+    StudentContact.update.mockResolvedValue([0]);
+    StudentNote.update.mockResolvedValue([0]);
+    Attendance.findAll.mockResolvedValue([]);
+    GroupMember.findAll.mockResolvedValue([]);
+    StudentTag.findAll.mockResolvedValue([]);
+    MentorAssignment.findAll.mockResolvedValue([]);
+    CustomFieldValue.findAll.mockResolvedValue([]);
+    const duplicateLogin = mockRecord({ id: 8, student_id: 2 });
+    User.findOne.mockImplementation(async ({ where }) =>
+      where.student_id === 2 ? duplicateLogin : mockRecord({ id: 7 })
+    );
+
+    const result = await mergeStudents(1, 2);
+
+    expect(duplicateLogin.update).toHaveBeenCalledWith(
+      { student_id: null },
+      { transaction: {} }
+    );
+    expect(StudentContact.update).toHaveBeenCalledTimes(1);
+    expect(result.student.points).toBe(0);
+    expect(result.moved.login).toBe(false);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    Student: {
+      findByPk: vi.fn(),
+    },
+    Group: {},
+    Tag: {},
+    Goal: {
+      findAll: vi.fn(),
+    },
+    GoalMilestone: {},
+    PointsLog: {
+      findAll: vi.fn(),
+    },
+    Attendance: {
+      findAll: vi.fn(),
+    },
+    StudentContact: {
+      findAll: vi.fn(),
+    },
+    CustomField: {
+      findAll: vi.fn(),
+    },
+    CustomFieldValue: {
+      findAll: vi.fn(),
+    },
+    User: {},
+    sequelize: {},
+  };
+});
+
+import {
+  Student,
+  Goal,
+  PointsLog,
+  Attendance,
+  StudentContact,
+  CustomField,
+} from "../models.js";
+import {
+  summariseGoals,
+  summariseAttendance,
+  getStudentProfile,
+} from "../services/studentProfile.js";
+
+describe("Student profile", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("works out completion and on-time rates", () => {
+    const stats = summariseGoals(
+      [
+        {
+          is_completed: true,
+          target_date: "2026-03-01",
+          completed_at: "2026-02-27T10:00:00Z",
+        },
+        {
+          is_completed: true,
+          target_date: "2026-03-01",
+          completed_at: "2026-03-04T10:00:00Z",
+        },
+        { is_completed: true, target_date: null, completed_at: "2026-03-04" },
+        { is_completed: false, target_date: "2026-04-01" },
+        { is_completed: false, target_date: "2026-09-01" },
+      ],
+      new Date("2026-05-01T00:00:00Z")
+    );
+    expect(stats).toEqual({
+      total_goals: 5,
+      completed_goals: 3,
+      overdue_goals: 1,
+      completion_rate: 60,
+      on_time_rate: 50,
+    });
+    expect(summariseGoals([]).completion_rate).toBeNull();
+  });
+
+  it("counts streaks of attended sessions, skipping excused ones", () => {
+    const stats = summariseAttendance(
+      [
+        "present",
+        "late",
+        "present",
+        "absent",
+        "present",
+        "excused",
+        "present",
+      ].map((status) => ({ status }))
+    );
+    expect(stats).toEqual({
+      summary: { total: 7, present: 4, absent: 1, late: 1, excused: 1 },
+      attendance_rate: 83.33,
+      current_streak: 2,
+      longest_streak: 3,
+    });
+  });
+
+  it("returns null for an unknown student", async () => {
+    Student.findByPk.mockResolvedValueOnce(null);
+    expect(await getStudentProfile(99)).toBeNull();
+    expect(Goal.findAll).not.toHaveBeenCalled();
+  });
+
+  it("combines the student's records with their statistics", async () => {
+    const student = { id: 3, name: "Ann", setDataValue: vi.fn() };
+    Student.findByPk.mockResolvedValueOnce(student);
+    StudentContact.findAll.mockResolvedValueOnce([{ id: 1, name: "Mary" }]);
+    const goal = {
+      id: 5,
+      is_completed: false,
+      target_date: null,
+      milestones: [{ completed_at: "2026-03-02" }, { completed_at: null }],
+      setDataValue(key, value) {
+        this[key] = value;
+      },
+    };
+    Goal.findAll.mockResolvedValueOnce([goal]);
+    PointsLog.findAll.mockResolvedValueOnce([{ id: 9, points: 2 }]);
+    Attendance.findAll.mockResolvedValueOnce([
+      { date: "2026-03-01", status: "present" },
+    ]);
+    CustomField.findAll.mockResolvedValueOnce([]);
+
+    const profile = await getStudentProfile(3);
+
+    expect(profile).toMatchObject({
+      student,
+      contacts: [{ id: 1, name: "Mary" }],
+      points_log: [{ id: 9, points: 2 }],
+      attendance: {
+        summary: { total: 1, present: 1 },
+        records: [{ date: "2026-03-01", status: "present" }],
+      },
+      stats: {
+        total_goals: 1,
+        completion_rate: 0,
+        on_time_rate: null,
+        attendance_rate: 100,
+        current_streak: 1,
+      },
+    });
+    expect(PointsLog.findAll).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { student_id: 3 }, limit: 100 })
+    );
+    expect(student.setDataValue).toHaveBeenCalledWith("custom_fields", {});
+    expect(Goal.findAll.mock.calls[0][0].include[0].as).toBe("milestones");
+    expect(profile.goals[0].progress).toBe(50);
+  });
+});
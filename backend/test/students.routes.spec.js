@@ -0,0 +1,746 @@
+import request from "supertest";
+import { Op } from "sequelize";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    Student: {
+      findAll: vi.fn(),
+      findByPk: vi.fn(),
+      update: vi.fn(),
+      create: vi.fn(),
+      count: vi.fn(),
+    },
+    Goal: {},
+    GoalMilestone: {},
+    GoalCategory: {},
+    Attendance: {},
+    Group: {},
+    GroupMember: {},
+    Tag: {
+      count: vi.fn(),
+    },
+    StudentTag: {
+      destroy: vi.fn(),
+      bulkCreate: vi.fn(),
+    },
+    CustomField: {
+      findAll: vi.fn(),
+    },
+    CustomFieldValue: {
+      findAll: vi.fn(),
+      upsert: vi.fn(),
+      destroy: vi.fn(),
+    },
+    AuditLog: {
+      create: vi.fn(),
+    },
+    User: {
+      count: vi.fn(),
+    },
+    MentorAssignment: {
+      count: vi.fn(),
+      findOrCreate: vi.fn(),
+      destroy: vi.fn(),
+      bulkCreate: vi.fn(),
+    },
+    Setting: {
+      findByPk: vi.fn(),
+    },
+    StudentNote: {
+      findAll: vi.fn(),
+    },
+    sequelize: {
+      literal: vi.fn((sql) => ({ sql })),
+      escape: vi.fn((value) =>
+        typeof value === "number" ? String(value) : `'${value}'`
+      ),
+      transaction: vi.fn(),
+    },
+  };
+});
+
+vi.mock("../services/studentMerge.js", () => {
+  return {
+    findDuplicateCandidates: vi.fn(),
+    mergeStudents: vi.fn(),
+  };
+});
+
+import {
+  Student,
+  Tag,
+  StudentTag,
+  CustomField,
+  CustomFieldValue,
+  AuditLog,
+  User,
+  MentorAssignment,
+  Setting,
+  StudentNote,
+  sequelize,
+} from "../models.js";
+import {
+  findDuplicateCandidates,
+  mergeStudents,
+} from "../services/studentMerge.js";
+import studentRoutes from "../routes/students.js";
+import { buildRouteApp, mockInstance } from "./helpers.js";
+
+const server = buildRouteApp({ "/api/students": studentRoutes });
+
+// Custom fields defined in the tests that use them
+const SCHOOL = {
+  id: 1,
+  key: "school",
+  label: "School",
+  type: "text",
+  required: true,
+};
+const SHIRT = {
+  id: 2,
+  key: "shirt_size",
+  label: "Shirt Size",
+  type: "select",
+  options: ["S", "M", "L"],
+  required: false,
+};
+
+describe("Student routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    sequelize.literal.mockImplementation((sql) => ({ sql }));
+    sequelize.escape.mockImplementation((value) =>
+      typeof value === "number" ? String(value) : `'${value}'`
+    );
+    sequelize.transaction.mockImplementation((work) => work({}));
+    CustomField.findAll.mockResolvedValue([]);
+    CustomFieldValue.findAll.mockResolvedValue([]);
+    // Mentors see everyone unless a test restricts them
+    Setting.findByPk.mockResolvedValue({
+      key: "restrict_mentors",
+      value: "false",
+    });
+  });
+
+  it("leaves archived students out of the list by default", async () => {
+    Student.findAll.mockResolvedValueOnce([]);
+    const res = await request(server).get("/api/students");
+    expect(res.status).toBe(200);
+    expect(Student.findAll.mock.calls[0][0].where).toEqual({
+      status: { [Op.ne]: "archived" },
+    });
+  });
+
+  it("filters by status, or lists everyone with status=all", async () => {
+    Student.findAll.mockResolvedValue([]);
+    await request(server).get("/api/students?status=archived");
+    expect(Student.findAll.mock.calls[0][0].where).toEqual({
+      status: "archived",
+    });
+
+    await request(server).get("/api/students?status=all");
+    expect(Student.findAll.mock.calls[1][0].where).toEqual({});
+
+    const res = await request(server).get("/api/students?status=gone");
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Invalid status");
+  });
+
+  it("searches, sorts and paginates with a total count", async () => {
+    Student.findAll.mockResolvedValueOnce([
+      mockInstance({ id: 3, name: "Ann" }),
+    ]);
+    Student.count.mockResolvedValueOnce(41);
+
+    const res = await request(server).get(
+      "/api/students?search=50%25_off&sort=name&order=asc&limit=500&offset=20"
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(41);
+    expect(res.body.students).toEqual([
+      expect.objectContaining({ id: 3, name: "Ann" }),
+    ]);
+    const query = Student.findAll.mock.calls[0][0];
+    expect(query.where[Op.or]).toEqual([
+      { name: { [Op.like]: "%50\\%\\_off%" } },
+      { contact_number: { [Op.like]: "%50\\%\\_off%" } },
+    ]);
+    expect(query.order).toEqual([
+      ["name", "ASC"],
+      ["id", "ASC"],
+    ]);
+    expect(query.limit).toBe(100);
+    expect(query.offset).toBe(20);
+    expect(Student.count).toHaveBeenCalledWith({ where: query.where });
+  });
+
+  it("rejects unknown sort keys and orders", async () => {
+    const res = await request(server).get("/api/students?sort=password");
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Invalid sort");
+
+    const orderRes = await request(server).get("/api/students?order=up");
+    expect(orderRes.status).toBe(400);
+    expect(Student.findAll).not.toHaveBeenCalled();
+  });
+
+  it("only lists a restricted mentor's own students, or anyone's with mine=true", async () => {
+    Setting.findByPk.mockResolvedValue(null);
+    Student.findAll.mockResolvedValue([]);
+    await request(server).get("/api/students");
+    const mentorOnly = {
+      id: {
+        [Op.in]: {
+          sql: "(SELECT student_id FROM mentor_assignments WHERE user_id = 1)",
+        },
+      },
+    };
+    expect(Student.findAll.mock.calls[0][0].where[Op.and]).toEqual([
+      mentorOnly,
+    ]);
+
+    await request(server).get("/api/students").set("x-test-role", "admin");
+    expect(Student.findAll.mock.calls[1][0].where[Op.and]).toBeUndefined();
+
+    await request(server)
+      .get("/api/students?mine=true")
+      .set("x-test-role", "admin");
+    expect(Student.findAll.mock.calls[2][0].where[Op.and]).toEqual([
+      mentorOnly,
+    ]);
+  });
+
+  it("only lists students with every requested tag", async () => {
+    Student.findAll.mockResolvedValue([]);
+    const res = await request(server).get("/api/students?tags=4,2,4");
+    expect(res.status).toBe(200);
+    expect(Student.findAll.mock.calls[0][0].where[Op.and]).toEqual([
+      {
+        id: {
+          [Op.in]: {
+            sql: "(SELECT student_id FROM student_tags WHERE tag_id IN (4, 2) GROUP BY student_id HAVING COUNT(*) = 2)",
+          },
+        },
+      },
+    ]);
+
+    const invalid = await request(server).get("/api/students?tags=4,new");
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.message).toBe("Invalid tags");
+    expect(Student.findAll).toHaveBeenCalledTimes(1);
+  });
+
+  it("replaces a student's tags when tag_ids is sent", async () => {
+    Student.findByPk.mockResolvedValue({ id: 3, status: "active" });
+    Tag.count.mockResolvedValueOnce(1);
+    const unknown = await request(server)
+      .patch("/api/students/3")
+      .send({ tag_ids: [1, 9] });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toBe("tag_ids contains unknown IDs");
+    expect(Student.update).not.toHaveBeenCalled();
+
+    Tag.count.mockResolvedValueOnce(2);
+    const res = await request(server)
+      .patch("/api/students/3")
+      .send({ tag_ids: [1, 9] });
+    expect(res.status).toBe(200);
+    expect(StudentTag.destroy).toHaveBeenCalledWith({
+      where: { student_id: 3 },
+      transaction: {},
+    });
+    expect(StudentTag.bulkCreate).toHaveBeenCalledWith(
+      [
+        { tag_id: 1, student_id: 3 },
+        { tag_id: 9, student_id: 3 },
+      ],
+      { transaction: {} }
+    );
+  });
+
+  it("keeps restricted mentors away from students not assigned to them", async () => {
+    Setting.findByPk.mockResolvedValue(null);
+    MentorAssignment.count.mockResolvedValueOnce(0);
+    const res = await request(server)
+      .patch("/api/students/3")
+      .send({ name: "Ann" });
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe("You are not assigned to this student");
+    expect(MentorAssignment.count).toHaveBeenCalledWith({
+      where: { user_id: 1, student_id: "3" },
+    });
+    expect(Student.update).not.toHaveBeenCalled();
+
+    Student.create.mockResolvedValueOnce(mockInstance({ id: 7, name: "Ann" }));
+    const created = await request(server)
+      .post("/api/students")
+      .send({ name: "Ann" });
+    expect(created.status).toBe(200);
+    expect(MentorAssignment.findOrCreate).toHaveBeenCalledWith({
+      where: { user_id: 1, student_id: 7 },
+    });
+  });
+
+  it("only lets admins assign mentors", async () => {
+    const mentor = await request(server)
+      .patch("/api/students/3")
+      .send({ mentor_ids: [2] });
+    expect(mentor.status).toBe(403);
+    expect(mentor.body.message).toBe("Only admins can assign mentors");
+
+    User.count.mockResolvedValueOnce(1);
+    const invalid = await request(server)
+      .patch("/api/students/3")
+      .set("x-test-role", "admin")
+      .send({ mentor_ids: [2, 5] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.message).toBe(
+      "mentor_ids must contain admin or mentor user IDs"
+    );
+
+    User.count.mockResolvedValueOnce(2);
+    Student.findByPk.mockResolvedValue(
+      mockInstance({ id: 3, name: "Ann", status: "active" })
+    );
+    const res = await request(server)
+      .patch("/api/students/3")
+      .set("x-test-role", "admin")
+      .send({ mentor_ids: [2, 5, 2] });
+    expect(res.status).toBe(200);
+    expect(MentorAssignment.destroy).toHaveBeenCalledWith({
+      where: { student_id: 3 },
+      transaction: expect.anything(),
+    });
+    expect(MentorAssignment.bulkCreate).toHaveBeenCalledWith(
+      [
+        { user_id: 2, student_id: 3 },
+        { user_id: 5, student_id: 3 },
+      ],
+      expect.anything()
+    );
+  });
+
+  it("filters by custom fields and returns their values", async () => {
+    CustomField.findAll.mockResolvedValue([SCHOOL, SHIRT]);
+    CustomFieldValue.findAll.mockResolvedValueOnce([
+      { field_id: 2, student_id: 3, value: "M" },
+    ]);
+    const student = mockInstance({ id: 3, name: "Ann", status: "active" });
+    Student.findAll.mockResolvedValueOnce([student]);
+
+    const res = await request(server).get(
+      "/api/students?custom[school]=St%20Mary%27s&custom[shirt_size]=M"
+    );
+
+    expect(res.status).toBe(200);
+    const { where } = Student.findAll.mock.calls[0][0];
+    expect(where[Op.and]).toEqual([
+      {
+        id: {
+          [Op.in]: {
+            sql: "(SELECT student_id FROM custom_field_values WHERE field_id = 1 AND value LIKE '%St Mary's%')",
+          },
+        },
+      },
+      {
+        id: {
+          [Op.in]: {
+            sql: "(SELECT student_id FROM custom_field_values WHERE field_id = 2 AND value = 'M')",
+          },
+        },
+      },
+    ]);
+    expect(student.custom_fields).toEqual({ school: null, shirt_size: "M" });
+
+    const bad = await request(server).get(
+      "/api/students?custom[shirt_size]=XL"
+    );
+    expect(bad.status).toBe(400);
+    expect(bad.body.message).toBe("Invalid filter for Shirt Size");
+  });
+
+  it("requires required custom fields when adding a student", async () => {
+    CustomField.findAll.mockResolvedValue([SCHOOL, SHIRT]);
+    const res = await request(server)
+      .post("/api/students")
+      .send({ name: "Ann", custom_fields: { shirt_size: "S" } });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("School is required");
+    expect(Student.create).not.toHaveBeenCalled();
+
+    Student.create.mockResolvedValueOnce(mockInstance({ id: 7, name: "Ann" }));
+    const created = await request(server)
+      .post("/api/students")
+      .send({
+        name: "Ann",
+        custom_fields: { school: " Hillside ", shirt_size: "S" },
+      });
+    expect(created.status).toBe(200);
+    expect(CustomFieldValue.upsert).toHaveBeenCalledWith(
+      { field_id: 1, student_id: 7, value: "Hillside" },
+      expect.anything()
+    );
+    expect(CustomFieldValue.upsert).toHaveBeenCalledTimes(2);
+  });
+
+  it("only changes the custom fields sent when updating", async () => {
+    CustomField.findAll.mockResolvedValue([SCHOOL, SHIRT]);
+    const unknown = await request(server)
+      .patch("/api/students/3")
+      .send({ custom_fields: { favourite_colour: "blue" } });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toBe("Unknown custom field: favourite_colour");
+
+    const cleared = await request(server)
+      .patch("/api/students/3")
+      .send({ custom_fields: { school: "" } });
+    expect(cleared.status).toBe(400);
+
+    Student.findByPk.mockResolvedValue(
+      mockInstance({ id: 3, name: "Ann", status: "active" })
+    );
+    const res = await request(server)
+      .patch("/api/students/3")
+      .send({ custom_fields: { shirt_size: null } });
+    expect(res.status).toBe(200);
+    expect(CustomFieldValue.destroy).toHaveBeenCalledWith({
+      where: { field_id: 2, student_id: 3 },
+      transaction: expect.anything(),
+    });
+    expect(CustomFieldValue.upsert).not.toHaveBeenCalled();
+  });
+
+  it("exports the filtered list as CSV with custom field columns", async () => {
+    CustomField.findAll.mockResolvedValue([SCHOOL, SHIRT]);
+    CustomFieldValue.findAll.mockResolvedValueOnce([
+      { field_id: 1, student_id: 3, value: "Hillside, North" },
+    ]);
+    const student = mockInstance({
+      id: 3,
+      name: "Ann",
+      status: "active",
+      contact_number: "0712345678",
+      points: 12,
+      created_at: new Date("2026-01-05T10:00:00Z"),
+      Groups: [{ name: "Juniors" }],
+      Tags: [{ name: "New" }, { name: "Choir" }],
+      days_attended: 4,
+    });
+    student.get = function (key) {
+      return this[key];
+    };
+    Student.findAll.mockResolvedValueOnce([student]);
+
+    const res = await request(server).get(
+      "/api/students/export?status=all&sort=name&order=asc"
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(res.headers["content-disposition"]).toMatch(
+      /^attachment; filename="students-\d{4}-\d{2}-\d{2}\.csv"$/
+    );
+    const lines = res.text
+      .replace(/^\uFEFF/, "")
+      .trim()
+      .split("\n");
+    expect(lines[0]).toBe(
+      "ID,Name,Status,Contact Number,Address,Date of Birth,Points,Days Attended,Groups,Tags,Joined,School,Shirt Size"
+    );
+    expect(lines[1]).toBe(
+      '3,Ann,active,0712345678,,,12,4,Juniors,"New, Choir",2026-01-05,"Hillside, North",'
+    );
+    expect(Student.findAll.mock.calls[0][0].where).toEqual({});
+  });
+
+  it("keeps exported cells from running as formulas", async () => {
+    CustomField.findAll.mockResolvedValue([]);
+    const student = mockInstance({
+      id: 3,
+      name: '=HYPERLINK("http://example.com","Ann")',
+      status: "active",
+      contact_number: "+254712345678",
+      address: "@SUM(A1)",
+      points: -2,
+      created_at: new Date("2026-01-05T10:00:00Z"),
+      Groups: [],
+      Tags: [{ name: "-1" }],
+      days_attended: 0,
+    });
+    student.get = function (key) {
+      return this[key];
+    };
+    Student.findAll.mockResolvedValueOnce([student]);
+
+    const res = await request(server).get("/api/students/export");
+    const lines = res.text.trim().split("\n");
+    expect(lines[1]).toBe(
+      `3,"'=HYPERLINK(""http://example.com"",""Ann"")",active,'+254712345678,'@SUM(A1),,-2,0,,'-1,2026-01-05`
+    );
+  });
+
+  it("does not archive through PATCH", async () => {
+    const res = await request(server)
+      .patch("/api/students/3")
+      .send({ status: "archived" });
+    expect(res.status).toBe(400);
+    expect(Student.update).not.toHaveBeenCalled();
+  });
+
+  it("asks for a restore before changing an archived student's status", async () => {
+    Student.findByPk.mockResolvedValueOnce(
+      mockInstance({ id: 3, name: "Ann", status: "archived" })
+    );
+    const res = await request(server)
+      .patch("/api/students/3")
+      .send({ status: "graduated" });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      "Restore the student before changing their status"
+    );
+    expect(Student.update).not.toHaveBeenCalled();
+  });
+
+  it("archives instead of deleting and audits the change", async () => {
+    const res = await request(server).delete("/api/students/3");
+    expect(res.status).toBe(403);
+
+    const student = mockInstance({ id: 3, name: "Ann", status: "active" });
+    Student.findByPk.mockResolvedValueOnce(student);
+    const adminRes = await request(server)
+      .delete("/api/students/3")
+      .set("x-test-role", "admin");
+
+    expect(adminRes.status).toBe(200);
+    expect(adminRes.body.message).toBe("Student archived");
+    expect(student.update).toHaveBeenCalledWith({
+      status: "archived",
+      archived_at: expect.any(Date),
+    });
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ entity_type: "student", action: "update" })
+    );
+  });
+
+  it("restores an archived student", async () => {
+    const student = mockInstance({
+      id: 3,
+      name: "Ann",
+      status: "archived",
+      archived_at: new Date(),
+    });
+    Student.findByPk.mockResolvedValueOnce(student);
+    const res = await request(server)
+      .post("/api/students/3/restore")
+      .set("x-test-role", "admin");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("active");
+    expect(student.update).toHaveBeenCalledWith({
+      status: "active",
+      archived_at: null,
+    });
+
+    Student.findByPk.mockResolvedValueOnce(
+      mockInstance({ id: 4, name: "Ben", status: "active" })
+    );
+    const again = await request(server)
+      .post("/api/students/4/restore")
+      .set("x-test-role", "admin");
+    expect(again.status).toBe(400);
+  });
+
+  it("lists likely duplicates for admins only", async () => {
+    const res = await request(server).get("/api/students/duplicates");
+    expect(res.status).toBe(403);
+
+    findDuplicateCandidates.mockResolvedValueOnce([
+      {
+        students: [
+          { id: 1, name: "Ana Reyes" },
+          { id: 3, name: "ana reyes" },
+        ],
+        similarity: 1,
+        reasons: ["similar_name"],
+      },
+    ]);
+    const adminRes = await request(server)
+      .get("/api/students/duplicates")
+      .set("x-test-role", "admin");
+    expect(adminRes.status).toBe(200);
+    expect(adminRes.body[0].students[1].id).toBe(3);
+  });
+
+  it("checks the duplicate before merging", async () => {
+    const missing = await request(server)
+      .post("/api/students/1/merge")
+      .set("x-test-role", "admin")
+      .send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body.message).toBe("duplicate_id is required");
+
+    const itself = await request(server)
+      .post("/api/students/1/merge")
+      .set("x-test-role", "admin")
+      .send({ duplicate_id: 1 });
+    expect(itself.status).toBe(400);
+
+    mergeStudents.mockResolvedValueOnce(null);
+    const notFound = await request(server)
+      .post("/api/students/1/merge")
+      .set("x-test-role", "admin")
+      .send({ duplicate_id: 99 });
+    expect(notFound.status).toBe(404);
+    expect(mergeStudents).toHaveBeenCalledWith("1", 99);
+  });
+
+  it("merges a duplicate and records the merge in the kept student's history", async () => {
+    const moved = { goals: 2, points_log: 3, attendance: 5, login: false };
+    mergeStudents.mockResolvedValueOnce({
+      student: { id: 1, name: "Ana Reyes", points: 40 },
+      duplicate: { id: 3, name: "ana reyes", points: 15 },
+      moved,
+    });
+    const res = await request(server)
+      .post("/api/students/1/merge")
+      .set("x-test-role", "admin")
+      .send({ duplicate_id: 3 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      student: { id: 1, name: "Ana Reyes", points: 40 },
+      moved,
+    });
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entity_type: "student",
+        entity_id: 1,
+        action: "merge",
+        before: { id: 3, name: "ana reyes", points: 15 },
+        after: moved,
+      })
+    );
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ entity_id: 3, action: "delete" })
+    );
+  });
+
+  it("checks the look-ahead and timezone for upcoming birthdays", async () => {
+    const days = await request(server).get("/api/students/birthdays?days=400");
+    expect(days.status).toBe(400);
+    const tz = await request(server).get("/api/students/birthdays?tz=Nowhere");
+    expect(tz.status).toBe(400);
+    expect(tz.body.message).toBe("Invalid timezone");
+    expect(Student.findAll).not.toHaveBeenCalled();
+
+    Student.findAll.mockResolvedValueOnce([]);
+    const res = await request(server).get(
+      "/api/students/birthdays?days=7&tz=Africa/Nairobi&mine=true"
+    );
+    expect(res.status).toBe(200);
+    expect(Student.findAll.mock.calls[0][0].where[Op.and]).toEqual([
+      {
+        id: {
+          [Op.in]: {
+            sql: "(SELECT student_id FROM mentor_assignments WHERE user_id = 1)",
+          },
+        },
+      },
+    ]);
+  });
+
+  it("searches notes across the students a mentor can see", async () => {
+    const empty = await request(server).get("/api/students/notes?search=%20");
+    expect(empty.status).toBe(400);
+    expect(empty.body.message).toBe("Search text required");
+
+    const viewer = await request(server)
+      .get("/api/students/notes?search=house")
+      .set("x-test-role", "viewer");
+    expect(viewer.status).toBe(403);
+
+    Setting.findByPk.mockResolvedValue(null);
+    StudentNote.findAll.mockResolvedValueOnce([{ id: 5, body: "New house" }]);
+    const res = await request(server).get("/api/students/notes?search=house");
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ id: 5, body: "New house" }]);
+    const query = StudentNote.findAll.mock.calls[0][0];
+    expect(query.where[Op.and]).toEqual([
+      { [Op.or]: [{ visibility: "leaders" }, { author_id: 1 }] },
+      {
+        student_id: {
+          [Op.in]: {
+            sql: "(SELECT student_id FROM mentor_assignments WHERE user_id = 1)",
+          },
+        },
+      },
+      { body: { [Op.like]: "%house%" } },
+    ]);
+    expect(query.limit).toBe(50);
+  });
+
+  it("previews an import without creating anyone", async () => {
+    Student.findAll.mockResolvedValueOnce([
+      { id: 5, name: "Jane Doe", contact_number: null, status: "active" },
+    ]);
+    const res = await request(server)
+      .post("/api/students/import")
+      .attach(
+        "file",
+        Buffer.from("Name,Phone\nJane Doe,\nX,123\n"),
+        "intake.csv"
+      );
+
+    expect(res.status).toBe(200);
+    expect(res.body.dry_run).toBe(true);
+    expect(res.body.columns).toEqual(["Name", "Phone"]);
+    expect(res.body.mapping).toMatchObject({ name: 0, contact_number: 1 });
+    expect(res.body.rows[0].duplicate_of.id).toBe(5);
+    expect(res.body.rows[1].errors).toHaveLength(2);
+    expect(Student.create).not.toHaveBeenCalled();
+  });
+
+  it("asks for a mapping when no column looks like a name", async () => {
+    const res = await request(server)
+      .post("/api/students/import")
+      .attach("file", Buffer.from("Who,Phone\nJane Doe,\n"), "intake.csv");
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("A column must be mapped to name");
+    expect(res.body.columns).toEqual(["Who", "Phone"]);
+  });
+
+  it("imports nothing while rows have errors, then imports the fixed file", async () => {
+    Student.findAll.mockResolvedValue([]);
+    const bad = await request(server)
+      .post("/api/students/import")
+      .field("dry_run", "false")
+      .field("mapping", JSON.stringify({ name: 0 }))
+      .attach("file", Buffer.from("Who\nJane Doe\nX\n"), "intake.csv");
+    expect(bad.status).toBe(400);
+    expect(bad.body.summary.invalid).toBe(1);
+    expect(sequelize.transaction).not.toHaveBeenCalled();
+
+    sequelize.transaction.mockImplementation((work) => work({}));
+    Student.create.mockImplementation(async (values) => ({ id: 9, ...values }));
+    const res = await request(server)
+      .post("/api/students/import")
+      .field("dry_run", "false")
+      .field("mapping", JSON.stringify({ name: 0 }))
+      .attach("file", Buffer.from("Who\nJane Doe\nJohn Roe\n"), "intake.csv");
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ imported: 2, skipped: 0 });
+    expect(AuditLog.create).toHaveBeenCalledTimes(2);
+  });
+
+  it("only accepts CSV and XLSX files", async () => {
+    const res = await request(server)
+      .post("/api/students/import")
+      .attach("file", Buffer.from("Name\nJane\n"), "intake.txt");
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("A CSV or XLSX file is required");
+  });
+});
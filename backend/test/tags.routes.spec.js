@@ -0,0 +1,146 @@
+import request from "supertest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    Tag: {
+      findAll: vi.fn(),
+      findOne: vi.fn(),
+      findByPk: vi.fn(),
+      create: vi.fn(),
+    },
+    StudentTag: {
+      findAll: vi.fn(),
+      bulkCreate: vi.fn(),
+      destroy: vi.fn(),
+    },
+    Student: {
+      count: vi.fn(),
+    },
+    MentorAssignment: {
+      findAll: vi.fn(),
+    },
+    Setting: {
+      findByPk: vi.fn(),
+    },
+    AuditLog: {
+      create: vi.fn(),
+    },
+    sequelize: {
+      transaction: vi.fn(),
+      literal: vi.fn(),
+    },
+  };
+});
+
+import {
+  Tag,
+  StudentTag,
+  Student,
+  MentorAssignment,
+  Setting,
+  AuditLog,
+} from "../models.js";
+import tagRoutes from "../routes/tags.js";
+import { buildRouteApp, mockInstance } from "./helpers.js";
+
+const server = buildRouteApp({ "/api/tags": tagRoutes });
+
+describe("Tag routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    // Mentors see everyone unless a test restricts them
+    Setting.findByPk.mockResolvedValue({
+      key: "restrict_mentors",
+      value: "false",
+    });
+  });
+
+  it("checks the name and colour before creating a tag", async () => {
+    const blank = await request(server).post("/api/tags").send({ name: " " });
+    expect(blank.status).toBe(400);
+
+    const color = await request(server)
+      .post("/api/tags")
+      .send({ name: "New", color: "red" });
+    expect(color.status).toBe(400);
+    expect(color.body.message).toBe("Color must be #rrggbb");
+
+    Tag.findOne.mockResolvedValueOnce(mockInstance({ id: 2, name: "New" }));
+    const duplicate = await request(server)
+      .post("/api/tags")
+      .send({ name: "New" });
+    expect(duplicate.status).toBe(409);
+    expect(Tag.create).not.toHaveBeenCalled();
+
+    Tag.create.mockResolvedValueOnce(mockInstance({ id: 3, name: "New" }));
+    const res = await request(server)
+      .post("/api/tags")
+      .send({ name: " New ", color: "#22C55E" });
+    expect(res.status).toBe(201);
+    expect(Tag.create).toHaveBeenCalledWith({
+      name: "New",
+      color: "#22c55e",
+    });
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ entity_type: "tag", action: "create" })
+    );
+  });
+
+  it("tags the selected students that do not have the tag yet", async () => {
+    Tag.findByPk.mockResolvedValue(mockInstance({ id: 3, name: "New" }));
+    const empty = await request(server)
+      .post("/api/tags/3/students")
+      .send({ student_ids: [] });
+    expect(empty.status).toBe(400);
+    expect(empty.body.message).toBe("Select at least one student");
+
+    Student.count.mockResolvedValueOnce(3);
+    StudentTag.findAll.mockResolvedValueOnce([{ student_id: 5 }]);
+    const res = await request(server)
+      .post("/api/tags/3/students")
+      .send({ student_ids: [4, 5, 6, 4] });
+    expect(res.status).toBe(200);
+    expect(res.body.tagged).toBe(2);
+    expect(StudentTag.bulkCreate).toHaveBeenCalledWith([
+      { tag_id: 3, student_id: 4 },
+      { tag_id: 3, student_id: 6 },
+    ]);
+  });
+
+  it("untags students, but not a restricted mentor's unassigned ones", async () => {
+    Tag.findByPk.mockResolvedValue(mockInstance({ id: 3, name: "New" }));
+    Student.count.mockResolvedValue(2);
+    Setting.findByPk.mockResolvedValue(null);
+    MentorAssignment.findAll.mockResolvedValueOnce([{ student_id: 4 }]);
+    const restricted = await request(server)
+      .delete("/api/tags/3/students")
+      .send({ student_ids: [4, 5] });
+    expect(restricted.status).toBe(403);
+    expect(StudentTag.destroy).not.toHaveBeenCalled();
+
+    StudentTag.destroy.mockResolvedValueOnce(1);
+    const res = await request(server)
+      .delete("/api/tags/3/students")
+      .set("x-test-role", "admin")
+      .send({ student_ids: [4, 5] });
+    expect(res.status).toBe(200);
+    expect(res.body.untagged).toBe(1);
+    expect(StudentTag.destroy).toHaveBeenCalledWith({
+      where: { tag_id: 3, student_id: [4, 5] },
+    });
+  });
+
+  it("only lets admins delete a tag", async () => {
+    const res = await request(server).delete("/api/tags/3");
+    expect(res.status).toBe(403);
+
+    const tag = mockInstance({ id: 3, name: "New" });
+    Tag.findByPk.mockResolvedValueOnce(tag);
+    const adminRes = await request(server)
+      .delete("/api/tags/3")
+      .set("x-test-role", "admin");
+    expect(adminRes.status).toBe(200);
+    expect(tag.destroy).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUrl,
+  generateTotp,
+  verifyTotp,
+} from "../services/totp.js";
+
+// RFC 6238 appendix B test secret ("12345678901234567890")
+const SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TOTP helpers", () => {
+  it("round-trips base32", () => {
+    expect(SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(base32Decode(SECRET).toString()).toBe("12345678901234567890");
+  });
+
+  it("matches the RFC 6238 SHA-1 test vectors", () => {
+    expect(generateTotp(SECRET, Math.floor(59 / 30))).toBe("287082");
+    expect(generateTotp(SECRET, Math.floor(1111111109 / 30))).toBe("081804");
+    expect(generateTotp(SECRET, Math.floor(2000000000 / 30))).toBe("279037");
+  });
+
+  it("accepts codes from the neighbouring step and returns the matched step", () => {
+    const now = 1111111109 * 1000;
+    const previous = generateTotp(SECRET, Math.floor(1111111109 / 30) - 1);
+    expect(verifyTotp(SECRET, previous, { now })).toBe(
+      Math.floor(1111111109 / 30) - 1
+    );
+    expect(verifyTotp(SECRET, "000000", { now })).toBeNull();
+    expect(verifyTotp(SECRET, "abc", { now })).toBeNull();
+  });
+
+  it("builds an otpauth provisioning URI", () => {
+    const url = buildOtpauthUrl(SECRET, "leader");
+    expect(url).toMatch(/^otpauth:\/\/totp\/Gloire%20Road%20Map%3Aleader\?/);
+    expect(url).toContain(`secret=${SECRET}`);
+  });
+});
@@ -0,0 +1,221 @@
+import express from "express";
+import request from "supertest";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+import { describe, it, expect, beforeAll, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    User: {
+      findOne: vi.fn(),
+      findByPk: vi.fn(),
+      update: vi.fn(),
+    },
+    Invite: {},
+    PasswordReset: {},
+    RecoveryCode: {
+      update: vi.fn(),
+      destroy: vi.fn(),
+      bulkCreate: vi.fn(),
+      count: vi.fn(),
+    },
+    sequelize: {},
+  };
+});
+
+vi.mock("../services/sessions.js", () => {
+  return {
+    createSession: vi.fn(),
+    rotateSession: vi.fn(),
+    revokeSessionByToken: vi.fn(),
+    revokeAllSessions: vi.fn(),
+    sessionMetaFromRequest: vi.fn(),
+  };
+});
+
+vi.mock("../services/settings.js", () => {
+  return { getSetting: vi.fn() };
+});
+
+vi.mock("../services/loginSecurity.js", async (importOriginal) => {
+  return {
+    ...(await importOriginal()),
+    registerFailedLogin: vi.fn(),
+    clearFailedLogins: vi.fn(),
+    recordLoginAttempt: vi.fn(),
+  };
+});
+
+import { User, RecoveryCode } from "../models.js";
+import { createSession } from "../services/sessions.js";
+import { getSetting } from "../services/settings.js";
+import { hashToken } from "../services/tokens.js";
+import { generateTotp, generateTotpSecret } from "../services/totp.js";
+import authRoutes from "../routes/auth.js";
+
+let server;
+let passwordHash;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  const app = express();
+  app.use(express.json());
+  app.use("/api/auth", authRoutes);
+  server = app;
+  passwordHash = await bcrypt.hash("password123", 4);
+});
+
+const makeUser = (overrides = {}) => ({
+  id: 4,
+  user_name: "leader",
+  email: "leader@example.com",
+  role: "mentor",
+  is_active: true,
+  password_hash: passwordHash,
+  totp_enabled: false,
+  totp_secret: null,
+  update: vi.fn(async function (changes) {
+    Object.assign(this, changes);
+  }),
+  ...overrides,
+});
+
+describe("Two-factor authentication", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    createSession.mockResolvedValue({ token: "access", refreshToken: "r" });
+  });
+
+  it("returns a challenge instead of tokens for enrolled users", async () => {
+    User.findOne.mockResolvedValueOnce(makeUser({ totp_enabled: true }));
+
+    const res = await request(server)
+      .post("/api/auth/login")
+      .send({ userName: "leader", password: "password123" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.token).toBeUndefined();
+    expect(jwt.verify(res.body.challengeToken, "test-secret")).toMatchObject({
+      id: 4,
+      purpose: "2fa-verify",
+    });
+    expect(createSession).not.toHaveBeenCalled();
+  });
+
+  it("asks unenrolled users to set up 2FA when it is required", async () => {
+    User.findOne.mockResolvedValueOnce(makeUser());
+    getSetting.mockResolvedValueOnce(true);
+
+    const res = await request(server)
+      .post("/api/auth/login")
+      .send({ userName: "leader", password: "password123" });
+
+    expect(res.body.twoFactorSetupRequired).toBe(true);
+    expect(createSession).not.toHaveBeenCalled();
+  });
+
+  it("exchanges a challenge and a valid TOTP code for tokens", async () => {
+    const secret = generateTotpSecret();
+    User.findByPk.mockResolvedValueOnce(
+      makeUser({ totp_enabled: true, totp_secret: secret })
+    );
+    User.update.mockResolvedValueOnce([1]);
+    const challengeToken = jwt.sign(
+      { id: 4, purpose: "2fa-verify" },
+      "test-secret"
+    );
+
+    const res = await request(server)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken, code: generateTotp(secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ token: "access", refreshToken: "r" });
+  });
+
+  it("rejects a TOTP code that was already used", async () => {
+    const secret = generateTotpSecret();
+    User.findByPk.mockResolvedValueOnce(
+      makeUser({ totp_enabled: true, totp_secret: secret })
+    );
+    // The conditional update on totp_last_step matches no row
+    User.update.mockResolvedValueOnce([0]);
+    const challengeToken = jwt.sign(
+      { id: 4, purpose: "2fa-verify" },
+      "test-secret"
+    );
+
+    const res = await request(server)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken, code: generateTotp(secret) });
+
+    expect(res.status).toBe(401);
+    expect(createSession).not.toHaveBeenCalled();
+  });
+
+  it("accepts an unused recovery code once", async () => {
+    User.findByPk.mockResolvedValueOnce(
+      makeUser({ totp_enabled: true, totp_secret: generateTotpSecret() })
+    );
+    RecoveryCode.update.mockResolvedValueOnce([1]);
+    const challengeToken = jwt.sign(
+      { id: 4, purpose: "2fa-verify" },
+      "test-secret"
+    );
+
+    const res = await request(server)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken, code: "ABCDE-12345" });
+
+    expect(res.status).toBe(200);
+    expect(RecoveryCode.update.mock.calls[0][1].where).toMatchObject({
+      user_id: 4,
+      code_hash: hashToken("abcde12345"),
+      used_at: null,
+    });
+  });
+
+  it("does not accept a setup challenge for the verify step", async () => {
+    const challengeToken = jwt.sign(
+      { id: 4, purpose: "2fa-setup" },
+      "test-secret"
+    );
+
+    const res = await request(server)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken, code: "123456" });
+
+    expect(res.status).toBe(401);
+    expect(User.findByPk).not.toHaveBeenCalled();
+  });
+
+  it("enrolls with a setup challenge and starts a session", async () => {
+    const user = makeUser();
+    User.findByPk.mockResolvedValue(user);
+    User.update.mockResolvedValue([1]);
+    const challengeToken = jwt.sign(
+      { id: 4, purpose: "2fa-setup" },
+      "test-secret"
+    );
+
+    const setup = await request(server)
+      .post("/api/auth/2fa/setup")
+      .send({ challengeToken });
+    expect(setup.status).toBe(200);
+    expect(setup.body.otpauthUrl).toContain(setup.body.secret);
+
+    const res = await request(server)
+      .post("/api/auth/2fa/enable")
+      .send({ challengeToken, code: generateTotp(setup.body.secret) });
+
+    expect(res.status).toBe(200);
+    expect(user.totp_enabled).toBe(true);
+    expect(res.body.recoveryCodes).toHaveLength(10);
+    expect(res.body.token).toBe("access");
+    const stored = RecoveryCode.bulkCreate.mock.calls[0][0];
+    expect(stored[0].code_hash).toBe(
+      hashToken(res.body.recoveryCodes[0].replace("-", ""))
+    );
+  });
+});
@@ -0,0 +1,195 @@
+import express from "express";
+import request from "supertest";
+import { describe, it, expect, beforeAll, beforeEach, vi } from "vitest";
+
+vi.mock("../models.js", () => {
+  return {
+    User: {
+      findAll: vi.fn(),
+      findOne: vi.fn(),
+      findByPk: vi.fn(),
+      count: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+      destroy: vi.fn(),
+    },
+    LoginAttempt: {
+      findAndCountAll: vi.fn(),
+    },
+    Invite: {
+      findAll: vi.fn(),
+      create: vi.fn(),
+      destroy: vi.fn(),
+    },
+    AuditLog: {
+      create: vi.fn(),
+    },
+    Student: {
+      findByPk: vi.fn(),
+    },
+  };
+});
+
+vi.mock("../services/sessions.js", () => {
+  return {
+    listActiveSessions: vi.fn(),
+    revokeSession: vi.fn(),
+    revokeAllSessions: vi.fn(),
+  };
+});
+
+import { User, Invite, LoginAttempt, AuditLog, Student } from "../models.js";
+import { revokeAllSessions, revokeSession } from "../services/sessions.js";
+import { hashToken } from "../services/tokens.js";
+import userRoutes from "../routes/users.js";
+
+let server;
+
+beforeAll(() => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 1, role: "admin" };
+    next();
+  });
+  app.use("/api/users", userRoutes);
+  server = app;
+});
+
+describe("User management routes", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("creates an invite and stores only the token hash", async () => {
+    User.findOne.mockResolvedValueOnce(null);
+    Invite.create.mockImplementationOnce(async (data) => ({ id: 7, ...data }));
+
+    const res = await request(server)
+      .post("/api/users/invites")
+      .send({ email: "new@example.com", role: "mentor" });
+
+    expect(res.status).toBe(201);
+    expect(res.body.token).toMatch(/^[0-9a-f]{64}$/);
+    expect(res.body.invite_url).toContain(res.body.token);
+    const stored = Invite.create.mock.calls[0][0];
+    expect(stored.token_hash).toBe(hashToken(res.body.token));
+    expect(stored.token_hash).not.toBe(res.body.token);
+    expect(stored.invited_by).toBe(1);
+    expect(new Date(stored.expires_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("rejects invites with an unknown role", async () => {
+    const res = await request(server)
+      .post("/api/users/invites")
+      .send({ email: "new@example.com", role: "owner" });
+    expect(res.status).toBe(400);
+    expect(Invite.create).not.toHaveBeenCalled();
+  });
+
+  it("requires an unlinked student for student invites", async () => {
+    const missing = await request(server)
+      .post("/api/users/invites")
+      .send({ email: "kid@example.com", role: "student" });
+    expect(missing.status).toBe(400);
+
+    Student.findByPk.mockResolvedValueOnce({ id: 5 });
+    User.findOne.mockResolvedValueOnce({ id: 9, student_id: 5 });
+    const linked = await request(server)
+      .post("/api/users/invites")
+      .send({ email: "kid@example.com", role: "student", student_id: 5 });
+    expect(linked.status).toBe(400);
+    expect(linked.body.message).toMatch(/already has a login/);
+    expect(Invite.create).not.toHaveBeenCalled();
+  });
+
+  it("does not turn a student login into staff", async () => {
+    User.findByPk.mockResolvedValueOnce({
+      id: 9,
+      role: "student",
+      student_id: 5,
+      is_active: true,
+    });
+    const res = await request(server)
+      .patch("/api/users/9")
+      .send({ role: "mentor" });
+    expect(res.status).toBe(400);
+    expect(User.update).not.toHaveBeenCalled();
+  });
+
+  it("refuses to disable the last active admin", async () => {
+    User.findByPk.mockResolvedValueOnce({
+      id: 2,
+      role: "admin",
+      is_active: true,
+    });
+    User.count.mockResolvedValueOnce(0);
+
+    const res = await request(server)
+      .patch("/api/users/2")
+      .send({ is_active: false });
+
+    expect(res.status).toBe(400);
+    expect(User.update).not.toHaveBeenCalled();
+  });
+
+  it("disables a mentor account", async () => {
+    User.findByPk
+      .mockResolvedValueOnce({ id: 3, role: "mentor", is_active: true })
+      .mockResolvedValueOnce({ id: 3, role: "mentor", is_active: false });
+    User.update.mockResolvedValueOnce([1]);
+
+    const res = await request(server)
+      .patch("/api/users/3")
+      .send({ is_active: false });
+
+    expect(res.status).toBe(200);
+    expect(User.update).toHaveBeenCalledWith(
+      { is_active: false },
+      { where: { id: 3 } }
+    );
+    expect(revokeAllSessions).toHaveBeenCalledWith(3);
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user_id: 1,
+        entity_type: "user",
+        entity_id: 3,
+        action: "update",
+        before: { is_active: true },
+        after: { is_active: false },
+      })
+    );
+  });
+
+  it("returns 404 when revoking an unknown session", async () => {
+    revokeSession.mockResolvedValueOnce(false);
+    const res = await request(server).delete("/api/users/3/sessions/99");
+    expect(res.status).toBe(404);
+    expect(revokeSession).toHaveBeenCalledWith("99", 3);
+  });
+
+  it("does not let admins delete themselves", async () => {
+    User.findByPk.mockResolvedValueOnce({
+      id: 1,
+      role: "admin",
+      is_active: true,
+    });
+    const res = await request(server).delete("/api/users/1");
+    expect(res.status).toBe(400);
+    expect(User.destroy).not.toHaveBeenCalled();
+  });
+
+  it("lists failed login attempts with a capped page size", async () => {
+    LoginAttempt.findAndCountAll.mockResolvedValueOnce({ count: 0, rows: [] });
+
+    const res = await request(server).get(
+      "/api/users/login-activity?success=false&limit=5000"
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ total: 0, attempts: [] });
+    const options = LoginAttempt.findAndCountAll.mock.calls[0][0];
+    expect(options.where).toEqual({ success: false });
+    expect(options.limit).toBe(200);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Date helpers
+ * @description Timezone-aware calendar dates shared by services. "Today" is the calendar
+ * date in an IANA timezone, so a day starts at local midnight rather than server (UTC)
+ * midnight.
+ * @author Gloire Road Map Team
+ * @version 1.0.0
+ */
+
+/**
+ * Timezone used when the client does not send one
+ * @type {string}
+ * @default "UTC"
+ */
+export const DEFAULT_TIME_ZONE = process.env.APP_TIMEZONE || "UTC";
+
+/**
+ * Whether a timezone name is known to the runtime
+ * @function isValidTimeZone
+ * @param {string} timeZone - IANA timezone, e.g. "Africa/Nairobi"
+ * @returns {boolean} True if dates can be formatted in this timezone
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Calendar date of a moment in a timezone
+ * @function localDate
+ * @param {string} timeZone - Valid IANA timezone
+ * @param {Date} [now=new Date()] - Moment to convert
+ * @returns {{year: number, month: number, day: number}} Local date (month 1-12)
+ */
+export function localDate(timeZone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+  }).formatToParts(now);
+  const value = (type) =>
+    Number(parts.find((part) => part.type === type).value);
+  return { year: value("year"), month: value("month"), day: value("day") };
+}
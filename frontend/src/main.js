@@ -26,6 +26,10 @@ app.use(router);
 // register primevue components globally
 registerPrime(app);
 
+// Refresh expired access tokens transparently before any request is made
+import { setupAuthInterceptor } from "./utils/axiosConfig";
+setupAuthInterceptor(router);
+
 // Validate saved token on app startup (call /me) so UI stays in sync after refresh
 import { useAuthStore } from "./store/auth";
 const authStore = useAuthStore(pinia);
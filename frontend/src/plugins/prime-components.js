@@ -1,5 +1,6 @@
 import Card from "primevue/card";
 import InputText from "primevue/inputtext";
+import InputNumber from "primevue/inputnumber";
 import Textarea from "primevue/textarea";
 import DatePicker from "primevue/datepicker";
 import Dropdown from "primevue/select";
@@ -13,9 +14,21 @@ import Column from "primevue/column";
 import Tooltip from "primevue/tooltip";
 import Tag from "primevue/tag";
 import ProgressSpinner from "primevue/progressspinner";
+import ProgressBar from "primevue/progressbar";
 import { Form } from "@primevue/forms";
 import Menubar from "primevue/menubar";
+import Menu from "primevue/menu";
+import ToggleSwitch from "primevue/toggleswitch";
+import Checkbox from "primevue/checkbox";
+import MultiSelect from "primevue/multiselect";
+import IconField from "primevue/iconfield";
+import InputIcon from "primevue/inputicon";
 import ConfirmDialog from "primevue/confirmdialog";
+import Tabs from "primevue/tabs";
+import TabList from "primevue/tablist";
+import Tab from "primevue/tab";
+import TabPanels from "primevue/tabpanels";
+import TabPanel from "primevue/tabpanel";
 
 import ToastService from "primevue/toastservice";
 import ConfirmationService from "primevue/confirmationservice";
@@ -24,6 +37,7 @@ export default function registerPrime(app) {
   // Components
   app.component("Card", Card);
   app.component("InputText", InputText);
+  app.component("InputNumber", InputNumber);
   app.component("Password", Password);
   app.component("Textarea", Textarea);
   app.component("DatePicker", DatePicker);
@@ -36,9 +50,21 @@ export default function registerPrime(app) {
   app.component("Column", Column);
   app.component("Tag", Tag);
   app.component("ProgressSpinner", ProgressSpinner);
+  app.component("ProgressBar", ProgressBar);
   app.component("Form", Form);
   app.component("Menubar", Menubar);
+  app.component("Menu", Menu);
+  app.component("ToggleSwitch", ToggleSwitch);
+  app.component("Checkbox", Checkbox);
+  app.component("MultiSelect", MultiSelect);
+  app.component("IconField", IconField);
+  app.component("InputIcon", InputIcon);
   app.component("ConfirmDialog", ConfirmDialog);
+  app.component("Tabs", Tabs);
+  app.component("TabList", TabList);
+  app.component("Tab", Tab);
+  app.component("TabPanels", TabPanels);
+  app.component("TabPanel", TabPanel);
 
   // Directives and services
   app.directive("tooltip", Tooltip);
@@ -1,17 +1,39 @@
 import { createRouter, createWebHistory } from "vue-router";
 import { useAuthStore } from "./store/auth";
+import { ROLES, EDITOR_ROLES, STAFF_ROLES } from "./utils/roles";
 
 // Layouts
 const AuthLayout = () => import("./layouts/AuthLayout.vue");
 const MainLayout = () => import("./layouts/MainLayout.vue");
+const StudentLayout = () => import("./layouts/StudentLayout.vue");
 
 // Views
 const LoginView = () => import("./views/LoginView.vue");
+const AcceptInviteView = () => import("./views/AcceptInviteView.vue");
+const ForgotPasswordView = () => import("./views/ForgotPasswordView.vue");
+const ResetPasswordView = () => import("./views/ResetPasswordView.vue");
+const OidcCallbackView = () => import("./views/OidcCallbackView.vue");
 const DashboardView = () => import("./views/DashboardView.vue");
 const StudentListView = () => import("./views/MemberListView.vue");
+const StudentProfileView = () => import("./views/StudentProfileView.vue");
+const CustomFieldsView = () => import("./views/CustomFieldsView.vue");
+const DuplicatesView = () => import("./views/DuplicatesView.vue");
+const NotesSearchView = () => import("./views/NotesSearchView.vue");
+const GroupsView = () => import("./views/GroupsView.vue");
+const TagsView = () => import("./views/TagsView.vue");
 const GoalListView = () => import("./views/GoalListView.vue");
+const GoalTemplatesView = () => import("./views/GoalTemplatesView.vue");
+const GoalCategoriesView = () => import("./views/GoalCategoriesView.vue");
 const AnalyticsView = () => import("./views/AnalyticsView.vue");
 const AttendanceView = () => import("./views/AttendanceView.vue");
+const UsersView = () => import("./views/UsersView.vue");
+const LoginActivityView = () => import("./views/LoginActivityView.vue");
+const ApiKeysView = () => import("./views/ApiKeysView.vue");
+const ChangePasswordView = () => import("./views/ChangePasswordView.vue");
+const AccountSecurityView = () => import("./views/AccountSecurityView.vue");
+const PortalHomeView = () => import("./views/portal/PortalHomeView.vue");
+const PortalAttendanceView = () =>
+  import("./views/portal/PortalAttendanceView.vue");
 
 const routes = [
   // Auth routes with AuthLayout
@@ -24,15 +46,35 @@ const routes = [
         name: "Login",
         component: LoginView,
       },
-      // Add more auth routes here (register, forgot-password, etc.)
+      {
+        path: "accept-invite",
+        name: "AcceptInvite",
+        component: AcceptInviteView,
+      },
+      {
+        path: "forgot-password",
+        name: "ForgotPassword",
+        component: ForgotPasswordView,
+      },
+      {
+        path: "reset-password",
+        name: "ResetPassword",
+        component: ResetPasswordView,
+      },
+      {
+        path: "oidc/callback",
+        name: "OidcCallback",
+        component: OidcCallbackView,
+      },
+      // Add more auth routes here (register, etc.)
     ],
   },
 
-  // Main app routes with MainLayout
+  // Main app routes with MainLayout (staff only)
   {
     path: "/",
     component: MainLayout,
-    meta: { requiresAuth: true },
+    meta: { requiresAuth: true, roles: STAFF_ROLES },
     children: [
       {
         path: "",
@@ -48,21 +90,123 @@ const routes = [
         name: "Members",
         component: StudentListView,
       },
+      {
+        path: "members/:id(\\d+)",
+        name: "StudentProfile",
+        component: StudentProfileView,
+      },
+      {
+        path: "members/custom-fields",
+        name: "CustomFields",
+        component: CustomFieldsView,
+        meta: { roles: [ROLES.ADMIN] },
+      },
+      {
+        path: "members/duplicates",
+        name: "Duplicates",
+        component: DuplicatesView,
+        meta: { roles: [ROLES.ADMIN] },
+      },
+      {
+        path: "members/tags",
+        name: "Tags",
+        component: TagsView,
+      },
+      {
+        path: "members/notes",
+        name: "NotesSearch",
+        component: NotesSearchView,
+        meta: { roles: EDITOR_ROLES },
+      },
+      {
+        path: "groups",
+        name: "Groups",
+        component: GroupsView,
+      },
       {
         path: "goals",
         name: "Goals",
         component: GoalListView,
       },
+      {
+        path: "goals/templates",
+        name: "GoalTemplates",
+        component: GoalTemplatesView,
+      },
+      {
+        path: "goals/categories",
+        name: "GoalCategories",
+        component: GoalCategoriesView,
+        meta: { roles: [ROLES.ADMIN] },
+      },
       {
         path: "analytics",
         name: "Analytics",
         component: AnalyticsView,
+        meta: { roles: EDITOR_ROLES },
       },
       {
         path: "attendance",
         name: "Attendance",
         component: AttendanceView,
       },
+      {
+        path: "users",
+        name: "Users",
+        component: UsersView,
+        meta: { roles: [ROLES.ADMIN] },
+      },
+      {
+        path: "users/login-activity",
+        name: "LoginActivity",
+        component: LoginActivityView,
+        meta: { roles: [ROLES.ADMIN] },
+      },
+      {
+        path: "users/api-keys",
+        name: "ApiKeys",
+        component: ApiKeysView,
+        meta: { roles: [ROLES.ADMIN] },
+      },
+      {
+        path: "account/password",
+        name: "ChangePassword",
+        component: ChangePasswordView,
+      },
+      {
+        path: "account/security",
+        name: "AccountSecurity",
+        component: AccountSecurityView,
+      },
+    ],
+  },
+
+  // Student portal routes with StudentLayout
+  {
+    path: "/portal",
+    component: StudentLayout,
+    meta: { requiresAuth: true, roles: [ROLES.STUDENT] },
+    children: [
+      {
+        path: "",
+        name: "PortalHome",
+        component: PortalHomeView,
+      },
+      {
+        path: "attendance",
+        name: "PortalAttendance",
+        component: PortalAttendanceView,
+      },
+      {
+        path: "account/password",
+        name: "PortalChangePassword",
+        component: ChangePasswordView,
+      },
+      {
+        path: "account/security",
+        name: "PortalAccountSecurity",
+        component: AccountSecurityView,
+      },
     ],
   },
 
@@ -75,7 +219,7 @@ const router = createRouter({
   routes,
 });
 
-// Navigation guard for authentication
+// Navigation guard for authentication and role-restricted pages
 router.beforeEach(async (to, from, next) => {
   const authStore = useAuthStore();
   const requiresAuth = to.matched.some((record) => record.meta.requiresAuth);
@@ -85,10 +229,18 @@ router.beforeEach(async (to, from, next) => {
     await authStore.fetchMe();
   }
 
+  // Every matched record with roles must allow the user (layout and page). Checked
+  // after /me so a reload or deep link is judged on the loaded role.
+  const isAllowed = to.matched.every(
+    (record) => !record.meta.roles || authStore.hasRole(record.meta.roles)
+  );
+
   if (requiresAuth && !authStore.isAuthenticated) {
     next("/auth/login");
+  } else if (requiresAuth && !isAllowed) {
+    next(authStore.homePath);
   } else if (to.path === "/auth/login" && authStore.isAuthenticated) {
-    next("/");
+    next(authStore.homePath);
   } else {
     next();
   }
@@ -1,34 +1,167 @@
 import { defineStore } from "pinia";
 import axios from "axios";
 import { authHeader } from "../utils/authHeader";
+import { ROLES, EDITOR_ROLES } from "../utils/roles";
+
+// sessionStorage key holding the state of a single sign-on login in progress
+const OIDC_STATE_KEY = "oidcState";
 
 export const useAuthStore = defineStore("auth", {
   state: () => ({
     token: localStorage.getItem("token") || "",
+    refreshToken: localStorage.getItem("refreshToken") || "",
     user: null,
   }),
   getters: {
     isAuthenticated: (state) => !!state.token,
+    role: (state) => state.user?.role || null,
+    hasRole: (state) => (roles) => roles.includes(state.user?.role),
+    isAdmin: (state) => state.user?.role === ROLES.ADMIN,
+    canEdit: (state) => EDITOR_ROLES.includes(state.user?.role),
+    isStudent: (state) => state.user?.role === ROLES.STUDENT,
+    // Student logins live in the portal, everyone else in the main app
+    homePath: (state) =>
+      state.user?.role === ROLES.STUDENT ? "/portal" : "/dashboard",
   },
   actions: {
-    async login(userName, password) {
+    setTokens({ token, refreshToken }) {
+      this.token = token;
+      this.refreshToken = refreshToken || "";
+      localStorage.setItem("token", this.token);
+      localStorage.setItem("refreshToken", this.refreshToken);
+    },
+    clearSession() {
+      this.token = "";
+      this.refreshToken = "";
+      this.user = null;
       localStorage.removeItem("token");
+      localStorage.removeItem("refreshToken");
+    },
+    async login(userName, password) {
+      this.clearSession();
       try {
         const res = await axios.post("/api/auth/login", { userName, password });
-        this.token = res.data.token;
-        localStorage.setItem("token", this.token);
-        await this.fetchMe();
+        // Two-factor accounts get a challenge instead of tokens
+        if (res.data.twoFactorRequired || res.data.twoFactorSetupRequired) {
+          return {
+            success: false,
+            challenge: res.data.twoFactorRequired ? "verify" : "setup",
+            challengeToken: res.data.challengeToken,
+          };
+        }
+        await this.startSession(res.data);
         return { success: true };
       } catch (err) {
         // normalize error message for UI
         const message =
           err.response?.data?.message || err.message || "Login failed";
         // ensure token cleared on failure
-        this.token = "";
-        localStorage.removeItem("token");
+        this.clearSession();
+        return { success: false, message };
+      }
+    },
+    /**
+     * Store tokens from login, 2FA verification or enrollment and load the user
+     * @param {{token: string, refreshToken: string}} tokens
+     */
+    async startSession(tokens) {
+      this.setTokens(tokens);
+      await this.fetchMe();
+    },
+    /**
+     * Complete a two-factor login with a TOTP or recovery code
+     * @param {string} challengeToken - Challenge token from login
+     * @param {string} code - Code entered by the user
+     * @returns {Promise<{success: boolean, message?: string}>}
+     */
+    async verifyTwoFactor(challengeToken, code) {
+      try {
+        const res = await axios.post("/api/auth/2fa/verify", {
+          challengeToken,
+          code,
+        });
+        await this.startSession(res.data);
+        return { success: true };
+      } catch (err) {
+        const message =
+          err.response?.data?.message || err.message || "Verification failed";
+        return { success: false, message };
+      }
+    },
+    /**
+     * Send the browser to the identity provider to sign in
+     * @returns {Promise<{success: boolean, message?: string}>} Only resolves on failure
+     */
+    async startOidcLogin() {
+      try {
+        const res = await axios.post("/api/auth/oidc/start");
+        // Checked on the callback so a sign-in started elsewhere cannot be completed here
+        sessionStorage.setItem(OIDC_STATE_KEY, res.data.state);
+        window.location.assign(res.data.authorization_url);
+        return { success: true };
+      } catch (err) {
+        const message =
+          err.response?.data?.message ||
+          err.message ||
+          "Could not start single sign-on";
+        return { success: false, message };
+      }
+    },
+    /**
+     * Finish a single sign-on login from the provider callback
+     * @param {string} code - Authorization code from the callback URL
+     * @param {string} state - State from the callback URL
+     * @returns {Promise<{success: boolean, message?: string, challenge?: string, challengeToken?: string}>}
+     */
+    async completeOidcLogin(code, state) {
+      const expectedState = sessionStorage.getItem(OIDC_STATE_KEY);
+      sessionStorage.removeItem(OIDC_STATE_KEY);
+      if (!state || state !== expectedState) {
+        return {
+          success: false,
+          message: "This sign-in was not started here. Please try again.",
+        };
+      }
+      this.clearSession();
+      try {
+        const res = await axios.post("/api/auth/oidc/callback", {
+          code,
+          state,
+        });
+        // The same two-factor challenge as password login
+        if (res.data.twoFactorRequired || res.data.twoFactorSetupRequired) {
+          return {
+            success: false,
+            challenge: res.data.twoFactorRequired ? "verify" : "setup",
+            challengeToken: res.data.challengeToken,
+          };
+        }
+        await this.startSession(res.data);
+        return { success: true };
+      } catch (err) {
+        const message =
+          err.response?.data?.message || err.message || "Single sign-on failed";
+        this.clearSession();
         return { success: false, message };
       }
     },
+    /**
+     * Exchange the refresh token for a new access token.
+     * The server rotates the refresh token, so both are replaced.
+     * @returns {Promise<boolean>} true when new tokens were stored
+     */
+    async refresh() {
+      if (!this.refreshToken) return false;
+      try {
+        const res = await axios.post("/api/auth/refresh", {
+          refreshToken: this.refreshToken,
+        });
+        this.setTokens(res.data);
+        return true;
+      } catch {
+        return false;
+      }
+    },
     async fetchMe() {
       if (!this.token) return;
       try {
@@ -38,19 +171,20 @@ export const useAuthStore = defineStore("auth", {
         this.user = res.data;
         return { success: true, user: this.user };
       } catch (err) {
-        // token might be invalid/expired
-        this.user = null;
-        this.token = "";
-        localStorage.removeItem("token");
+        // token might be invalid/expired and could not be refreshed
+        this.clearSession();
         const message =
           err.response?.data?.message || err.message || "Failed to fetch user";
         return { success: false, message };
       }
     },
-    logout() {
-      this.token = "";
-      this.user = null;
-      localStorage.removeItem("token");
+    async logout() {
+      const refreshToken = this.refreshToken;
+      this.clearSession();
+      if (refreshToken) {
+        // revoke the session server-side; ignore failures so logout always succeeds locally
+        await axios.post("/api/auth/logout", { refreshToken }).catch(() => {});
+      }
     },
   },
 });
@@ -1,9 +1,22 @@
 /**
  * @fileoverview Axios configuration and interceptors
- * @description Global axios configuration with error handling for rate limiting and other HTTP errors
+ * @description Global axios configuration with error handling for rate limiting, other HTTP errors
+ * and transparent access token refresh
  */
 
 import axios from "axios";
+import { useAuthStore } from "../store/auth";
+
+// Auth endpoints that must never trigger a refresh-and-retry
+const AUTH_ENDPOINTS = [
+  "/api/auth/login",
+  "/api/auth/refresh",
+  "/api/auth/logout",
+  "/api/auth/oidc/",
+];
+
+// Shared in-flight refresh so concurrent 401/403 responses rotate the refresh token only once
+let refreshPromise = null;
 
 /**
  * Setup axios interceptors for global error handling
@@ -34,3 +47,49 @@ export function setupAxiosInterceptors(toast) {
     }
   );
 }
+
+/**
+ * Setup axios interceptor for transparent token refresh
+ * @description When a request fails with 401/403, exchanges the refresh token for a new access
+ * token and retries the request once. If the refresh fails the session is cleared and the user
+ * is sent to the login page.
+ * @param {Object} router - Vue Router instance used to redirect to login
+ * @returns {number} Interceptor id (for axios.interceptors.response.eject)
+ */
+export function setupAuthInterceptor(router) {
+  return axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+      const auth = useAuthStore();
+
+      const shouldRefresh =
+        config &&
+        !config._retried &&
+        [401, 403].includes(response?.status) &&
+        !AUTH_ENDPOINTS.some((url) => config.url?.startsWith(url)) &&
+        !!auth.refreshToken;
+      if (!shouldRefresh) return Promise.reject(error);
+
+      config._retried = true;
+      if (!refreshPromise) {
+        refreshPromise = auth.refresh().finally(() => {
+          refreshPromise = null;
+        });
+      }
+      const refreshed = await refreshPromise;
+
+      if (!refreshed) {
+        auth.clearSession();
+        const current = router.currentRoute.value;
+        if (current.matched.some((record) => record.meta.requiresAuth)) {
+          router.push("/auth/login");
+        }
+        return Promise.reject(error);
+      }
+
+      config.headers.Authorization = `Bearer ${auth.token}`;
+      return axios(config);
+    }
+  );
+}
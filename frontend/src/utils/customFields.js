@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Custom student fields
+ * @description Field types (mirroring backend/services/customFields.js) and helpers to move
+ * values between the API, the form inputs and the member list
+ */
+
+export const CUSTOM_FIELD_TYPES = {
+  TEXT: "text",
+  NUMBER: "number",
+  DATE: "date",
+  SELECT: "select",
+  BOOLEAN: "boolean",
+};
+
+/**
+ * Types an admin can pick for a new field
+ * @type {Array<{label: string, value: string}>}
+ */
+export const CUSTOM_FIELD_TYPE_OPTIONS = [
+  { label: "Text", value: CUSTOM_FIELD_TYPES.TEXT },
+  { label: "Number", value: CUSTOM_FIELD_TYPES.NUMBER },
+  { label: "Date", value: CUSTOM_FIELD_TYPES.DATE },
+  { label: "List of options", value: CUSTOM_FIELD_TYPES.SELECT },
+  { label: "Yes/No", value: CUSTOM_FIELD_TYPES.BOOLEAN },
+];
+
+/**
+ * Turn a label into a suggested key, e.g. "T-shirt size" -> "t_shirt_size"
+ * @param {string} label - Field label
+ * @returns {string} snake_case key
+ */
+export function keyFromLabel(label) {
+  return (label || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^[^a-z]+|_+$/g, "")
+    .slice(0, 50);
+}
+
+/**
+ * Convert a value from the API into what the field's input expects
+ * @param {Object} field - Custom field definition
+ * @param {*} value - Value from student.custom_fields
+ * @returns {*} Input value (a Date for date fields)
+ */
+export function toInputValue(field, value) {
+  if (value === null || value === undefined) {
+    return field.type === CUSTOM_FIELD_TYPES.BOOLEAN ? false : null;
+  }
+  if (field.type === CUSTOM_FIELD_TYPES.DATE) {
+    const [year, month, day] = value.split("-").map(Number);
+    return new Date(year, month - 1, day);
+  }
+  return value;
+}
+
+/**
+ * Convert an input value into what the API expects
+ * @param {Object} field - Custom field definition
+ * @param {*} value - Input value
+ * @returns {*} API value, or null when empty
+ */
+export function toApiValue(field, value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (field.type === CUSTOM_FIELD_TYPES.DATE && value instanceof Date) {
+    // Local date parts, so the day does not shift with the time zone
+    const pad = (part) => String(part).padStart(2, "0");
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+      value.getDate()
+    )}`;
+  }
+  if (field.type === CUSTOM_FIELD_TYPES.TEXT) return value.trim() || null;
+  return value;
+}
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Goal categories
+ * @description Icon choices for goal categories and the data behind the category charts
+ */
+
+import { DEFAULT_TAG_COLOR } from "./tags";
+
+// Label of goals without a category, as in the analytics overview
+export const UNCATEGORISED = "Uncategorised";
+
+/**
+ * PrimeIcons offered when creating or editing a category
+ * @type {Array<{label: string, value: string}>}
+ */
+export const CATEGORY_ICONS = [
+  { label: "Book", value: "pi-book" },
+  { label: "Heart", value: "pi-heart" },
+  { label: "Star", value: "pi-star" },
+  { label: "Users", value: "pi-users" },
+  { label: "Briefcase", value: "pi-briefcase" },
+  { label: "Graduation cap", value: "pi-graduation-cap" },
+  { label: "Sun", value: "pi-sun" },
+  { label: "Globe", value: "pi-globe" },
+  { label: "Flag", value: "pi-flag" },
+  { label: "Trophy", value: "pi-trophy" },
+];
+
+/**
+ * Turn GET /api/analytics/completions?breakdown=category rows into a stacked chart
+ * @param {Array<Object>} rows - { label, category_id, category, color, completions }
+ * @returns {{labels: Array<string>, datasets: Array<Object>}} One dataset per category, with
+ * a count for every period (0 where the category had no completions)
+ */
+export function categoryCompletionsChart(rows = []) {
+  const labels = [...new Set(rows.map((row) => row.label))];
+  const datasets = new Map();
+  for (const row of rows) {
+    const key = row.category_id ?? "none";
+    if (!datasets.has(key)) {
+      datasets.set(key, {
+        label: row.category || UNCATEGORISED,
+        backgroundColor: row.color || DEFAULT_TAG_COLOR,
+        data: labels.map(() => 0),
+      });
+    }
+    datasets.get(key).data[labels.indexOf(row.label)] += Number(
+      row.completions
+    );
+  }
+  return { labels, datasets: [...datasets.values()] };
+}
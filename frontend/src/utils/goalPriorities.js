@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Goal priorities
+ * @description Mirrors backend/config/goalPriorities.js with the labels the goal screens use
+ */
+
+export const GOAL_PRIORITIES = {
+  LOW: "low",
+  NORMAL: "normal",
+  HIGH: "high",
+};
+
+/**
+ * Choices in the goal form and the goal list filter, most urgent first
+ * @type {Array<{label: string, value: string}>}
+ */
+export const PRIORITY_OPTIONS = [
+  { label: "High", value: GOAL_PRIORITIES.HIGH },
+  { label: "Normal", value: GOAL_PRIORITIES.NORMAL },
+  { label: "Low", value: GOAL_PRIORITIES.LOW },
+];
+
+/**
+ * PrimeVue Tag severity shown for each priority
+ * @type {Object<string, string>}
+ */
+export const PRIORITY_SEVERITIES = {
+  [GOAL_PRIORITIES.HIGH]: "danger",
+  [GOAL_PRIORITIES.NORMAL]: "secondary",
+  [GOAL_PRIORITIES.LOW]: "info",
+};
+
+/**
+ * Label of a priority
+ * @param {string} priority - Priority value
+ * @returns {string} Label such as "High", or the value itself when unknown
+ */
+export function priorityLabel(priority) {
+  return (
+    PRIORITY_OPTIONS.find((option) => option.value === priority)?.label ||
+    priority
+  );
+}
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Goal template helpers
+ * @description Text shown for goal templates and the one-per-line milestone editor
+ */
+
+/**
+ * Summarise when a template's goals are due and how many milestones they get
+ * @param {Object} template - Goal template
+ * @returns {string} e.g. "Due 14 days after assigning · 2 milestones"
+ */
+export function describeTemplate(template) {
+  const days = template.target_offset_days;
+  const due =
+    days === null || days === undefined
+      ? "No target date"
+      : days === 0
+      ? "Due the day it is assigned"
+      : `Due ${days} day${days === 1 ? "" : "s"} after assigning`;
+  const count = template.milestones?.length || 0;
+  return `${due} · ${count} milestone${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Turn the milestone text box into milestone titles, one per non-blank line
+ * @param {string} text - Text typed by the user
+ * @returns {Array<string>} Trimmed titles in order
+ */
+export function parseMilestoneLines(text) {
+  return (text || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
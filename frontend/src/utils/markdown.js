@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Markdown rendering
+ * @description Turns text written by users (student notes) into HTML that is safe to show
+ * with v-html
+ */
+
+import { marked } from "marked";
+import DOMPurify from "dompurify";
+
+/**
+ * Render Markdown to sanitised HTML. Single line breaks are kept, and links open in a new tab.
+ * @param {string|null} text - Markdown source
+ * @returns {string} HTML without scripts, event handlers or other unsafe markup
+ */
+export function renderMarkdown(text) {
+  const html = marked.parse(text || "", { breaks: true, gfm: true });
+  const container = document.createElement("div");
+  container.innerHTML = DOMPurify.sanitize(html);
+  for (const link of container.querySelectorAll("a")) {
+    link.setAttribute("target", "_blank");
+    link.setAttribute("rel", "noopener noreferrer");
+  }
+  return container.innerHTML;
+}
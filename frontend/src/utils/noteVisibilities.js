@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Student note visibilities
+ * @description Mirrors backend/config/noteVisibilities.js with the labels the notes screens use
+ */
+
+export const NOTE_VISIBILITIES = {
+  PRIVATE: "private",
+  LEADERS: "leaders",
+};
+
+/**
+ * Choices in the note form
+ * @type {Array<{label: string, value: string}>}
+ */
+export const VISIBILITY_OPTIONS = [
+  { label: "All leaders", value: NOTE_VISIBILITIES.LEADERS },
+  { label: "Only me", value: NOTE_VISIBILITIES.PRIVATE },
+];
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Password policy
+ * @description Mirrors the backend password rules (backend/config/passwordPolicy.js) so
+ * forms can show problems before submitting. The server remains the source of truth.
+ */
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Plain text password
+ * @returns {string|null} Error message for the first rule that fails, or null if valid
+ */
+export function validatePassword(password) {
+  if (!password) return "Password is required";
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+  }
+  if (!/\p{L}/u.test(password)) {
+    return "Password must contain at least one letter";
+  }
+  if (!/\d/.test(password)) {
+    return "Password must contain at least one number";
+  }
+  return null;
+}
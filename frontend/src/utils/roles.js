@@ -0,0 +1,24 @@
+/**
+ * @fileoverview User roles
+ * @description Mirrors the backend role definitions (backend/config/roles.js) so the UI can
+ * hide pages and actions the current user is not allowed to use
+ */
+
+export const ROLES = {
+  ADMIN: "admin",
+  MENTOR: "mentor",
+  VIEWER: "viewer",
+  STUDENT: "student",
+};
+
+/**
+ * Staff roles, allowed to use the main application (everyone except students)
+ * @type {Array<string>}
+ */
+export const STAFF_ROLES = [ROLES.ADMIN, ROLES.MENTOR, ROLES.VIEWER];
+
+/**
+ * Roles allowed to create and update records
+ * @type {Array<string>}
+ */
+export const EDITOR_ROLES = [ROLES.ADMIN, ROLES.MENTOR];
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Student statuses
+ * @description Mirrors the backend student lifecycle (backend/config/studentStatuses.js) with
+ * the labels and tag colours the member screens use
+ */
+
+export const STUDENT_STATUSES = {
+  ACTIVE: "active",
+  INACTIVE: "inactive",
+  GRADUATED: "graduated",
+  ARCHIVED: "archived",
+};
+
+/**
+ * Statuses an editor can pick in the member form; archiving has its own action
+ * @type {Array<{label: string, value: string}>}
+ */
+export const EDITABLE_STATUS_OPTIONS = [
+  { label: "Active", value: STUDENT_STATUSES.ACTIVE },
+  { label: "Inactive", value: STUDENT_STATUSES.INACTIVE },
+  { label: "Graduated", value: STUDENT_STATUSES.GRADUATED },
+];
+
+/**
+ * PrimeVue Tag severity for each status other than active
+ * @type {Object<string, string>}
+ */
+export const STATUS_SEVERITIES = {
+  [STUDENT_STATUSES.INACTIVE]: "warn",
+  [STUDENT_STATUSES.GRADUATED]: "success",
+  [STUDENT_STATUSES.ARCHIVED]: "contrast",
+};
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Student tag colours
+ * @description Colour choices for tags and the text colour that stays readable on them
+ */
+
+// Matches the default of tags.color in the backend
+export const DEFAULT_TAG_COLOR = "#64748b";
+
+/**
+ * Colours offered when creating or editing a tag (any #rrggbb is accepted)
+ * @type {Array<string>}
+ */
+export const TAG_COLORS = [
+  DEFAULT_TAG_COLOR,
+  "#ef4444",
+  "#f97316",
+  "#eab308",
+  "#22c55e",
+  "#14b8a6",
+  "#3b82f6",
+  "#8b5cf6",
+  "#ec4899",
+];
+
+/**
+ * Pick black or white text for a tag colour
+ * @param {string} color - Background colour as #rrggbb
+ * @returns {string} "#000000" on light colours, "#ffffff" on dark ones
+ */
+export function tagTextColor(color) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || "");
+  if (!match) return "#ffffff";
+  const [red, green, blue] = match.slice(1).map((hex) => parseInt(hex, 16));
+  // Perceived brightness (ITU-R BT.601), 0-255
+  const brightness = (red * 299 + green * 587 + blue * 114) / 1000;
+  return brightness > 150 ? "#000000" : "#ffffff";
+}
@@ -0,0 +1,28 @@
+import { mount } from "@vue/test-utils";
+import { describe, it, expect } from "vitest";
+import AttendanceCalendar from "../src/components/attendance/AttendanceCalendar.vue";
+
+describe("AttendanceCalendar", () => {
+  it("opens on the month of the latest record and colours each day", () => {
+    const wrapper = mount(AttendanceCalendar, {
+      props: {
+        records: [
+          { date: "2026-02-10", status: "present" },
+          { date: "2026-03-03", status: "absent", notes: "Sick" },
+          { date: "2026-03-10", status: "late" },
+        ],
+      },
+      global: { stubs: { Button: true } },
+    });
+
+    const days = wrapper.findAll("[title]");
+    expect(days.map((day) => day.attributes("title"))).toEqual([
+      "Absent: Sick",
+      "Late",
+    ]);
+    expect(days[0].text()).toBe("3");
+    expect(days[0].classes()).toContain("bg-red-500");
+    // March 2026 starts on a Sunday, after six blank weekday cells
+    expect(wrapper.findAll(".grid > span").length).toBe(7 + 6 + 31);
+  });
+});
@@ -0,0 +1,43 @@
+import { mount } from "@vue/test-utils";
+import { describe, it, expect } from "vitest";
+import CategoryBreakdown from "../src/components/analytics/CategoryBreakdown.vue";
+
+describe("CategoryBreakdown", () => {
+  it("lists every category with its completion rate", () => {
+    const categories = [
+      {
+        category_id: 3,
+        name: "Service",
+        color: "#22c55e",
+        icon: "pi-heart",
+        total_goals: 4,
+        completed_goals: 1,
+        pct_complete: 25,
+      },
+      {
+        category_id: null,
+        name: "Uncategorised",
+        color: null,
+        icon: null,
+        total_goals: 2,
+        completed_goals: 2,
+        pct_complete: 100,
+      },
+    ];
+    const series = [
+      { label: "2026-10", category_id: 3, category: "Service", completions: 1 },
+    ];
+    const wrapper = mount(CategoryBreakdown, { props: { categories, series } });
+    const text = wrapper.text();
+    expect(text).toContain("Service");
+    expect(text).toContain("25%");
+    expect(text).toContain("Uncategorised");
+    expect(wrapper.find("canvas").exists()).toBe(true);
+    expect(wrapper.vm.chartData.datasets[0].data).toEqual([1]);
+  });
+
+  it('shows "No data" without categories', () => {
+    const wrapper = mount(CategoryBreakdown);
+    expect(wrapper.text()).toContain("No data");
+  });
+});
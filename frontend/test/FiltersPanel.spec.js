@@ -19,5 +19,14 @@ describe("FiltersPanel", () => {
     expect(last).toHaveProperty("start");
     expect(last).toHaveProperty("end");
     expect(last).toHaveProperty("group");
+    expect(last).toHaveProperty("groupId", null);
+  });
+
+  it("offers the student groups passed in", () => {
+    const wrapper = mount(FiltersPanel, {
+      props: { groups: [{ id: 4, name: "Seniors" }] },
+    });
+    const options = wrapper.findAll("select")[1].findAll("option");
+    expect(options.map((o) => o.text())).toEqual(["Seniors"]);
   });
 });
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import axios from "axios";
+import { setActivePinia, createPinia } from "pinia";
+import { setupAuthInterceptor } from "../src/utils/axiosConfig";
+import { useAuthStore } from "../src/store/auth";
+
+const originalAdapter = axios.defaults.adapter;
+
+const respond = (config, status, data) => {
+  const response = { data, status, statusText: "", headers: {}, config };
+  if (status >= 400) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.config = config;
+    error.response = response;
+    return Promise.reject(error);
+  }
+  return Promise.resolve(response);
+};
+
+describe("setupAuthInterceptor", () => {
+  let router;
+  let interceptorId;
+
+  beforeEach(() => {
+    localStorage.clear();
+    setActivePinia(createPinia());
+    router = {
+      currentRoute: { value: { matched: [{ meta: { requiresAuth: true } }] } },
+      push: vi.fn(),
+    };
+    interceptorId = setupAuthInterceptor(router);
+  });
+
+  afterEach(() => {
+    axios.interceptors.response.eject(interceptorId);
+    axios.defaults.adapter = originalAdapter;
+  });
+
+  it("refreshes the access token and retries the request once", async () => {
+    const auth = useAuthStore();
+    auth.setTokens({ token: "expired", refreshToken: "r1" });
+
+    axios.defaults.adapter = (config) => {
+      if (config.url === "/api/auth/refresh") {
+        return respond(config, 200, { token: "fresh", refreshToken: "r2" });
+      }
+      if (config.headers.Authorization === "Bearer fresh") {
+        return respond(config, 200, { ok: true });
+      }
+      return respond(config, 401, { message: "Session expired" });
+    };
+
+    const res = await axios.get("/api/students", {
+      headers: { Authorization: "Bearer expired" },
+    });
+
+    expect(res.data).toEqual({ ok: true });
+    expect(auth.token).toBe("fresh");
+    expect(auth.refreshToken).toBe("r2");
+    expect(localStorage.getItem("refreshToken")).toBe("r2");
+  });
+
+  it("clears the session and redirects to login when refresh fails", async () => {
+    const auth = useAuthStore();
+    auth.setTokens({ token: "expired", refreshToken: "revoked" });
+
+    axios.defaults.adapter = (config) => respond(config, 401, {});
+
+    await expect(axios.get("/api/students")).rejects.toThrow();
+    expect(auth.token).toBe("");
+    expect(auth.refreshToken).toBe("");
+    expect(router.push).toHaveBeenCalledWith("/auth/login");
+  });
+
+  it("does not retry when there is no refresh token", async () => {
+    const adapter = vi.fn((config) => respond(config, 403, {}));
+    axios.defaults.adapter = adapter;
+
+    await expect(axios.get("/api/students")).rejects.toThrow();
+    expect(adapter).toHaveBeenCalledTimes(1);
+    expect(router.push).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import {
+  keyFromLabel,
+  toInputValue,
+  toApiValue,
+} from "../src/utils/customFields";
+
+describe("custom field helpers", () => {
+  it("suggests a snake_case key from a label", () => {
+    expect(keyFromLabel("T-shirt size")).toBe("t_shirt_size");
+    expect(keyFromLabel("2nd Language!")).toBe("nd_language");
+  });
+
+  it("round-trips dates without shifting the day", () => {
+    const field = { type: "date" };
+    const input = toInputValue(field, "2026-03-01");
+    expect(input.getDate()).toBe(1);
+    expect(toApiValue(field, input)).toBe("2026-03-01");
+  });
+
+  it("sends empty inputs as null", () => {
+    expect(toApiValue({ type: "text" }, "  ")).toBeNull();
+    expect(toApiValue({ type: "number" }, null)).toBeNull();
+    expect(toInputValue({ type: "boolean" }, null)).toBe(false);
+    expect(toApiValue({ type: "boolean" }, false)).toBe(false);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { categoryCompletionsChart } from "../src/utils/goalCategories";
+import { priorityLabel } from "../src/utils/goalPriorities";
+
+describe("goal categories", () => {
+  it("stacks completions per category with a count for every period", () => {
+    const chart = categoryCompletionsChart([
+      {
+        label: "2026-09",
+        category_id: 3,
+        category: "Service",
+        color: "#22c55e",
+        completions: 2,
+      },
+      {
+        label: "2026-09",
+        category_id: null,
+        category: null,
+        color: null,
+        completions: 1,
+      },
+      {
+        label: "2026-10",
+        category_id: 3,
+        category: "Service",
+        color: "#22c55e",
+        completions: "4",
+      },
+    ]);
+    expect(chart.labels).toEqual(["2026-09", "2026-10"]);
+    expect(chart.datasets).toEqual([
+      { label: "Service", backgroundColor: "#22c55e", data: [2, 4] },
+      { label: "Uncategorised", backgroundColor: "#64748b", data: [1, 0] },
+    ]);
+    expect(categoryCompletionsChart([])).toEqual({ labels: [], datasets: [] });
+  });
+
+  it("labels priorities", () => {
+    expect(priorityLabel("high")).toBe("High");
+    expect(priorityLabel("urgent")).toBe("urgent");
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import {
+  describeTemplate,
+  parseMilestoneLines,
+} from "../src/utils/goalTemplates";
+
+describe("goal templates", () => {
+  it("describes the target date and milestones", () => {
+    expect(
+      describeTemplate({ target_offset_days: 14, milestones: ["A", "B"] })
+    ).toBe("Due 14 days after assigning · 2 milestones");
+    expect(describeTemplate({ target_offset_days: 1, milestones: ["A"] })).toBe(
+      "Due 1 day after assigning · 1 milestone"
+    );
+    expect(describeTemplate({ target_offset_days: null, milestones: [] })).toBe(
+      "No target date · 0 milestones"
+    );
+  });
+
+  it("reads one milestone per non-blank line", () => {
+    expect(parseMilestoneLines(" Chapters 1-8 \n\n  Chapters 9-16\n")).toEqual([
+      "Chapters 1-8",
+      "Chapters 9-16",
+    ]);
+    expect(parseMilestoneLines("")).toEqual([]);
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { renderMarkdown } from "../src/utils/markdown";
+
+describe("renderMarkdown", () => {
+  it("renders formatting, lists and line breaks", () => {
+    const html = renderMarkdown("**Moved** house\nnew school\n\n- one\n- two");
+    expect(html).toContain("<strong>Moved</strong> house<br>new school");
+    expect(html).toContain("<li>one</li>");
+  });
+
+  it("strips scripts and event handlers", () => {
+    const html = renderMarkdown(
+      '<script>alert(1)</script><img src="x" onerror="alert(2)">'
+    );
+    expect(html).not.toContain("<script");
+    expect(html).not.toContain("onerror");
+  });
+
+  it("opens links in a new tab and drops javascript: links", () => {
+    expect(renderMarkdown("[site](https://example.org)")).toContain(
+      'href="https://example.org" target="_blank" rel="noopener noreferrer"'
+    );
+    expect(renderMarkdown("[x](javascript:alert(1))")).not.toContain(
+      "javascript:"
+    );
+  });
+
+  it("renders nothing for an empty note", () => {
+    expect(renderMarkdown(null)).toBe("");
+  });
+});
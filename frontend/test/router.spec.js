@@ -0,0 +1,33 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import axios from "axios";
+import router from "../src/router";
+
+vi.mock("axios");
+
+describe("router guard", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    localStorage.clear();
+    vi.resetAllMocks();
+  });
+
+  it("checks roles after loading the user on a cold load with only a token", async () => {
+    localStorage.setItem("token", "stored-token");
+    axios.get.mockResolvedValue({ data: { id: 2, role: "student" } });
+
+    await router.push("/portal/attendance");
+
+    expect(axios.get).toHaveBeenCalledWith("/api/auth/me", expect.anything());
+    expect(router.currentRoute.value.path).toBe("/portal/attendance");
+  });
+
+  it("still sends users away from pages their role cannot open", async () => {
+    localStorage.setItem("token", "stored-token");
+    axios.get.mockResolvedValue({ data: { id: 3, role: "viewer" } });
+
+    await router.push("/analytics");
+
+    expect(router.currentRoute.value.path).toBe("/dashboard");
+  });
+});
@@ -0,0 +1,16 @@
+import { describe, it, expect } from "vitest";
+import { tagTextColor } from "../src/utils/tags";
+
+describe("tag colours", () => {
+  it("keeps chip text readable", () => {
+    expect(tagTextColor("#eab308")).toBe("#000000");
+    expect(tagTextColor("#FFFFFF")).toBe("#000000");
+    expect(tagTextColor("#3b82f6")).toBe("#ffffff");
+    expect(tagTextColor("#64748b")).toBe("#ffffff");
+  });
+
+  it("falls back to white text for unknown colours", () => {
+    expect(tagTextColor(undefined)).toBe("#ffffff");
+    expect(tagTextColor("red")).toBe("#ffffff");
+  });
+});